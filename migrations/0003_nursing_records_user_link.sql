@@ -0,0 +1,39 @@
+-- 看護記録とユーザーの紐付け
+-- 既存の履歴は匿名ユーザーとして残す（user_id = NULL）
+ALTER TABLE nursing_records ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- 変換リクエストIDの保存（アプリケーションコードが参照）
+ALTER TABLE nursing_records ADD COLUMN request_id TEXT;
+
+-- インデックス作成
+CREATE INDEX IF NOT EXISTS idx_nursing_records_user_id ON nursing_records(user_id, created_at);
+
+-- 全文検索用テーブル（日本語は単語分割されないためtrigramで部分一致検索）
+CREATE VIRTUAL TABLE IF NOT EXISTS nursing_records_fts USING fts5(
+  input_text,
+  output_text,
+  content='nursing_records',
+  content_rowid='id',
+  tokenize='trigram'
+);
+
+-- nursing_recordsと全文検索テーブルの同期トリガー
+CREATE TRIGGER IF NOT EXISTS nursing_records_fts_insert AFTER INSERT ON nursing_records BEGIN
+  INSERT INTO nursing_records_fts(rowid, input_text, output_text)
+  VALUES (new.id, new.input_text, new.output_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS nursing_records_fts_delete AFTER DELETE ON nursing_records BEGIN
+  INSERT INTO nursing_records_fts(nursing_records_fts, rowid, input_text, output_text)
+  VALUES ('delete', old.id, old.input_text, old.output_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS nursing_records_fts_update AFTER UPDATE OF input_text, output_text ON nursing_records BEGIN
+  INSERT INTO nursing_records_fts(nursing_records_fts, rowid, input_text, output_text)
+  VALUES ('delete', old.id, old.input_text, old.output_text);
+  INSERT INTO nursing_records_fts(rowid, input_text, output_text)
+  VALUES (new.id, new.input_text, new.output_text);
+END;
+
+-- 既存レコードを全文検索テーブルに登録
+INSERT INTO nursing_records_fts(nursing_records_fts) VALUES ('rebuild');
@@ -0,0 +1,14 @@
+-- ユーザー独自の医療用語辞書（事業所ごとの略語・薬剤の通称など）
+-- プロンプト構築時に組み込み辞書とマージし、同じ用語はユーザー辞書を優先する
+CREATE TABLE IF NOT EXISTS dictionary_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  term TEXT NOT NULL,
+  meaning TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- インデックス作成（ユーザーごとに用語は一意）
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dictionary_entries_user_term ON dictionary_entries(user_id, term);
@@ -0,0 +1,6 @@
+-- 医療用語辞書の絞り込み効果の計測
+-- 変換ごとに辞書の総件数・プロンプトに含めた件数・削減できた推定トークン数を記録する
+-- （既存の履歴は計測前のため NULL のまま）
+ALTER TABLE nursing_records ADD COLUMN dictionary_terms_total INTEGER;
+ALTER TABLE nursing_records ADD COLUMN dictionary_terms_injected INTEGER;
+ALTER TABLE nursing_records ADD COLUMN prompt_tokens_saved INTEGER;
@@ -0,0 +1,40 @@
+-- 組織（テンプレートを共有する事業所単位）
+CREATE TABLE IF NOT EXISTS organizations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- 組織の所属メンバー（1ユーザーは1組織に所属）
+CREATE TABLE IF NOT EXISTS organization_members (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organization_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL UNIQUE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 記録テンプレート（ユーザー作成）
+-- organization_id が設定されたテンプレートは同じ組織のメンバーに共有される
+-- sections / required_observations / example_phrases は文字列配列のJSON
+CREATE TABLE IF NOT EXISTS record_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  organization_id INTEGER,
+  name TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  sections TEXT NOT NULL DEFAULT '[]',
+  required_observations TEXT NOT NULL DEFAULT '[]',
+  example_phrases TEXT NOT NULL DEFAULT '[]',
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE SET NULL
+);
+
+-- インデックス作成
+CREATE INDEX IF NOT EXISTS idx_organization_members_organization_id ON organization_members(organization_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_record_templates_user_name ON record_templates(user_id, name);
+CREATE INDEX IF NOT EXISTS idx_record_templates_organization_id ON record_templates(organization_id);
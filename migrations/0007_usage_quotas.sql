@@ -0,0 +1,17 @@
+-- 利用プラン（'free' / 'pro'）
+ALTER TABLE users ADD COLUMN plan TEXT NOT NULL DEFAULT 'free';
+
+-- 1日あたりのAI変換回数
+-- subject: 'user:<ユーザーID>' / 'guest:<Cookie ID>' / 'ip:<IPアドレスのハッシュ>'
+-- usage_date: 日本時間の日付（YYYY-MM-DD）
+CREATE TABLE IF NOT EXISTS usage_counters (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  subject TEXT NOT NULL,
+  usage_date TEXT NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (subject, usage_date)
+);
+
+-- インデックス作成（古い日付の削除用）
+CREATE INDEX IF NOT EXISTS idx_usage_counters_usage_date ON usage_counters(usage_date);
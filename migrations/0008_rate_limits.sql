@@ -0,0 +1,13 @@
+-- レート制限のカウンター（Workerのアイソレート間で共有する）
+-- key: '<ポリシー名>:user:<ユーザーID>' / '<ポリシー名>:ip:<IPアドレス>'
+-- window_start・expires_at: UNIXエポックからのミリ秒
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key TEXT NOT NULL,
+  window_start INTEGER NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  expires_at INTEGER NOT NULL,
+  PRIMARY KEY (key, window_start)
+);
+
+-- インデックス作成（期限切れカウンターの削除用）
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires_at ON rate_limit_counters(expires_at);
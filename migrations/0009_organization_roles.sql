@@ -0,0 +1,44 @@
+-- 組織のメンバー権限（admin: 管理者 / member: 一般メンバー）
+ALTER TABLE organization_members ADD COLUMN role TEXT NOT NULL DEFAULT 'member';
+
+-- 既存の組織は最初に所属したメンバーを管理者にする
+UPDATE organization_members
+SET role = 'admin'
+WHERE id IN (SELECT MIN(id) FROM organization_members GROUP BY organization_id);
+
+-- 組織全体の1日のAI変換回数の上限（NULL は組織としての上限なし）
+ALTER TABLE organizations ADD COLUMN daily_limit INTEGER;
+
+-- 組織への招待（管理者が発行し、招待されたメールアドレスのユーザーが承諾する）
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organization_id INTEGER NOT NULL,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'member',
+  token TEXT UNIQUE NOT NULL,
+  invited_by INTEGER,
+  expires_at DATETIME NOT NULL,
+  accepted_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- 組織の共有辞書（管理者が登録し、メンバー全員のプロンプトに反映される）
+-- 組み込み辞書 < 組織の共有辞書 < ユーザー辞書 の順に上書きする
+CREATE TABLE IF NOT EXISTS organization_dictionary_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organization_id INTEGER NOT NULL,
+  term TEXT NOT NULL,
+  meaning TEXT NOT NULL,
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- インデックス作成
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_organization_id ON organization_invitations(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invitations_email ON organization_invitations(email);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_dictionary_entries_org_term ON organization_dictionary_entries(organization_id, term);
@@ -0,0 +1,32 @@
+-- 利用者プロフィール（仮名化した利用者の情報）
+-- 氏名は保存せず、事業所内で使う利用者コード（例: A-012）で識別する
+-- 組織に所属しているユーザーが作成した場合は組織で共有（organization_id）、未所属の場合は作成者のみ（user_id）
+-- diagnoses / care_goals は文字列配列のJSON
+CREATE TABLE IF NOT EXISTS patient_profiles (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organization_id INTEGER,
+  user_id INTEGER,
+  code TEXT NOT NULL,
+  care_level TEXT,
+  diagnoses TEXT NOT NULL DEFAULT '[]',
+  usual_vitals TEXT NOT NULL DEFAULT '',
+  care_goals TEXT NOT NULL DEFAULT '[]',
+  notes TEXT NOT NULL DEFAULT '',
+  created_by INTEGER,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((organization_id IS NULL) != (user_id IS NULL)),
+  FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- 変換履歴と利用者の紐付け（利用者を削除しても履歴は残す）
+ALTER TABLE nursing_records ADD COLUMN patient_id INTEGER REFERENCES patient_profiles(id) ON DELETE SET NULL;
+
+-- インデックス作成（利用者コードは組織内・個人内で一意）
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_profiles_organization_code
+  ON patient_profiles(organization_id, code) WHERE organization_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_patient_profiles_user_code
+  ON patient_profiles(user_id, code) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_nursing_records_patient_id ON nursing_records(patient_id, created_at);
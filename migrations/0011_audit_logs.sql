@@ -0,0 +1,22 @@
+-- 監査ログ（security_logs を追記専用の監査証跡として拡張）
+-- ログイン・AI変換・書き出し・削除などの操作を、操作者・IPアドレス・リクエストIDとともに記録する
+-- user_id はユーザー削除後も記録を残すため外部キーにしない
+-- metadata は操作対象の補足情報のJSON（記録本文などの個人情報は含めない）
+ALTER TABLE security_logs ADD COLUMN user_id INTEGER;
+ALTER TABLE security_logs ADD COLUMN organization_id INTEGER;
+ALTER TABLE security_logs ADD COLUMN request_id TEXT;
+ALTER TABLE security_logs ADD COLUMN resource_type TEXT;
+ALTER TABLE security_logs ADD COLUMN resource_id TEXT;
+ALTER TABLE security_logs ADD COLUMN metadata TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_security_logs_organization_created ON security_logs(organization_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_security_logs_user_created ON security_logs(user_id, created_at);
+
+-- 改ざん防止のため更新・削除を禁止する（追記のみ）
+CREATE TRIGGER IF NOT EXISTS security_logs_prevent_update BEFORE UPDATE ON security_logs BEGIN
+  SELECT RAISE(ABORT, 'security_logs is append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS security_logs_prevent_delete BEFORE DELETE ON security_logs BEGIN
+  SELECT RAISE(ABORT, 'security_logs is append-only');
+END;
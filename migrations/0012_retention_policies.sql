@@ -0,0 +1,21 @@
+-- 組織ごとのデータ保持ポリシー（NULL は既定値 RETENTION_CONFIG.defaults を使う）
+-- record_retention_action: 'anonymize'（本文を消去し統計項目のみ残す）/ 'purge'（削除）
+ALTER TABLE organizations ADD COLUMN record_retention_days INTEGER;
+ALTER TABLE organizations ADD COLUMN record_retention_action TEXT;
+ALTER TABLE organizations ADD COLUMN log_retention_days INTEGER;
+
+-- 保持期間を過ぎて匿名化した日時（匿名化済みの履歴は一覧・検索・書き出しの対象外）
+ALTER TABLE nursing_records ADD COLUMN anonymized_at DATETIME;
+
+-- 監査ログは記録時の所属組織の保持期間（log_retention_days）を過ぎたものだけ削除できるようにする（更新は引き続き禁止）
+-- 未設定・組織に所属しない・削除済みの組織の記録は既定値（RETENTION_CONFIG.defaults.logRetentionDays）の90日。
+-- 保持期間は設定できる最短の90日を下回らない
+DROP TRIGGER IF EXISTS security_logs_prevent_delete;
+CREATE TRIGGER IF NOT EXISTS security_logs_prevent_delete BEFORE DELETE ON security_logs
+WHEN OLD.created_at >= strftime(
+  '%Y-%m-%dT%H:%M:%fZ', 'now',
+  '-' || MAX(COALESCE((SELECT log_retention_days FROM organizations WHERE id = OLD.organization_id), 90), 90) || ' days'
+)
+BEGIN
+  SELECT RAISE(ABORT, 'security_logs within the retention period cannot be deleted');
+END;
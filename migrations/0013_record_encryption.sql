@@ -0,0 +1,47 @@
+-- 履歴本文の暗号化（エンベロープ暗号化）
+-- 組織ごとのデータ鍵。wrapped_key は RECORD_ENCRYPTION_SECRET から導出した鍵暗号化鍵（AES-KW）でラップしたデータ鍵（base64）
+-- organization_id: NULL は組織に所属しないユーザー・未ログインの履歴用。組織の削除後も元メンバーの履歴を復号できるよう外部キーにしない
+-- secret_id: ラップに使ったシークレットの識別子（シークレットのローテーション時に旧シークレットを選ぶ）
+-- status: 'active'（新しい履歴の暗号化に使う・組織ごとに1つ）/ 'retired'（ローテーション済み・復号のみ）
+CREATE TABLE IF NOT EXISTS record_encryption_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  organization_id INTEGER,
+  wrapped_key TEXT NOT NULL,
+  secret_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  retired_at DATETIME
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_record_encryption_keys_active
+  ON record_encryption_keys(IFNULL(organization_id, 0)) WHERE status = 'active';
+
+-- 履歴の暗号化に使ったデータ鍵（NULL は平文。既存の履歴は定期実行で順次暗号化する）
+ALTER TABLE nursing_records ADD COLUMN encryption_key_id INTEGER REFERENCES record_encryption_keys(id);
+
+-- 全文検索テーブルは平文の履歴だけを対象にする（暗号化した履歴の本文の複製を索引に残さない）
+-- 暗号化した履歴のキーワード検索はアプリケーション側で復号して照合する
+-- 注意: 'rebuild' は暗号化済みの履歴も索引に入れるため使わない
+DROP TRIGGER IF EXISTS nursing_records_fts_insert;
+DROP TRIGGER IF EXISTS nursing_records_fts_delete;
+DROP TRIGGER IF EXISTS nursing_records_fts_update;
+
+CREATE TRIGGER IF NOT EXISTS nursing_records_fts_insert AFTER INSERT ON nursing_records
+WHEN new.encryption_key_id IS NULL BEGIN
+  INSERT INTO nursing_records_fts(rowid, input_text, output_text)
+  VALUES (new.id, new.input_text, new.output_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS nursing_records_fts_delete AFTER DELETE ON nursing_records
+WHEN old.encryption_key_id IS NULL BEGIN
+  INSERT INTO nursing_records_fts(nursing_records_fts, rowid, input_text, output_text)
+  VALUES ('delete', old.id, old.input_text, old.output_text);
+END;
+
+-- 暗号化（平文 → 暗号文）で索引から外し、平文のままの更新では索引を更新する
+CREATE TRIGGER IF NOT EXISTS nursing_records_fts_update AFTER UPDATE OF input_text, output_text, encryption_key_id ON nursing_records BEGIN
+  INSERT INTO nursing_records_fts(nursing_records_fts, rowid, input_text, output_text)
+  SELECT 'delete', old.id, old.input_text, old.output_text WHERE old.encryption_key_id IS NULL;
+  INSERT INTO nursing_records_fts(rowid, input_text, output_text)
+  SELECT new.id, new.input_text, new.output_text WHERE new.encryption_key_id IS NULL;
+END;
@@ -0,0 +1,19 @@
+-- 入力メモの下書き（ログインユーザーの端末間の同期用。未ログインの場合は端末のIndexedDBにのみ保存する）
+-- client_id: 端末で発行した下書きID（オフライン中に作成した下書きも同じIDで同期する）
+-- input_text は履歴と同じデータ鍵で暗号化する（encryption_key_id が NULL の場合は平文）
+-- updated_at: 端末で最後に編集した日時（同期時は新しい方を残す）
+CREATE TABLE IF NOT EXISTS drafts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  client_id TEXT NOT NULL,
+  patient_id INTEGER,
+  input_text TEXT NOT NULL,
+  encryption_key_id INTEGER REFERENCES record_encryption_keys(id),
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (patient_id) REFERENCES patient_profiles(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_drafts_user_client ON drafts(user_id, client_id);
+CREATE INDEX IF NOT EXISTS idx_drafts_user_updated ON drafts(user_id, updated_at);
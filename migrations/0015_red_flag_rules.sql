@@ -0,0 +1,3 @@
+-- 組織ごとの注意所見（レッドフラグ）の検出設定（JSON。NULL は組み込みのルールをすべて使う）
+-- { "disabledRuleIds": ["fall", ...], "customRules": [{ "id": "custom-1", "label": "...", "severity": "warning", "terms": [...] }] }
+ALTER TABLE organizations ADD COLUMN red_flag_settings TEXT;
@@ -3,30 +3,154 @@
  * アコーディオンメニュー・テンプレート機能対応
  */
 
+import { diffChars, renderDiffSide } from './modules/text-diff.js';
+import { UsageManager } from './modules/usage-manager.js';
+import { OfflineStore } from './modules/offline-store.js';
+import { ConversionQueue, QUEUE_STATUS } from './modules/conversion-queue.js';
+import { DraftManager } from './modules/draft-manager.js';
+import { VoiceInput, VOICE_INPUT_STATE } from './modules/voice-input.js';
+
+/** 下書きの保存までの待ち時間（入力が止まってから保存する） */
+const DRAFT_SAVE_DELAY = 500;
+
+/** 下書きの同期までの待ち時間（ログイン中のみ。端末への保存より間隔を空ける） */
+const DRAFT_SYNC_DELAY = 3000;
+
+/** 予約した変換の再送信の間隔（online イベントが届かない環境向け） */
+const QUEUE_RETRY_INTERVAL = 60 * 1000;
+
+/** バイタルサインの表示名（表示順） */
+const VITAL_LABELS = {
+    temperature: '体温',
+    bloodPressure: '血圧',
+    pulse: '脈拍',
+    respiration: '呼吸数',
+    spo2: 'SpO2',
+    bloodGlucose: '血糖値'
+};
+
+/** 注意所見の緊急度の表示 */
+const RED_FLAG_SEVERITY_LABELS = {
+    urgent: { text: '至急', className: 'bg-red-600 text-white' },
+    warning: { text: '注意', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+/** バイタルサインの判定の表示 */
+const VITAL_STATUS_LABELS = {
+    normal: { text: '基準範囲内', className: 'text-gray-600' },
+    low: { text: '低値', className: 'text-blue-700 font-bold' },
+    high: { text: '高値', className: 'text-red-600 font-bold' }
+};
+
 class TapKarteDashboard {
     constructor() {
         // 🎯 設定の初期化
         this.selectedOptions = {
             docType: '記録',        // デフォルト: 記録
             format: '文章形式',     // デフォルト: 文章形式  
-            style: 'だ・である体'   // デフォルト: だ・である体
+            style: 'だ・である体',  // デフォルト: だ・である体
+            variants: 1             // デフォルト: 1案
         };
         
-        this.selectedTemplates = [];        // 選択されたテンプレート（複数）
+        this.selectedTemplates = [];        // 選択されたテンプレート（複数） { id, name }
         this.currentCharLimit = 500;        // 文字数制限
         this.currentSessionId = null;
+        this.currentResultText = null;      // コピー・文字数カウント用の最終結果テキスト
+        this.currentSoap = null;            // SOAP形式の場合のセクション
+        this.currentRecordId = null;        // 現在の結果の履歴ID（書き出し用、ログイン時のみ）
+        this.currentRedFlags = null;        // 現在の結果の注意所見（主治医への報告の追記用）
+        this.lastInputText = null;          // 現在の結果の元になった入力メモ（修正時に事実確認用として送る）
+        this.lastOptions = null;            // 現在の結果を生成した変換オプション
+        
+        // マイ辞書関連
+        this.dictionaryEntries = [];        // 登録済みの用語
+        this.editingDictionaryId = null;    // 編集中の辞書ID
         
-        // 利用制限関連
-        this.dailyUsageCount = 0;           // 本日の利用回数
-        this.maxDailyUsage = 3;             // 1日の利用制限（3回）
+        // マイテンプレート関連
+        this.customTemplates = [];          // 自分の作成分＋組織の共有分
+        this.editingTemplateId = null;      // 編集中のテンプレートID
+        
+        // 利用者プロフィール関連
+        this.patients = [];                 // 閲覧できる利用者（組織の利用者、または自分の登録分）
+        this.selectedPatientId = null;      // 変換時に背景情報として使う利用者ID
+        this.editingPatientId = null;       // 編集中の利用者ID
+        
+        // 利用制限関連（回数はサーバー側で管理）
+        this.usageManager = new UsageManager();
+        
+        // オフライン対応（下書き・変換の予約はIndexedDBに保存）
+        this.offlineStore = OfflineStore.isSupported() ? new OfflineStore() : null;
+        this.conversionQueue = this.offlineStore
+            ? new ConversionQueue(this.offlineStore, {
+                getAuthHeaders: () => this.getAuthHeaders(),
+                onChange: () => this.renderHistory(),
+                onCompleted: (item, data) => this.recordUsage(data.usage)
+            })
+            : null;
+        this.draftManager = this.offlineStore
+            ? new DraftManager(this.offlineStore, {
+                getAuthHeaders: () => this.getAuthHeaders(),
+                onChange: () => this.renderDrafts(),
+                onRemoteChange: (changes) => this.applyRemoteDrafts(changes)
+            })
+            : null;
+        this.currentDraftId = null;         // 入力欄で編集中の下書きID（未保存の場合は null）
+        this.draftSaveTimer = null;
+        this.draftSyncTimer = null;
+        
+        // 音声入力（書き起こしは医療用語辞書で補正して入力欄に挿入）
+        this.voiceInput = new VoiceInput({
+            getAuthHeaders: () => this.getAuthHeaders(),
+            onTranscript: (result) => this.insertTranscript(result),
+            onInterim: (text) => this.showVoiceInterim(text),
+            onStateChange: (state) => this.updateVoiceInputState(state),
+            onError: (message) => this.showMessage(message, 'error')
+        });
         
         // 🚀 初期化実行
         this.initializeElements();
+        this.consumeAuthRedirect();
         this.attachEventListeners();
         this.initializeAccordions();
         this.initializeTemplates();
         this.generateSessionId();
         this.checkUsageLimit();
+        this.initializeVoiceInput();
+        this.initializeOffline();
+    }
+    
+    /**
+     * 🔑 Googleログインからの戻りを処理（URLフラグメントのトークン・エラーを取り出して消去）
+     */
+    consumeAuthRedirect() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const token = params.get('auth_token');
+        const error = params.get('auth_error');
+        const linked = params.get('google_linked');
+        
+        if (!token && !error && !linked) return;
+        
+        // 履歴・ブックマークにトークンを残さない
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        
+        if (token) {
+            localStorage.setItem('demo_auth_token', token);
+            this.showMessage('Googleアカウントでログインしました', 'success');
+        } else if (linked) {
+            this.showMessage('Googleアカウントを連携しました', 'success');
+        } else {
+            const messages = {
+                google_not_configured: 'Googleログインは現在利用できません',
+                access_denied: 'Googleログインがキャンセルされました',
+                invalid_state: 'ログインの有効期限が切れました。もう一度お試しください',
+                token_exchange_failed: 'Googleアカウントの認証に失敗しました',
+                email_not_verified: 'Googleアカウントのメールアドレスが確認されていません',
+                account_inactive: 'このアカウントは無効化されています',
+                already_linked: 'このGoogleアカウントは別のユーザーに連携されています',
+                link_required: 'このメールアドレスは登録済みです。パスワードでログインしてからGoogleアカウントを連携してください'
+            };
+            this.showMessage(messages[error] || 'Googleログインに失敗しました', 'error');
+        }
     }
     
     /**
@@ -38,9 +162,30 @@ class TapKarteDashboard {
         this.quickGenerateBtn = document.getElementById('quick-generate-btn');
         this.quickInputCount = document.getElementById('quick-input-count');
         
+        // 音声入力
+        this.voiceInputBtn = document.getElementById('voice-input-btn');
+        this.voiceInputIcon = document.getElementById('voice-input-icon');
+        this.voiceInputStatus = document.getElementById('voice-input-status');
+        this.voiceInterim = document.getElementById('voice-interim');
+        
         this.outputText = document.getElementById('output-text');
         this.outputCount = document.getElementById('output-count');
         this.copyBtn = document.getElementById('copy-btn');
+        this.exportMenu = document.getElementById('export-menu');
+        this.vitalsPanel = document.getElementById('vitals-panel');
+        this.vitalsTableBody = document.getElementById('vitals-table-body');
+        this.redFlagPanel = document.getElementById('red-flag-panel');
+        this.redFlagList = document.getElementById('red-flag-list');
+        this.redFlagPrompt = document.getElementById('red-flag-prompt');
+        this.redFlagReportBtn = document.getElementById('red-flag-report-btn');
+        
+        // 修正・比較表示
+        this.refinePanel = document.getElementById('refine-panel');
+        this.refineInstructionInput = document.getElementById('refine-instruction');
+        this.refineBtn = document.getElementById('refine-btn');
+        this.comparisonView = document.getElementById('comparison-view');
+        this.comparisonTitle = document.getElementById('comparison-title');
+        this.comparisonColumns = document.getElementById('comparison-columns');
         
         // アコーディオン要素
         this.documentSettingsToggle = document.getElementById('document-settings-toggle');
@@ -51,6 +196,54 @@ class TapKarteDashboard {
         this.templateContent = document.getElementById('template-content');
         this.templateIcon = document.getElementById('template-icon');
         
+        this.dictionaryToggle = document.getElementById('dictionary-toggle');
+        this.dictionaryContent = document.getElementById('dictionary-content');
+        this.dictionaryIcon = document.getElementById('dictionary-icon');
+        
+        this.draftToggle = document.getElementById('draft-toggle');
+        this.draftContent = document.getElementById('draft-content');
+        this.draftIcon = document.getElementById('draft-icon');
+        this.draftCountLabel = document.getElementById('draft-count-label');
+        this.draftList = document.getElementById('draft-list');
+        this.draftEmpty = document.getElementById('draft-empty');
+        this.draftNewBtn = document.getElementById('draft-new-btn');
+        
+        this.patientToggle = document.getElementById('patient-toggle');
+        this.patientContent = document.getElementById('patient-content');
+        this.patientIcon = document.getElementById('patient-icon');
+        
+        // 利用者プロフィール要素
+        this.patientSelectedLabel = document.getElementById('patient-selected-label');
+        this.patientLoginRequired = document.getElementById('patient-login-required');
+        this.patientManager = document.getElementById('patient-manager');
+        this.patientSelect = document.getElementById('patient-select');
+        this.patientNewBtn = document.getElementById('patient-new-btn');
+        this.patientEditBtn = document.getElementById('patient-edit-btn');
+        this.patientDeleteBtn = document.getElementById('patient-delete-btn');
+        this.patientEditor = document.getElementById('patient-editor');
+        this.patientCodeInput = document.getElementById('patient-code');
+        this.patientCareLevelInput = document.getElementById('patient-care-level');
+        this.patientDiagnosesInput = document.getElementById('patient-diagnoses');
+        this.patientVitalsInput = document.getElementById('patient-vitals');
+        this.patientGoalsInput = document.getElementById('patient-goals');
+        this.patientNotesInput = document.getElementById('patient-notes');
+        this.patientSharedNote = document.getElementById('patient-shared-note');
+        this.patientReport = document.getElementById('patient-report');
+        this.patientReportMonthInput = document.getElementById('patient-report-month');
+        this.patientReportBtn = document.getElementById('patient-report-btn');
+        this.patientExportBtn = document.getElementById('patient-export-btn');
+        this.patientSaveBtn = document.getElementById('patient-save-btn');
+        this.patientCancelBtn = document.getElementById('patient-cancel-btn');
+        
+        // マイ辞書要素
+        this.dictionaryLoginRequired = document.getElementById('dictionary-login-required');
+        this.dictionaryEditor = document.getElementById('dictionary-editor');
+        this.dictionaryTermInput = document.getElementById('dictionary-term');
+        this.dictionaryMeaningInput = document.getElementById('dictionary-meaning');
+        this.dictionarySaveBtn = document.getElementById('dictionary-save-btn');
+        this.dictionaryCancelBtn = document.getElementById('dictionary-cancel-btn');
+        this.dictionaryList = document.getElementById('dictionary-list');
+        
         // 設定要素（文字数制限は削除）
         
         // テンプレート要素
@@ -61,10 +254,28 @@ class TapKarteDashboard {
         this.selectedTemplatesDiv = document.getElementById('selected-templates');
         this.selectedTemplateList = document.getElementById('selected-template-list');
         this.clearTemplatesBtn = document.getElementById('clear-templates');
+        this.customTemplatesDiv = document.getElementById('custom-templates');
+        this.customTemplateList = document.getElementById('custom-template-list');
+        this.templateNewBtn = document.getElementById('template-new-btn');
+        this.templateEditor = document.getElementById('template-editor');
+        this.templateNameInput = document.getElementById('template-name');
+        this.templateSectionsInput = document.getElementById('template-sections');
+        this.templateObservationsInput = document.getElementById('template-observations');
+        this.templateExamplesInput = document.getElementById('template-examples');
+        this.templateSharedLabel = document.getElementById('template-shared-label');
+        this.templateSharedInput = document.getElementById('template-shared');
+        this.templateSaveBtn = document.getElementById('template-save-btn');
+        this.templateCancelBtn = document.getElementById('template-cancel-btn');
         
         // その他のボタン
         this.clearAllBtn = document.getElementById('clear-all-btn');
         this.usageLimitMessage = document.getElementById('usage-limit-message');
+        this.usageBannerText = document.getElementById('usage-banner-text');
+        
+        // 変換履歴（オフライン中に予約した変換）
+        this.historyPanel = document.getElementById('history-panel');
+        this.historyList = document.getElementById('history-list');
+        this.offlineIndicator = document.getElementById('offline-indicator');
     }
     
     /**
@@ -75,12 +286,15 @@ class TapKarteDashboard {
         if (this.quickInputText) {
             this.quickInputText.addEventListener('input', () => this.updateQuickInputCount());
             this.quickInputText.addEventListener('input', () => this.checkGenerateButton());
+            this.quickInputText.addEventListener('input', () => this.scheduleDraftSave());
         }
         
         if (this.quickGenerateBtn) {
             this.quickGenerateBtn.addEventListener('click', () => this.convertText());
         }
         
+        this.voiceInputBtn?.addEventListener('click', () => this.toggleVoiceInput());
+        
         // アコーディオントグル
         if (this.documentSettingsToggle) {
             this.documentSettingsToggle.addEventListener('click', () => this.toggleAccordion('document'));
@@ -90,6 +304,39 @@ class TapKarteDashboard {
             this.templateToggle.addEventListener('click', () => this.toggleAccordion('template'));
         }
         
+        if (this.patientToggle) {
+            this.patientToggle.addEventListener('click', () => this.toggleAccordion('patient'));
+        }
+        
+        if (this.dictionaryToggle) {
+            this.dictionaryToggle.addEventListener('click', () => this.toggleAccordion('dictionary'));
+        }
+        
+        if (this.draftToggle) {
+            this.draftToggle.addEventListener('click', () => this.toggleAccordion('draft'));
+        }
+        
+        this.draftNewBtn?.addEventListener('click', () => this.startNewDraft());
+        
+        // 利用者プロフィール
+        this.patientSelect?.addEventListener('change', () => this.selectPatient(this.patientSelect.value));
+        this.patientNewBtn?.addEventListener('click', () => this.openPatientEditor());
+        this.patientEditBtn?.addEventListener('click', () => this.openPatientEditor(this.getSelectedPatient()));
+        this.patientDeleteBtn?.addEventListener('click', () => this.deletePatient(this.getSelectedPatient()));
+        this.patientSaveBtn?.addEventListener('click', () => this.savePatient());
+        this.patientCancelBtn?.addEventListener('click', () => this.closePatientEditor());
+        this.patientReportBtn?.addEventListener('click', () => this.generateMonthlyReport());
+        this.patientExportBtn?.addEventListener('click', () => this.exportMonthlyRecords());
+        if (this.patientReportMonthInput) {
+            // 初期値は今月
+            const today = new Date();
+            this.patientReportMonthInput.value = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+        }
+        
+        // マイ辞書
+        this.dictionarySaveBtn?.addEventListener('click', () => this.saveDictionaryEntry());
+        this.dictionaryCancelBtn?.addEventListener('click', () => this.resetDictionaryForm());
+        
         // 文字数制限機能は削除
         
         // 設定ボタン（記録種別、フォーマット、文体）
@@ -103,10 +350,35 @@ class TapKarteDashboard {
             this.copyBtn.addEventListener('click', () => this.copyOutput());
         }
         
+        // 書き出し（PDF / Word / CSV / テキスト）
+        document.querySelectorAll('.export-btn').forEach(button => {
+            button.addEventListener('click', () => this.exportRecord(button.dataset.exportFormat));
+        });
+        
         if (this.clearAllBtn) {
             this.clearAllBtn.addEventListener('click', () => this.clearAll());
         }
         
+        // 生成結果の修正
+        this.refineBtn?.addEventListener('click', () => this.refineResult());
+        this.refineInstructionInput?.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.isComposing) {
+                this.refineResult();
+            }
+        });
+        document.querySelectorAll('.refine-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                if (this.refineInstructionInput) {
+                    this.refineInstructionInput.value = chip.dataset.refineInstruction;
+                }
+                this.refineResult();
+            });
+        });
+        document.getElementById('comparison-close-btn')?.addEventListener('click', () => this.hideComparison());
+        
+        // 注意所見（主治医への報告の追記）
+        this.redFlagReportBtn?.addEventListener('click', () => this.promptDoctorReportNote());
+        
         // 新しいボタン
         document.getElementById('clear-input-btn')?.addEventListener('click', () => this.clearInput());
         document.getElementById('clear-output-btn')?.addEventListener('click', () => this.clearOutput());
@@ -145,6 +417,13 @@ class TapKarteDashboard {
         document.getElementById('style-polite')?.addEventListener('click', () => {
             this.selectOption('style', 'ですます体', ['style-plain', 'style-polite']);
         });
+        
+        // 生成する案の数
+        [1, 2, 3].forEach(count => {
+            document.getElementById(`variants-${count}`)?.addEventListener('click', () => {
+                this.selectOption('variants', count, ['variants-1', 'variants-2', 'variants-3']);
+            });
+        });
     }
     
     /**
@@ -160,22 +439,30 @@ class TapKarteDashboard {
             this.templateRehabBtn.addEventListener('click', () => this.selectProfession('rehab'));
         }
         
-        // テンプレートチェックボックス
-        document.querySelectorAll('.template-checkbox').forEach(checkbox => {
-            checkbox.addEventListener('change', (e) => {
-                const template = e.target.dataset.template;
-                if (e.target.checked) {
-                    this.addTemplate(template);
-                } else {
-                    this.removeTemplate(template);
-                }
-            });
+        // テンプレートチェックボックス（マイテンプレートは後から描画されるため委譲で処理）
+        this.templateContent?.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('template-checkbox')) return;
+            
+            const template = {
+                id: e.target.dataset.templateId,
+                name: e.target.dataset.templateName
+            };
+            if (e.target.checked) {
+                this.addTemplate(template);
+            } else {
+                this.removeTemplate(template.id);
+            }
         });
         
         // テンプレート全クリア
         if (this.clearTemplatesBtn) {
             this.clearTemplatesBtn.addEventListener('click', () => this.clearAllTemplates());
         }
+        
+        // マイテンプレートの作成・編集
+        this.templateNewBtn?.addEventListener('click', () => this.openTemplateEditor());
+        this.templateSaveBtn?.addEventListener('click', () => this.saveTemplate());
+        this.templateCancelBtn?.addEventListener('click', () => this.closeTemplateEditor());
     }
     
     /**
@@ -221,6 +508,47 @@ class TapKarteDashboard {
             if (content.classList.contains('hidden')) {
                 content.classList.remove('hidden');
                 icon.classList.add('rotate-180');
+                // 開いたときに最新のマイテンプレートを読み込む
+                this.loadTemplates();
+            } else {
+                content.classList.add('hidden');
+                icon.classList.remove('rotate-180');
+            }
+        } else if (type === 'patient') {
+            const content = this.patientContent;
+            const icon = this.patientIcon;
+            
+            if (content.classList.contains('hidden')) {
+                content.classList.remove('hidden');
+                icon.classList.add('rotate-180');
+                // 開いたときに最新の利用者一覧を読み込む
+                this.loadPatients();
+            } else {
+                content.classList.add('hidden');
+                icon.classList.remove('rotate-180');
+            }
+        } else if (type === 'dictionary') {
+            const content = this.dictionaryContent;
+            const icon = this.dictionaryIcon;
+            
+            if (content.classList.contains('hidden')) {
+                content.classList.remove('hidden');
+                icon.classList.add('rotate-180');
+                // 開いたときに最新の辞書を読み込む
+                this.loadDictionary();
+            } else {
+                content.classList.add('hidden');
+                icon.classList.remove('rotate-180');
+            }
+        } else if (type === 'draft') {
+            const content = this.draftContent;
+            const icon = this.draftIcon;
+            
+            if (content.classList.contains('hidden')) {
+                content.classList.remove('hidden');
+                icon.classList.add('rotate-180');
+                // 開いたときに他の端末の下書きを取り込む
+                this.refreshDrafts();
             } else {
                 content.classList.add('hidden');
                 icon.classList.remove('rotate-180');
@@ -247,7 +575,8 @@ class TapKarteDashboard {
         const selectedBtn = buttonIds.find(id => 
             (type === 'docType' && ((value === '記録' && id === 'doc-record') || (value === '報告書' && id === 'doc-report'))) ||
             (type === 'format' && ((value === '文章形式' && id === 'format-text') || (value === 'SOAP形式' && id === 'format-soap'))) ||
-            (type === 'style' && ((value === 'だ・である体' && id === 'style-plain') || (value === 'ですます体' && id === 'style-polite')))
+            (type === 'style' && ((value === 'だ・である体' && id === 'style-plain') || (value === 'ですます体' && id === 'style-polite'))) ||
+            (type === 'variants' && id === `variants-${value}`)
         );
         
         if (selectedBtn) {
@@ -294,22 +623,22 @@ class TapKarteDashboard {
      * 📋 テンプレート追加
      */
     addTemplate(template) {
-        if (!this.selectedTemplates.includes(template)) {
+        if (!this.selectedTemplates.some(selected => selected.id === template.id)) {
             this.selectedTemplates.push(template);
             this.updateSelectedTemplateDisplay();
-            console.log('Template added:', template, 'Selected:', this.selectedTemplates);
+            console.log('Template added:', template.name, 'Selected:', this.selectedTemplates);
         }
     }
     
     /**
      * 📋 テンプレート削除
      */
-    removeTemplate(template) {
-        const index = this.selectedTemplates.indexOf(template);
+    removeTemplate(templateId) {
+        const index = this.selectedTemplates.findIndex(selected => selected.id === templateId);
         if (index > -1) {
             this.selectedTemplates.splice(index, 1);
             this.updateSelectedTemplateDisplay();
-            console.log('Template removed:', template, 'Selected:', this.selectedTemplates);
+            console.log('Template removed:', templateId, 'Selected:', this.selectedTemplates);
         }
     }
     
@@ -322,14 +651,23 @@ class TapKarteDashboard {
                 this.selectedTemplatesDiv.classList.remove('hidden');
             }
             if (this.selectedTemplateList) {
-                this.selectedTemplateList.innerHTML = this.selectedTemplates
-                    .map(template => `<div class="flex items-center justify-between py-1">
-                        <span>• ${template}</span>
-                        <button onclick="window.tapKarte.removeTemplateFromDisplay('${template}')" class="text-pink-600 hover:text-pink-800 ml-2">
-                            <i class="fas fa-times text-xs"></i>
-                        </button>
-                    </div>`)
-                    .join('');
+                this.selectedTemplateList.innerHTML = '';
+                this.selectedTemplates.forEach(template => {
+                    const row = document.createElement('div');
+                    row.className = 'flex items-center justify-between py-1';
+                    
+                    const name = document.createElement('span');
+                    name.textContent = `• ${template.name}`;
+                    
+                    const removeButton = document.createElement('button');
+                    removeButton.className = 'text-pink-600 hover:text-pink-800 ml-2';
+                    removeButton.innerHTML = '<i class="fas fa-times text-xs"></i>';
+                    removeButton.addEventListener('click', () => this.removeTemplateFromDisplay(template.id));
+                    
+                    row.appendChild(name);
+                    row.appendChild(removeButton);
+                    this.selectedTemplateList.appendChild(row);
+                });
             }
         } else {
             if (this.selectedTemplatesDiv) {
@@ -341,13 +679,14 @@ class TapKarteDashboard {
     /**
      * 📋 表示からテンプレート削除（個別削除用）
      */
-    removeTemplateFromDisplay(template) {
-        // チェックボックスも解除
-        const checkbox = document.querySelector(`input[data-template="${template}"]`);
-        if (checkbox) {
-            checkbox.checked = false;
-        }
-        this.removeTemplate(template);
+    removeTemplateFromDisplay(templateId) {
+        // チェックボックスも解除（バイタル測定は看護・リハ両方の一覧にある）
+        document.querySelectorAll('.template-checkbox').forEach(checkbox => {
+            if (checkbox.dataset.templateId === templateId) {
+                checkbox.checked = false;
+            }
+        });
+        this.removeTemplate(templateId);
     }
     
     /**
@@ -382,7 +721,7 @@ class TapKarteDashboard {
      */
     updateOutputCount() {
         if (this.outputText && this.outputCount) {
-            const text = this.outputText.textContent || '';
+            const text = this.currentResultText ?? (this.outputText.textContent || '');
             // プレースホルダーテキストの場合は0文字とする
             const count = text.includes('看護記録・医療文書がここに自動生成されます') ? 0 : text.length;
             this.outputCount.textContent = `${count}文字`;
@@ -397,7 +736,7 @@ class TapKarteDashboard {
             const hasText = this.quickInputText.value.trim().length > 0;
             
             // 利用制限チェック
-            const isLimitReached = this.dailyUsageCount >= this.maxDailyUsage;
+            const isLimitReached = !this.usageManager.checkUsageLimit().canGenerate;
             
             // テキストがあり、かつ制限に達していない場合のみ有効
             const shouldEnable = hasText && !isLimitReached;
@@ -425,55 +764,51 @@ class TapKarteDashboard {
             return;
         }
         
+        const options = {
+            docType: this.selectedOptions.docType,
+            format: this.selectedOptions.format,
+            style: this.selectedOptions.style,
+            charLimit: this.currentCharLimit,
+            templates: this.selectedTemplates.map(template => template.id),  // テンプレートID（複数）
+            patientId: this.selectedPatientId                                // 利用者プロフィール（背景情報）
+        };
+        
+        // 📴 オフライン時は変換を予約し、接続の回復後に送信する
+        if (!navigator.onLine && this.conversionQueue) {
+            await this.queueConversion(inputText, options);
+            return;
+        }
+        
         // 🎯 UI状態を生成中に変更
+        this.currentResultText = null;
+        this.currentSoap = null;
+        this.refinePanel?.classList.add('hidden');
+        this.showVitals(null);
+        this.showRedFlags(null);
+        this.hideComparison();
         this.setGeneratingState(true);
         
         try {
-            // 📋 プロンプトにテンプレート情報を追加
-            let templateContext = '';
-            if (this.selectedTemplates.length > 0) {
-                templateContext = `業務内容: ${this.selectedTemplates.join('、')}に関する記録として整理してください。\\n\\n`;
-            }
-            
-            // 📡 API呼び出し
-            const response = await fetch('/api/ai/convert', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    text: templateContext + inputText,
-                    options: {
-                        docType: this.selectedOptions.docType,
-                        format: this.selectedOptions.format,
-                        style: this.selectedOptions.style,
-                        charLimit: this.currentCharLimit,
-                        templates: this.selectedTemplates  // テンプレート情報も送信（複数）
-                    }
-                })
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
+            // 📡 API呼び出し（1案はストリーミング、複数案は一括生成）
+            const data = this.selectedOptions.variants > 1
+                ? await this.requestVariants(inputText, options)
+                : await this.requestConversionStream(inputText, options);
             
             if (data.success) {
-                // 🎉 成功：出力エリアに結果を表示
-                if (this.outputText) {
-                    this.outputText.textContent = data.data.result;
-                    this.updateOutputCount();
-                }
+                // 🎉 成功：整形済みの最終結果で表示を置き換え
+                this.lastInputText = inputText;
+                this.lastOptions = options;
+                this.showResult(data.result, data.soap, null, data.recordId);
+                this.showVitals(data.vitals);
+                this.showRedFlags(data.redFlags);
                 
-                // コピーボタンを有効化
-                if (this.copyBtn) {
-                    this.copyBtn.disabled = false;
+                // 複数案は並べて比較
+                if (data.variants && data.variants.length > 1) {
+                    this.showVariantComparison(data.variants, data.recordId);
                 }
                 
-                // 利用回数を記録（新規ユーザーのみ）
-                this.recordUsage();
+                // サーバーで数えた利用回数を反映
+                this.recordUsage(data.usage);
                 
                 // テンプレートをリセット
                 this.resetTemplatesAfterGeneration();
@@ -484,6 +819,12 @@ class TapKarteDashboard {
             }
             
         } catch (error) {
+            // 送信前に接続が切れていた場合も予約に回す
+            if (error.offline && this.conversionQueue) {
+                await this.queueConversion(inputText, options);
+                return;
+            }
+            
             console.error('Conversion error:', error);
             
             if (this.outputText) {
@@ -499,147 +840,1917 @@ class TapKarteDashboard {
     }
     
     /**
-     * ⚙️ 生成中のUI状態設定
+     * 📡 ストリーミング変換（生成途中のテキストを逐次表示）
      */
-    setGeneratingState(isGenerating) {
-        if (this.quickGenerateBtn) {
-            this.quickGenerateBtn.disabled = isGenerating;
-            
-            if (isGenerating) {
-                this.quickGenerateBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>生成中...';
-                this.quickGenerateBtn.classList.add('opacity-75');
-            } else {
-                this.quickGenerateBtn.innerHTML = '<i class="fas fa-magic mr-2"></i>生成';
-                this.quickGenerateBtn.classList.remove('opacity-75');
-                // 入力チェックを再実行
-                this.checkGenerateButton();
+    async requestConversionStream(text, options) {
+        const response = await this.postConversion('/api/ai/convert/stream', { text, options });
+        
+        if (!response.ok) {
+            const errorData = await response.json();
+            if (response.status === 429) {
+                this.recordUsage(errorData.data);
             }
+            throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
         }
         
-        if (this.outputText && isGenerating) {
-            this.outputText.innerHTML = '<div class="text-pink-600 italic text-center"><i class="fas fa-spinner fa-spin mr-2"></i>AI変換中...</div>';
-        }
+        let partialText = '';
+        return await this.readConversionStream(response, (chunk) => {
+            partialText += chunk;
+            if (this.outputText) {
+                this.outputText.textContent = partialText;
+                this.updateOutputCount();
+            }
+        });
     }
     
     /**
-     * 📋 出力結果をクリップボードにコピー
+     * 📡 複数案の一括生成
      */
-    async copyOutput() {
-        if (!this.outputText) return;
+    async requestVariants(text, options) {
+        const response = await this.postConversion('/api/ai/convert', {
+            text,
+            options: { ...options, variants: this.selectedOptions.variants }
+        });
         
-        const text = this.outputText.textContent;
-        if (!text || text.includes('看護記録・医療文書がここに自動生成されます')) {
-            this.showMessage('コピーするテキストがありません', 'error');
-            return;
+        const result = await response.json();
+        if (response.status === 429) {
+            this.recordUsage(result.data);
         }
-        
-        try {
-            await navigator.clipboard.writeText(text);
-            this.showMessage('クリップボードにコピーしました', 'success');
-        } catch (error) {
-            console.error('Copy failed:', error);
-            this.showMessage('コピーに失敗しました', 'error');
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP error! status: ${response.status}`);
         }
+        
+        return result.data;
     }
     
     /**
-     * 🗑️ 入力のみクリア
+     * 📡 変換リクエストの送信（接続できなかった場合は offline を付けたエラーにする）
      */
-    clearInput() {
-        // 確認ダイアログを表示
-        if (confirm('入力内容をクリアしますか？')) {
-            if (this.quickInputText) {
-                this.quickInputText.value = '';
-                this.updateQuickInputCount();
-                this.checkGenerateButton();
-                this.showMessage('入力内容をクリアしました', 'info');
-            }
+    async postConversion(url, body) {
+        try {
+            return await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify(body)
+            });
+        } catch (error) {
+            const offlineError = new Error('ネットワークに接続できません');
+            offlineError.offline = true;
+            throw offlineError;
         }
     }
     
     /**
-     * 🗑️ 出力のみクリア
+     * ✏️ 生成結果を修正指示に従って書き直す（変換と同じく利用回数を1回使う）
      */
-    clearOutput() {
-        // 確認ダイアログを表示
-        if (confirm('生成された内容をクリアしますか？')) {
-            if (this.outputText) {
-                this.outputText.innerHTML = `
-                    <div class="text-pink-400 italic text-center mt-32">
-                        <i class="fas fa-magic text-3xl mb-3 block"></i>
-                        <span class="text-sm">生成された記録はここに表示されます</span>
-                    </div>
-                `;
-                this.updateOutputCount();
-            }
+    async refineResult() {
+        const instruction = this.refineInstructionInput?.value?.trim();
+        
+        if (!this.currentResultText) {
+            this.showMessage('修正する生成結果がありません', 'error');
+            return;
+        }
+        
+        if (!instruction) {
+            this.showMessage('修正指示を入力してください', 'error');
+            return;
+        }
+        
+        const previous = { result: this.currentResultText, soap: this.currentSoap, recordId: this.currentRecordId };
+        this.setRefiningState(true);
+        
+        try {
+            const response = await fetch('/api/ai/refine', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify({
+                    previousResult: previous.result,
+                    instruction,
+                    text: this.lastInputText,
+                    options: this.lastOptions
+                })
+            });
             
-            // コピーボタンを無効化
-            if (this.copyBtn) {
-                this.copyBtn.disabled = true;
+            const result = await response.json();
+            if (response.status === 429) {
+                this.recordUsage(result.data);
+            }
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP error! status: ${response.status}`);
             }
             
-            this.showMessage('出力内容をクリアしました', 'info');
-        }
-    }
-    
-    /**
-     * 🗑️ すべてクリア
-     */
-    clearAll() {
-        if (confirm('入力内容と出力結果をすべてクリアしますか？')) {
-            // 入力クリア
-            this.clearInput();
+            this.showResult(result.data.result, result.data.soap, null, result.data.recordId);
+            this.showVitals(result.data.vitals);
+            this.showRedFlags(result.data.redFlags);
+            this.showRefineComparison(previous, result.data);
+            this.recordUsage(result.data.usage);
             
-            // 出力クリア
-            this.clearOutput();
+            if (this.refineInstructionInput) {
+                this.refineInstructionInput.value = '';
+            }
             
-            // テンプレートクリア
-            this.clearAllTemplates();
+            this.showMessage('修正が完了しました', 'success');
             
-            this.showMessage('すべてクリアしました', 'info');
+        } catch (error) {
+            console.error('Refine error:', error);
+            this.showMessage('修正中にエラーが発生しました: ' + error.message, 'error');
+        } finally {
+            this.setRefiningState(false);
         }
     }
     
     /**
-     * 📢 メッセージ表示
+     * 📄 結果を出力エリアに表示
      */
-    showMessage(message, type = 'info') {
-        // 簡易的なメッセージ表示（将来的にはトーストメッセージなどに置き換え可能）
-        const colors = {
-            success: 'text-green-600',
-            error: 'text-red-600',
-            info: 'text-pink-600',
-            warning: 'text-yellow-600'
-        };
+    showResult(result, soap = null, report = null, recordId = null) {
+        this.currentResultText = result;
+        this.currentSoap = soap || null;
+        this.currentRecordId = recordId || null;
         
-        console.log(`[${type.toUpperCase()}] ${message}`);
+        if (this.outputText) {
+            if (soap) {
+                this.renderSoapSections(soap);
+            } else if (report) {
+                this.renderMonthlyReportSections(report);
+            } else {
+                this.outputText.textContent = result;
+            }
+            this.updateOutputCount();
+        }
         
-        // 使用制限メッセージエリアを一時的に使用
-        if (this.usageLimitMessage) {
-            this.usageLimitMessage.innerHTML = `
-                <div class="flex items-center">
-                    <i class="fas fa-info-circle ${colors[type]} mr-2"></i>
-                    <span class="${colors[type]}">${message}</span>
-                </div>
-            `;
-            this.usageLimitMessage.classList.remove('hidden');
-            
-            // 3秒後に非表示
-            setTimeout(() => {
-                this.usageLimitMessage.classList.add('hidden');
-            }, 3000);
+        // コピーボタンを有効化
+        if (this.copyBtn) {
+            this.copyBtn.disabled = false;
         }
+        
+        // 履歴に保存された結果のみ書き出せる
+        this.exportMenu?.classList.toggle('hidden', !this.currentRecordId);
+        
+        this.refinePanel?.classList.remove('hidden');
     }
     
     /**
-     * 🆔 セッションID生成
+     * 🩺 入力メモから抽出したバイタルサインを表で表示（記載がない場合は非表示）
      */
-    generateSessionId() {
-        this.currentSessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        console.log('Session ID generated:', this.currentSessionId);
+    showVitals(vitals) {
+        if (!this.vitalsPanel || !this.vitalsTableBody) return;
+        
+        this.vitalsTableBody.innerHTML = '';
+        
+        Object.keys(VITAL_LABELS).forEach(kind => {
+            (vitals?.[kind] || []).forEach(reading => {
+                const status = VITAL_STATUS_LABELS[reading.status] || VITAL_STATUS_LABELS.normal;
+                const row = document.createElement('tr');
+                row.className = reading.status === 'normal' ? '' : 'bg-red-50';
+                
+                const cells = [
+                    { text: VITAL_LABELS[kind], className: 'py-1 pr-3 text-pink-800' },
+                    {
+                        text: kind === 'bloodPressure'
+                            ? `${reading.systolic}/${reading.diastolic} ${reading.unit}`
+                            : `${reading.value} ${reading.unit}`,
+                        className: `py-1 pr-3 ${status.className}`
+                    },
+                    { text: status.text, className: `py-1 pr-3 ${status.className}` },
+                    { text: reading.text, className: 'py-1 text-gray-500' }
+                ];
+                
+                cells.forEach(cell => {
+                    const td = document.createElement('td');
+                    td.className = cell.className;
+                    td.textContent = cell.text;
+                    row.appendChild(td);
+                });
+                
+                this.vitalsTableBody.appendChild(row);
+            });
+        });
+        
+        this.vitalsPanel.classList.toggle('hidden', this.vitalsTableBody.children.length === 0);
     }
     
-
+    /**
+     * 🚩 検出した注意所見を表示し、主治医への報告の追記を促す（該当しない場合は非表示）
+     */
+    showRedFlags(redFlags) {
+        this.currentRedFlags = redFlags?.warnings?.length ? redFlags : null;
+        if (!this.redFlagPanel || !this.redFlagList) return;
+        
+        this.redFlagList.innerHTML = '';
+        this.redFlagPanel.classList.toggle('hidden', !this.currentRedFlags);
+        if (!this.currentRedFlags) return;
+        
+        this.currentRedFlags.warnings.forEach(warning => {
+            const severity = RED_FLAG_SEVERITY_LABELS[warning.severity] || RED_FLAG_SEVERITY_LABELS.warning;
+            const item = document.createElement('li');
+            item.className = 'flex items-center gap-2';
+            
+            const badge = document.createElement('span');
+            badge.className = `px-2 py-0.5 rounded text-xs font-bold ${severity.className}`;
+            badge.textContent = severity.text;
+            
+            const label = document.createElement('span');
+            label.className = 'font-medium text-red-900';
+            label.textContent = warning.label;
+            
+            const findings = document.createElement('span');
+            findings.className = 'text-gray-600';
+            findings.textContent = `（${warning.findings.join('・')}）`;
+            
+            item.appendChild(badge);
+            item.appendChild(label);
+            item.appendChild(findings);
+            this.redFlagList.appendChild(item);
+        });
+        
+        // 生成結果に報告の記載があれば追記は促さない
+        const noted = this.currentRedFlags.doctorReportNoted;
+        if (this.redFlagPrompt) {
+            this.redFlagPrompt.textContent = noted
+                ? '生成結果に主治医への報告の記載があります。内容を確認してください'
+                : '主治医への報告を検討し、報告した場合は記録に追記してください';
+        }
+        this.redFlagReportBtn?.classList.toggle('hidden', noted);
+    }
+    
+    /**
+     * 👩‍⚕️ 主治医への報告の追記を修正指示に入力（報告した時刻・指示内容を書き足して修正する）
+     */
+    promptDoctorReportNote() {
+        if (!this.currentRedFlags || !this.refineInstructionInput) return;
+        
+        const labels = this.currentRedFlags.warnings.map(warning => warning.label).join('・');
+        this.refineInstructionInput.value = `${labels}について主治医へ報告したことを追記（報告時刻：　指示内容：　）`;
+        this.refinePanel?.classList.remove('hidden');
+        this.refinePanel?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.refineInstructionInput.focus();
+        
+        this.showMessage('報告した時刻と指示内容を書き足して「修正」を押してください', 'info');
+    }
+    
+    /**
+     * 🔀 複数案を並べて表示（1案目との差分を強調）
+     * 履歴に保存されるのは1案目のみのため、書き出しは1案目を選んだときだけ有効にする
+     */
+    showVariantComparison(variants, recordId = null) {
+        const columns = variants.map((variant, index) => ({
+            title: `案${index + 1}`,
+            parts: diffChars(variants[0].result, variant.result),
+            side: index === 0 ? 'before' : 'after',
+            actionLabel: 'この案を使う',
+            onAction: () => {
+                this.showResult(variant.result, variant.soap, null, index === 0 ? recordId : null);
+                this.showMessage(`案${index + 1}を選択しました`, 'success');
+            }
+        }));
+        
+        this.renderComparison('生成案の比較（案1との違いを強調表示）', columns);
+    }
+    
+    /**
+     * 🔀 修正前後を並べて表示
+     */
+    showRefineComparison(previous, refined) {
+        const parts = diffChars(previous.result, refined.result);
+        
+        this.renderComparison('修正前後の比較', [
+            {
+                title: '修正前',
+                parts,
+                side: 'before',
+                actionLabel: '元に戻す',
+                onAction: () => {
+                    this.showResult(previous.result, previous.soap, null, previous.recordId);
+                    this.hideComparison();
+                    this.showMessage('修正前の内容に戻しました', 'info');
+                }
+            },
+            {
+                title: '修正後',
+                parts,
+                side: 'after'
+            }
+        ]);
+    }
+    
+    /**
+     * 🔀 比較表示の描画
+     */
+    renderComparison(title, columns) {
+        if (!this.comparisonView || !this.comparisonColumns) return;
+        
+        this.comparisonTitle.textContent = title;
+        this.comparisonColumns.className = `grid grid-cols-1 gap-4 ${columns.length > 2 ? 'md:grid-cols-3' : 'md:grid-cols-2'}`;
+        this.comparisonColumns.innerHTML = '';
+        
+        columns.forEach(column => {
+            const card = document.createElement('div');
+            card.className = 'flex flex-col p-4 border border-pink-200 rounded-lg bg-white';
+            
+            const header = document.createElement('div');
+            header.className = 'flex justify-between items-center mb-2';
+            
+            const label = document.createElement('span');
+            label.className = 'font-bold text-pink-800';
+            label.textContent = `${column.title}（${this.countDiffSide(column.parts, column.side)}文字）`;
+            header.appendChild(label);
+            
+            if (column.onAction) {
+                const actionButton = document.createElement('button');
+                actionButton.type = 'button';
+                actionButton.className = 'px-3 py-1 text-xs bg-pink-600 text-white rounded hover:bg-pink-700 transition-colors';
+                actionButton.textContent = column.actionLabel;
+                actionButton.addEventListener('click', column.onAction);
+                header.appendChild(actionButton);
+            }
+            
+            const body = document.createElement('div');
+            body.className = 'whitespace-pre-wrap text-sm text-gray-800';
+            body.appendChild(renderDiffSide(column.parts, column.side));
+            
+            card.appendChild(header);
+            card.appendChild(body);
+            this.comparisonColumns.appendChild(card);
+        });
+        
+        this.comparisonView.classList.remove('hidden');
+    }
+    
+    /**
+     * 📊 差分の片側の文字数
+     */
+    countDiffSide(parts, side) {
+        const hiddenType = side === 'before' ? 'insert' : 'delete';
+        return parts
+            .filter(part => part.type !== hiddenType)
+            .reduce((total, part) => total + Array.from(part.text).length, 0);
+    }
+    
+    /**
+     * 🙈 比較表示を閉じる
+     */
+    hideComparison() {
+        this.comparisonView?.classList.add('hidden');
+        if (this.comparisonColumns) {
+            this.comparisonColumns.innerHTML = '';
+        }
+    }
+    
+    /**
+     * 🩺 SOAP形式の結果をセクションごとに表示
+     * 電子カルテの各欄へ貼り付けられるよう、セクション単位でコピーできる
+     */
+    renderSoapSections(soap) {
+        this.renderOutputSections(soap, {
+            S: 'S（主観的情報）',
+            O: 'O（客観的情報）',
+            A: 'A（アセスメント）',
+            P: 'P（計画）'
+        });
+    }
+    
+    /**
+     * 📑 月次報告書をセクションごとに表示
+     * 訪問看護報告書の各記載欄へ貼り付けられるよう、セクション単位でコピーできる
+     */
+    renderMonthlyReportSections(report) {
+        this.renderOutputSections(report, {
+            conditionChanges: '病状の経過',
+            careProvided: '看護・リハビリテーションの内容',
+            familySituation: '家庭での介護の状況',
+            issues: '特記すべき事項・課題'
+        });
+    }
+    
+    /**
+     * 🗂️ セクション分けした結果の表示（labels の順に表示する）
+     */
+    renderOutputSections(sections, labels) {
+        this.outputText.innerHTML = '';
+        
+        Object.keys(labels).forEach(key => {
+            const section = document.createElement('div');
+            section.className = 'mb-4 last:mb-0';
+            
+            const header = document.createElement('div');
+            header.className = 'flex justify-between items-center mb-1';
+            
+            const title = document.createElement('span');
+            title.className = 'font-bold text-pink-800';
+            title.textContent = labels[key];
+            
+            const copyButton = document.createElement('button');
+            copyButton.type = 'button';
+            copyButton.className = 'px-3 py-1 text-xs bg-pink-100 text-pink-700 rounded hover:bg-pink-200 transition-colors disabled:opacity-50';
+            copyButton.innerHTML = '<i class="fas fa-copy mr-1"></i>コピー';
+            copyButton.disabled = !sections[key];
+            copyButton.addEventListener('click', () => this.copySection(labels[key], sections[key]));
+            
+            const body = document.createElement('div');
+            body.className = 'whitespace-pre-wrap text-gray-800';
+            body.textContent = sections[key] || '（該当なし）';
+            
+            header.appendChild(title);
+            header.appendChild(copyButton);
+            section.appendChild(header);
+            section.appendChild(body);
+            this.outputText.appendChild(section);
+        });
+    }
+    
+    /**
+     * 📋 1セクションをクリップボードにコピー
+     */
+    async copySection(label, text) {
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showMessage(`${label}をクリップボードにコピーしました`, 'success');
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.showMessage('コピーに失敗しました', 'error');
+        }
+    }
+    
+    /**
+     * 📡 変換ストリーム（Server-Sent Events）の読み取り
+     * delta イベントごとに onDelta を呼び、done / error イベントの内容を返す
+     */
+    async readConversionStream(response, onDelta) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            
+            // イベントは空行区切り
+            let separatorIndex;
+            while ((separatorIndex = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, separatorIndex);
+                buffer = buffer.slice(separatorIndex + 2);
+                
+                let eventName = 'message';
+                const dataLines = [];
+                rawEvent.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) {
+                        eventName = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        dataLines.push(line.slice(5).replace(/^ /, ''));
+                    }
+                });
+                
+                if (dataLines.length === 0) continue;
+                const payload = JSON.parse(dataLines.join('\n'));
+                
+                if (eventName === 'delta') {
+                    onDelta(payload.text || '');
+                } else if (eventName === 'done') {
+                    reader.cancel();
+                    return payload;
+                } else if (eventName === 'error') {
+                    reader.cancel();
+                    return { success: false, error: payload.error };
+                }
+            }
+        }
+        
+        return { success: false, error: '変換が途中で終了しました' };
+    }
+    
+    /**
+     * 🔑 ログイン中の場合は認証ヘッダーを返す
+     */
+    getAuthHeaders() {
+        const token = localStorage.getItem('demo_auth_token');
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+    
+    /**
+     * 📋 マイテンプレートの読み込み（ログインユーザーのみ）
+     */
+    async loadTemplates() {
+        const isLoggedIn = !!localStorage.getItem('demo_auth_token');
+        this.customTemplatesDiv?.classList.toggle('hidden', !isLoggedIn);
+        if (!isLoggedIn) return;
+        
+        try {
+            const response = await fetch('/api/templates', {
+                headers: this.getAuthHeaders()
+            });
+            
+            if (response.status === 401) {
+                this.customTemplatesDiv?.classList.add('hidden');
+                return;
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'テンプレートの取得に失敗しました');
+            }
+            
+            this.customTemplates = data.data.templates;
+            this.templateSharedLabel?.classList.toggle('hidden', !data.data.canShare);
+            this.renderCustomTemplateList();
+        } catch (error) {
+            console.error('Template load error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 📋 マイテンプレート一覧の表示
+     */
+    renderCustomTemplateList() {
+        if (!this.customTemplateList) return;
+        
+        this.customTemplateList.innerHTML = '';
+        
+        if (this.customTemplates.length === 0) {
+            this.customTemplateList.innerHTML = '<p class="py-2 text-sm text-pink-400 italic">作成したテンプレートはありません</p>';
+            return;
+        }
+        
+        this.customTemplates.forEach(template => {
+            const id = String(template.id);
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between p-2 hover:bg-pink-50 rounded gap-2';
+            
+            const label = document.createElement('label');
+            label.className = 'flex items-center space-x-3 flex-1 min-w-0 cursor-pointer';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'template-checkbox w-4 h-4';
+            checkbox.dataset.templateId = id;
+            checkbox.dataset.templateName = template.name;
+            checkbox.checked = this.selectedTemplates.some(selected => selected.id === id);
+            const name = document.createElement('span');
+            name.className = 'text-base text-pink-700 break-all';
+            name.textContent = template.name;
+            label.appendChild(checkbox);
+            label.appendChild(name);
+            
+            if (template.shared) {
+                const badge = document.createElement('span');
+                badge.className = 'text-xs text-pink-500 whitespace-nowrap';
+                badge.textContent = template.editable ? '共有中' : `共有: ${template.ownerName}`;
+                label.appendChild(badge);
+            }
+            
+            row.appendChild(label);
+            
+            // 共有されたテンプレートは作成者または組織の管理者のみ編集・削除できる
+            if (template.editable) {
+                const editButton = document.createElement('button');
+                editButton.className = 'text-pink-600 hover:text-pink-800 px-2';
+                editButton.title = '編集';
+                editButton.innerHTML = '<i class="fas fa-pen"></i>';
+                editButton.addEventListener('click', () => this.openTemplateEditor(template));
+                
+                const deleteButton = document.createElement('button');
+                deleteButton.className = 'text-red-500 hover:text-red-700 px-2';
+                deleteButton.title = '削除';
+                deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+                deleteButton.addEventListener('click', () => this.deleteTemplate(template));
+                
+                row.appendChild(editButton);
+                row.appendChild(deleteButton);
+            }
+            
+            this.customTemplateList.appendChild(row);
+        });
+    }
+    
+    /**
+     * 📋 マイテンプレートの作成・編集フォームを開く
+     */
+    openTemplateEditor(template = null) {
+        this.editingTemplateId = template ? template.id : null;
+        this.templateNameInput.value = template ? template.name : '';
+        this.templateSectionsInput.value = template ? template.sections.join('\n') : '';
+        this.templateObservationsInput.value = template ? template.requiredObservations.join('\n') : '';
+        this.templateExamplesInput.value = template ? template.examplePhrases.join('\n') : '';
+        if (this.templateSharedInput) this.templateSharedInput.checked = template ? template.shared : false;
+        this.templateEditor?.classList.remove('hidden');
+        this.templateNameInput.focus();
+    }
+    
+    /**
+     * 📋 マイテンプレートの作成・編集フォームを閉じる
+     */
+    closeTemplateEditor() {
+        this.editingTemplateId = null;
+        this.templateEditor?.classList.add('hidden');
+    }
+    
+    /**
+     * 📋 マイテンプレートの作成・更新
+     */
+    async saveTemplate() {
+        const isEditing = this.editingTemplateId !== null;
+        const body = {
+            name: this.templateNameInput?.value.trim(),
+            sections: this.templateSectionsInput?.value || '',
+            requiredObservations: this.templateObservationsInput?.value || '',
+            examplePhrases: this.templateExamplesInput?.value || '',
+            shared: !!this.templateSharedInput?.checked
+        };
+        
+        if (!body.name) {
+            this.showMessage('テンプレート名を入力してください', 'error');
+            return;
+        }
+        
+        try {
+            const response = await fetch(isEditing ? `/api/templates/${this.editingTemplateId}` : '/api/templates', {
+                method: isEditing ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify(body)
+            });
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'テンプレートの保存に失敗しました');
+            }
+            
+            // 選択中の場合は表示名を更新
+            const selected = this.selectedTemplates.find(template => template.id === String(data.data.id));
+            if (selected) {
+                selected.name = data.data.name;
+                this.updateSelectedTemplateDisplay();
+            }
+            
+            this.closeTemplateEditor();
+            await this.loadTemplates();
+            this.showMessage(isEditing ? 'テンプレートを更新しました' : 'テンプレートを作成しました', 'success');
+        } catch (error) {
+            console.error('Template save error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 📋 マイテンプレートの削除
+     */
+    async deleteTemplate(template) {
+        if (!confirm(`テンプレート「${template.name}」を削除しますか？`)) return;
+        
+        try {
+            const response = await fetch(`/api/templates/${template.id}`, {
+                method: 'DELETE',
+                headers: this.getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'テンプレートの削除に失敗しました');
+            }
+            
+            if (this.editingTemplateId === template.id) {
+                this.closeTemplateEditor();
+            }
+            this.removeTemplate(String(template.id));
+            await this.loadTemplates();
+            this.showMessage('テンプレートを削除しました', 'info');
+        } catch (error) {
+            console.error('Template delete error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 🧑‍🦳 利用者プロフィールの読み込み
+     */
+    async loadPatients() {
+        const isLoggedIn = !!localStorage.getItem('demo_auth_token');
+        this.patientLoginRequired?.classList.toggle('hidden', isLoggedIn);
+        this.patientManager?.classList.toggle('hidden', !isLoggedIn);
+        if (!isLoggedIn) return;
+        
+        try {
+            const response = await fetch('/api/patients', {
+                headers: this.getAuthHeaders()
+            });
+            
+            if (response.status === 401) {
+                // セッション切れの場合はログインを促す
+                this.patientLoginRequired?.classList.remove('hidden');
+                this.patientManager?.classList.add('hidden');
+                return;
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || '利用者の取得に失敗しました');
+            }
+            
+            this.patients = data.data.patients;
+            this.patientSharedNote?.classList.toggle('hidden', !data.data.shared);
+            
+            // 削除された利用者を選択していた場合は選択を解除
+            if (!this.getSelectedPatient()) {
+                this.selectedPatientId = null;
+            }
+            this.renderPatientOptions();
+        } catch (error) {
+            console.error('Patients load error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 🧑‍🦳 利用者の選択肢の表示
+     */
+    renderPatientOptions() {
+        if (!this.patientSelect) return;
+        
+        this.patientSelect.innerHTML = '';
+        
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = '指定しない';
+        this.patientSelect.appendChild(noneOption);
+        
+        this.patients.forEach(patient => {
+            const option = document.createElement('option');
+            option.value = String(patient.id);
+            option.textContent = patient.careLevel ? `${patient.code}（${patient.careLevel}）` : patient.code;
+            this.patientSelect.appendChild(option);
+        });
+        
+        this.patientSelect.value = this.selectedPatientId ? String(this.selectedPatientId) : '';
+        this.updateSelectedPatientDisplay();
+    }
+    
+    /**
+     * 🧑‍🦳 変換に使う利用者の選択
+     */
+    selectPatient(value) {
+        this.selectedPatientId = value ? parseInt(value) : null;
+        this.closePatientEditor();
+        this.updateSelectedPatientDisplay();
+        
+        // 入力中のメモは選択した利用者の下書きとして保存し、未入力の場合はその利用者の下書きを開く
+        if (this.quickInputText?.value.trim()) {
+            this.scheduleDraftSave();
+        } else if (this.selectedPatientId) {
+            this.openLatestDraft(this.selectedPatientId);
+        }
+    }
+    
+    /**
+     * 🧑‍🦳 選択中の利用者を取得
+     */
+    getSelectedPatient() {
+        return this.patients.find(patient => patient.id === this.selectedPatientId) || null;
+    }
+    
+    /**
+     * 🧑‍🦳 選択中の利用者の表示更新
+     */
+    updateSelectedPatientDisplay() {
+        const patient = this.getSelectedPatient();
+        if (this.patientSelectedLabel) {
+            this.patientSelectedLabel.textContent = patient ? `(${patient.code})` : '(指定なし)';
+        }
+        this.patientEditBtn?.classList.toggle('hidden', !patient);
+        this.patientDeleteBtn?.classList.toggle('hidden', !patient || !patient.deletable);
+        this.patientReport?.classList.toggle('hidden', !patient);
+    }
+    
+    /**
+     * 📑 選択中の利用者の月次報告書を作成（選択した月の記録を集計）
+     */
+    async generateMonthlyReport() {
+        const patient = this.getSelectedPatient();
+        const month = this.patientReportMonthInput?.value;
+        
+        if (!patient) return;
+        if (!month) {
+            this.showMessage('報告書を作成する月を選択してください', 'error');
+            return;
+        }
+        
+        // 月の初日〜末日を集計期間にする
+        const [year, monthNumber] = month.split('-').map(Number);
+        const lastDay = new Date(year, monthNumber, 0).getDate();
+        const from = `${month}-01`;
+        const to = `${month}-${String(lastDay).padStart(2, '0')}`;
+        
+        this.currentResultText = null;
+        this.currentSoap = null;
+        this.refinePanel?.classList.add('hidden');
+        this.showVitals(null);
+        this.showRedFlags(null);
+        this.hideComparison();
+        this.setGeneratingState(true);
+        if (this.patientReportBtn) this.patientReportBtn.disabled = true;
+        
+        try {
+            const response = await fetch('/api/ai/report/monthly', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify({
+                    patientId: patient.id,
+                    from,
+                    to,
+                    options: { style: this.selectedOptions.style }
+                })
+            });
+            
+            const result = await response.json();
+            if (response.status === 429) {
+                this.recordUsage(result.data);
+            }
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `HTTP error! status: ${response.status}`);
+            }
+            
+            // 修正時は報告書として書き直す（元の入力メモはない）
+            this.lastInputText = null;
+            this.lastOptions = {
+                docType: '報告書',
+                format: '文章形式',
+                style: this.selectedOptions.style,
+                charLimit: Math.max(this.currentCharLimit, result.data.result.length),
+                patientId: patient.id
+            };
+            this.showResult(result.data.result, null, result.data.report, result.data.recordId);
+            this.recordUsage(result.data.usage);
+            
+            this.showMessage(`${month.replace('-', '年')}月の記録${result.data.recordCount}件から報告書を作成しました`, 'success');
+        } catch (error) {
+            console.error('Monthly report error:', error);
+            
+            if (this.outputText) {
+                this.outputText.innerHTML = `<div class="text-red-500 italic">エラーが発生しました: ${error.message}</div>`;
+                this.updateOutputCount();
+            }
+            
+            this.showMessage('報告書の作成中にエラーが発生しました: ' + error.message, 'error');
+        } finally {
+            this.setGeneratingState(false);
+            if (this.patientReportBtn) this.patientReportBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * 🧑‍🦳 利用者の登録・編集フォームを開く
+     */
+    openPatientEditor(patient = null) {
+        this.editingPatientId = patient ? patient.id : null;
+        this.patientCodeInput.value = patient ? patient.code : '';
+        this.patientCareLevelInput.value = patient?.careLevel || '';
+        this.patientDiagnosesInput.value = patient ? patient.diagnoses.join('\n') : '';
+        this.patientVitalsInput.value = patient ? patient.usualVitals : '';
+        this.patientGoalsInput.value = patient ? patient.careGoals.join('\n') : '';
+        this.patientNotesInput.value = patient ? patient.notes : '';
+        this.patientEditor?.classList.remove('hidden');
+        this.patientCodeInput.focus();
+    }
+    
+    /**
+     * 🧑‍🦳 利用者の登録・編集フォームを閉じる
+     */
+    closePatientEditor() {
+        this.editingPatientId = null;
+        this.patientEditor?.classList.add('hidden');
+    }
+    
+    /**
+     * 🧑‍🦳 利用者の登録・更新
+     */
+    async savePatient() {
+        const isEditing = this.editingPatientId !== null;
+        const body = {
+            code: this.patientCodeInput?.value.trim(),
+            careLevel: this.patientCareLevelInput?.value || null,
+            diagnoses: this.patientDiagnosesInput?.value || '',
+            usualVitals: this.patientVitalsInput?.value || '',
+            careGoals: this.patientGoalsInput?.value || '',
+            notes: this.patientNotesInput?.value || ''
+        };
+        
+        if (!body.code) {
+            this.showMessage('利用者コードを入力してください', 'error');
+            return;
+        }
+        
+        try {
+            const response = await fetch(isEditing ? `/api/patients/${this.editingPatientId}` : '/api/patients', {
+                method: isEditing ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify(body)
+            });
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || '利用者の保存に失敗しました');
+            }
+            
+            // 登録・更新した利用者を選択状態にする
+            this.selectedPatientId = data.data.id;
+            this.closePatientEditor();
+            await this.loadPatients();
+            this.showMessage(isEditing ? '利用者を更新しました' : '利用者を登録しました', 'success');
+        } catch (error) {
+            console.error('Patient save error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 🧑‍🦳 利用者の削除（作成済みの履歴は残る）
+     */
+    async deletePatient(patient) {
+        if (!patient) return;
+        if (!confirm(`利用者「${patient.code}」を削除しますか？（作成済みの記録は削除されません）`)) return;
+        
+        try {
+            const response = await fetch(`/api/patients/${patient.id}`, {
+                method: 'DELETE',
+                headers: this.getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || '利用者の削除に失敗しました');
+            }
+            
+            this.selectedPatientId = null;
+            this.closePatientEditor();
+            await this.loadPatients();
+            this.showMessage('利用者を削除しました', 'info');
+        } catch (error) {
+            console.error('Patient delete error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 📚 マイ辞書の読み込み
+     */
+    async loadDictionary() {
+        const isLoggedIn = !!localStorage.getItem('demo_auth_token');
+        this.dictionaryLoginRequired?.classList.toggle('hidden', isLoggedIn);
+        this.dictionaryEditor?.classList.toggle('hidden', !isLoggedIn);
+        if (!isLoggedIn) return;
+        
+        try {
+            const response = await fetch('/api/dictionary', {
+                headers: this.getAuthHeaders()
+            });
+            
+            if (response.status === 401) {
+                // セッション切れの場合はログインを促す
+                this.dictionaryLoginRequired?.classList.remove('hidden');
+                this.dictionaryEditor?.classList.add('hidden');
+                return;
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || '辞書の取得に失敗しました');
+            }
+            
+            this.dictionaryEntries = data.data.entries;
+            this.renderDictionaryList();
+        } catch (error) {
+            console.error('Dictionary load error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 📚 マイ辞書一覧の表示
+     */
+    renderDictionaryList() {
+        if (!this.dictionaryList) return;
+        
+        this.dictionaryList.innerHTML = '';
+        
+        if (this.dictionaryEntries.length === 0) {
+            this.dictionaryList.innerHTML = '<p class="py-2 text-pink-400 italic">登録された用語はありません</p>';
+            return;
+        }
+        
+        this.dictionaryEntries.forEach(entry => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between py-2 gap-2';
+            
+            const text = document.createElement('div');
+            text.className = 'flex-1 min-w-0';
+            const term = document.createElement('span');
+            term.className = 'font-semibold text-pink-800';
+            term.textContent = entry.term;
+            const meaning = document.createElement('span');
+            meaning.className = 'text-pink-700 ml-2 break-all';
+            meaning.textContent = entry.meaning;
+            text.appendChild(term);
+            text.appendChild(meaning);
+            
+            const editButton = document.createElement('button');
+            editButton.className = 'text-pink-600 hover:text-pink-800 px-2';
+            editButton.title = '編集';
+            editButton.innerHTML = '<i class="fas fa-pen"></i>';
+            editButton.addEventListener('click', () => this.editDictionaryEntry(entry));
+            
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'text-red-500 hover:text-red-700 px-2';
+            deleteButton.title = '削除';
+            deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteButton.addEventListener('click', () => this.deleteDictionaryEntry(entry));
+            
+            row.appendChild(text);
+            row.appendChild(editButton);
+            row.appendChild(deleteButton);
+            this.dictionaryList.appendChild(row);
+        });
+    }
+    
+    /**
+     * 📚 マイ辞書の登録・更新
+     */
+    async saveDictionaryEntry() {
+        const term = this.dictionaryTermInput?.value.trim();
+        const meaning = this.dictionaryMeaningInput?.value.trim();
+        
+        if (!term || !meaning) {
+            this.showMessage('用語と意味を入力してください', 'error');
+            return;
+        }
+        
+        const isEditing = this.editingDictionaryId !== null;
+        
+        try {
+            const response = await fetch(isEditing ? `/api/dictionary/${this.editingDictionaryId}` : '/api/dictionary', {
+                method: isEditing ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify({ term, meaning })
+            });
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || '辞書の保存に失敗しました');
+            }
+            
+            this.resetDictionaryForm();
+            await this.loadDictionary();
+            this.showMessage(isEditing ? '辞書を更新しました' : '辞書に登録しました', 'success');
+        } catch (error) {
+            console.error('Dictionary save error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 📚 マイ辞書の編集開始
+     */
+    editDictionaryEntry(entry) {
+        this.editingDictionaryId = entry.id;
+        this.dictionaryTermInput.value = entry.term;
+        this.dictionaryMeaningInput.value = entry.meaning;
+        this.dictionarySaveBtn.textContent = '更新';
+        this.dictionaryCancelBtn?.classList.remove('hidden');
+        this.dictionaryTermInput.focus();
+    }
+    
+    /**
+     * 📚 マイ辞書の削除
+     */
+    async deleteDictionaryEntry(entry) {
+        if (!confirm(`「${entry.term}」を辞書から削除しますか？`)) return;
+        
+        try {
+            const response = await fetch(`/api/dictionary/${entry.id}`, {
+                method: 'DELETE',
+                headers: this.getAuthHeaders()
+            });
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || '辞書の削除に失敗しました');
+            }
+            
+            if (this.editingDictionaryId === entry.id) {
+                this.resetDictionaryForm();
+            }
+            await this.loadDictionary();
+            this.showMessage('辞書から削除しました', 'info');
+        } catch (error) {
+            console.error('Dictionary delete error:', error);
+            this.showMessage(error.message, 'error');
+        }
+    }
+    
+    /**
+     * 📚 マイ辞書フォームのリセット
+     */
+    resetDictionaryForm() {
+        this.editingDictionaryId = null;
+        if (this.dictionaryTermInput) this.dictionaryTermInput.value = '';
+        if (this.dictionaryMeaningInput) this.dictionaryMeaningInput.value = '';
+        if (this.dictionarySaveBtn) this.dictionarySaveBtn.textContent = '登録';
+        this.dictionaryCancelBtn?.classList.add('hidden');
+    }
+    
+    /**
+     * ⚙️ 生成中のUI状態設定
+     */
+    setGeneratingState(isGenerating) {
+        if (this.quickGenerateBtn) {
+            this.quickGenerateBtn.disabled = isGenerating;
+            
+            if (isGenerating) {
+                this.quickGenerateBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>生成中...';
+                this.quickGenerateBtn.classList.add('opacity-75');
+            } else {
+                this.quickGenerateBtn.innerHTML = '<i class="fas fa-magic mr-2"></i>生成';
+                this.quickGenerateBtn.classList.remove('opacity-75');
+                // 入力チェックを再実行
+                this.checkGenerateButton();
+            }
+        }
+        
+        if (this.outputText && isGenerating) {
+            this.outputText.innerHTML = '<div class="text-pink-600 italic text-center"><i class="fas fa-spinner fa-spin mr-2"></i>AI変換中...</div>';
+        }
+    }
+    
+    /**
+     * ⚙️ 修正中のUI状態設定
+     */
+    setRefiningState(isRefining) {
+        if (this.refineBtn) {
+            this.refineBtn.disabled = isRefining;
+            this.refineBtn.innerHTML = isRefining
+                ? '<i class="fas fa-spinner fa-spin mr-1"></i>修正中...'
+                : '修正';
+        }
+        
+        document.querySelectorAll('.refine-chip').forEach(chip => {
+            chip.disabled = isRefining;
+        });
+    }
+    
+    /**
+     * 📥 現在の結果を履歴から書き出す
+     */
+    async exportRecord(format) {
+        if (!this.currentRecordId) {
+            this.showMessage('書き出せる履歴がありません（ログイン時の生成結果のみ書き出せます）', 'error');
+            return;
+        }
+        
+        await this.downloadExport(`/api/records/${this.currentRecordId}/export?format=${format}`);
+    }
+    
+    /**
+     * 📥 選択中の利用者の記録を月ごとにPDFで書き出す
+     */
+    async exportMonthlyRecords() {
+        const patient = this.getSelectedPatient();
+        const month = this.patientReportMonthInput?.value;
+        
+        if (!patient) return;
+        if (!month) {
+            this.showMessage('書き出す月を選択してください', 'error');
+            return;
+        }
+        
+        const [year, monthNumber] = month.split('-').map(Number);
+        const lastDay = new Date(year, monthNumber, 0).getDate();
+        const params = new URLSearchParams({
+            format: 'pdf',
+            layout: 'visit',
+            from: `${month}-01`,
+            to: `${month}-${String(lastDay).padStart(2, '0')}`,
+            patientId: String(patient.id)
+        });
+        
+        if (this.patientExportBtn) this.patientExportBtn.disabled = true;
+        try {
+            await this.downloadExport(`/api/records/export?${params}`);
+        } finally {
+            if (this.patientExportBtn) this.patientExportBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * 📥 書き出しファイルのダウンロード（ファイル名はサーバーの指定に従う）
+     */
+    async downloadExport(url) {
+        try {
+            const response = await fetch(url, { headers: this.getAuthHeaders() });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+            }
+            
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'tapkarte-export';
+            const objectUrl = URL.createObjectURL(await response.blob());
+            
+            const link = document.createElement('a');
+            link.href = objectUrl;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(objectUrl);
+            
+            this.showMessage(`${filename} を書き出しました`, 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showMessage('書き出しに失敗しました: ' + error.message, 'error');
+        }
+    }
+    
+    /**
+     * 📋 出力結果をクリップボードにコピー
+     */
+    async copyOutput() {
+        if (!this.outputText) return;
+        
+        const text = this.currentResultText ?? this.outputText.textContent;
+        if (!text || text.includes('看護記録・医療文書がここに自動生成されます')) {
+            this.showMessage('コピーするテキストがありません', 'error');
+            return;
+        }
+        
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showMessage('クリップボードにコピーしました', 'success');
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.showMessage('コピーに失敗しました', 'error');
+        }
+    }
+    
+    /**
+     * 🗑️ 入力のみクリア
+     */
+    clearInput() {
+        // 確認ダイアログを表示
+        if (confirm('入力内容をクリアしますか？')) {
+            if (this.quickInputText) {
+                // クリアした内容は下書きに残し、新しい下書きとして入力を始める
+                this.startNewDraft();
+                this.showMessage(this.draftManager ? '入力内容をクリアしました（下書きから復元できます）' : '入力内容をクリアしました', 'info');
+            }
+        }
+    }
+    
+    /**
+     * 🗑️ 出力のみクリア
+     */
+    clearOutput() {
+        // 確認ダイアログを表示
+        if (confirm('生成された内容をクリアしますか？')) {
+            this.currentResultText = null;
+            this.currentSoap = null;
+            this.currentRecordId = null;
+            this.exportMenu?.classList.add('hidden');
+            this.refinePanel?.classList.add('hidden');
+            this.showVitals(null);
+            this.showRedFlags(null);
+            this.hideComparison();
+            if (this.outputText) {
+                this.outputText.innerHTML = `
+                    <div class="text-pink-400 italic text-center mt-32">
+                        <i class="fas fa-magic text-3xl mb-3 block"></i>
+                        <span class="text-sm">生成された記録はここに表示されます</span>
+                    </div>
+                `;
+                this.updateOutputCount();
+            }
+            
+            // コピーボタンを無効化
+            if (this.copyBtn) {
+                this.copyBtn.disabled = true;
+            }
+            
+            this.showMessage('出力内容をクリアしました', 'info');
+        }
+    }
+    
+    /**
+     * 🗑️ すべてクリア
+     */
+    clearAll() {
+        if (confirm('入力内容と出力結果をすべてクリアしますか？')) {
+            // 入力クリア
+            this.clearInput();
+            
+            // 出力クリア
+            this.clearOutput();
+            
+            // テンプレートクリア
+            this.clearAllTemplates();
+            
+            this.showMessage('すべてクリアしました', 'info');
+        }
+    }
+    
+    /**
+     * 🎙️ 音声入力の初期化（音声認識・録音のどちらにも対応していない場合はボタンを表示しない）
+     */
+    initializeVoiceInput() {
+        const isLoggedIn = !!localStorage.getItem('demo_auth_token');
+        this.voiceInputBtn?.classList.toggle('hidden', !VoiceInput.getMode(isLoggedIn));
+    }
+    
+    /**
+     * 🎙️ 音声入力の開始・停止
+     */
+    toggleVoiceInput() {
+        this.voiceInput.toggle(!!localStorage.getItem('demo_auth_token'));
+    }
+    
+    /**
+     * 🎙️ 補正済みの書き起こしをカーソル位置に挿入
+     */
+    insertTranscript({ text, corrections }) {
+        if (!this.quickInputText) return;
+        
+        const input = this.quickInputText;
+        const before = input.value.slice(0, input.selectionStart);
+        const after = input.value.slice(input.selectionEnd);
+        // 続けて話した内容は読点でつなぐ
+        const separator = before && !/[\s、。,.]$/.test(before) ? '、' : '';
+        
+        input.value = before + separator + text + after;
+        const cursor = before.length + separator.length + text.length;
+        input.setSelectionRange(cursor, cursor);
+        
+        // 文字数表示・生成ボタン・下書きの保存を更新
+        input.dispatchEvent(new Event('input'));
+        
+        if (corrections.length > 0) {
+            const summary = corrections.map(correction => `${correction.from}→${correction.to}`).join('、');
+            this.showMessage(`音声入力の用語を補正しました（${summary}）`, 'info');
+        }
+    }
+    
+    /**
+     * 🎙️ 音声認識の途中経過の表示
+     */
+    showVoiceInterim(text) {
+        if (!this.voiceInterim) return;
+        
+        this.voiceInterim.textContent = text;
+        this.voiceInterim.classList.toggle('hidden', !text);
+    }
+    
+    /**
+     * 🎙️ 音声入力ボタンの表示更新
+     */
+    updateVoiceInputState(state) {
+        const labels = {
+            [VOICE_INPUT_STATE.LISTENING]: '音声入力中…（タップで停止）',
+            [VOICE_INPUT_STATE.PROCESSING]: '書き起こし中…'
+        };
+        
+        const isListening = state === VOICE_INPUT_STATE.LISTENING;
+        this.voiceInputBtn?.classList.toggle('bg-red-500', isListening);
+        this.voiceInputBtn?.classList.toggle('text-white', isListening);
+        this.voiceInputBtn?.classList.toggle('animate-pulse', isListening);
+        this.voiceInputBtn?.classList.toggle('bg-pink-100', !isListening);
+        this.voiceInputBtn?.classList.toggle('text-pink-700', !isListening);
+        if (this.voiceInputBtn) {
+            this.voiceInputBtn.disabled = state === VOICE_INPUT_STATE.PROCESSING;
+            this.voiceInputBtn.title = isListening ? '音声入力を停止' : '音声入力';
+        }
+        if (this.voiceInputIcon) {
+            this.voiceInputIcon.className = state === VOICE_INPUT_STATE.PROCESSING ? 'fas fa-spinner fa-spin' : 'fas fa-microphone';
+        }
+        if (this.voiceInputStatus) {
+            this.voiceInputStatus.textContent = labels[state] || '';
+            this.voiceInputStatus.classList.toggle('hidden', !labels[state]);
+        }
+    }
+    
+    /**
+     * 📴 オフライン対応の初期化（Service Worker・下書きの復元と同期・予約した変換の送信）
+     */
+    initializeOffline() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('/sw.js').catch(error => {
+                console.warn('Service worker registration failed:', error);
+            });
+        }
+        
+        this.updateOnlineStatus();
+        window.addEventListener('online', () => {
+            this.updateOnlineStatus();
+            this.flushConversionQueue();
+            this.syncDrafts();
+        });
+        window.addEventListener('offline', () => this.updateOnlineStatus());
+        
+        if (!this.offlineStore) return;
+        
+        this.initializeDrafts();
+        this.renderHistory();
+        this.flushConversionQueue();
+        setInterval(() => this.flushConversionQueue(), QUEUE_RETRY_INTERVAL);
+    }
+    
+    /**
+     * 📴 オフライン表示の切り替え
+     */
+    updateOnlineStatus() {
+        this.offlineIndicator?.classList.toggle('hidden', navigator.onLine);
+    }
+    
+    /**
+     * 💾 入力が止まってから下書きを保存
+     */
+    scheduleDraftSave() {
+        if (!this.draftManager) return;
+        
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = setTimeout(() => this.saveDraft(), DRAFT_SAVE_DELAY);
+    }
+    
+    /**
+     * 💾 入力中のメモを選択中の利用者の下書きとして保存（空にした場合は削除）
+     */
+    async saveDraft() {
+        if (!this.draftManager || !this.quickInputText) return;
+        
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = null;
+        const text = this.quickInputText.value;
+        
+        try {
+            if (text.trim()) {
+                // 保存中に続けて入力しても同じ下書きになるよう、IDは先に発行する
+                if (!this.currentDraftId) {
+                    this.currentDraftId = DraftManager.createId();
+                }
+                await this.draftManager.save(this.currentDraftId, { text, patientId: this.selectedPatientId });
+            } else if (this.currentDraftId) {
+                await this.draftManager.remove(this.currentDraftId);
+                this.currentDraftId = null;
+            }
+            this.scheduleDraftSync();
+        } catch (error) {
+            console.warn('Draft save failed:', error);
+        }
+    }
+    
+    /**
+     * 💾 下書きの初期化（旧形式の移行・前回の下書きの復元・同期）
+     */
+    async initializeDrafts() {
+        try {
+            await this.draftManager.migrateLegacyDraft();
+            
+            // 入力欄が空の場合のみ、最後に編集した下書きを開く
+            const [latest] = await this.draftManager.list();
+            if (latest && this.quickInputText && !this.quickInputText.value) {
+                await this.openDraft(latest);
+                this.showMessage('前回の入力内容を復元しました', 'info');
+            }
+        } catch (error) {
+            console.warn('Draft restore failed:', error);
+        }
+        
+        this.renderDrafts();
+        this.syncDrafts();
+    }
+    
+    /**
+     * 💾 入力中のメモを下書きに残して、新しい下書きを始める
+     */
+    async startNewDraft() {
+        if (!this.quickInputText) return;
+        
+        await this.saveDraft();
+        this.currentDraftId = null;
+        this.quickInputText.value = '';
+        this.updateQuickInputCount();
+        this.checkGenerateButton();
+        this.renderDrafts();
+    }
+    
+    /**
+     * 💾 下書きを入力欄に開く（下書きの利用者を選択する）
+     */
+    async openDraft(draft) {
+        if (!this.quickInputText || draft.id === this.currentDraftId) return;
+        
+        // 編集中の下書きを保存してから切り替える
+        await this.saveDraft();
+        
+        if (draft.patientId && !this.patients.some(patient => patient.id === draft.patientId) && localStorage.getItem('demo_auth_token')) {
+            await this.loadPatients();
+        }
+        this.selectedPatientId = this.patients.some(patient => patient.id === draft.patientId) ? draft.patientId : null;
+        if (this.patientSelect) {
+            this.patientSelect.value = this.selectedPatientId ? String(this.selectedPatientId) : '';
+        }
+        this.updateSelectedPatientDisplay();
+        
+        this.currentDraftId = draft.id;
+        this.quickInputText.value = draft.text;
+        this.updateQuickInputCount();
+        this.checkGenerateButton();
+        this.renderDrafts();
+    }
+    
+    /**
+     * 💾 利用者の最新の下書きを開く
+     */
+    async openLatestDraft(patientId) {
+        if (!this.draftManager) return;
+        
+        try {
+            const drafts = await this.draftManager.list();
+            const draft = drafts.find(entry => entry.patientId === patientId);
+            if (draft) {
+                await this.openDraft(draft);
+                this.showMessage('この利用者の下書きを開きました', 'info');
+            }
+        } catch (error) {
+            console.warn('Draft open failed:', error);
+        }
+    }
+    
+    /**
+     * 💾 下書きを削除（開いている下書きの場合は入力欄もクリア）
+     */
+    async deleteDraftItem(draft) {
+        if (!confirm('この下書きを削除しますか？')) return;
+        
+        try {
+            if (draft.id === this.currentDraftId && this.quickInputText) {
+                clearTimeout(this.draftSaveTimer);
+                this.draftSaveTimer = null;
+                this.currentDraftId = null;
+                this.quickInputText.value = '';
+                this.updateQuickInputCount();
+                this.checkGenerateButton();
+            }
+            await this.draftManager.remove(draft.id);
+            this.scheduleDraftSync();
+        } catch (error) {
+            console.error('Draft delete error:', error);
+            this.showMessage('下書きの削除に失敗しました', 'error');
+        }
+    }
+    
+    /**
+     * 🔄 入力が止まってから下書きを同期（ログイン中のみ）
+     */
+    scheduleDraftSync() {
+        if (!this.draftManager || !localStorage.getItem('demo_auth_token')) return;
+        
+        clearTimeout(this.draftSyncTimer);
+        this.draftSyncTimer = setTimeout(() => this.syncDrafts(), DRAFT_SYNC_DELAY);
+    }
+    
+    /**
+     * 🔄 下書きをサーバーと同期
+     */
+    async syncDrafts() {
+        if (!this.draftManager) return;
+        
+        clearTimeout(this.draftSyncTimer);
+        try {
+            await this.draftManager.sync();
+        } catch (error) {
+            console.warn('Draft sync failed:', error);
+        }
+    }
+    
+    /**
+     * 🔄 下書き一覧を最新にする（利用者コードの表示に利用者一覧を読み込む）
+     */
+    async refreshDrafts() {
+        if (localStorage.getItem('demo_auth_token') && this.patients.length === 0) {
+            await this.loadPatients();
+        }
+        await this.syncDrafts();
+        this.renderDrafts();
+    }
+    
+    /**
+     * 🔄 他の端末での編集・削除を入力欄に反映
+     */
+    applyRemoteDrafts({ updated, removed }) {
+        if (!this.quickInputText || !this.currentDraftId) return;
+        
+        // 保存前の入力がある場合は、保存後の同期で端末の内容を送信する
+        const current = updated.find(draft => draft.id === this.currentDraftId);
+        if (current && !this.draftSaveTimer && this.quickInputText.value !== current.text) {
+            this.quickInputText.value = current.text;
+            this.updateQuickInputCount();
+            this.checkGenerateButton();
+            this.showMessage('別の端末で編集された下書きを反映しました', 'info');
+        }
+        
+        // 別の端末で削除された場合も、入力中の内容は新しい下書きとして残す
+        if (removed.includes(this.currentDraftId)) {
+            this.currentDraftId = null;
+            this.scheduleDraftSave();
+        }
+    }
+    
+    /**
+     * 📝 下書き一覧の表示
+     */
+    async renderDrafts() {
+        if (!this.draftManager || !this.draftList) return;
+        
+        let drafts;
+        try {
+            drafts = await this.draftManager.list();
+        } catch (error) {
+            console.warn('Drafts load failed:', error);
+            return;
+        }
+        
+        if (this.draftCountLabel) {
+            this.draftCountLabel.textContent = `(${drafts.length}件)`;
+        }
+        this.draftEmpty?.classList.toggle('hidden', drafts.length > 0);
+        this.draftList.innerHTML = '';
+        
+        const isLoggedIn = !!localStorage.getItem('demo_auth_token');
+        
+        drafts.forEach(draft => {
+            const isCurrent = draft.id === this.currentDraftId;
+            const row = document.createElement('div');
+            row.className = `flex items-center justify-between py-2 px-2 gap-2 rounded ${isCurrent ? 'bg-pink-50' : ''}`;
+            
+            const text = document.createElement('div');
+            text.className = 'flex-1 min-w-0';
+            const time = document.createElement('span');
+            time.className = 'text-xs text-pink-500 mr-2';
+            time.textContent = new Date(draft.updatedAt).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            text.appendChild(time);
+            
+            if (draft.patientId) {
+                const patient = this.patients.find(entry => entry.id === draft.patientId);
+                const patientLabel = document.createElement('span');
+                patientLabel.className = 'px-2 py-0.5 mr-2 rounded-full text-xs bg-pink-100 text-pink-700';
+                patientLabel.textContent = patient ? patient.code : '利用者指定あり';
+                text.appendChild(patientLabel);
+            }
+            if (isCurrent) {
+                const currentLabel = document.createElement('span');
+                currentLabel.className = 'px-2 py-0.5 mr-2 rounded-full text-xs bg-pink-600 text-white';
+                currentLabel.textContent = '編集中';
+                text.appendChild(currentLabel);
+            }
+            if (isLoggedIn && draft.syncedAt !== draft.updatedAt) {
+                const pending = document.createElement('i');
+                pending.className = 'fas fa-cloud-upload-alt text-xs text-pink-400 mr-2';
+                pending.title = '未同期（接続が回復すると同期します）';
+                text.appendChild(pending);
+            }
+            
+            const memo = document.createElement('p');
+            memo.className = 'text-sm text-pink-800 break-all';
+            memo.textContent = draft.text.length > 60 ? `${draft.text.slice(0, 60)}…` : draft.text;
+            text.appendChild(memo);
+            row.appendChild(text);
+            
+            if (!isCurrent) {
+                const openButton = document.createElement('button');
+                openButton.className = 'text-pink-600 hover:text-pink-800 px-2';
+                openButton.title = '入力欄に開く';
+                openButton.innerHTML = '<i class="fas fa-folder-open"></i>';
+                openButton.addEventListener('click', () => this.openDraft(draft));
+                row.appendChild(openButton);
+            }
+            
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'text-red-500 hover:text-red-700 px-2';
+            deleteButton.title = '削除';
+            deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteButton.addEventListener('click', () => this.deleteDraftItem(draft));
+            row.appendChild(deleteButton);
+            
+            this.draftList.appendChild(row);
+        });
+    }
+    
+    /**
+     * 📴 変換を予約（複数案は予約できないため1案で変換する）
+     */
+    async queueConversion(text, options) {
+        try {
+            await this.conversionQueue.enqueue(text, options);
+            this.showMessage('オフラインのため変換を予約しました。接続が回復すると自動で送信します', 'info');
+        } catch (error) {
+            console.error('Conversion queue error:', error);
+            this.showMessage('オフラインのため変換できませんでした', 'error');
+        }
+    }
+    
+    /**
+     * 📡 予約した変換を送信
+     */
+    async flushConversionQueue() {
+        if (!this.conversionQueue) return;
+        
+        try {
+            const completedCount = await this.conversionQueue.flush();
+            if (completedCount > 0) {
+                this.showMessage(`予約した変換が${completedCount}件完了しました（変換履歴に表示しています）`, 'success');
+            }
+        } catch (error) {
+            console.warn('Conversion queue flush failed:', error);
+        }
+    }
+    
+    /**
+     * 🕘 変換履歴（予約した変換と結果）の表示
+     */
+    async renderHistory() {
+        if (!this.conversionQueue || !this.historyList) return;
+        
+        let items;
+        try {
+            items = await this.conversionQueue.list();
+        } catch (error) {
+            console.warn('History load failed:', error);
+            return;
+        }
+        
+        this.historyPanel?.classList.toggle('hidden', items.length === 0);
+        this.historyList.innerHTML = '';
+        
+        const statusLabels = {
+            [QUEUE_STATUS.PENDING]: { text: '送信待ち', className: 'bg-yellow-100 text-yellow-700' },
+            [QUEUE_STATUS.COMPLETED]: { text: '完了', className: 'bg-green-100 text-green-700' },
+            [QUEUE_STATUS.FAILED]: { text: '失敗', className: 'bg-red-100 text-red-700' }
+        };
+        
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'flex items-center justify-between py-2 gap-2';
+            
+            const status = document.createElement('span');
+            status.className = `px-2 py-1 rounded-full text-xs font-medium flex-shrink-0 ${statusLabels[item.status].className}`;
+            status.textContent = statusLabels[item.status].text;
+            
+            const text = document.createElement('div');
+            text.className = 'flex-1 min-w-0';
+            const time = document.createElement('span');
+            time.className = 'text-xs text-pink-500 mr-2';
+            time.textContent = new Date(item.createdAt).toLocaleString('ja-JP', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+            const memo = document.createElement('span');
+            memo.className = 'text-pink-800 break-all';
+            memo.textContent = item.text.length > 40 ? `${item.text.slice(0, 40)}…` : item.text;
+            text.appendChild(time);
+            text.appendChild(memo);
+            if (item.error) {
+                const error = document.createElement('p');
+                error.className = 'text-xs text-red-600';
+                error.textContent = item.error;
+                text.appendChild(error);
+            }
+            
+            row.appendChild(status);
+            row.appendChild(text);
+            
+            if (item.status === QUEUE_STATUS.COMPLETED) {
+                const showButton = document.createElement('button');
+                showButton.className = 'text-pink-600 hover:text-pink-800 px-2';
+                showButton.title = '結果を表示';
+                showButton.innerHTML = '<i class="fas fa-eye"></i>';
+                showButton.addEventListener('click', () => this.showHistoryResult(item));
+                row.appendChild(showButton);
+            }
+            
+            if (item.status === QUEUE_STATUS.FAILED) {
+                const retryButton = document.createElement('button');
+                retryButton.className = 'text-pink-600 hover:text-pink-800 px-2';
+                retryButton.title = '再送信';
+                retryButton.innerHTML = '<i class="fas fa-redo"></i>';
+                retryButton.addEventListener('click', () => this.retryHistoryItem(item));
+                row.appendChild(retryButton);
+            }
+            
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'text-red-500 hover:text-red-700 px-2';
+            deleteButton.title = '削除';
+            deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+            deleteButton.addEventListener('click', () => this.deleteHistoryItem(item));
+            row.appendChild(deleteButton);
+            
+            this.historyList.appendChild(row);
+        });
+    }
+    
+    /**
+     * 🕘 予約した変換の結果を出力エリアに表示
+     */
+    showHistoryResult(item) {
+        this.hideComparison();
+        this.lastInputText = item.text;
+        this.lastOptions = item.options;
+        this.showResult(item.result, item.soap, null, item.recordId);
+        this.showVitals(item.vitals);
+        this.showRedFlags(item.redFlags);
+    }
+    
+    /**
+     * 🕘 失敗した予約を再送信
+     */
+    async retryHistoryItem(item) {
+        try {
+            const completedCount = await this.conversionQueue.retry(item.id);
+            if (completedCount > 0) {
+                this.showMessage('予約した変換が完了しました', 'success');
+            }
+        } catch (error) {
+            console.error('Conversion retry error:', error);
+            this.showMessage('再送信に失敗しました', 'error');
+        }
+    }
+    
+    /**
+     * 🕘 変換履歴から削除
+     */
+    async deleteHistoryItem(item) {
+        if (item.status === QUEUE_STATUS.PENDING && !confirm('送信待ちの変換を取り消しますか？')) return;
+        
+        try {
+            await this.conversionQueue.remove(item.id);
+        } catch (error) {
+            console.error('History delete error:', error);
+            this.showMessage('削除に失敗しました', 'error');
+        }
+    }
+    
+    /**
+     * 📢 メッセージ表示
+     */
+    showMessage(message, type = 'info') {
+        // 簡易的なメッセージ表示（将来的にはトーストメッセージなどに置き換え可能）
+        const colors = {
+            success: 'text-green-600',
+            error: 'text-red-600',
+            info: 'text-pink-600',
+            warning: 'text-yellow-600'
+        };
+        
+        console.log(`[${type.toUpperCase()}] ${message}`);
+        
+        // 使用制限メッセージエリアを一時的に使用
+        if (this.usageLimitMessage) {
+            this.usageLimitMessage.innerHTML = `
+                <div class="flex items-center">
+                    <i class="fas fa-info-circle ${colors[type]} mr-2"></i>
+                    <span class="${colors[type]}"></span>
+                </div>
+            `;
+            // メッセージには音声入力の補正語・サーバーのエラーなど利用者の入力が含まれるため、HTMLとして解釈しない
+            this.usageLimitMessage.querySelector('span').textContent = message;
+            this.usageLimitMessage.classList.remove('hidden');
+            
+            // 3秒後に非表示
+            setTimeout(() => {
+                this.usageLimitMessage.classList.add('hidden');
+            }, 3000);
+        }
+    }
+    
+    /**
+     * 🆔 セッションID生成
+     */
+    generateSessionId() {
+        this.currentSessionId = 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        console.log('Session ID generated:', this.currentSessionId);
+    }
+    
+
     
     /**
      * 🔄 生成後のテンプレートリセット
@@ -668,57 +2779,34 @@ class TapKarteDashboard {
     }
     
     /**
-     * 📊 利用制限チェック
+     * 📊 利用制限チェック（サーバーから本日の利用状況を取得）
      */
-    checkUsageLimit() {
-        // 1日3回までの制限をチェック
-        const today = new Date().toDateString();
-        const storedData = localStorage.getItem('tapkarte_usage');
-        
-        if (storedData) {
-            const usageData = JSON.parse(storedData);
-            if (usageData.date === today) {
-                this.dailyUsageCount = usageData.count || 0;
-            } else {
-                // 日付が変わった場合はリセット
-                this.dailyUsageCount = 0;
-                localStorage.setItem('tapkarte_usage', JSON.stringify({
-                    date: today,
-                    count: 0
-                }));
-            }
-        } else {
-            // 初回利用
-            this.dailyUsageCount = 0;
-            localStorage.setItem('tapkarte_usage', JSON.stringify({
-                date: today,
-                count: 0
-            }));
-        }
-        
-        // 制限チェック
-        if (this.dailyUsageCount >= this.maxDailyUsage) {
-            this.disableGeneration();
-        } else {
-            this.enableGeneration();
-        }
+    async checkUsageLimit() {
+        await this.usageManager.refresh(localStorage.getItem('demo_auth_token'));
+        this.applyUsageLimit();
     }
     
     /**
-     * ✅ 生成機能を有効化
+     * 📊 利用状況を表示に反映し、上限到達時は生成を無効化
      */
-    enableGeneration() {
-        if (this.quickGenerateBtn) {
-            this.quickGenerateBtn.disabled = false;
-            this.quickGenerateBtn.classList.remove('opacity-50', 'cursor-not-allowed');
-            this.quickGenerateBtn.classList.add('hover:bg-pink-700');
+    applyUsageLimit() {
+        const usageCheck = this.usageManager.checkUsageLimit();
+        
+        if (this.usageBannerText && usageCheck.message) {
+            this.usageBannerText.textContent = usageCheck.message;
+        }
+        
+        if (usageCheck.isLimitReached) {
+            this.disableGeneration(usageCheck.message);
+        } else {
+            this.checkGenerateButton();
         }
     }
     
     /**
      * ❌ 生成機能を無効化（制限到達時）
      */
-    disableGeneration() {
+    disableGeneration(message) {
         if (this.quickGenerateBtn) {
             this.quickGenerateBtn.disabled = true;
             this.quickGenerateBtn.classList.add('opacity-50', 'cursor-not-allowed');
@@ -726,24 +2814,15 @@ class TapKarteDashboard {
         }
         
         // 制限メッセージを表示
-        this.showMessage('本日の利用制限（3回）に達しました。明日またご利用ください。', 'warning');
+        this.showMessage(message, 'warning');
     }
     
     /**
-     * 📈 利用回数を記録
+     * 📈 サーバーから返された利用状況を反映
      */
-    recordUsage() {
-        // 利用回数を増加
-        this.dailyUsageCount++;
-        const today = new Date().toDateString();
-        
-        localStorage.setItem('tapkarte_usage', JSON.stringify({
-            date: today,
-            count: this.dailyUsageCount
-        }));
-        
-        // 制限チェック
-        this.checkUsageLimit();
+    recordUsage(status) {
+        this.usageManager.update(status);
+        this.applyUsageLimit();
     }
 }
 
@@ -140,7 +140,8 @@ class TapKarteApp {
   setupAuthListeners() {
     this.authService.addAuthListener((isAuthenticated, user) => {
       this.uiManager.updateAuthUI(isAuthenticated, user)
-      this.updateUsageControl()
+      // ログイン状態でプランが変わるため利用状況を取り直す
+      this.initializeUsageControl()
       this.updateGenerateButtonState()
     })
   }
@@ -150,17 +151,18 @@ class TapKarteApp {
    */
   async handleLogin() {
     try {
+      const email = this.uiManager.elements.auth.loginEmail?.value?.trim() || ''
       const password = this.uiManager.elements.auth.loginPassword?.value?.trim() || ''
       
-      if (!password) {
-        this.uiManager.showAuthError('パスワードを入力してください')
+      if (!email || !password) {
+        this.uiManager.showAuthError('メールアドレスとパスワードを入力してください')
         return
       }
 
       this.uiManager.setAuthLoadingState(true)
       this.uiManager.clearAuthError()
 
-      await this.authService.login(password)
+      await this.authService.login(email, password)
 
       // パスワードフィールドクリア（セキュリティ強化）
       if (this.uiManager.elements.auth.loginPassword) {
@@ -211,10 +213,10 @@ class TapKarteApp {
         return
       }
 
-      // 使用制限チェック
-      const usageCheck = this.usageManager.checkUsageLimit(this.authService.isAuthenticated())
+      // 使用制限チェック（最終的な判定はサーバー側で行う）
+      const usageCheck = this.usageManager.checkUsageLimit()
       if (!usageCheck.canGenerate) {
-        alert('本日の利用回数を超えました。ログインすると無制限で利用可能。')
+        alert(usageCheck.message)
         return
       }
 
@@ -240,6 +242,12 @@ class TapKarteApp {
 
       const data = await response.json()
 
+      if (response.status === 429) {
+        // 利用回数の上限に達した場合はサーバーの利用状況で表示を更新
+        this.usageManager.update(data.data)
+        this.updateUsageControl()
+      }
+
       if (!response.ok) {
         throw new Error(data.error || `変換に失敗しました: ${response.status}`)
       }
@@ -258,8 +266,8 @@ class TapKarteApp {
           copyBtn.classList.remove('opacity-50', 'cursor-not-allowed')
         }
 
-        // 使用回数増加
-        this.usageManager.incrementUsage(this.authService.isAuthenticated())
+        // サーバーで数えた利用回数で表示を更新
+        this.usageManager.update(data.data.usage)
         this.updateUsageControl()
 
         // 文字数カウント更新
@@ -487,9 +495,11 @@ class TapKarteApp {
   }
 
   /**
-   * 使用制限コントロール初期化・更新
+   * 使用制限コントロール初期化・更新（サーバーから利用状況を取得）
    */
-  initializeUsageControl() {
+  async initializeUsageControl() {
+    this.updateUsageControl()
+    await this.usageManager.refresh(this.authService.authToken)
     this.updateUsageControl()
   }
 
@@ -498,20 +508,19 @@ class TapKarteApp {
    */
   updateUsageControl() {
     const isAuthenticated = this.authService.isAuthenticated()
-    const usageCheck = this.usageManager.checkUsageLimit(isAuthenticated)
+    const usageCheck = this.usageManager.checkUsageLimit()
 
     if (isAuthenticated) {
-      this.uiManager.hideUsageLimitMessage()
       const { authRequiredMessage } = this.uiManager.elements.other
       if (authRequiredMessage) {
         authRequiredMessage.style.display = 'none'
       }
+    }
+
+    if (usageCheck.message) {
+      this.uiManager.showUsageLimitMessage(usageCheck.message, usageCheck.isLimitReached)
     } else {
-      if (usageCheck.canGenerate) {
-        this.uiManager.showUsageLimitMessage(usageCheck.message, false)
-      } else {
-        this.uiManager.showUsageLimitMessage(usageCheck.message, true)
-      }
+      this.uiManager.hideUsageLimitMessage()
     }
 
     this.updateGenerateButtonState()
@@ -522,8 +531,7 @@ class TapKarteApp {
    * 生成ボタン状態更新
    */
   updateGenerateButtonState() {
-    const isAuthenticated = this.authService.isAuthenticated()
-    const usageCheck = this.usageManager.checkUsageLimit(isAuthenticated)
+    const usageCheck = this.usageManager.checkUsageLimit()
     const inputEl = this.uiManager.elements.conversion.inputText
     const hasInput = inputEl?.value?.trim().length > 0
 
@@ -14,7 +14,9 @@ const APP_CONSTANTS = {
     BASE_URL: '/api',
     ENDPOINTS: {
       LOGIN: '/api/auth/login',
+      LOGOUT: '/api/auth/logout',
       CONVERT: '/api/ai/convert',
+      RECORDS: '/api/records',
       VALIDATE: '/api/auth/validate'
     },
     TIMEOUT: 30000
@@ -667,8 +669,8 @@ class AuthService {
         this.handleSecurityThreat('Session fingerprint mismatch')
       }
       
-      // トークンの整合性チェック
-      if (this.authToken && !this.authToken.startsWith('demo_token_') && !this.authToken.startsWith('secure_token_')) {
+      // トークンの整合性チェック（JWT形式: header.payload.signature）
+      if (this.authToken && this.authToken.split('.').length !== 3) {
         console.warn('[AuthService] Invalid token format detected')
         this.handleSecurityThreat('Invalid token format')
       }
@@ -705,20 +707,21 @@ class AuthService {
   }
 
   /**
-   * パスワード認証ログイン（機能維持）
+   * メールアドレス・パスワード認証ログイン
+   * @param {string} email
    * @param {string} password
    * @returns {Promise<boolean>}
    */
-  async login(password) {
+  async login(email, password) {
     try {
       console.log('[AuthService] Starting password login...')
       
-      if (!password) {
-        throw new Error('パスワードが入力されていません')
+      if (!email || !password) {
+        throw new Error('メールアドレスとパスワードを入力してください')
       }
       
       // パスワードセキュリティ強化: リクエスト送信後にメモリから消去
-      const requestBody = JSON.stringify({ password })
+      const requestBody = JSON.stringify({ email, password })
       
       const response = await fetch(APP_CONSTANTS.API.ENDPOINTS.LOGIN, {
         method: 'POST',
@@ -764,12 +767,19 @@ class AuthService {
   }
 
   /**
-   * ログアウト処理（機能維持）
+   * ログアウト処理（サーバー側のセッションも失効させる）
    */
   async logout() {
     try {
       console.log('[AuthService] Starting logout...')
       
+      if (this.authToken) {
+        await fetch(APP_CONSTANTS.API.ENDPOINTS.LOGOUT, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${this.authToken}` }
+        }).catch(error => console.warn('[AuthService] Server logout failed:', error))
+      }
+      
       this.stopSessionMonitoring()
       this.stopSecurityMonitoring()
       
@@ -938,6 +948,7 @@ class UIManager {
       modal: DOM.get('auth-modal'),
       loginBtn: DOM.get('login-btn'),
       loginForm: DOM.get('login-form'),
+      loginEmail: DOM.get('login-email'),
       loginPassword: DOM.get('login-password'),
       userStatus: DOM.get('user-status'),
       authButtons: DOM.get('auth-buttons'),
@@ -1110,6 +1121,7 @@ class AppService {
       this.authService.addAuthListener(async (isAuthenticated, user) => {
         this.uiManager.updateAuthUI(isAuthenticated, user)
         await this.updateUsageLimits(isAuthenticated)
+        await this.initializeHistory()
       })
       
       // 使用制限システム初期化（認証UIより先に・Safari対応版）
@@ -1119,7 +1131,7 @@ class AppService {
       this.initializeAuthUI()
       this.initializeConversionForm() 
       this.initializeOtherElements()
-      this.initializeHistory()
+      await this.initializeHistory()
       
       // 初期状態表示
       this.uiManager.updateAuthUI(
@@ -1223,10 +1235,15 @@ class AppService {
   }
 
   /**
-   * 履歴初期化
+   * 履歴初期化（ログイン中はサーバー、ゲストはlocalStorageから読み込み）
    */
-  initializeHistory() {
+  async initializeHistory() {
     try {
+      if (this.authService.isAuthenticated()) {
+        await this.loadServerHistory()
+        return
+      }
+      
       const storedHistory = StorageHelper.get(APP_CONSTANTS.STORAGE.HISTORY_KEY, [])
       this.state.conversionHistory = storedHistory
       this.displayConversionHistory()
@@ -1249,10 +1266,11 @@ class AppService {
     try {
       console.log('[AppService] Processing password login...')
       
+      const email = this.uiManager.elements.auth?.loginEmail?.value?.trim() || ''
       const password = this.uiManager.elements.auth?.loginPassword?.value?.trim() || ''
       
-      if (!password) {
-        this.uiManager.showAuthError('パスワードを入力してください')
+      if (!email || !password) {
+        this.uiManager.showAuthError('メールアドレスとパスワードを入力してください')
         return
       }
       
@@ -1261,7 +1279,7 @@ class AppService {
       this.uiManager.clearAuthError()
       
       // 認証実行
-      await this.authService.login(password)
+      await this.authService.login(email, password)
       
       // パスワードをフィールドから完全消去（セキュリティ強化）
       if (this.uiManager.elements.auth?.loginPassword) {
@@ -1399,15 +1417,19 @@ class AppService {
         // ゲスト使用記録
         this.recordGuestUsage()
         
-        // 履歴追加
-        this.addToHistory({
-          id: Date.now(),
-          originalText: text,
-          convertedText: convertedText,
-          suggestions: [],
-          timestamp: new Date().toISOString(),
-          user: this.authService.getCurrentUser()
-        })
+        // 履歴追加（ログイン中はサーバーに保存済みのため再取得）
+        if (this.authService.isAuthenticated()) {
+          await this.loadServerHistory()
+        } else {
+          this.addToHistory({
+            id: Date.now(),
+            originalText: text,
+            convertedText: convertedText,
+            suggestions: [],
+            timestamp: new Date().toISOString(),
+            user: this.authService.getCurrentUser()
+          })
+        }
         
         // 入力内容は変換後も保持（ユーザーが手動でクリアする）
         // textInput.value = '' // 削除：自動クリアしない
@@ -1580,12 +1602,83 @@ class AppService {
     this.displayConversionHistory()
   }
 
+  /**
+   * サーバーから履歴を取得（ログインユーザーのみ・端末間で共有）
+   */
+  async loadServerHistory() {
+    try {
+      const response = await fetch(`${APP_CONSTANTS.API.ENDPOINTS.RECORDS}?limit=50`, {
+        headers: { 'Authorization': `Bearer ${this.authService.getAuthToken()}` }
+      })
+      
+      if (!response.ok) {
+        throw new Error(`履歴の取得に失敗しました: ${response.status}`)
+      }
+      
+      const result = await response.json()
+      
+      // 表示用に古い順へ並べ替え（localStorage版と同じ形式）
+      this.state.conversionHistory = (result.data?.records || [])
+        .map(record => ({
+          id: record.id,
+          originalText: record.inputText,
+          convertedText: record.outputText,
+          suggestions: [],
+          timestamp: record.createdAt,
+          isServerRecord: true
+        }))
+        .reverse()
+      
+      this.displayConversionHistory()
+      console.log('[AppService] Server history loaded:', this.state.conversionHistory.length, 'items')
+    } catch (error) {
+      console.error('[AppService] Server history load error:', error)
+    }
+  }
+
+  /**
+   * 履歴削除（サーバー履歴はAPI経由で削除）
+   */
+  async deleteHistoryItem(itemId) {
+    const item = this.state.conversionHistory.find(h => h.id === itemId)
+    if (!item || !confirm('この履歴を削除しますか？')) return
+    
+    try {
+      if (item.isServerRecord) {
+        const response = await fetch(`${APP_CONSTANTS.API.ENDPOINTS.RECORDS}/${item.id}`, {
+          method: 'DELETE',
+          headers: { 'Authorization': `Bearer ${this.authService.getAuthToken()}` }
+        })
+        
+        if (!response.ok) {
+          throw new Error(`履歴の削除に失敗しました: ${response.status}`)
+        }
+      }
+      
+      this.state.conversionHistory = this.state.conversionHistory.filter(h => h.id !== itemId)
+      
+      if (!item.isServerRecord) {
+        StorageHelper.set(APP_CONSTANTS.STORAGE.HISTORY_KEY, this.state.conversionHistory)
+      }
+      
+      this.displayConversionHistory()
+    } catch (error) {
+      console.error('[AppService] History delete error:', error)
+      alert(error.message)
+    }
+  }
+
   /**
    * 履歴表示
    */
   displayConversionHistory() {
     const historyContainer = DOM.get('conversionHistory')
-    if (!historyContainer || this.state.conversionHistory.length === 0) return
+    if (!historyContainer) return
+    
+    if (this.state.conversionHistory.length === 0) {
+      historyContainer.innerHTML = ''
+      return
+    }
     
     const historyHtml = this.state.conversionHistory
       .slice(-5)
@@ -1594,8 +1687,12 @@ class AppService {
         <div class="bg-gray-50 rounded-lg p-4 border">
           <div class="flex justify-between items-start mb-2">
             <span class="text-xs text-gray-500">${new Date(item.timestamp).toLocaleString('ja-JP')}</span>
-            <button onclick="app.loadHistoryItem(${item.id})" 
-                    class="text-xs text-blue-600 hover:text-blue-800">再読み込み</button>
+            <div class="space-x-2">
+              <button onclick="app.loadHistoryItem(${item.id})" 
+                      class="text-xs text-blue-600 hover:text-blue-800">再読み込み</button>
+              <button onclick="app.deleteHistoryItem(${item.id})" 
+                      class="text-xs text-red-600 hover:text-red-800">削除</button>
+            </div>
           </div>
           <div class="text-sm text-gray-600 mb-2 line-clamp-2">${item.originalText}</div>
           <div class="text-sm text-gray-800 line-clamp-3">${item.convertedText}</div>
@@ -25,30 +25,65 @@ export class AuthService {
   }
 
   /**
-   * パスワード認証ログイン（セキュリティ強化版）
+   * メールアドレス・パスワード認証ログイン
+   * @param {string} email
    * @param {string} password
    * @returns {Promise<boolean>}
    */
-  async login(password) {
+  async login(email, password) {
     try {
       console.log('[AuthService] Starting secure login...')
       
-      if (!password) {
-        throw new Error('パスワードが入力されていません')
+      if (!email || !password) {
+        throw new Error('メールアドレスとパスワードを入力してください')
       }
       
+      return await this.authenticate(APP_CONSTANTS.API.ENDPOINTS.LOGIN, { email, password })
+    } finally {
+      // 終了時に必ずパスワードをメモリから消去
+      password = null
+    }
+  }
+
+  /**
+   * 新規ユーザー登録（登録後はそのままログイン状態になる）
+   * @param {string} email
+   * @param {string} password
+   * @param {string} displayName
+   * @returns {Promise<boolean>}
+   */
+  async register(email, password, displayName) {
+    try {
+      console.log('[AuthService] Starting registration...')
+      
+      if (!email || !password || !displayName) {
+        throw new Error('メールアドレス・パスワード・表示名を入力してください')
+      }
+      
+      return await this.authenticate(APP_CONSTANTS.API.ENDPOINTS.REGISTER, { email, password, displayName })
+    } finally {
+      password = null
+    }
+  }
+
+  /**
+   * 認証APIを呼び出してセッションを確立
+   * @param {string} endpoint
+   * @param {Object} credentials
+   * @returns {Promise<boolean>}
+   */
+  async authenticate(endpoint, credentials) {
+    try {
       // パスワードセキュリティ強化: リクエスト送信後にメモリから消去
-      const requestBody = JSON.stringify({ password })
+      const requestBody = JSON.stringify(credentials)
+      credentials = null
       
-      const response = await fetch(APP_CONSTANTS.API.ENDPOINTS.LOGIN, {
+      const response = await fetch(endpoint, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: requestBody
       })
       
-      // パスワードをメモリから完全消去（セキュリティ強化）
-      password = null
-      
       const data = await response.json()
       
       if (!response.ok) {
@@ -73,23 +108,25 @@ export class AuthService {
         throw new Error(data.error || 'ログインレスポンスが無効です')
       }
     } catch (error) {
-      // エラー時もパスワードをメモリから消去
-      password = null
       console.error('[AuthService] Login error:', error)
       throw error
-    } finally {
-      // 終了時に必ずパスワードをメモリから消去
-      password = null
     }
   }
 
   /**
-   * ログアウト処理
+   * ログアウト処理（サーバー側のセッションも失効させる）
    */
   async logout() {
     try {
       console.log('[AuthService] Starting logout...')
       
+      if (this.authToken) {
+        await fetch(APP_CONSTANTS.API.ENDPOINTS.LOGOUT, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${this.authToken}` }
+        }).catch(error => console.warn('[AuthService] Server logout failed:', error))
+      }
+      
       this.stopSessionMonitoring()
       this.sessionSecurity.stopMonitoring()
       
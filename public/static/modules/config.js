@@ -9,8 +9,14 @@ export const APP_CONSTANTS = {
     BASE_URL: '/api',
     ENDPOINTS: {
       LOGIN: '/api/auth/login',
+      REGISTER: '/api/auth/register',
+      LOGOUT: '/api/auth/logout',
       CONVERT: '/api/ai/convert',
-      VALIDATE: '/api/auth/validate'
+      VALIDATE: '/api/auth/validate',
+      USAGE: '/api/usage/me',
+      DRAFTS: '/api/drafts',
+      TRANSCRIBE: '/api/ai/transcribe',
+      TRANSCRIBE_CORRECT: '/api/ai/transcribe/correct'
     },
     TIMEOUT: 30000
   },
@@ -18,7 +24,6 @@ export const APP_CONSTANTS = {
   STORAGE: {
     TOKEN_KEY: 'demo_auth_token',
     USER_KEY: 'demo_user_data',
-    USAGE_KEY: 'tap_karte_usage_data',
     HISTORY_KEY: 'conversionHistory',
     SESSION_KEY: 'session_fingerprint'
   },
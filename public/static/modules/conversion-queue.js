@@ -0,0 +1,196 @@
+/**
+ * タップカルテ - 変換予約モジュール
+ * 機能: オフライン中に予約した変換をIndexedDBに保存し、接続が回復したら /api/ai/convert へ順に送信
+ *
+ * 送信は画面を開いている間に行う（online イベント・起動時・一定間隔で再試行）。
+ * 変換結果は予約と同じレコードに保存し、履歴パネルに表示する
+ */
+
+import { APP_CONSTANTS } from './config.js'
+import { STORES } from './offline-store.js'
+
+/** 予約の状態 */
+export const QUEUE_STATUS = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+}
+
+/** サーバーエラー時の最大試行回数（超えたら失敗として残す） */
+const MAX_ATTEMPTS = 3
+
+/** 送信中に取得するロックの名前（同じ端末の複数のタブで同じ予約を重複して送信しない） */
+const FLUSH_LOCK_NAME = 'conversion-queue'
+
+/**
+ * 変換の予約キュー
+ */
+export class ConversionQueue {
+  /**
+   * @param {import('./offline-store.js').OfflineStore} store - 保存先
+   * @param {Object} handlers
+   * @param {() => Object} handlers.getAuthHeaders - 送信時の認証ヘッダー（送信時点でログイン中のユーザーとして変換する）
+   * @param {() => void} [handlers.onChange] - 予約の追加・状態の変化
+   * @param {(item: Object, data: Object) => void} [handlers.onCompleted] - 予約した変換の完了
+   */
+  constructor(store, handlers) {
+    this.store = store
+    this.handlers = handlers
+    /** @type {Promise<number>|null} このタブで送信中の処理（重複して送信しない） */
+    this.flushing = null
+  }
+
+  /**
+   * 変換を予約
+   * @param {string} text - 入力メモ
+   * @param {Object} options - 変換オプション
+   * @returns {Promise<Object>} 予約
+   */
+  async enqueue(text, options) {
+    const item = {
+      text,
+      options,
+      status: QUEUE_STATUS.PENDING,
+      attempts: 0,
+      error: null,
+      createdAt: new Date().toISOString()
+    }
+    item.id = await this.store.put(STORES.CONVERSION_QUEUE, item)
+
+    this.handlers.onChange?.()
+    return item
+  }
+
+  /**
+   * 予約・変換結果の一覧（新しい順）
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const items = await this.store.getAll(STORES.CONVERSION_QUEUE)
+    return items.reverse()
+  }
+
+  /**
+   * 予約・変換結果を削除
+   * @param {number} id - 予約ID
+   */
+  async remove(id) {
+    await this.store.delete(STORES.CONVERSION_QUEUE, id)
+    this.handlers.onChange?.()
+  }
+
+  /**
+   * 失敗した予約を再送信
+   * @param {number} id - 予約ID
+   * @returns {Promise<number>} 完了した件数
+   */
+  async retry(id) {
+    const item = await this.store.get(STORES.CONVERSION_QUEUE, id)
+    if (item && item.status === QUEUE_STATUS.FAILED) {
+      await this.store.put(STORES.CONVERSION_QUEUE, { ...item, status: QUEUE_STATUS.PENDING, attempts: 0, error: null })
+      this.handlers.onChange?.()
+    }
+
+    return this.flush()
+  }
+
+  /**
+   * 未送信の予約を古い順に送信
+   * 他のタブが送信中の場合は、その送信が終わるのを待ってから残りの予約を送信する
+   * @returns {Promise<number>} 完了した件数
+   */
+  flush() {
+    if (!this.flushing) {
+      const send = () => this.sendPending()
+      // Web Locks API に対応していないブラウザではタブ内の重複のみ防ぐ
+      const sending = navigator.locks
+        ? navigator.locks.request(FLUSH_LOCK_NAME, send)
+        : send()
+
+      this.flushing = sending.finally(() => {
+        this.flushing = null
+      })
+    }
+
+    return this.flushing
+  }
+
+  /**
+   * 未送信の予約を送信（接続できない・利用回数の上限に達した場合は残りを次回に回す）
+   * 予約の一覧はロックを取得してから読み込み、他のタブが送信済みの予約を再送信しない
+   * @returns {Promise<number>} 完了した件数
+   */
+  async sendPending() {
+    if (!navigator.onLine) {
+      return 0
+    }
+
+    const items = await this.store.getAll(STORES.CONVERSION_QUEUE)
+    let completedCount = 0
+
+    for (const item of items.filter(entry => entry.status === QUEUE_STATUS.PENDING)) {
+      let response
+      try {
+        response = await fetch(APP_CONSTANTS.API.ENDPOINTS.CONVERT, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...this.handlers.getAuthHeaders()
+          },
+          body: JSON.stringify({ text: item.text, options: item.options })
+        })
+      } catch (error) {
+        // まだ接続できない
+        console.warn('[ConversionQueue] Send failed, will retry:', error)
+        break
+      }
+
+      const result = await response.json().catch(() => ({}))
+
+      if (response.ok && result.success) {
+        const completed = {
+          ...item,
+          status: QUEUE_STATUS.COMPLETED,
+          error: null,
+          result: result.data.result,
+          soap: result.data.soap || null,
+          vitals: result.data.vitals || null,
+          redFlags: result.data.redFlags || null,
+          recordId: result.data.recordId || null,
+          completedAt: new Date().toISOString()
+        }
+        await this.store.put(STORES.CONVERSION_QUEUE, completed)
+        completedCount++
+        this.handlers.onCompleted?.(completed, result.data)
+        this.handlers.onChange?.()
+        continue
+      }
+
+      const error = result.error || `HTTP error! status: ${response.status}`
+
+      // 利用回数の上限は翌日に解除されるため予約のまま残す
+      if (response.status === 429) {
+        await this.store.put(STORES.CONVERSION_QUEUE, { ...item, error })
+        this.handlers.onChange?.()
+        break
+      }
+
+      // サーバー側の一時的なエラーは上限回数まで再試行し、入力内容の誤りなどは失敗として残す
+      const attempts = item.attempts + 1
+      const retryable = response.status >= 500 && attempts < MAX_ATTEMPTS
+      await this.store.put(STORES.CONVERSION_QUEUE, {
+        ...item,
+        attempts,
+        error,
+        status: retryable ? QUEUE_STATUS.PENDING : QUEUE_STATUS.FAILED
+      })
+      this.handlers.onChange?.()
+
+      if (retryable) {
+        break
+      }
+    }
+
+    return completedCount
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * タップカルテ - 下書き管理モジュール
+ * 機能: 入力メモの下書き（利用者・訪問ごとに複数）をIndexedDBに自動保存し、ログイン中は /api/drafts と同期
+ *
+ * 未ログインの下書きはこの端末にのみ保存する。ログイン中は端末で編集・削除した下書きを送信してから
+ * サーバーの下書きを取り込む（同じ下書きを複数の端末で編集した場合は最後に編集した方を残す）
+ */
+
+import { APP_CONSTANTS } from './config.js'
+import { STORES } from './offline-store.js'
+
+/** オフライン対応（単一の下書き）で使っていた下書きID */
+const LEGACY_DRAFT_ID = 'current'
+
+/**
+ * 下書きの保存・同期
+ *
+ * 下書きは { id, text, patientId, updatedAt, syncedAt, deleted } として保存する。
+ * syncedAt はサーバーに保存済みの編集日時（未送信の場合は null）、
+ * deleted はサーバーからの削除を送信するまで残す削除済みの印
+ */
+export class DraftManager {
+  /**
+   * @param {import('./offline-store.js').OfflineStore} store - 保存先
+   * @param {Object} handlers
+   * @param {() => Object} handlers.getAuthHeaders - 同期時の認証ヘッダー（未ログインの場合は空）
+   * @param {() => void} [handlers.onChange] - 下書きの追加・更新・削除
+   * @param {(changes: { updated: Object[], removed: string[] }) => void} [handlers.onRemoteChange] - 他の端末での編集・削除の取り込み
+   */
+  constructor(store, handlers) {
+    this.store = store
+    this.handlers = handlers
+    /** @type {Promise<boolean>|null} 同期中の処理（重複して同期しない） */
+    this.syncing = null
+  }
+
+  /**
+   * 新しい下書きIDを発行
+   * @returns {string}
+   */
+  static createId() {
+    if (typeof crypto.randomUUID === 'function') {
+      return crypto.randomUUID()
+    }
+
+    // randomUUID は安全なコンテキスト（HTTPS）でのみ使える
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('')
+  }
+
+  /**
+   * 単一の下書き（id: 'current'）を複数の下書きの形式に移行
+   */
+  async migrateLegacyDraft() {
+    const legacy = await this.store.get(STORES.DRAFTS, LEGACY_DRAFT_ID)
+    if (!legacy) {
+      return
+    }
+
+    if (legacy.text?.trim()) {
+      await this.store.put(STORES.DRAFTS, {
+        id: DraftManager.createId(),
+        text: legacy.text,
+        patientId: null,
+        updatedAt: legacy.updatedAt,
+        syncedAt: null,
+        deleted: false
+      })
+    }
+    await this.store.delete(STORES.DRAFTS, LEGACY_DRAFT_ID)
+  }
+
+  /**
+   * 下書きの一覧（最後に編集した順）
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const drafts = await this.store.getAll(STORES.DRAFTS)
+    return drafts
+      .filter(draft => !draft.deleted)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  }
+
+  /**
+   * 下書きを保存（同じIDがあれば更新）
+   * @param {string} id - 下書きID
+   * @param {Object} content
+   * @param {string} content.text - 入力メモ
+   * @param {number|null} content.patientId - 利用者ID
+   * @returns {Promise<Object>} 保存した下書き
+   */
+  async save(id, { text, patientId }) {
+    const existing = await this.store.get(STORES.DRAFTS, id)
+    const draft = {
+      id,
+      text,
+      patientId: patientId ?? null,
+      updatedAt: new Date().toISOString(),
+      syncedAt: existing?.syncedAt ?? null,
+      deleted: false
+    }
+    await this.store.put(STORES.DRAFTS, draft)
+
+    this.handlers.onChange?.()
+    return draft
+  }
+
+  /**
+   * 下書きを削除（サーバーに保存済みの場合は削除を送信するまで印を付けて残す）
+   * @param {string} id - 下書きID
+   */
+  async remove(id) {
+    const draft = await this.store.get(STORES.DRAFTS, id)
+    if (!draft) {
+      return
+    }
+
+    if (draft.syncedAt) {
+      await this.store.put(STORES.DRAFTS, { ...draft, deleted: true, updatedAt: new Date().toISOString() })
+    } else {
+      await this.store.delete(STORES.DRAFTS, id)
+    }
+    this.handlers.onChange?.()
+  }
+
+  /**
+   * サーバーと同期（未ログイン・オフラインの場合は何もしない）
+   * @returns {Promise<boolean>} 同期できたか
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.syncWithServer().finally(() => {
+        this.syncing = null
+      })
+    }
+
+    return this.syncing
+  }
+
+  /**
+   * 未送信の編集・削除を送信し、サーバーの下書きを取り込む
+   * @returns {Promise<boolean>} 同期できたか
+   */
+  async syncWithServer() {
+    if (!navigator.onLine || !this.handlers.getAuthHeaders().Authorization) {
+      return false
+    }
+
+    try {
+      if (!(await this.pushChanges())) {
+        return false
+      }
+      return await this.pullDrafts()
+    } catch (error) {
+      // まだ接続できない（次回の同期で再送信する）
+      console.warn('[DraftManager] Sync failed, will retry:', error)
+      return false
+    }
+  }
+
+  /**
+   * 端末で編集・削除した下書きを送信
+   * @returns {Promise<boolean>} 続けて取り込むか（認証切れの場合は中断）
+   */
+  async pushChanges() {
+    const drafts = await this.store.getAll(STORES.DRAFTS)
+    const updated = []
+
+    for (const draft of drafts) {
+      if (draft.deleted) {
+        const response = await this.request('DELETE', draft.id)
+        if (response.status === 401) {
+          return false
+        }
+        // 他の端末で削除済みの場合も完了とする
+        if (response.ok || response.status === 404) {
+          await this.store.delete(STORES.DRAFTS, draft.id)
+        }
+        continue
+      }
+
+      if (draft.syncedAt === draft.updatedAt) {
+        continue
+      }
+
+      const response = await this.request('PUT', draft.id, {
+        inputText: draft.text,
+        patientId: draft.patientId,
+        updatedAt: draft.updatedAt
+      })
+      if (response.status === 401) {
+        return false
+      }
+
+      const result = await response.json().catch(() => ({}))
+      if (response.ok) {
+        await this.markSynced(draft.id, draft.updatedAt)
+      } else if (response.status === 409 && result.data) {
+        // 他の端末でより新しく編集されている
+        updated.push(await this.adopt(result.data))
+      } else {
+        // 保存件数の上限・利用者の削除など（端末には残し、次回の同期で再送信する）
+        console.warn('[DraftManager] Draft was not saved on server:', result.error || response.status)
+      }
+    }
+
+    this.notifyRemoteChange(updated, [])
+    return true
+  }
+
+  /**
+   * サーバーの下書きを取り込む（他の端末で削除された下書きは端末からも削除）
+   * @returns {Promise<boolean>} 取り込めたか
+   */
+  async pullDrafts() {
+    const response = await fetch(APP_CONSTANTS.API.ENDPOINTS.DRAFTS, {
+      headers: this.handlers.getAuthHeaders()
+    })
+    const result = await response.json().catch(() => ({}))
+    if (!response.ok || !result.success) {
+      return false
+    }
+
+    const locals = new Map((await this.store.getAll(STORES.DRAFTS)).map(draft => [draft.id, draft]))
+    const remoteIds = new Set()
+    const updated = []
+    const removed = []
+
+    for (const remote of result.data.drafts) {
+      remoteIds.add(remote.id)
+      const local = locals.get(remote.id)
+      if (local?.deleted) {
+        continue
+      }
+      if (!local || remote.updatedAt > local.updatedAt) {
+        updated.push(await this.adopt(remote))
+      }
+    }
+
+    for (const local of locals.values()) {
+      // 送信済みで編集していない下書きがサーバーにない場合は、他の端末で削除された
+      if (!local.deleted && local.syncedAt && local.syncedAt === local.updatedAt && !remoteIds.has(local.id)) {
+        await this.store.delete(STORES.DRAFTS, local.id)
+        removed.push(local.id)
+      }
+    }
+
+    this.notifyRemoteChange(updated, removed)
+    return true
+  }
+
+  // ========================================
+  // 🔧 ヘルパー関数
+  // ========================================
+
+  /**
+   * 下書きAPIへのリクエスト
+   * @param {'PUT'|'DELETE'} method - メソッド
+   * @param {string} id - 下書きID
+   * @param {Object} [body] - 送信する内容
+   * @returns {Promise<Response>}
+   */
+  request(method, id, body) {
+    return fetch(`${APP_CONSTANTS.API.ENDPOINTS.DRAFTS}/${encodeURIComponent(id)}`, {
+      method,
+      headers: {
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+        ...this.handlers.getAuthHeaders()
+      },
+      body: body ? JSON.stringify(body) : undefined
+    })
+  }
+
+  /**
+   * 送信済みの編集日時を記録（送信中に編集された場合は未送信のまま残る）
+   * @param {string} id - 下書きID
+   * @param {string} updatedAt - 送信した下書きの編集日時
+   */
+  async markSynced(id, updatedAt) {
+    const draft = await this.store.get(STORES.DRAFTS, id)
+    if (draft && !draft.deleted) {
+      await this.store.put(STORES.DRAFTS, { ...draft, syncedAt: updatedAt })
+    }
+  }
+
+  /**
+   * サーバーの下書きで端末の下書きを置き換える
+   * @param {Object} remote - APIレスポンスの下書き
+   * @returns {Promise<Object>} 保存した下書き
+   */
+  async adopt(remote) {
+    const draft = {
+      id: remote.id,
+      text: remote.inputText,
+      patientId: remote.patientId ?? null,
+      updatedAt: remote.updatedAt,
+      syncedAt: remote.updatedAt,
+      deleted: false
+    }
+    await this.store.put(STORES.DRAFTS, draft)
+    return draft
+  }
+
+  /**
+   * 他の端末での編集・削除を通知
+   * @param {Object[]} updated - 取り込んだ下書き
+   * @param {string[]} removed - 削除した下書きID
+   */
+  notifyRemoteChange(updated, removed) {
+    if (updated.length === 0 && removed.length === 0) {
+      return
+    }
+
+    this.handlers.onRemoteChange?.({ updated, removed })
+    this.handlers.onChange?.()
+  }
+}
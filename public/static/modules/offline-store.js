@@ -0,0 +1,125 @@
+/**
+ * タップカルテ - オフライン保存モジュール
+ * 機能: 入力中の下書きと、オフライン中に予約した変換をIndexedDBに保存
+ *
+ * 電波の届かない訪問先でもページの再読み込みで入力内容が失われないよう、
+ * 下書き・変換の予約はこの端末のブラウザ内にのみ保存する
+ */
+
+const DB_NAME = 'tapkarte-offline'
+const DB_VERSION = 1
+
+/** オブジェクトストア名 */
+export const STORES = {
+  DRAFTS: 'drafts',
+  CONVERSION_QUEUE: 'conversionQueue'
+}
+
+/**
+ * IndexedDBの読み書き
+ */
+export class OfflineStore {
+  constructor() {
+    /** @type {Promise<IDBDatabase>|null} */
+    this.dbPromise = null
+  }
+
+  /**
+   * IndexedDBが使えるか（プライベートブラウズなどでは使えない場合がある）
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined'
+  }
+
+  /**
+   * データベースを開く（初回はストアを作成）
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+        request.onupgradeneeded = () => {
+          const db = request.result
+          if (!db.objectStoreNames.contains(STORES.DRAFTS)) {
+            db.createObjectStore(STORES.DRAFTS, { keyPath: 'id' })
+          }
+          if (!db.objectStoreNames.contains(STORES.CONVERSION_QUEUE)) {
+            const queue = db.createObjectStore(STORES.CONVERSION_QUEUE, { keyPath: 'id', autoIncrement: true })
+            queue.createIndex('status', 'status')
+          }
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+      })
+
+      // 開けなかった場合は次回に再試行する
+      this.dbPromise.catch(() => {
+        this.dbPromise = null
+      })
+    }
+
+    return this.dbPromise
+  }
+
+  /**
+   * 1件取得
+   * @param {string} storeName - ストア名
+   * @param {IDBValidKey} key - キー
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(storeName, key) {
+    return this.request(storeName, 'readonly', store => store.get(key))
+  }
+
+  /**
+   * すべて取得（キーの昇順）
+   * @param {string} storeName - ストア名
+   * @returns {Promise<Object[]>}
+   */
+  async getAll(storeName) {
+    return this.request(storeName, 'readonly', store => store.getAll())
+  }
+
+  /**
+   * 保存（同じキーがあれば置き換え）
+   * @param {string} storeName - ストア名
+   * @param {Object} value - 保存する値
+   * @returns {Promise<IDBValidKey>} 保存したキー
+   */
+  async put(storeName, value) {
+    return this.request(storeName, 'readwrite', store => store.put(value))
+  }
+
+  /**
+   * 削除
+   * @param {string} storeName - ストア名
+   * @param {IDBValidKey} key - キー
+   * @returns {Promise<void>}
+   */
+  async delete(storeName, key) {
+    await this.request(storeName, 'readwrite', store => store.delete(key))
+  }
+
+  /**
+   * トランザクション内で1つのリクエストを実行し、完了を待つ
+   * @param {string} storeName - ストア名
+   * @param {IDBTransactionMode} mode - 読み取り専用か書き込みか
+   * @param {(store: IDBObjectStore) => IDBRequest} operation - 実行する操作
+   * @returns {Promise<any>} リクエストの結果
+   */
+  async request(storeName, mode, operation) {
+    const db = await this.open()
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode)
+      const request = operation(transaction.objectStore(storeName))
+
+      transaction.oncomplete = () => resolve(request.result)
+      transaction.onerror = () => reject(transaction.error)
+      transaction.onabort = () => reject(transaction.error)
+    })
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * タップカルテ - テキスト差分モジュール
+ * 機能: 生成案の比較・修正前後の比較用の文字単位の差分計算と表示
+ */
+
+/** LCS表の最大セル数（これを超える場合は共通の前後部分以外をまとめて置換扱いにする） */
+const MAX_DIFF_CELLS = 4000000
+
+/**
+ * 文字単位の差分を計算
+ * @param {string} before - 比較元のテキスト
+ * @param {string} after - 比較先のテキスト
+ * @returns {{type: 'equal'|'delete'|'insert', text: string}[]}
+ */
+export function diffChars(before, after) {
+  const a = Array.from(before || '')
+  const b = Array.from(after || '')
+
+  // 共通の先頭・末尾を除いてから比較する
+  let prefix = 0
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++
+  }
+  let suffix = 0
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix++
+  }
+
+  const middleA = a.slice(prefix, a.length - suffix)
+  const middleB = b.slice(prefix, b.length - suffix)
+
+  const parts = []
+  push(parts, 'equal', a.slice(0, prefix).join(''))
+
+  if ((middleA.length + 1) * (middleB.length + 1) > MAX_DIFF_CELLS) {
+    push(parts, 'delete', middleA.join(''))
+    push(parts, 'insert', middleB.join(''))
+  } else {
+    diffMiddle(middleA, middleB).forEach(part => push(parts, part.type, part.text))
+  }
+
+  push(parts, 'equal', a.slice(a.length - suffix).join(''))
+  return parts
+}
+
+/**
+ * 差分の片側（比較元または比較先）を強調表示した要素を作成
+ * @param {{type: string, text: string}[]} parts - diffChars の結果
+ * @param {'before'|'after'} side - 表示する側
+ * @returns {DocumentFragment}
+ */
+export function renderDiffSide(parts, side) {
+  const fragment = document.createDocumentFragment()
+  const hiddenType = side === 'before' ? 'insert' : 'delete'
+
+  parts.forEach(part => {
+    if (part.type === hiddenType) return
+
+    if (part.type === 'equal') {
+      fragment.appendChild(document.createTextNode(part.text))
+      return
+    }
+
+    const mark = document.createElement('span')
+    mark.className = part.type === 'insert'
+      ? 'bg-green-100 text-green-800'
+      : 'bg-red-100 text-red-800 line-through'
+    mark.textContent = part.text
+    fragment.appendChild(mark)
+  })
+
+  return fragment
+}
+
+/**
+ * 最長共通部分列（LCS）による差分
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{type: string, text: string}[]}
+ */
+function diffMiddle(a, b) {
+  const width = b.length + 1
+  const table = new Uint16Array((a.length + 1) * width)
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1])
+    }
+  }
+
+  const parts = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(parts, 'equal', a[i])
+      i++
+      j++
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      push(parts, 'delete', a[i])
+      i++
+    } else {
+      push(parts, 'insert', b[j])
+      j++
+    }
+  }
+  push(parts, 'delete', a.slice(i).join(''))
+  push(parts, 'insert', b.slice(j).join(''))
+
+  return parts
+}
+
+/**
+ * 同じ種類の差分が続く場合は連結して追加
+ * @param {{type: string, text: string}[]} parts
+ * @param {string} type
+ * @param {string} text
+ */
+function push(parts, type, text) {
+  if (!text) return
+
+  const last = parts[parts.length - 1]
+  if (last && last.type === type) {
+    last.text += text
+  } else {
+    parts.push({ type, text })
+  }
+}
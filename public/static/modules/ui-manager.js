@@ -55,6 +55,7 @@ export class UIManager {
         userAvatar: DOM.get('user-avatar'),
         modal: DOM.get('auth-modal'),
         loginForm: DOM.get('login-form'),
+        loginEmail: DOM.get('login-email'),
         loginPassword: DOM.get('login-password'),
         closeModal: DOM.get('close-modal'),
         errorMessage: DOM.get('login-error-message'),
@@ -252,7 +253,7 @@ export class UIManager {
   }
 
   /**
-   * 使用制限メッセージを表示
+   * 使用制限メッセージを表示（サーバーから取得した利用状況に基づく）
    * @param {string} message メッセージ
    * @param {boolean} isLimitReached 制限に達したかどうか
    */
@@ -280,9 +281,7 @@ export class UIManager {
           <div class="text-center">
             <p class="text-xs text-red-600">
               <i class="fas fa-info-circle mr-1"></i>
-              <strong>利用制限:</strong> 新規ユーザーは1日1回まで利用可能 
-              <i class="fas fa-key mx-1"></i>
-              ログインすると<strong>無制限で利用可能</strong>
+              <span class="usage-message"></span>
             </p>
           </div>
         `
@@ -291,13 +290,14 @@ export class UIManager {
           <div class="text-center">
             <p class="text-xs text-pink-600">
               <i class="fas fa-info-circle mr-1"></i>
-              <strong>利用制限:</strong> 新規ユーザーは1日1回まで利用可能 
-              <i class="fas fa-key mx-1"></i>
-              ログインすると<strong>無制限で利用可能</strong>
+              <strong>利用状況:</strong> <span class="usage-message"></span>
             </p>
           </div>
         `
       }
+
+      const messageEl = usageLimitMessage.querySelector('.usage-message')
+      if (messageEl) messageEl.textContent = message
     }
   }
 
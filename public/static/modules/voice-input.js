@@ -0,0 +1,285 @@
+/**
+ * タップカルテ - 音声入力モジュール
+ * 機能: ブラウザの音声認識（Web Speech API）で入力メモを口述し、書き起こしを医療用語辞書で補正
+ *
+ * 音声認識に対応していないブラウザでは、録音した音声を /api/ai/transcribe で書き起こす（ログイン時のみ）。
+ * どちらの場合も書き起こしは医療用語辞書で補正してから渡す（例: さちゅれーしょん → SpO2）
+ */
+
+import { APP_CONSTANTS } from './config.js'
+
+/** 音声入力の方式 */
+export const VOICE_INPUT_MODE = {
+  SPEECH: 'speech',
+  RECORDING: 'recording'
+}
+
+/** 音声入力の状態 */
+export const VOICE_INPUT_STATE = {
+  IDLE: 'idle',
+  LISTENING: 'listening',
+  PROCESSING: 'processing'
+}
+
+/** 録音の最大時間（超えたら自動で停止して書き起こす） */
+const MAX_RECORDING_MS = 3 * 60 * 1000
+
+/** 音声認識のエラーの表示メッセージ（no-speech・aborted は表示しない） */
+const SPEECH_ERROR_MESSAGES = {
+  'not-allowed': 'マイクの使用が許可されていません',
+  'service-not-allowed': 'マイクの使用が許可されていません',
+  'audio-capture': 'マイクが見つかりません',
+  network: '音声認識に接続できませんでした'
+}
+
+/**
+ * 音声入力
+ */
+export class VoiceInput {
+  /**
+   * @param {Object} handlers
+   * @param {() => Object} handlers.getAuthHeaders - 書き起こし・補正時の認証ヘッダー
+   * @param {(result: { text: string, rawText: string, corrections: Object[] }) => void} handlers.onTranscript - 補正済みの書き起こし
+   * @param {(text: string) => void} [handlers.onInterim] - 認識途中の書き起こし（音声認識のみ）
+   * @param {(state: string) => void} [handlers.onStateChange] - 状態の変化
+   * @param {(message: string) => void} [handlers.onError] - エラー
+   */
+  constructor(handlers) {
+    this.handlers = handlers
+    this.state = VOICE_INPUT_STATE.IDLE
+    this.mode = null
+    this.recognition = null
+    this.recorder = null
+    this.recordingTimer = null
+    /** @type {Promise<void>} 書き起こしを認識した順に渡すための処理の連結 */
+    this.pending = Promise.resolve()
+  }
+
+  /**
+   * 利用できる音声入力の方式
+   * @param {boolean} isLoggedIn - ログイン中か（録音の書き起こしはログイン時のみ）
+   * @returns {string|null}
+   */
+  static getMode(isLoggedIn) {
+    if (window.SpeechRecognition || window.webkitSpeechRecognition) {
+      return VOICE_INPUT_MODE.SPEECH
+    }
+    if (isLoggedIn && typeof MediaRecorder !== 'undefined' && navigator.mediaDevices?.getUserMedia) {
+      return VOICE_INPUT_MODE.RECORDING
+    }
+    return null
+  }
+
+  /**
+   * 音声入力の開始・停止を切り替え
+   * @param {boolean} isLoggedIn - ログイン中か
+   */
+  async toggle(isLoggedIn) {
+    if (this.state === VOICE_INPUT_STATE.LISTENING) {
+      this.stop()
+      return
+    }
+    if (this.state === VOICE_INPUT_STATE.PROCESSING) {
+      return
+    }
+
+    this.mode = VoiceInput.getMode(isLoggedIn)
+    if (this.mode === VOICE_INPUT_MODE.SPEECH) {
+      this.startRecognition()
+    } else if (this.mode === VOICE_INPUT_MODE.RECORDING) {
+      await this.startRecording()
+    } else {
+      this.handlers.onError?.('このブラウザは音声入力に対応していません（ログインすると録音した音声を書き起こせます）')
+    }
+  }
+
+  /**
+   * 音声入力を停止（録音の場合は書き起こしを開始）
+   */
+  stop() {
+    if (this.recognition) {
+      this.recognition.stop()
+    }
+    if (this.recorder && this.recorder.state !== 'inactive') {
+      this.recorder.stop()
+    }
+  }
+
+  // ========================================
+  // 🗣️ ブラウザの音声認識
+  // ========================================
+
+  /**
+   * 音声認識を開始
+   */
+  startRecognition() {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition
+    const recognition = new SpeechRecognition()
+    recognition.lang = 'ja-JP'
+    recognition.continuous = true
+    recognition.interimResults = true
+
+    recognition.onresult = (event) => {
+      let interim = ''
+      for (let index = event.resultIndex; index < event.results.length; index++) {
+        const result = event.results[index]
+        if (result.isFinal) {
+          this.emitTranscript(() => this.correct(result[0].transcript))
+        } else {
+          interim += result[0].transcript
+        }
+      }
+      this.handlers.onInterim?.(interim)
+    }
+
+    recognition.onerror = (event) => {
+      const message = SPEECH_ERROR_MESSAGES[event.error]
+      if (message) {
+        this.handlers.onError?.(message)
+      }
+    }
+
+    recognition.onend = () => {
+      this.recognition = null
+      this.handlers.onInterim?.('')
+      this.setState(VOICE_INPUT_STATE.IDLE)
+    }
+
+    this.recognition = recognition
+    recognition.start()
+    this.setState(VOICE_INPUT_STATE.LISTENING)
+  }
+
+  /**
+   * 書き起こしを医療用語辞書で補正（補正できない場合はそのまま返す）
+   * @param {string} text - 音声認識の結果
+   * @returns {Promise<{ text: string, rawText: string, corrections: Object[] }>}
+   */
+  async correct(text) {
+    const fallback = { text, rawText: text, corrections: [] }
+    if (!text.trim()) {
+      return fallback
+    }
+
+    try {
+      const response = await fetch(APP_CONSTANTS.API.ENDPOINTS.TRANSCRIBE_CORRECT, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...this.handlers.getAuthHeaders()
+        },
+        body: JSON.stringify({ text })
+      })
+      const result = await response.json()
+      return response.ok && result.success ? result.data : fallback
+    } catch (error) {
+      // オフラインなど（補正せずに入力する）
+      console.warn('[VoiceInput] Transcript correction failed:', error)
+      return fallback
+    }
+  }
+
+  // ========================================
+  // 🎙️ 録音した音声の書き起こし
+  // ========================================
+
+  /**
+   * 録音を開始
+   */
+  async startRecording() {
+    let stream
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true })
+    } catch (error) {
+      console.warn('[VoiceInput] Microphone access failed:', error)
+      this.handlers.onError?.('マイクの使用が許可されていません')
+      return
+    }
+
+    const recorder = new MediaRecorder(stream)
+    const chunks = []
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data)
+      }
+    }
+
+    recorder.onstop = () => {
+      clearTimeout(this.recordingTimer)
+      stream.getTracks().forEach(track => track.stop())
+      this.recorder = null
+
+      const audio = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' })
+      this.setState(VOICE_INPUT_STATE.PROCESSING)
+      this.emitTranscript(() => this.transcribe(audio))
+        .finally(() => this.setState(VOICE_INPUT_STATE.IDLE))
+    }
+
+    this.recorder = recorder
+    recorder.start()
+    this.recordingTimer = setTimeout(() => this.stop(), MAX_RECORDING_MS)
+    this.setState(VOICE_INPUT_STATE.LISTENING)
+  }
+
+  /**
+   * 録音した音声をサーバーで書き起こす
+   * @param {Blob} audio - 録音した音声
+   * @returns {Promise<{ text: string, rawText: string, corrections: Object[] }|null>} 書き起こせなかった場合は null
+   */
+  async transcribe(audio) {
+    const form = new FormData()
+    form.append('audio', audio, 'memo')
+
+    try {
+      const response = await fetch(APP_CONSTANTS.API.ENDPOINTS.TRANSCRIBE, {
+        method: 'POST',
+        headers: this.handlers.getAuthHeaders(),
+        body: form
+      })
+      const result = await response.json().catch(() => ({}))
+      if (response.ok && result.success) {
+        return result.data
+      }
+
+      this.handlers.onError?.(result.error || '音声の文字起こしに失敗しました')
+      return null
+    } catch (error) {
+      console.warn('[VoiceInput] Transcription failed:', error)
+      this.handlers.onError?.('音声の文字起こしに接続できませんでした')
+      return null
+    }
+  }
+
+  // ========================================
+  // 🔧 ヘルパー関数
+  // ========================================
+
+  /**
+   * 書き起こしを認識した順に渡す（補正の通信が前後しても順番を保つ）
+   * @param {() => Promise<Object|null>} produce - 書き起こしを作成する処理
+   * @returns {Promise<void>}
+   */
+  emitTranscript(produce) {
+    const result = produce()
+    this.pending = this.pending
+      .then(() => result)
+      .then(transcript => {
+        if (transcript?.text) {
+          this.handlers.onTranscript(transcript)
+        }
+      })
+      .catch(error => console.warn('[VoiceInput] Transcript handling failed:', error))
+
+    return this.pending
+  }
+
+  /**
+   * 状態を変更して通知
+   * @param {string} state - 音声入力の状態
+   */
+  setState(state) {
+    this.state = state
+    this.handlers.onStateChange?.(state)
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * タップカルテ - Service Worker
+ * 機能: アプリ本体（画面・/static/* の資産・CDNのスタイル）をキャッシュし、オフラインでも画面を開けるようにする
+ *
+ * 画面と /static/* はネットワークを優先し、取得できない場合のみキャッシュを返す（更新後に古い資産を使い続けない）。
+ * /api/* は記録本文などを含むためキャッシュしない
+ */
+
+const CACHE_VERSION = 'v3'
+const SHELL_CACHE = `tapkarte-shell-${CACHE_VERSION}`
+const CDN_CACHE = `tapkarte-cdn-${CACHE_VERSION}`
+
+/** インストール時に取得するアプリ本体 */
+const SHELL_ASSETS = [
+  '/',
+  '/manifest.json',
+  '/static/style.css',
+  '/static/app-dashboard.js',
+  '/static/modules/config.js',
+  '/static/modules/text-diff.js',
+  '/static/modules/usage-manager.js',
+  '/static/modules/offline-store.js',
+  '/static/modules/conversion-queue.js',
+  '/static/modules/draft-manager.js',
+  '/static/modules/voice-input.js'
+]
+
+/** 画面の表示に必要なCDN（キャッシュを優先） */
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net']
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  // 古いバージョンのキャッシュを削除
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('tapkarte-') && key !== SHELL_CACHE && key !== CDN_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request
+  if (request.method !== 'GET') {
+    return
+  }
+
+  const url = new URL(request.url)
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith('/api/')) {
+      return
+    }
+
+    if (request.mode === 'navigate') {
+      // オフラインでキャッシュにないパスを開いた場合はアプリ本体を返す
+      event.respondWith(networkFirst(request, '/'))
+    } else if (url.pathname.startsWith('/static/') || SHELL_ASSETS.includes(url.pathname)) {
+      event.respondWith(networkFirst(request))
+    }
+    return
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request))
+  }
+})
+
+/**
+ * ネットワークを優先し、取得できた場合はキャッシュを更新する
+ * @param {Request} request
+ * @param {string} [fallbackPath] - キャッシュにない場合に返すパス
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, fallbackPath) {
+  const cache = await caches.open(SHELL_CACHE)
+
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      cache.put(request, response.clone())
+    }
+    return response
+  } catch (error) {
+    // クエリだけが異なる場合は同じ画面・資産を返す
+    const cached = await cache.match(request, { ignoreSearch: true }) ||
+      (fallbackPath ? await cache.match(fallbackPath) : undefined)
+    if (cached) {
+      return cached
+    }
+    throw error
+  }
+}
+
+/**
+ * キャッシュを優先し、ない場合のみ取得してキャッシュする（バージョン付きURLのCDN用）
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CDN_CACHE)
+  const cached = await cache.match(request)
+  if (cached) {
+    return cached
+  }
+
+  const response = await fetch(request)
+  // <script> などで読み込んだCDNの応答は不透明（opaque）のため、ステータスを確認できない場合もキャッシュする
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone())
+  }
+  return response
+}
@@ -1,6 +1,7 @@
 // 認証関連のユーティリティ
 import { sign, verify } from 'hono/jwt'
 import bcrypt from 'bcryptjs'
+import type { User as ApiUser } from './types'
 
 // JWT設定
 export const JWT_EXPIRES_IN = 60 * 60 * 24 * 7 // 7日間
@@ -32,6 +33,8 @@ export interface CreateUserData {
 export interface JwtPayload {
   userId: number
   email: string
+  /** user_sessions.session_token（サーバー側で失効可能なセッションID） */
+  sid?: string
   exp: number
   iat: number
 }
@@ -48,12 +51,13 @@ export async function verifyPassword(password: string, hashedPassword: string):
 }
 
 // JWTトークン生成
-export async function generateJWT(user: User, secret?: string): Promise<string> {
+export async function generateJWT(user: User, secret?: string, sessionId?: string): Promise<string> {
   const jwtSecret = secret || 'fallback-jwt-secret'
   console.log('[JWT] Generating token with secret length:', jwtSecret.length)
   const payload: JwtPayload = {
     userId: user.id,
     email: user.email,
+    ...(sessionId && { sid: sessionId }),
     exp: Math.floor(Date.now() / 1000) + JWT_EXPIRES_IN,
     iat: Math.floor(Date.now() / 1000)
   }
@@ -158,7 +162,7 @@ export async function getSessionFromRequest(c: any, secret?: string): Promise<Se
   }
 }
 
-// Google OAuth検証（後で実装）
+// Google IDトークンのクレーム
 export interface GoogleTokenInfo {
   sub: string // Google user ID
   email: string
@@ -167,32 +171,256 @@ export interface GoogleTokenInfo {
   email_verified: boolean
 }
 
-export async function verifyGoogleToken(token: string): Promise<GoogleTokenInfo | null> {
+// Google IDトークンの検証
+// トークンエンドポイントからTLSで直接受け取ったIDトークンのみを渡す（OpenID Connect Core 3.1.3.7 により署名検証を省略し、
+// 発行者・対象クライアント・有効期限・nonce を検証する）
+export function verifyGoogleToken(
+  idToken: string,
+  options: { clientId: string; nonce: string; issuers: readonly string[] }
+): GoogleTokenInfo | null {
   try {
-    // Google Token Info APIを使用してトークンを検証
-    const response = await fetch(`https://www.googleapis.com/oauth2/v1/tokeninfo?access_token=${token}`)
-    
-    if (!response.ok) {
+    const [, payloadPart] = idToken.split('.')
+    if (!payloadPart) {
       return null
     }
-    
-    const tokenInfo = await response.json()
-    
+
+    const base64 = payloadPart.replace(/-/g, '+').replace(/_/g, '/')
+    const json = new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)))
+    const claims = JSON.parse(json)
+
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+    if (
+      !options.issuers.includes(claims.iss) ||
+      !audience.includes(options.clientId) ||
+      typeof claims.exp !== 'number' || claims.exp < Math.floor(Date.now() / 1000) ||
+      claims.nonce !== options.nonce
+    ) {
+      return null
+    }
+
     // 必要な情報が含まれているか確認
-    if (!tokenInfo.sub || !tokenInfo.email) {
+    if (typeof claims.sub !== 'string' || !claims.sub || typeof claims.email !== 'string' || !claims.email) {
       return null
     }
-    
+
     return {
-      sub: tokenInfo.sub,
-      email: tokenInfo.email,
-      name: tokenInfo.name || tokenInfo.email.split('@')[0],
-      picture: tokenInfo.picture,
-      email_verified: tokenInfo.email_verified === 'true'
+      sub: claims.sub,
+      email: claims.email.trim().toLowerCase(),
+      name: typeof claims.name === 'string' && claims.name ? claims.name : claims.email.split('@')[0],
+      picture: typeof claims.picture === 'string' ? claims.picture : undefined,
+      email_verified: claims.email_verified === true || claims.email_verified === 'true'
     }
-    
+
   } catch (error) {
     console.error('Google token verification failed:', error)
     return null
   }
-}
\ No newline at end of file
+}
+
+// ユーザー・セッションのデータベース操作（usersテーブル / user_sessionsテーブル）
+
+// usersテーブルの行型
+export interface UserRow extends Omit<User, 'email_verified'> {
+  password_hash: string | null
+  email_verified: number | boolean
+  is_active: number | boolean
+}
+
+// セッション作成時のクライアント情報
+export interface SessionClientInfo {
+  ipAddress?: string
+  userAgent?: string
+}
+
+// 認証済みセッション
+export interface AuthenticatedSession {
+  user: User
+  sessionId: string
+}
+
+// DB行をUser型に変換（パスワードハッシュを除外）
+export function toUser(row: UserRow): User {
+  return {
+    id: row.id,
+    email: row.email,
+    display_name: row.display_name,
+    profile_image: row.profile_image || undefined,
+    auth_provider: row.auth_provider,
+    google_id: row.google_id || undefined,
+    email_verified: !!row.email_verified,
+    created_at: row.created_at,
+    last_login_at: row.last_login_at || undefined
+  }
+}
+
+// メールアドレスでユーザーを検索（パスワードハッシュを含む）
+export async function findUserByEmail(db: D1Database, email: string): Promise<UserRow | null> {
+  return await db.prepare('SELECT * FROM users WHERE email = ?')
+    .bind(email.trim().toLowerCase())
+    .first<UserRow>()
+}
+
+// GoogleアカウントのIDでユーザーを検索
+export async function findUserByGoogleId(db: D1Database, googleId: string): Promise<UserRow | null> {
+  return await db.prepare('SELECT * FROM users WHERE google_id = ?')
+    .bind(googleId)
+    .first<UserRow>()
+}
+
+// IDでユーザーを検索
+export async function findUserById(db: D1Database, id: number): Promise<User | null> {
+  const row = await db.prepare('SELECT * FROM users WHERE id = ? AND is_active = 1')
+    .bind(id)
+    .first<UserRow>()
+  return row ? toUser(row) : null
+}
+
+// ユーザー作成
+export async function createUser(db: D1Database, data: CreateUserData): Promise<User> {
+  const passwordHash = data.password ? await hashPassword(data.password) : null
+  const now = new Date().toISOString()
+
+  const row = await db.prepare(`
+    INSERT INTO users (
+      email, password_hash, display_name, profile_image,
+      auth_provider, google_id, email_verified, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `).bind(
+    data.email.trim().toLowerCase(),
+    passwordHash,
+    data.display_name,
+    data.profile_image || null,
+    data.auth_provider,
+    data.google_id || null,
+    data.email_verified ? 1 : 0,
+    now,
+    now
+  ).first<UserRow>()
+
+  if (!row) {
+    throw new Error('User creation failed')
+  }
+
+  return toUser(row)
+}
+
+// 既存ユーザーにGoogleアカウントを連携（別のユーザーに連携済みのGoogleアカウントは連携しない）
+// パスワードが未設定のユーザーでなければ auth_provider は変更せず、パスワードでも引き続きログインできる
+export async function linkGoogleAccount(db: D1Database, userId: number, google: GoogleTokenInfo): Promise<User | null> {
+  const row = await db.prepare(`
+    UPDATE users
+    SET google_id = ?,
+      profile_image = COALESCE(profile_image, ?),
+      email_verified = CASE WHEN email = ? AND ? THEN 1 ELSE email_verified END,
+      updated_at = ?
+    WHERE id = ? AND (google_id IS NULL OR google_id = ?)
+      AND NOT EXISTS (SELECT 1 FROM users other WHERE other.google_id = ? AND other.id != ?)
+    RETURNING *
+  `).bind(
+    google.sub,
+    google.picture || null,
+    google.email,
+    google.email_verified ? 1 : 0,
+    new Date().toISOString(),
+    userId,
+    google.sub,
+    google.sub,
+    userId
+  ).first<UserRow>()
+
+  return row ? toUser(row) : null
+}
+
+// Googleアカウントの連携を解除（パスワードが設定されているユーザーのみ。ログイン手段がなくなるため）
+export async function unlinkGoogleAccount(db: D1Database, userId: number): Promise<boolean> {
+  const result = await db.prepare(`
+    UPDATE users SET google_id = NULL, auth_provider = 'email', updated_at = ?
+    WHERE id = ? AND google_id IS NOT NULL AND password_hash IS NOT NULL
+  `).bind(new Date().toISOString(), userId).run()
+
+  return (result.meta.changes || 0) > 0
+}
+
+// APIレスポンス用のユーザー情報に変換
+export function toApiUser(user: User): ApiUser {
+  return {
+    id: String(user.id),
+    name: user.display_name,
+    email: user.email,
+    picture: user.profile_image
+  }
+}
+
+// セッション作成（user_sessionsに保存し、セッションIDを含むJWTを発行）
+export async function createUserSession(
+  db: D1Database,
+  user: User,
+  secret: string,
+  client: SessionClientInfo = {}
+): Promise<string> {
+  const sessionId = crypto.randomUUID()
+  const expiresAt = new Date(Date.now() + JWT_EXPIRES_IN * 1000).toISOString()
+
+  await db.prepare(`
+    INSERT INTO user_sessions (user_id, session_token, expires_at, ip_address, user_agent, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).bind(
+    user.id,
+    sessionId,
+    expiresAt,
+    client.ipAddress || null,
+    client.userAgent?.substring(0, 200) || null,
+    new Date().toISOString()
+  ).run()
+
+  await db.prepare('UPDATE users SET last_login_at = ?, updated_at = ? WHERE id = ?')
+    .bind(new Date().toISOString(), new Date().toISOString(), user.id)
+    .run()
+
+  return await generateJWT(user, secret, sessionId)
+}
+
+// JWTとuser_sessionsの両方でセッションを検証
+export async function validateUserSession(
+  db: D1Database,
+  token: string,
+  secret: string
+): Promise<AuthenticatedSession | null> {
+  const payload = await verifyJWT(token, secret)
+  if (!payload || !payload.sid) {
+    return null
+  }
+
+  const session = await db.prepare(`
+    SELECT user_id FROM user_sessions
+    WHERE session_token = ? AND expires_at > ?
+  `).bind(payload.sid, new Date().toISOString()).first<{ user_id: number }>()
+
+  // 失効済み・期限切れ・別ユーザーのセッションは拒否
+  if (!session || session.user_id !== payload.userId) {
+    return null
+  }
+
+  const user = await findUserById(db, session.user_id)
+  if (!user) {
+    return null
+  }
+
+  return { user, sessionId: payload.sid }
+}
+
+// セッションを失効（ログアウト）
+export async function revokeUserSession(db: D1Database, sessionId: string): Promise<void> {
+  await db.prepare('DELETE FROM user_sessions WHERE session_token = ?')
+    .bind(sessionId)
+    .run()
+}
+
+// ユーザーの全セッションを失効
+export async function revokeAllUserSessions(db: D1Database, userId: number): Promise<number> {
+  const result = await db.prepare('DELETE FROM user_sessions WHERE user_id = ?')
+    .bind(userId)
+    .run()
+  return result.meta.changes || 0
+}
@@ -117,8 +117,189 @@ export const AI_CONFIG = {
   /** 入力最大文字数 */
   maxInputLength: 50000,
   
-  /** タイムアウト（ミリ秒） */
-  timeout: 30000
+  /** タイムアウト（ミリ秒・プロバイダーごとに適用） */
+  timeout: 30000,
+  
+  /** 1回の変換で生成できる最大案数 */
+  maxVariants: 3,
+  
+  /** 修正指示の最大文字数 */
+  maxRefineInstructionLength: 200,
+
+  /** 修正する生成結果の最大文字数（月次報告書・SOAP形式の見出しを含めても収まる長さ） */
+  maxRefinePreviousResultLength: 5000,
+  
+  /** AIプロバイダー設定 */
+  providers: {
+    /** フォールバック順（環境変数 AI_PROVIDERS で上書き可能） */
+    defaultOrder: ['gemini', 'anthropic'] as const,
+    /** Anthropic Claudeのモデル */
+    anthropicModel: 'claude-3-5-haiku-20241022',
+    /** Anthropic Claudeの最大出力トークン数 */
+    anthropicMaxTokens: 2048
+  }
+} as const
+
+/** 音声入力（音声ファイルの文字起こし）設定 */
+export const TRANSCRIPTION_CONFIG = {
+  /** 音声ファイルの最大サイズ（バイト・Geminiのインライン送信の上限より小さくする） */
+  maxAudioBytes: 10 * 1024 * 1024,
+
+  /** 受け付ける音声形式（ブラウザの録音形式: Chrome=webm、Firefox=ogg、Safari=mp4） */
+  allowedMimeTypes: ['audio/webm', 'audio/ogg', 'audio/mp4', 'audio/mpeg', 'audio/wav', 'audio/x-wav', 'audio/aac', 'audio/flac'],
+
+  /** 書き起こしのタイムアウト（ミリ秒） */
+  timeout: 60000,
+
+  /** 補正する書き起こしの最大文字数（ブラウザの音声認識の結果） */
+  maxTextLength: 5000
+} as const
+
+/** ユーザー辞書設定 */
+export const DICTIONARY_CONFIG = {
+  /** 1ユーザーあたりの最大登録数 */
+  maxEntriesPerUser: 500,
+
+  /** 用語の最大文字数 */
+  maxTermLength: 50,
+
+  /** 意味・説明の最大文字数 */
+  maxMeaningLength: 200
+} as const
+
+/** 記録テンプレート設定 */
+export const TEMPLATE_CONFIG = {
+  /** 1ユーザーあたりの最大作成数 */
+  maxTemplatesPerUser: 100,
+
+  /** 1回の変換で指定できる最大テンプレート数 */
+  maxTemplatesPerRequest: 10,
+
+  /** テンプレート名の最大文字数 */
+  maxNameLength: 50,
+
+  /** 説明の最大文字数 */
+  maxDescriptionLength: 200,
+
+  /** 構成・観察項目・表現例それぞれの最大件数 */
+  maxItems: 10,
+
+  /** 構成・観察項目・表現例1件あたりの最大文字数 */
+  maxItemLength: 200
+} as const
+
+/** 利用者プロフィール設定 */
+export const PATIENT_CONFIG = {
+  /** 利用者コードの最大文字数 */
+  maxCodeLength: 20,
+
+  /** 組織（未所属の場合は個人）あたりの最大登録数 */
+  maxPatients: 500,
+
+  /** 診断名・ケア目標それぞれの最大件数 */
+  maxItems: 10,
+
+  /** 診断名・ケア目標1件あたりの最大文字数 */
+  maxItemLength: 100,
+
+  /** 平常時のバイタルの最大文字数 */
+  maxVitalsLength: 200,
+
+  /** 留意事項の最大文字数 */
+  maxNotesLength: 500,
+
+  /** 選択できる要介護度 */
+  careLevels: [
+    '要支援1', '要支援2',
+    '要介護1', '要介護2', '要介護3', '要介護4', '要介護5',
+    '事業対象者', '非該当', '申請中'
+  ]
+} as const
+
+/** 月次の訪問看護報告書設定 */
+export const MONTHLY_REPORT_CONFIG = {
+  /** 集計できる最大日数 */
+  maxRangeDays: 62,
+
+  /** 集計できる最大履歴件数 */
+  maxRecords: 100,
+
+  /** AIへ送る履歴本文の合計最大文字数 */
+  maxSourceLength: 30000,
+
+  /** デフォルト文字数制限 */
+  defaultCharLimit: 1200,
+
+  /** 最大文字数制限 */
+  maxCharLimit: 2000
+} as const
+
+/** 履歴の書き出し設定 */
+export const EXPORT_CONFIG = {
+  /** 書き出し形式 */
+  formats: ['pdf', 'docx', 'csv', 'txt'],
+
+  /** レイアウトのプリセット（未指定時は報告書を report、それ以外を visit で書き出す） */
+  layouts: ['visit', 'report', 'plain'],
+
+  /** 一括書き出しの最大件数 */
+  maxRecords: 200,
+
+  /** 備考欄など、空欄でも確保する行数 */
+  blankSectionLines: 3
+} as const
+
+/** 監査ログ設定 */
+export const AUDIT_CONFIG = {
+  /** 一覧の1ページあたりの件数 */
+  pageLimit: { default: 50, max: 200 },
+
+  /** CSV書き出しの最大件数 */
+  maxExportRows: 10000
+} as const
+
+/**
+ * 利用回数制限（1日あたりのAI変換回数）
+ * 日付の区切りは日本時間の0時。null は無制限
+ */
+export const QUOTA_CONFIG = {
+  /** プランごとの1日の上限 */
+  dailyLimits: {
+    guest: 3,
+    free: 30,
+    pro: null
+  },
+
+  /** 未ログインユーザーの同一IPあたりの上限（同じ回線の複数端末を考慮して多めに設定） */
+  guestDailyLimitPerIp: 30,
+
+  /** 未ログインユーザーを識別する署名付きCookie */
+  guestCookieName: 'tapkarte_guest',
+  guestCookieMaxAge: 60 * 60 * 24 * 365,
+
+  /** 日付の区切りに使うタイムゾーン（UTCからの時差・分） */
+  timezoneOffsetMinutes: 9 * 60,
+
+  /** 管理者が設定できる組織全体の1日の上限の最大値 */
+  maxOrganizationDailyLimit: 10000
+} as const
+
+/** 組織（事業所）設定 */
+export const ORGANIZATION_CONFIG = {
+  /** 組織名の最大文字数 */
+  maxNameLength: 100,
+
+  /** 1組織あたりの最大メンバー数 */
+  maxMembers: 100,
+
+  /** 招待の有効期限（日） */
+  invitationExpiryDays: 7,
+
+  /** 1組織あたりの未承諾の招待の最大数 */
+  maxPendingInvitations: 50,
+
+  /** 組織の共有辞書の最大登録数 */
+  maxDictionaryEntries: 1000
 } as const
 
 // ========================================
@@ -150,13 +331,16 @@ export const SECURITY_CONFIG = {
     maxConcurrentRequests: ENVIRONMENT_INFO.isDevelopment ? 2 : 10
   },
   
-  /** 個人情報検出パターン（医療特化） */
+  /**
+   * 個人情報検出パターン（医療特化）
+   * 氏名・電話番号・住所などはAI送信前に匿名化されるため（src/services/deidentify.ts）、
+   * 入力検証では匿名化後のテキストに残ったものだけを検出する
+   */
   personalInfoPatterns: [
     /\d{4}-\d{4}-\d{4}-\d{4}/, // クレジットカード番号
     /\d{3}-\d{4}-\d{4}/, // 電話番号
     /〒\d{3}-\d{4}/, // 郵便番号
-    /患者.*?[田中佐藤鈴木高橋田邉渡辺伊藤山本中村小林加藤吉田山田松本井上木村林斎藤清水山崎阿部森池田橋本山口石川小川中島前田藤田岡田長谷川村上近藤石井齊藤坂本遠藤青木櫻井武田山下野口松井千葉岩田豊田原田中野小野田村竹内和田中山石田上田森田原小島酒井宮崎梅田太田藤井中川村井千原松尾北村]/, // 患者名（一般的な姓）
-    /\d{4}年\d{1,2}月\d{1,2}日.*?生/, // 生年月日
+    /\d{4}年\d{1,2}月\d{1,2}日\s*生(?!活)/, // 生年月日
     /保険証.*?\d{8}/, // 保険証番号
   ],
   
@@ -175,6 +359,105 @@ export const SECURITY_CONFIG = {
   }
 } as const
 
+/** データ保持ポリシー設定（組織ごとに変更でき、未所属ユーザー・未ログインの履歴は既定値を使う） */
+export const RETENTION_CONFIG = {
+  /** 既定のポリシー */
+  defaults: {
+    /** 履歴（nursing_records）の保持日数 */
+    recordRetentionDays: 365,
+    /** 保持期間を過ぎた履歴の扱い（anonymize: 本文を消去し統計項目のみ残す / purge: 削除） */
+    recordAction: 'anonymize' as const,
+    /** 監査ログ（security_logs）の保持日数（開発環境でも組織が設定できる下限に合わせる） */
+    logRetentionDays: 90
+  },
+
+  /** 組織が設定できる履歴の保持日数 */
+  recordRetentionDays: { min: 7, max: 3650 },
+
+  /** 組織が設定できる監査ログの保持日数 */
+  logRetentionDays: { min: 90, max: 3650 },
+
+  /** 期限切れのセッションを削除するまでの日数 */
+  sessionGraceDays: 7,
+
+  /** 1回の実行で対象ごとに処理する最大件数（残りは次回の実行で処理する） */
+  batchSize: 1000
+} as const
+
+/** Googleログイン（OAuth 2.0 認可コードフロー + PKCE）設定 */
+export const GOOGLE_OAUTH_CONFIG = {
+  authorizationEndpoint: 'https://accounts.google.com/o/oauth2/v2/auth',
+  /** GOOGLE_TOKEN_ENDPOINT でローカルのスタブに差し替えられる */
+  tokenEndpoint: 'https://oauth2.googleapis.com/token',
+  scope: 'openid email profile',
+  /** IDトークンの発行者 */
+  issuers: ['https://accounts.google.com', 'accounts.google.com'],
+
+  /** state・PKCE の code_verifier・nonce を保存する署名付きCookie */
+  stateCookieName: 'tapkarte_oauth',
+  /** 認可画面から戻るまでの有効期限（秒） */
+  stateMaxAge: 10 * 60,
+
+  /** トークンエンドポイントのタイムアウト（ミリ秒） */
+  tokenTimeoutMs: 10000
+} as const
+
+/** 履歴本文の暗号化設定（src/services/record-encryption.ts） */
+export const RECORD_ENCRYPTION_CONFIG = {
+  /** 1回の定期実行で暗号化・再暗号化する最大件数（残りは次回の実行で処理する） */
+  migrationBatchSize: 500,
+
+  /** キーワード検索で復号して照合する最大件数（新しい順。本文は暗号化されているためDBでは検索できない） */
+  searchScanLimit: 2000
+} as const
+
+/** 下書き設定（src/services/drafts.ts） */
+export const DRAFT_CONFIG = {
+  /** 1ユーザーあたりの最大保存数（サーバーに同期する下書き） */
+  maxDraftsPerUser: 50,
+
+  /** 下書きIDの形式（端末で発行したUUIDなど） */
+  idPattern: /^[A-Za-z0-9_-]{8,64}$/
+} as const
+
+/**
+ * バイタルサインの判定設定（src/services/vitals.ts）
+ * low 未満は低値、high を超えると高値とする（訪問看護で主治医への報告を検討する目安）
+ */
+export const VITALS_CONFIG = {
+  thresholds: {
+    /** 体温（℃） */
+    temperature: { low: 35.5, high: 37.5 },
+    /** 収縮期血圧（mmHg） */
+    systolic: { low: 90, high: 160 },
+    /** 拡張期血圧（mmHg） */
+    diastolic: { low: 40, high: 100 },
+    /** 脈拍（回/分） */
+    pulse: { low: 50, high: 100 },
+    /** 呼吸数（回/分） */
+    respiration: { low: 12, high: 24 },
+    /** SpO2（%） */
+    spo2: { low: 93, high: 100 },
+    /** 血糖値（mg/dL） */
+    bloodGlucose: { low: 70, high: 200 }
+  }
+} as const
+
+/** 注意所見（レッドフラグ）の検出設定（src/services/red-flags.ts） */
+export const RED_FLAG_CONFIG = {
+  /** 組織で追加できる最大ルール数 */
+  maxCustomRules: 30,
+
+  /** 1ルールあたりの最大用語数 */
+  maxTermsPerRule: 20,
+
+  /** 表示名の最大文字数 */
+  maxLabelLength: 50,
+
+  /** 用語の最大文字数 */
+  maxTermLength: 50
+} as const
+
 // ========================================
 // 🎨 UI設定
 // ========================================
@@ -238,10 +521,24 @@ export const DEBUG_CONFIG = {
  */
 export const getEnvironmentVariables = (env?: CloudflareBindings) => ({
   GEMINI_API_KEY: env?.GEMINI_API_KEY || 'test_gemini_key',
+  ANTHROPIC_API_KEY: env?.ANTHROPIC_API_KEY || 'test_anthropic_key',
+  AI_PROVIDERS: env?.AI_PROVIDERS || '',
+  TRANSCRIPTION_PROVIDER: env?.TRANSCRIPTION_PROVIDER || '',
   JWT_SECRET: env?.JWT_SECRET || 'default-secret-key',
-  GOOGLE_CLIENT_ID: env?.GOOGLE_CLIENT_ID || 'test_google_client_id'
+  GOOGLE_CLIENT_ID: env?.GOOGLE_CLIENT_ID || 'test_google_client_id',
+  GOOGLE_CLIENT_SECRET: env?.GOOGLE_CLIENT_SECRET || '',
+  GOOGLE_TOKEN_ENDPOINT: env?.GOOGLE_TOKEN_ENDPOINT || GOOGLE_OAUTH_CONFIG.tokenEndpoint
 })
 
+/**
+ * APIキーが実際に設定されているか（テスト用のダミー値でないか）を判定
+ * @param key APIキー
+ * @returns 設定済みかどうか
+ */
+export const isConfiguredApiKey = (key?: string): boolean => {
+  return !!key && !key.startsWith('test_')
+}
+
 /**
  * 必要な環境変数が設定されているかチェック
  * @param env Cloudflare環境変数
@@ -251,21 +548,33 @@ export const validateEnvironmentVariables = (env?: CloudflareBindings) => {
   const vars = getEnvironmentVariables(env)
   
   const issues: string[] = []
+  const warnings: string[] = []
   
   // 本番環境での必須チェック
   if (!APP_CONFIG.isDevelopment) {
-    if (!vars.GEMINI_API_KEY || vars.GEMINI_API_KEY === 'test_gemini_key') {
-      issues.push('GEMINI_API_KEY is not configured for production')
+    // いずれかのAIプロバイダーが利用可能であればよい（モックは明示指定時のみ）
+    const hasAIProvider = isConfiguredApiKey(vars.GEMINI_API_KEY) ||
+      isConfiguredApiKey(vars.ANTHROPIC_API_KEY) ||
+      /\bmock\b/i.test(vars.AI_PROVIDERS)
+    
+    if (!hasAIProvider) {
+      issues.push('No AI provider API key (GEMINI_API_KEY / ANTHROPIC_API_KEY) is configured for production')
     }
     
     if (!vars.JWT_SECRET || vars.JWT_SECRET === 'default-secret-key') {
       issues.push('JWT_SECRET is not configured for production')
     }
+
+    // 暗号化シークレットは変換の可否に関わらないため警告のみ（未設定の間は平文で保存する）
+    if (!env?.RECORD_ENCRYPTION_SECRET) {
+      warnings.push('RECORD_ENCRYPTION_SECRET is not configured for production (records are stored in plaintext)')
+    }
   }
   
   return {
     isValid: issues.length === 0,
     issues,
+    warnings,
     variables: vars
   }
 }
@@ -286,12 +595,18 @@ export const logConfigurationSummary = (env?: CloudflareBindings) => {
   console.log(`📱 アプリ: ${APP_CONFIG.name} v${APP_CONFIG.version}`)
   console.log(`🌍 環境: ${APP_CONFIG.environment}`)
   console.log(`🤖 AIモデル: ${AI_CONFIG.model}`)
+  console.log(`🔁 AIプロバイダー順: ${validation.variables.AI_PROVIDERS || AI_CONFIG.providers.defaultOrder.join(',')}`)
   console.log(`⚙️ 設定状態: ${validation.isValid ? '✅ 正常' : '⚠️ 要確認'}`)
   
   if (!validation.isValid) {
     console.warn('🚨 設定の問題:')
     validation.issues.forEach(issue => console.warn(`  - ${issue}`))
   }
+
+  if (validation.warnings.length > 0) {
+    console.warn('⚠️ 設定の警告:')
+    validation.warnings.forEach(warning => console.warn(`  - ${warning}`))
+  }
   
   console.log('═'.repeat(40))
 }
\ No newline at end of file
@@ -61,7 +61,7 @@ app.use('*', performanceMonitoring())
 app.use('/api/*', optionalAuth())
 
 // レート制限（APIルートのみ）
-app.use('/api/*', rateLimit(60000, 50)) // 1分間に50リクエスト
+app.use('/api/*', rateLimit('api'))
 
 // エラーハンドリング
 app.use('*', errorHandler())
@@ -11,7 +11,7 @@ import { serveStatic } from 'hono/cloudflare-workers'
 import type { CloudflareBindings } from './types'
 
 // 設定・ユーティリティ
-import { APP_CONFIG, logConfigurationSummary } from './config'
+import { APP_CONFIG, QUOTA_CONFIG, PATIENT_CONFIG, DRAFT_CONFIG, logConfigurationSummary } from './config'
 import { logger } from './utils'
 
 // ミドルウェア
@@ -22,7 +22,9 @@ import {
   requestLogging,
   performanceMonitoring,
   enhancedAuth,
+  requireAuth,
   optionalAuth,
+  organizationAuth,
   errorHandler,
   notFoundHandler,
   rateLimit,
@@ -33,6 +35,18 @@ import {
 import { ai } from './routes/ai'
 import { auth } from './routes/auth'
 import { monitoring } from './routes/monitoring'
+import { records } from './routes/records'
+import { dictionary } from './routes/dictionary'
+import { templates } from './routes/templates'
+import { usage } from './routes/usage'
+import { organizations } from './routes/organizations'
+import { patients } from './routes/patients'
+import { audit } from './routes/audit'
+import { drafts } from './routes/drafts'
+
+// 組み込みテンプレート
+import { builtInTemplates } from './record-templates'
+import type { TemplateProfession } from './types'
 
 // レンダラー
 import { renderer } from './renderer'
@@ -60,14 +74,18 @@ app.use('/api/*', inputValidation())
 app.use('*', requestLogging())
 app.use('*', performanceMonitoring())
 
-// 強化された認証ミドルウェア（セッションフィンガープリンティング対応）
+// セッション認証ミドルウェア（user_sessionsテーブルで失効を確認）
 app.use('/api/*', enhancedAuth())
 
 // 後方互換性のための従来認証（フォールバック）
 app.use('/api/legacy/*', optionalAuth())
 
-// レート制限（APIルートのみ）
-app.use('/api/*', rateLimit(60000, 50)) // 1分間に50リクエスト
+// レート制限（APIルートのみ・ログイン/登録はより厳しいポリシーを追加で適用）
+app.use('/api/*', rateLimit('api'))
+app.use('/api/auth/login', rateLimit('auth'))
+app.use('/api/auth/register', rateLimit('auth'))
+app.use('/api/auth/demo-login', rateLimit('auth'))
+app.use('/api/auth/google/callback', rateLimit('auth'))
 
 // エラーハンドリング
 app.use('*', errorHandler())
@@ -80,12 +98,15 @@ app.use('*', errorHandler())
 app.use('/static/*', serveStatic({ root: './public' }))
 app.use('/manifest.json', serveStatic({ root: './public' }))
 app.use('/favicon.ico', serveStatic({ root: './public' }))
+app.use('/sw.js', serveStatic({ root: './public' }))
 
 // ========================================
 // 🛣️ APIルート登録
 // ========================================
 
-// AI変換API
+// AI変換API（月次報告書の作成・音声ファイルの文字起こしはログイン必須）
+app.use('/api/ai/report/*', requireAuth())
+app.use('/api/ai/transcribe', requireAuth())
 app.route('/api/ai', ai)
 
 // 認証API
@@ -94,6 +115,37 @@ app.route('/api/auth', auth)
 // 監視・統計API
 app.route('/api/monitoring', monitoring)
 
+// 変換履歴API（ログイン必須）
+app.use('/api/records/*', requireAuth())
+app.route('/api/records', records)
+
+// ユーザー辞書API（ログイン必須）
+app.use('/api/dictionary/*', requireAuth())
+app.route('/api/dictionary', dictionary)
+
+// 下書きAPI（ログイン必須・未ログインの下書きは端末にのみ保存）
+app.use('/api/drafts/*', requireAuth())
+app.route('/api/drafts', drafts)
+
+// 記録テンプレートAPI（ログイン必須・組織の管理者は共有テンプレートを編集可能）
+app.use('/api/templates/*', requireAuth(), organizationAuth())
+app.route('/api/templates', templates)
+
+// 組織API（ログイン必須・権限はルートごとに判定）
+app.use('/api/organizations/*', requireAuth(), organizationAuth())
+app.route('/api/organizations', organizations)
+
+// 利用者プロフィールAPI（ログイン必須・組織に所属している場合は組織で共有）
+app.use('/api/patients/*', requireAuth(), organizationAuth())
+app.route('/api/patients', patients)
+
+// 監査ログAPI（ログイン必須・組織の管理者のみ）
+app.use('/api/audit/*', requireAuth(), organizationAuth())
+app.route('/api/audit', audit)
+
+// 利用状況API
+app.route('/api/usage', usage)
+
 // ========================================
 // 📄 メインページルート
 // ========================================
@@ -239,16 +291,33 @@ const QuickStartInputComponent = () => (
     
     {/* 1. 📝 入力欄 */}
     <div className="mb-6">
+      {/* オフライン表示（オフライン時のみ表示） */}
+      <div id="offline-indicator" className="hidden mb-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-700">
+        <i className="fas fa-wifi mr-2"></i>
+        オフラインです。入力内容はこの端末に保存され、変換は接続が回復すると自動で送信されます
+      </div>
       <div className="relative">
         <textarea 
           id="quick-input-text"
-          className="w-full h-60 p-4 text-base border-2 border-pink-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-pink-200 focus:border-pink-500 transition-all"
+          className="w-full h-60 p-4 pb-16 text-base border-2 border-pink-300 rounded-lg resize-none focus:outline-none focus:ring-2 focus:ring-pink-200 focus:border-pink-500 transition-all"
           placeholder="・「バイタル測定した」「口の体操をした」など自然な表現でOK&#10;・簡潔書きでもメモ書きでも大丈夫&#10;・音声入力にも対応・誤字脱字は自動で修正"
         ></textarea>
+        <div className="absolute bottom-3 left-3 flex items-center space-x-2">
+          <button 
+            id="voice-input-btn"
+            className="hidden w-10 h-10 bg-pink-100 text-pink-700 rounded-full shadow-sm hover:bg-pink-200 transition-colors disabled:opacity-50"
+            title="音声入力"
+          >
+            <i id="voice-input-icon" className="fas fa-microphone"></i>
+          </button>
+          <span id="voice-input-status" className="hidden text-sm text-pink-600 bg-white px-2 py-1 rounded-full shadow-sm"></span>
+        </div>
         <div className="absolute bottom-3 right-3">
           <span id="quick-input-count" className="text-sm text-pink-600 bg-white px-2 py-1 rounded-full shadow-sm">0文字</span>
         </div>
       </div>
+      {/* 音声認識の途中経過 */}
+      <p id="voice-interim" className="hidden mt-2 text-sm text-pink-500 italic"></p>
     </div>
     
     {/* 2. ⚠️ 注意 */}
@@ -272,7 +341,22 @@ const QuickStartInputComponent = () => (
       <TemplateAccordion />
     </div>
     
-    {/* 5. 🎯 生成ボタン・クリアボタン */}
+    {/* 5. 🧑‍🦳 利用者プロフィール */}
+    <div className="mb-6">
+      <PatientAccordion />
+    </div>
+    
+    {/* 6. 📚 マイ辞書 */}
+    <div className="mb-6">
+      <DictionaryAccordion />
+    </div>
+    
+    {/* 7. 📝 下書き */}
+    <div className="mb-6">
+      <DraftAccordion />
+    </div>
+    
+    {/* 8. 🎯 生成ボタン・クリアボタン */}
     <div className="flex justify-between items-center mb-4">
       <button 
         id="quick-generate-btn" 
@@ -294,7 +378,9 @@ const QuickStartInputComponent = () => (
     <div className="mt-3 p-3 bg-gradient-to-r from-pink-50 to-rose-50 border-2 border-pink-200 rounded-lg shadow-sm">
       <div className="flex items-center space-x-2">
         <i className="fas fa-info-circle text-pink-500"></i>
-        <span className="text-sm font-semibold text-pink-700">利用制限: 1日3回まで利用可能です</span>
+        <span id="usage-banner-text" className="text-sm font-semibold text-pink-700">
+          利用制限: 1日{QUOTA_CONFIG.dailyLimits.guest}回まで利用可能です（ログインすると{QUOTA_CONFIG.dailyLimits.free}回）
+        </span>
       </div>
     </div>
   </div>
@@ -359,6 +445,23 @@ const DocumentSettingsAccordion = () => (
         </div>
       </div>
       
+      {/* 生成する案の数 */}
+      <div>
+        <label className="block text-sm font-semibold text-pink-800 mb-2">生成する案の数</label>
+        <div className="flex space-x-2">
+          <button id="variants-1" className="px-3 py-2 bg-pink-600 text-white rounded-md text-sm font-medium transition-colors">
+            1案
+          </button>
+          <button id="variants-2" className="px-3 py-2 bg-pink-100 text-pink-700 hover:bg-pink-200 rounded-md text-sm font-medium transition-colors">
+            2案
+          </button>
+          <button id="variants-3" className="px-3 py-2 bg-pink-100 text-pink-700 hover:bg-pink-200 rounded-md text-sm font-medium transition-colors">
+            3案
+          </button>
+        </div>
+        <p className="text-xs text-pink-600 mt-1">複数案を生成すると、並べて比較して使う案を選べます</p>
+      </div>
+      
 
     </div>
   </div>
@@ -398,102 +501,70 @@ const TemplateAccordion = () => (
       {/* 看護師テンプレート */}
       <div id="nurse-templates">
         <label className="block text-sm font-semibold text-pink-800 mb-2">看護業務テンプレート</label>
-        <div className="grid grid-cols-1 gap-2 max-h-40 overflow-y-auto">
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="バイタル測定" />
-            <span className="text-base text-pink-700">バイタル測定</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="症状・状態観察" />
-            <span className="text-base text-pink-700">症状・状態観察</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="内服管理・指導" />
-            <span className="text-base text-pink-700">内服管理・指導</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="清拭・入浴介助" />
-            <span className="text-base text-pink-700">清拭・入浴介助</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="排泄ケア" />
-            <span className="text-base text-pink-700">排泄ケア</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="食事・水分摂取" />
-            <span className="text-base text-pink-700">食事・水分摂取</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="点滴" />
-            <span className="text-base text-pink-700">点滴</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="創傷処置" />
-            <span className="text-base text-pink-700">創傷処置</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="精神・心理状態の観察" />
-            <span className="text-base text-pink-700">精神・心理状態の観察</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="家族への指導・相談対応" />
-            <span className="text-base text-pink-700">家族への指導・相談対応</span>
-          </label>
-        </div>
+        <BuiltInTemplateList profession="nurse" />
       </div>
       
       {/* リハビリテーション職テンプレート */}
       <div id="rehab-templates" className="hidden">
         <label className="block text-sm font-semibold text-pink-800 mb-2">リハビリ業務テンプレート</label>
-        <div className="grid grid-cols-1 gap-2 max-h-40 overflow-y-auto">
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="バイタル測定" />
-            <span className="text-base text-pink-700">バイタル測定</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="歩行訓練" />
-            <span className="text-base text-pink-700">歩行訓練</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="関節可動域訓練" />
-            <span className="text-base text-pink-700">関節可動域訓練</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="筋力トレーニング" />
-            <span className="text-base text-pink-700">筋力トレーニング</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="ADL訓練" />
-            <span className="text-base text-pink-700">ADL訓練</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="移乗動作訓練" />
-            <span className="text-base text-pink-700">移乗動作訓練</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="立ち上がり動作訓練" />
-            <span className="text-base text-pink-700">立ち上がり動作訓練</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="起居動作訓練" />
-            <span className="text-base text-pink-700">起居動作訓練</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="福祉用具評価" />
-            <span className="text-base text-pink-700">福祉用具評価</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="住環境評価" />
-            <span className="text-base text-pink-700">住環境評価</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="自主トレーニング指導" />
-            <span className="text-base text-pink-700">自主トレーニング指導</span>
-          </label>
-          <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
-            <input type="checkbox" className="template-checkbox w-4 h-4" data-template="家族への介助指導" />
-            <span className="text-base text-pink-700">家族への介助指導</span>
+        <BuiltInTemplateList profession="rehab" />
+      </div>
+      
+      {/* マイテンプレート（ログインユーザーのみ） */}
+      <div id="custom-templates" className="hidden">
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-semibold text-pink-800">マイテンプレート</label>
+          <button id="template-new-btn" className="text-pink-600 hover:text-pink-800 text-sm">
+            <i className="fas fa-plus"></i> 新規作成
+          </button>
+        </div>
+        <div id="custom-template-list" className="grid grid-cols-1 gap-2 max-h-40 overflow-y-auto"></div>
+        
+        {/* 作成・編集フォーム */}
+        <div id="template-editor" className="hidden mt-3 p-3 border border-pink-200 rounded space-y-2">
+          <input 
+            id="template-name"
+            type="text"
+            maxLength={50}
+            className="w-full px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="テンプレート名（例: 退院前訪問）"
+          />
+          <textarea 
+            id="template-sections"
+            rows={3}
+            className="w-full px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="記載の構成（1行に1項目）"
+          ></textarea>
+          <textarea 
+            id="template-observations"
+            rows={3}
+            className="w-full px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="確認すべき観察項目（1行に1項目）"
+          ></textarea>
+          <textarea 
+            id="template-examples"
+            rows={3}
+            className="w-full px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="表現例（1行に1文）"
+          ></textarea>
+          <label id="template-shared-label" className="hidden flex items-center space-x-2 text-sm text-pink-700">
+            <input id="template-shared" type="checkbox" className="w-4 h-4" />
+            <span>組織内で共有する</span>
           </label>
+          <div className="flex space-x-2">
+            <button 
+              id="template-save-btn"
+              className="px-4 py-2 bg-pink-600 text-white rounded-md text-sm font-medium hover:bg-pink-700 transition-colors"
+            >
+              保存
+            </button>
+            <button 
+              id="template-cancel-btn"
+              className="px-4 py-2 bg-pink-100 text-pink-700 rounded-md text-sm font-medium hover:bg-pink-200 transition-colors"
+            >
+              キャンセル
+            </button>
+          </div>
         </div>
       </div>
       
@@ -511,6 +582,281 @@ const TemplateAccordion = () => (
   </div>
 )
 
+/**
+ * 📋 組み込みテンプレートの選択肢（職種別）
+ */
+const BuiltInTemplateList = ({ profession }: { profession: TemplateProfession }) => (
+  <div className="grid grid-cols-1 gap-2 max-h-40 overflow-y-auto">
+    {builtInTemplates
+      .filter(template => template.professions.includes(profession))
+      .map(template => (
+        <label className="flex items-center space-x-3 p-2 hover:bg-pink-50 rounded cursor-pointer">
+          <input 
+            type="checkbox" 
+            className="template-checkbox w-4 h-4" 
+            data-template-id={template.id}
+            data-template-name={template.name}
+          />
+          <span className="text-base text-pink-700">{template.name}</span>
+        </label>
+      ))}
+  </div>
+)
+
+/**
+ * 🧑‍🦳 利用者プロフィールアコーディオン（ログインユーザーのみ）
+ */
+const PatientAccordion = () => (
+  <div className="border border-pink-200 rounded-lg">
+    <button 
+      id="patient-toggle"
+      className="w-full px-4 py-3 bg-pink-50 hover:bg-pink-100 transition-colors flex items-center justify-between text-left rounded-t-lg"
+    >
+      <div className="flex items-center">
+        <i className="fas fa-user-injured text-pink-600 mr-2"></i>
+        <span className="font-semibold text-pink-800">利用者プロフィール</span>
+        <span id="patient-selected-label" className="text-sm text-pink-600 ml-2">(指定なし)</span>
+      </div>
+      <i id="patient-icon" className="fas fa-chevron-down text-pink-600 transform transition-transform"></i>
+    </button>
+    
+    <div id="patient-content" className="hidden px-4 py-4 space-y-4">
+      <p id="patient-login-required" className="hidden text-sm text-pink-600">
+        <i className="fas fa-lock mr-1"></i>
+        利用者プロフィールはログインすると利用できます
+      </p>
+      
+      <div id="patient-manager" className="hidden space-y-3">
+        <p className="text-sm text-pink-700">
+          選択した利用者の要介護度・診断名・平常時のバイタル・ケアの目標を背景情報として記録を作成します。
+          氏名は登録せず、事業所内で使う利用者コードで管理してください。
+        </p>
+        
+        {/* 利用者の選択 */}
+        <div className="flex flex-col sm:flex-row gap-2">
+          <select 
+            id="patient-select"
+            className="flex-1 px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+          >
+            <option value="">指定しない</option>
+          </select>
+          <button 
+            id="patient-new-btn"
+            className="px-4 py-2 bg-pink-600 text-white rounded-md text-sm font-medium hover:bg-pink-700 transition-colors"
+          >
+            <i className="fas fa-plus mr-1"></i>新規登録
+          </button>
+          <button 
+            id="patient-edit-btn"
+            className="hidden px-4 py-2 bg-pink-100 text-pink-700 rounded-md text-sm font-medium hover:bg-pink-200 transition-colors"
+          >
+            編集
+          </button>
+          <button 
+            id="patient-delete-btn"
+            className="hidden px-4 py-2 bg-red-50 text-red-600 rounded-md text-sm font-medium hover:bg-red-100 transition-colors"
+          >
+            削除
+          </button>
+        </div>
+        
+        {/* 月次の訪問看護報告書 */}
+        <div id="patient-report" className="hidden p-3 bg-pink-50 border border-pink-200 rounded space-y-2">
+          <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+            <label htmlFor="patient-report-month" className="text-sm font-semibold text-pink-800">月次報告書</label>
+            <input 
+              id="patient-report-month"
+              type="month"
+              className="px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            />
+            <button 
+              id="patient-report-btn"
+              className="px-4 py-2 bg-pink-600 text-white rounded-md text-sm font-medium hover:bg-pink-700 transition-colors disabled:opacity-50"
+            >
+              <i className="fas fa-file-medical mr-1"></i>報告書を作成
+            </button>
+            <button 
+              id="patient-export-btn"
+              className="px-4 py-2 bg-pink-100 text-pink-700 rounded-md text-sm font-medium hover:bg-pink-200 transition-colors disabled:opacity-50"
+            >
+              <i className="fas fa-file-pdf mr-1"></i>記録をPDFで書き出し
+            </button>
+          </div>
+          <p className="text-xs text-pink-600">
+            選択した月にこの利用者へ紐付けた記録から、主治医・ケアマネジャーへの訪問看護報告書を作成します（利用回数1回）。書き出しは同じ月の記録を訪問看護記録書の様式で1件1ページにまとめます
+          </p>
+        </div>
+        
+        {/* 登録・編集フォーム */}
+        <div id="patient-editor" className="hidden p-3 border border-pink-200 rounded space-y-2">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input 
+              id="patient-code"
+              type="text"
+              maxLength={PATIENT_CONFIG.maxCodeLength}
+              className="sm:w-1/2 px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+              placeholder="利用者コード（例: A-012）"
+            />
+            <select 
+              id="patient-care-level"
+              className="sm:w-1/2 px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            >
+              <option value="">要介護度（未設定）</option>
+              {PATIENT_CONFIG.careLevels.map(level => (
+                <option value={level}>{level}</option>
+              ))}
+            </select>
+          </div>
+          <textarea 
+            id="patient-diagnoses"
+            rows={2}
+            className="w-full px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="診断名・既往歴（1行に1項目）"
+          ></textarea>
+          <input 
+            id="patient-vitals"
+            type="text"
+            maxLength={PATIENT_CONFIG.maxVitalsLength}
+            className="w-full px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="平常時のバイタル（例: BP 130/80前後、SpO2 95%前後）"
+          />
+          <textarea 
+            id="patient-goals"
+            rows={2}
+            className="w-full px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="ケアの目標（1行に1項目）"
+          ></textarea>
+          <input 
+            id="patient-notes"
+            type="text"
+            maxLength={PATIENT_CONFIG.maxNotesLength}
+            className="w-full px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="留意事項（例: 難聴あり、左側から声かけ）"
+          />
+          <p id="patient-shared-note" className="hidden text-xs text-pink-500">
+            <i className="fas fa-users mr-1"></i>
+            登録した利用者は組織のメンバー全員で共有されます
+          </p>
+          <div className="flex space-x-2">
+            <button 
+              id="patient-save-btn"
+              className="px-4 py-2 bg-pink-600 text-white rounded-md text-sm font-medium hover:bg-pink-700 transition-colors"
+            >
+              保存
+            </button>
+            <button 
+              id="patient-cancel-btn"
+              className="px-4 py-2 bg-pink-100 text-pink-700 rounded-md text-sm font-medium hover:bg-pink-200 transition-colors"
+            >
+              キャンセル
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+)
+
+/**
+ * 📝 下書きアコーディオン（ログイン中は端末間で同期）
+ */
+const DraftAccordion = () => (
+  <div className="border border-pink-200 rounded-lg">
+    <button 
+      id="draft-toggle"
+      className="w-full px-4 py-3 bg-pink-50 hover:bg-pink-100 transition-colors flex items-center justify-between text-left rounded-t-lg"
+    >
+      <div className="flex items-center">
+        <i className="fas fa-file-alt text-pink-600 mr-2"></i>
+        <span className="font-semibold text-pink-800">下書き</span>
+        <span id="draft-count-label" className="text-sm text-pink-600 ml-2">(0件)</span>
+      </div>
+      <i id="draft-icon" className="fas fa-chevron-down text-pink-600 transform transition-transform"></i>
+    </button>
+    
+    <div id="draft-content" className="hidden px-4 py-4 space-y-3">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <p className="text-sm text-pink-700">
+          入力したメモは選択中の利用者ごとに自動で保存されます。ログイン中は他の端末と同期します（最大{DRAFT_CONFIG.maxDraftsPerUser}件）
+        </p>
+        <button 
+          id="draft-new-btn"
+          className="px-4 py-2 bg-pink-600 text-white rounded-md text-sm font-medium hover:bg-pink-700 transition-colors flex-shrink-0"
+        >
+          <i className="fas fa-plus mr-1"></i>新しい下書き
+        </button>
+      </div>
+      <p id="draft-empty" className="text-sm text-pink-500">保存された下書きはありません</p>
+      <div id="draft-list" className="divide-y divide-pink-100 max-h-64 overflow-y-auto"></div>
+    </div>
+  </div>
+)
+
+/**
+ * 📚 マイ辞書アコーディオン（ログインユーザーのみ）
+ */
+const DictionaryAccordion = () => (
+  <div className="border border-pink-200 rounded-lg">
+    <button 
+      id="dictionary-toggle"
+      className="w-full px-4 py-3 bg-pink-50 hover:bg-pink-100 transition-colors flex items-center justify-between text-left rounded-t-lg"
+    >
+      <div className="flex items-center">
+        <i className="fas fa-book-medical text-pink-600 mr-2"></i>
+        <span className="font-semibold text-pink-800">マイ辞書</span>
+        <span className="text-sm text-pink-600 ml-2">(略語・薬剤の通称など)</span>
+      </div>
+      <i id="dictionary-icon" className="fas fa-chevron-down text-pink-600 transform transition-transform"></i>
+    </button>
+    
+    <div id="dictionary-content" className="hidden px-4 py-4 space-y-4">
+      <p id="dictionary-login-required" className="hidden text-sm text-pink-600">
+        <i className="fas fa-lock mr-1"></i>
+        マイ辞書はログインすると利用できます
+      </p>
+      
+      <div id="dictionary-editor" className="hidden space-y-3">
+        <p className="text-sm text-pink-700">
+          登録した用語は記録の作成時に参照されます。組み込み辞書と同じ用語はマイ辞書の内容が優先されます。
+        </p>
+        
+        {/* 登録フォーム */}
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input 
+            id="dictionary-term"
+            type="text"
+            maxLength={50}
+            className="sm:w-1/3 px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="用語（例: リハパン）"
+          />
+          <input 
+            id="dictionary-meaning"
+            type="text"
+            maxLength={200}
+            className="flex-1 px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+            placeholder="意味（例: リハビリパンツ）"
+          />
+          <button 
+            id="dictionary-save-btn"
+            className="px-4 py-2 bg-pink-600 text-white rounded-md text-sm font-medium hover:bg-pink-700 transition-colors"
+          >
+            登録
+          </button>
+          <button 
+            id="dictionary-cancel-btn"
+            className="hidden px-4 py-2 bg-pink-100 text-pink-700 rounded-md text-sm font-medium hover:bg-pink-200 transition-colors"
+          >
+            キャンセル
+          </button>
+        </div>
+        
+        {/* 登録済み一覧 */}
+        <div id="dictionary-list" className="divide-y divide-pink-100 text-sm"></div>
+      </div>
+    </div>
+  </div>
+)
+
 /**
  * 📝 ダッシュボード出力エリア
  */
@@ -547,6 +893,27 @@ const DashboardInputOutputComponent = () => (
           コピー
         </button>
         
+        {/* 書き出し（履歴に保存された結果のみ表示） */}
+        <div id="export-menu" className="hidden">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm text-pink-700"><i className="fas fa-download mr-1"></i>書き出し</span>
+            {[
+              { format: 'pdf', label: 'PDF' },
+              { format: 'docx', label: 'Word' },
+              { format: 'csv', label: 'CSV' },
+              { format: 'txt', label: 'テキスト' }
+            ].map(item => (
+              <button
+                type="button"
+                className="export-btn px-3 py-2 bg-pink-100 text-pink-700 rounded-md text-sm font-medium hover:bg-pink-200 transition-colors"
+                data-export-format={item.format}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        
         <button 
           id="clear-output-btn" 
           className="px-6 py-3 bg-pink-500 text-white rounded-lg hover:bg-pink-600 transition-colors font-medium"
@@ -555,6 +922,104 @@ const DashboardInputOutputComponent = () => (
         </button>
       </div>
     </div>
+    
+    {/* 注意所見（入力メモ・生成結果から検出した場合のみ表示） */}
+    <div id="red-flag-panel" className="hidden mb-6 p-4 border-2 border-red-300 bg-red-50 rounded-lg" role="alert">
+      <label className="block text-sm font-bold text-red-800 mb-2">
+        <i className="fas fa-exclamation-triangle text-red-600 mr-1"></i>
+        注意が必要な所見があります
+      </label>
+      <ul id="red-flag-list" className="space-y-1 text-sm mb-3"></ul>
+      <div className="flex flex-wrap items-center gap-2">
+        <p id="red-flag-prompt" className="flex-1 text-sm text-red-800"></p>
+        <button
+          id="red-flag-report-btn"
+          type="button"
+          className="px-4 py-2 bg-red-600 text-white rounded-md text-sm font-medium hover:bg-red-700 transition-colors"
+        >
+          <i className="fas fa-user-md mr-1"></i>
+          主治医への報告を追記
+        </button>
+      </div>
+    </div>
+    
+    {/* バイタルサイン（入力メモから抽出・記載がある場合のみ表示） */}
+    <div id="vitals-panel" className="hidden mb-6 p-4 border border-pink-200 rounded-lg">
+      <label className="block text-sm font-semibold text-pink-800 mb-2">
+        <i className="fas fa-heartbeat text-pink-600 mr-1"></i>
+        バイタルサイン
+      </label>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-pink-700 border-b border-pink-200">
+              <th className="py-1 pr-3 font-medium">項目</th>
+              <th className="py-1 pr-3 font-medium">測定値</th>
+              <th className="py-1 pr-3 font-medium">判定</th>
+              <th className="py-1 font-medium">メモの記載</th>
+            </tr>
+          </thead>
+          <tbody id="vitals-table-body" className="divide-y divide-pink-100"></tbody>
+        </table>
+      </div>
+      <p className="text-xs text-pink-600 mt-1">入力メモの記載から読み取った値です。基準範囲外の値は強調表示します</p>
+    </div>
+    
+    {/* 生成結果の修正（生成後のみ表示） */}
+    <div id="refine-panel" className="hidden mb-6 p-4 border border-pink-200 rounded-lg">
+      <label className="block text-sm font-semibold text-pink-800 mb-2">
+        <i className="fas fa-pen text-pink-600 mr-1"></i>
+        生成結果を修正
+      </label>
+      <div className="flex flex-wrap gap-2 mb-2">
+        {['もっと簡潔に', '家族の反応を強調', '専門用語を使って', '観察した事実を具体的に'].map(instruction => (
+          <button
+            type="button"
+            className="refine-chip px-3 py-1 text-xs bg-pink-100 text-pink-700 rounded-full hover:bg-pink-200 transition-colors"
+            data-refine-instruction={instruction}
+          >
+            {instruction}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <input 
+          id="refine-instruction"
+          type="text"
+          maxLength={200}
+          className="flex-1 px-3 py-2 border border-pink-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-pink-200"
+          placeholder="修正指示（例: もっと簡潔に）"
+        />
+        <button 
+          id="refine-btn"
+          className="px-4 py-2 bg-pink-600 text-white rounded-md text-sm font-medium hover:bg-pink-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          修正
+        </button>
+      </div>
+      <p className="text-xs text-pink-600 mt-1">修正は利用回数に含まれません</p>
+    </div>
+    
+    {/* 比較表示（複数案・修正前後） */}
+    <div id="comparison-view" className="hidden mb-6">
+      <div className="flex justify-between items-center mb-3">
+        <label id="comparison-title" className="block text-base font-bold text-pink-800"></label>
+        <button id="comparison-close-btn" className="text-pink-600 hover:text-pink-800 text-sm">
+          <i className="fas fa-times"></i> 閉じる
+        </button>
+      </div>
+      <div id="comparison-columns" className="grid grid-cols-1 md:grid-cols-2 gap-4"></div>
+    </div>
+    
+    {/* 変換履歴（オフライン中に予約した変換と結果・この端末にのみ保存） */}
+    <div id="history-panel" className="hidden p-4 border border-pink-200 rounded-lg">
+      <label className="block text-sm font-semibold text-pink-800 mb-1">
+        <i className="fas fa-history text-pink-600 mr-1"></i>
+        変換履歴
+      </label>
+      <p className="text-xs text-pink-600 mb-2">オフライン中に予約した変換です。この端末のブラウザにのみ保存されます</p>
+      <div id="history-list" className="divide-y divide-pink-100 text-sm"></div>
+    </div>
   </div>
 )
 
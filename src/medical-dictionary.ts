@@ -262,5 +262,266 @@ export const medicalTerms = {
   "T-can off": "杖なしで歩くこと",
   "独歩": "杖なしで歩くこと",
   "プログレスノート": "その日のリハビリ内容の記録",
-  "サマリー": "退院時の申し送り書類"
-};
\ No newline at end of file
+  "サマリー": "退院時の申し送り書類",
+
+  // 急変の兆候など、主治医への報告を検討する所見
+  "意識レベル低下": "呼びかけへの反応が鈍くなること",
+  "意識消失": "意識がなくなること",
+  "喘鳴": "ゼーゼー・ヒューヒューという呼吸音",
+  "胸痛": "胸の痛み",
+  "痙攣": "けいれん発作",
+  "吐血": "血を吐くこと",
+  "下血": "肛門から血が出ること",
+  "黒色便": "黒いタール状の便（消化管出血の兆候）",
+  "窒息": "のどが詰まって息ができないこと",
+  "転倒": "転ぶこと",
+  "転落": "ベッドや車いすから落ちること"
+};
+// 用語の読み・言い換え・よくある表記揺れ
+// 入力メモに用語そのものが含まれなくても、読み（ひらがな）や口語表現から関連する用語を選ぶために使用する
+export const termReadings: Record<string, string[]> = {
+  // カタカナ・略語の表記揺れ
+  "アナムネージス": ["アナムネ", "アナムネーゼ"],
+  "バイタルサイン": ["バイタル"],
+  "インフォームド・コンセント": ["インフォームドコンセント"],
+  "バルーンカテーテル": ["バルーン"],
+  "マーゲンチューブ": ["マーゲン"],
+  "ベンチレーター": ["人工呼吸器"],
+  "レスピ": ["レスピレーター"],
+  "BSチェック": ["血糖チェック"],
+  "サチュレーション": ["サチュ", "サチュレ"],
+  "SpO2": ["SPO2", "サチュ"],
+  "ギャッジアップ": ["ギャッチアップ", "ギャッジ", "ギャッチ"],
+  "エネマ": ["浣腸"],
+  "ペインスケール": ["痛みの評価"],
+  "EKG": ["心電図"],
+  "ECG": ["心電図"],
+  "カンファレンス": ["カンファ"],
+  "モチベーション": ["モチベ", "やる気"],
+  "トランスファー": ["トランス"],
+  "ホームエクササイズ": ["ホームエクサ", "自主練"],
+  "ポータブルトイレ": ["ポータブル", "Pトイレ"],
+  "キーパーソン": ["KP"],
+  "T-can off": ["杖なし"],
+  "独歩": ["どっぽ", "杖なし"],
+
+  // 看護用語の読み・口語表現
+  "既往歴": ["きおうれき", "既往"],
+  "永眠": ["えいみん", "亡くなった", "死亡"],
+  "化学療法": ["かがくりょうほう", "抗がん剤"],
+  "ルート確保": ["点滴の針"],
+  "静脈路確保": ["じょうみゃくろかくほ"],
+  "尿道カテーテル": ["尿カテ", "導尿"],
+  "生食": ["せいしょく", "生理食塩水"],
+  "診療録": ["しんりょうろく"],
+  "申し送り": ["もうしおくり"],
+  "絶食": ["ぜっしょく", "食事止め"],
+  "悪心": ["おしん", "吐き気", "はきけ", "気持ち悪い"],
+  "嘔吐": ["おうと", "吐いた", "もどした"],
+  "眩暈": ["めまい", "目眩", "ふらふら"],
+  "下痢": ["げり", "水様便", "軟便"],
+  "便秘": ["べんぴ", "便が出ない", "排便なし"],
+  "尿": ["おしっこ", "排尿"],
+  "便": ["うんち", "排便"],
+  "褥瘡": ["じょくそう", "褥創", "床ずれ", "とこずれ"],
+  "呼吸困難": ["こきゅうこんなん", "息苦しい", "息切れ"],
+  "顔面蒼白": ["がんめんそうはく", "顔色が悪い", "顔色不良"],
+  "浮腫": ["ふしゅ", "むくみ", "浮腫み"],
+  "内服": ["ないふく", "飲み薬", "服薬"],
+  "経鼻胃管": ["けいびいかん", "鼻チューブ"],
+  "胃瘻": ["いろう", "胃ろう", "PEG"],
+  "気管切開": ["きかんせっかい", "気切"],
+  "心停止": ["しんていし"],
+  "胸骨圧迫": ["きょうこつあっぱく", "心臓マッサージ"],
+  "鎮痛薬": ["ちんつうやく", "痛み止め"],
+  "鎮痛剤": ["ちんつうざい", "痛み止め"],
+  "睡眠導入剤": ["睡眠薬", "眠剤"],
+  "清拭": ["せいしき", "体拭き", "身体を拭"],
+  "洗髪": ["せんぱつ", "髪を洗"],
+  "口腔ケア": ["こうくうケア", "口腔清拭", "歯磨き", "口のケア"],
+  "血糖測定": ["けっとうそくてい", "血糖"],
+  "酸素飽和度": ["さんそほうわど"],
+  "抗凝固薬": ["こうぎょうこやく", "血液サラサラ"],
+  "皮下注": ["ひかちゅう", "皮下注射"],
+  "筋注": ["きんちゅう", "筋肉注射"],
+  "静注": ["じょうちゅう", "静脈注射"],
+  "検査データ": ["検査結果"],
+  "周辺症状": ["しゅうへんしょうじょう"],
+  "看護計画": ["かんごけいかく"],
+  "副作用": ["ふくさよう"],
+  "中断": ["ちゅうだん"],
+  "掻痒感": ["そうようかん", "かゆみ", "痒み", "かゆい", "痒い"],
+  "知覚鈍麻": ["ちかくどんま"],
+  "皮下出血": ["ひかしゅっけつ", "内出血", "あざ"],
+  "紫斑": ["しはん"],
+  "鼾声": ["かんせい", "いびき"],
+  "排ガス": ["はいガス", "おなら"],
+  "曖気": ["あいき", "げっぷ", "ゲップ"],
+  "呑酸": ["どんさん", "胸やけ", "胸焼け"],
+  "心悸亢進": ["しんきこうしん", "動悸"],
+  "吃逆": ["きつぎゃく", "しゃっくり", "シャックリ"],
+  "倦怠感": ["けんたいかん", "だるい", "だるさ"],
+  "複視": ["ふくし", "二重に見え"],
+  "羞明": ["しゅうめい", "まぶしい", "眩しい"],
+  "耳鳴": ["じめい", "みみなり", "耳鳴り"],
+  "鼻閉": ["びへい", "鼻づまり", "鼻詰まり"],
+  "皮膚乾燥": ["ひふかんそう", "乾燥肌", "カサカサ"],
+  "落屑": ["らくせつ"],
+  "発赤": ["ほっせき", "赤み", "赤くなって"],
+  "水疱": ["すいほう", "水ぶくれ"],
+  "化膿": ["かのう"],
+  "膿瘍": ["のうよう"],
+  "意識混濁": ["いしきこんだく"],
+  "傾眠": ["けいみん", "うとうと", "ウトウト"],
+  "不穏": ["ふおん", "落ち着きがない"],
+  "健忘": ["けんぼう", "物忘れ"],
+  "塗布": ["とふ", "軟膏を塗"],
+  "体位変換": ["たいいへんかん", "体交"],
+  "体交": ["たいこう", "体位変換"],
+  "吸引": ["きゅういん", "サクション"],
+  "冷却": ["れいきゃく", "クーリング"],
+  "温罨法": ["おんあんぽう", "ホットパック"],
+  "ファーラー位": ["ファウラー位"],
+  "創傷処置": ["そうしょうしょち", "傷の処置"],
+  "グリセリン浣腸": ["GE", "浣腸"],
+  "酸素投与": ["さんそとうよ", "酸素吸入"],
+  "増悪": ["ぞうあく", "悪化"],
+  "軽快": ["けいかい", "改善"],
+  "寛解": ["かんかい"],
+  "急変": ["きゅうへん"],
+  "重篤": ["じゅうとく"],
+  "回復期": ["かいふくき"],
+  "終末期": ["しゅうまつき", "看取り"],
+  "合併症": ["がっぺいしょう"],
+  "感染": ["かんせん"],
+  "発熱": ["はつねつ", "熱発", "熱がある", "熱が出"],
+  "解熱": ["げねつ", "熱が下が"],
+  "採血": ["さいけつ"],
+  "上部消化管内視鏡": ["胃カメラ"],
+  "エコー検査": ["エコー"],
+  "主訴": ["しゅそ"],
+  "指示": ["しじ"],
+  "退院指導": ["たいいんしどう"],
+  "退院支援": ["たいいんしえん"],
+
+  // リハビリ用語の読み・口語表現
+  "関節可動域": ["かんせつかどういき", "可動域"],
+  "徒手筋力テスト": ["筋力テスト"],
+  "日常生活活動": ["日常生活動作"],
+  "手段的日常生活活動": ["手段的日常生活動作"],
+  "拘縮": ["こうしゅく"],
+  "廃用症候群": ["はいようしょうこうぐん", "廃用"],
+  "片麻痺": ["かたまひ", "へんまひ"],
+  "平衡機能": ["へいこうきのう", "バランス"],
+  "立位": ["りつい", "立って"],
+  "座位": ["ざい", "座って", "坐位"],
+  "歩行": ["ほこう", "歩いて", "歩く"],
+  "巧緻性": ["こうちせい", "手先の器用"],
+  "嚥下": ["えんげ", "飲み込み"],
+  "構音障害": ["こうおんしょうがい", "ろれつ", "呂律"],
+  "失語症": ["しつごしょう", "言葉が出"],
+  "高次脳機能": ["こうじのうきのう"],
+  "ゴール設定": ["目標設定"],
+  "予後": ["よご"],
+  "非麻痺側": ["ひまひそく"],
+  "健側": ["けんそく"],
+  "麻痺側": ["まひそく"],
+  "患側": ["かんそく"],
+  "上肢": ["じょうし", "腕"],
+  "下肢": ["かし", "足", "脚"],
+  "自助具": ["じじょぐ"],
+  "装具": ["そうぐ"],
+  "住宅改修": ["じゅうたくかいしゅう", "手すり"],
+  "誤嚥": ["ごえん", "むせ", "ムセ", "むせこみ"],
+  "代償動作": ["だいしょうどうさ"],
+  "発動性": ["はつどうせい", "意欲"],
+  "注意障害": ["ちゅういしょうがい"],
+  "遂行機能": ["すいこうきのう"],
+  "移乗": ["いじょう", "乗り移"],
+  "筋緊張": ["きんきんちょう"],
+  "痙縮": ["けいしゅく", "つっぱり"],
+  "多職種連携": ["たしょくしゅれんけい", "他職種連携"],
+  "心臓リハビリテーション": ["心リハ"],
+  "呼吸器リハビリテーション": ["呼吸リハ"],
+  "運動療法": ["うんどうりょうほう"],
+  "作業療法": ["さぎょうりょうほう"],
+  "体幹": ["たいかん"],
+  "失神": ["しっしん", "気を失"],
+  "病識欠如": ["びょうしきけつじょ"],
+  "感覚鈍麻": ["かんかくどんま", "しびれ", "痺れ"],
+  "リスク管理": ["りすく管理"],
+  "中止基準": ["ちゅうしきじゅん"],
+  "運動強度": ["うんどうきょうど"],
+  "リハビリテーション栄養": ["リハ栄養"],
+  "歩容": ["ほよう", "歩き方"],
+  "筋萎縮": ["きんいしゅく", "筋肉が痩せ"],
+  "自主トレ": ["じしゅトレ", "自主トレーニング", "自主練"],
+  "アライメント不良": ["アライメント"],
+  "弛緩": ["しかん"],
+  "嚥下調整食": ["えんげちょうせいしょく", "とろみ", "刻み食"],
+  "半側空間無視": ["はんそくくうかんむし"],
+  "失行": ["しっこう"],
+  "触診": ["しょくしん"],
+  "挙上": ["きょじょう", "上げ"],
+  "回旋": ["かいせん"],
+  "外転": ["がいてん"],
+  "内転": ["ないてん"],
+  "背屈": ["はいくつ"],
+  "掌屈": ["しょうくつ"],
+  "二重課題": ["にじゅうかだい"],
+  "表在感覚": ["ひょうざいかんかく"],
+  "深部感覚": ["しんぶかんかく"],
+  "疼痛強度": ["とうつうきょうど", "痛みの強さ"],
+  "疼痛評価": ["とうつうひょうか", "痛みの評価"],
+  "試験外泊": ["しけんがいはく"],
+  "試験外出": ["しけんがいしゅつ"],
+  "復職支援": ["ふくしょくしえん"],
+  "就労支援": ["しゅうろうしえん"],
+  "感情失禁": ["かんじょうしっきん"],
+  "嚥下造影検査": ["嚥下造影"],
+  "嚥下内視鏡検査": ["嚥下内視鏡"],
+  "姿勢制御": ["しせいせいぎょ"],
+  "腫脹": ["しゅちょう", "腫れ"],
+  "圧痛": ["あっつう", "押すと痛"],
+  "熱感": ["ねっかん"],
+  "運動後疲労": ["運動後の疲れ"],
+  "体力": ["たいりょく"],
+  "持久力": ["じきゅうりょく"],
+  "効果判定": ["こうかはんてい"],
+  "到達度": ["とうたつど"],
+  "生活歴": ["せいかつれき"],
+  "動機付け": ["どうきづけ", "動機づけ"],
+  "自己決定": ["じこけってい"],
+  "意識レベル低下": ["意識低下", "意識レベルの低下"],
+  "胸痛": ["胸の痛み"],
+  "転倒": ["転んだ", "転んで"],
+  "転落": ["ずり落ち"]
+};
+// 音声入力で認識されやすい読み・言い換え → 記録で使う表記
+// 音声認識が専門用語をかな書き・カタカナ読みで書き起こした場合に、辞書の用語へ補正するために使用する
+// （同音の一般語と衝突する読み（例: せいしき → 正式）は登録しない）
+export const spokenForms: Record<string, string[]> = {
+  // 略語の読み上げ
+  "SpO2": ["サチュレーション", "サチュ", "エスピーオーツー", "エスピーオーツ"],
+  "JCS": ["ジェーシーエス"],
+  "GCS": ["ジーシーエス"],
+  "BPSD": ["ビーピーエスディー"],
+
+  // 表記揺れ
+  "ギャッジアップ": ["ギャッチアップ"],
+  "ファーラー位": ["ファウラー位"],
+
+  // 認識されにくい漢語の読み
+  "褥瘡": ["じょくそう", "褥創"],
+  "嚥下": ["えんげ"],
+  "傾眠": ["けいみん"],
+  "拘縮": ["こうしゅく"],
+  "痙縮": ["けいしゅく"],
+  "掻痒感": ["そうようかん"],
+  "体位変換": ["たいいへんかん"],
+  "口腔ケア": ["こうくうケア"],
+  "痙攣": ["けいれん"],
+  "喘鳴": ["ぜんめい"],
+  "吐血": ["とけつ"],
+  "下血": ["げけつ"]
+};
@@ -5,9 +5,23 @@
  */
 
 import { Context, Next } from 'hono'
-import type { CloudflareBindings, ApiError, LogEntry } from '../types'
-import { SECURITY_CONFIG, DEBUG_CONFIG } from '../config'
-import { logger, getCurrentTimestamp, detectPersonalInfo, logSecurityEvent, detectAnomalousAccess, logApiKeyUsage, generateSessionFingerprint, validateSecureAuthToken } from '../utils'
+import type { CloudflareBindings, ApiError, LogEntry, OrganizationMembership, OrganizationRole } from '../types'
+import { SECURITY_CONFIG, DEBUG_CONFIG, getEnvironmentVariables } from '../config'
+import { logger, getCurrentTimestamp, detectPersonalInfo, logSecurityEvent, detectAnomalousAccess, logApiKeyUsage } from '../utils'
+import { validateUserSession, toApiUser, type AuthenticatedSession } from '../auth'
+import { deidentifyText } from '../services/deidentify'
+import { getOrganizationMembership, hasOrganizationRole } from '../services/organizations'
+import { writeAuditLog } from '../services/audit'
+import {
+  RATE_LIMIT_POLICIES,
+  D1RateLimitStore,
+  MemoryRateLimitStore,
+  consumeRateLimit,
+  type RateLimitPolicyName,
+  type RateLimitPolicy,
+  type RateLimitResult,
+  type RateLimitStore
+} from '../services/rate-limiter'
 
 // ========================================
 // 🔐 セキュリティミドルウェア
@@ -75,8 +89,8 @@ export const inputValidation = () => {
         
         // テキスト入力の検証
         if (body.text && typeof body.text === 'string') {
-          // 個人情報検出
-          if (detectPersonalInfo(body.text, SECURITY_CONFIG.personalInfoPatterns)) {
+          // 個人情報検出（氏名・電話番号などはAI送信前に匿名化するため、匿名化後も残るものだけをブロック）
+          if (detectPersonalInfo(deidentifyText(body.text).text, SECURITY_CONFIG.personalInfoPatterns)) {
             return c.json({
               success: false,
               error: '個人情報らしきデータが検出されました。個人情報は入力しないでください。'
@@ -188,45 +202,37 @@ export const performanceMonitoring = () => {
 // ========================================
 
 /**
- * 強化されたJWT認証ミドルウェア（セッションフィンガープリンティング対応）
+ * セッション認証ミドルウェア
+ * JWTの署名に加えてuser_sessionsテーブルを照合し、失効済みセッションを拒否する
  */
 export const enhancedAuth = () => {
   return async (c: Context, next: Next) => {
     const authHeader = c.req.header('Authorization')
+    const db = c.env?.DB as D1Database | undefined
     
-    if (authHeader && authHeader.startsWith('Bearer ')) {
+    if (authHeader && authHeader.startsWith('Bearer ') && db) {
       const token = authHeader.substring(7)
       
       try {
-        // セッションフィンガープリンティング生成
-        const fingerprint = await generateSessionFingerprint({
-          userAgent: c.req.header('User-Agent'),
-          acceptLanguage: c.req.header('Accept-Language'),
-          ip: c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For')
-        })
-        
-        // 強化されたトークン検証
-        const user = await validateSecureAuthToken(token, fingerprint)
+        const session = await validateUserSession(db, token, getEnvironmentVariables(c.env).JWT_SECRET)
         
-        if (user) {
+        if (session) {
           c.set('authToken', token)
-          c.set('authenticatedUser', user)
-          c.set('sessionFingerprint', fingerprint)
+          c.set('authSession', session)
+          c.set('authenticatedUser', toApiUser(session.user))
           
-          logger.debug('Enhanced auth successful', {
-            userId: user.id,
-            fingerprint: fingerprint.substring(0, 8) + '...',
-            tokenType: token.startsWith('secure_token_') ? 'secure' : 'demo'
+          logger.debug('Session auth successful', {
+            userId: session.user.id,
+            sessionId: session.sessionId.substring(0, 8) + '...'
           })
         } else {
           // 認証失敗をログに記録
-          logger.warn('Enhanced auth validation failed', {
-            tokenPrefix: token.substring(0, 10),
-            fingerprint: fingerprint.substring(0, 8) + '...'
+          logger.warn('Session auth validation failed', {
+            tokenLength: token.length
           })
         }
       } catch (error) {
-        logger.warn('Enhanced auth error', { error: (error as Error).message })
+        logger.warn('Session auth error', { error: (error as Error).message })
       }
     }
     
@@ -234,6 +240,94 @@ export const enhancedAuth = () => {
   }
 }
 
+/**
+ * 認証必須ミドルウェア
+ * enhancedAuth() の後に配置し、未認証のリクエストを401で拒否する
+ */
+export const requireAuth = () => {
+  return async (c: Context, next: Next) => {
+    if (!c.get('authSession')) {
+      return c.json({
+        success: false,
+        error: '認証が必要です'
+      }, 401)
+    }
+    
+    await next()
+  }
+}
+
+// ========================================
+// 🏢 組織の権限ミドルウェア
+// ========================================
+
+/**
+ * 組織の所属読み込みミドルウェア
+ * enhancedAuth() の後に配置し、ログインユーザーの所属組織と権限を organizationMembership に設定する
+ */
+export const organizationAuth = () => {
+  return async (c: Context, next: Next) => {
+    const session = c.get('authSession') as AuthenticatedSession | undefined
+    const db = c.env?.DB as D1Database | undefined
+
+    if (session && db) {
+      try {
+        const membership = await getOrganizationMembership(db, session.user.id)
+        if (membership) {
+          c.set('organizationMembership', membership)
+        }
+      } catch (error) {
+        logger.warn('Organization membership load failed', {
+          userId: session.user.id,
+          error: (error as Error).message
+        })
+      }
+    }
+
+    await next()
+  }
+}
+
+/**
+ * 組織の権限必須ミドルウェア
+ * organizationAuth() の後に配置し、組織に未所属または権限が不足するリクエストを403で拒否する
+ */
+export const requireOrganizationRole = (role: OrganizationRole = 'member') => {
+  return async (c: Context, next: Next) => {
+    const membership = c.get('organizationMembership') as OrganizationMembership | undefined
+
+    if (!membership) {
+      return c.json({
+        success: false,
+        error: '組織に所属していません'
+      }, 403)
+    }
+
+    if (!hasOrganizationRole(membership, role)) {
+      logSecurityEvent('Organization Permission Denied', 'low', {
+        userId: (c.get('authSession') as AuthenticatedSession | undefined)?.user.id,
+        organizationId: membership.organizationId,
+        requiredRole: role,
+        path: c.req.path
+      })
+      await writeAuditLog(c, {
+        eventType: 'security.permission_denied',
+        severity: 'warning',
+        resourceType: 'organization',
+        resourceId: membership.organizationId,
+        metadata: { requiredRole: role, method: c.req.method, path: c.req.path }
+      })
+
+      return c.json({
+        success: false,
+        error: '組織の管理者権限が必要です'
+      }, 403)
+    }
+
+    await next()
+  }
+}
+
 /**
  * JWT認証ミドルウェア（オプション・後方互換性）
  */
@@ -332,63 +426,85 @@ export const notFoundHandler = () => {
 // ⚡ レート制限ミドルウェア
 // ========================================
 
+/** DBが使えない場合のカウンター（アイソレート内でのみ有効） */
+const memoryRateLimitStore = new MemoryRateLimitStore()
+
 /**
- * シンプルなメモリベースレート制限
- * 注意: プロダクションでは外部ストレージ（Redis等）推奨
+ * ストレージ共有型レート制限（スライディングウィンドウ）
+ * カウンターはD1に保存するため、アイソレートをまたいで上限が適用される。
+ * RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset ヘッダーを付与し、超過時は429とRetry-Afterを返す
+ * @param policyName 適用するポリシー（RATE_LIMIT_POLICIES）
+ * @param store カウンターの保存先（省略時はD1、DBがない場合はメモリ）
  */
-export const rateLimit = (
-  windowMs = 60000, // 1分
-  maxRequests = 100   // 最大リクエスト数
-) => {
-  const requests = new Map<string, { count: number; windowStart: number }>()
-  
+export const rateLimit = (policyName: RateLimitPolicyName, store?: RateLimitStore) => {
+  const policy = RATE_LIMIT_POLICIES[policyName]
+
   return async (c: Context, next: Next) => {
-    const clientIp = c.req.header('CF-Connecting-IP') || 
-                    c.req.header('X-Forwarded-For') || 
-                    'unknown'
-    
+    const db = c.env?.DB as D1Database | undefined
+    const limiterStore = store || (db ? new D1RateLimitStore(db) : memoryRateLimitStore)
+    const key = getRateLimitKey(c, policy)
     const now = Date.now()
-    const windowStart = Math.floor(now / windowMs) * windowMs
-    
-    const clientData = requests.get(clientIp)
-    
-    if (!clientData || clientData.windowStart < windowStart) {
-      // 新しいウィンドウ
-      requests.set(clientIp, { count: 1, windowStart })
-    } else {
-      // 既存ウィンドウ内
-      clientData.count++
-      
-      if (clientData.count > maxRequests) {
-        logger.warn('Rate limit exceeded', {
-          clientIp,
-          count: clientData.count,
-          limit: maxRequests,
-          windowMs
-        })
-        
-        return c.json({
-          success: false,
-          error: 'リクエスト数が制限を超えました。しばらく待ってからお試しください。',
-          retryAfter: Math.ceil((windowStart + windowMs - now) / 1000)
-        }, 429)
-      }
+
+    let result: RateLimitResult
+    try {
+      result = await consumeRateLimit(limiterStore, key, policy, now)
+    } catch (error) {
+      // カウンターの保存に失敗してもリクエストは止めない
+      logger.warn('Rate limit check failed', {
+        policy: policy.name,
+        error: (error as Error).message
+      })
+      await next()
+      return
     }
-    
-    // 古いエントリをクリーンアップ（メモリリーク防止）
+
+    c.header('RateLimit-Policy', `${policy.limit};w=${Math.ceil(policy.windowMs / 1000)}`)
+    c.header('RateLimit-Limit', String(result.limit))
+    c.header('RateLimit-Remaining', String(result.remaining))
+    c.header('RateLimit-Reset', String(result.resetSeconds))
+
+    // 古いカウンターをクリーンアップ
     if (Math.random() < 0.01) { // 1%の確率で実行
-      const cutoff = now - windowMs * 2
-      for (const [ip, data] of requests.entries()) {
-        if (data.windowStart < cutoff) {
-          requests.delete(ip)
-        }
-      }
+      limiterStore.purgeExpired(now).catch((error) => {
+        logger.warn('Rate limit cleanup failed', { error: (error as Error).message })
+      })
     }
-    
+
+    if (!result.allowed) {
+      logger.warn('Rate limit exceeded', {
+        policy: policy.name,
+        key,
+        limit: policy.limit,
+        windowMs: policy.windowMs
+      })
+
+      c.header('Retry-After', String(result.retryAfterSeconds))
+      return c.json({
+        success: false,
+        error: 'リクエスト数が制限を超えました。しばらく待ってからお試しください。',
+        retryAfter: result.retryAfterSeconds
+      }, 429)
+    }
+
     await next()
   }
 }
 
+/**
+ * レート制限を数える単位（ログインユーザーはユーザーID、それ以外はIPアドレス）
+ */
+function getRateLimitKey(c: Context, policy: RateLimitPolicy): string {
+  const session = c.get('authSession') as AuthenticatedSession | undefined
+  if (policy.keyBy === 'user' && session) {
+    return `user:${session.user.id}`
+  }
+
+  const clientIp = c.req.header('CF-Connecting-IP') ||
+                  c.req.header('X-Forwarded-For')?.split(',')[0]?.trim() ||
+                  'unknown'
+  return `ip:${clientIp}`
+}
+
 // ========================================
 // 🛡️ 高度セキュリティミドルウェア
 // ========================================
@@ -432,6 +548,11 @@ export const securityAnomalyDetection = () => {
           method,
           reasons: anomalyResult.reasons
         })
+        await writeAuditLog(c, {
+          eventType: 'security.request_blocked',
+          severity: 'error',
+          metadata: { method, path: path.substring(0, 200), reasons: anomalyResult.reasons }
+        })
         
         return c.json({
           success: false,
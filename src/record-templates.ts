@@ -0,0 +1,249 @@
+/**
+ * タップカルテ - 組み込み記録テンプレート
+ *
+ * 業務内容ごとの記載構成・必須観察項目・表現例
+ * ダッシュボードのテンプレート選択肢とプロンプト構築の両方で使用する
+ */
+
+import type { BuiltInTemplate } from './types'
+
+export const builtInTemplates: BuiltInTemplate[] = [
+  // ========================================
+  // 🩺 看護業務テンプレート
+  // ========================================
+  {
+    id: 'vital-signs',
+    name: 'バイタル測定',
+    professions: ['nurse', 'rehab'],
+    sections: ['測定値', '前回・平常時との比較', '評価と対応'],
+    requiredObservations: ['体温', '血圧', '脈拍', '呼吸数', 'SpO2', '自覚症状の有無'],
+    examplePhrases: [
+      'BT36.5℃、BP128/76mmHg、P72回/分（整）、R16回/分、SpO2 97%（室内気）。',
+      'バイタルサインは前回訪問時と著変なく、安定している。'
+    ]
+  },
+  {
+    id: 'symptom-observation',
+    name: '症状・状態観察',
+    professions: ['nurse'],
+    sections: ['本人の訴え', '観察所見', 'アセスメント', '今後の観察点'],
+    requiredObservations: ['症状の部位・程度・経過', '全身状態', '睡眠', '食欲'],
+    examplePhrases: [
+      '「昨夜から腰が痛む」との訴えあり。疼痛はNRS 4/10、体動時に増強する。',
+      '症状の増悪はみられないが、引き続き経過観察とする。'
+    ]
+  },
+  {
+    id: 'medication-management',
+    name: '内服管理・指導',
+    professions: ['nurse'],
+    sections: ['服薬状況', '残薬・副作用の確認', '指導内容', '本人・家族の理解度'],
+    requiredObservations: ['飲み忘れの有無', '残薬数', '副作用症状', '服薬方法（自己管理・家族管理）'],
+    examplePhrases: [
+      'お薬カレンダーを確認し、飲み忘れなく内服できている。',
+      '眠前薬の服用後にふらつきがあるため、夜間のトイレ移動時の転倒に注意するよう説明した。'
+    ]
+  },
+  {
+    id: 'bathing-assistance',
+    name: '清拭・入浴介助',
+    professions: ['nurse'],
+    sections: ['実施内容', '実施前後の状態', '皮膚の観察', '本人の反応'],
+    requiredObservations: ['実施前のバイタルサイン', '皮膚の状態（発赤・乾燥・傷）', '疲労感の有無'],
+    examplePhrases: [
+      '入浴前のバイタルサインに問題なく、シャワー浴を介助にて実施した。',
+      '背部・臀部に発赤なし。下腿に皮膚乾燥を認めたため保湿剤を塗布した。'
+    ]
+  },
+  {
+    id: 'excretion-care',
+    name: '排泄ケア',
+    professions: ['nurse'],
+    sections: ['排泄状況', '実施したケア', '皮膚・陰部の観察', '評価'],
+    requiredObservations: ['最終排便日', '便・尿の性状と量', '失禁の有無', '陰部・臀部の皮膚状態'],
+    examplePhrases: [
+      '最終排便は2日前。腹部膨満感の訴えあり、腸蠕動音はやや減弱している。',
+      'グリセリン浣腸を実施し、普通便を中等量認めた。'
+    ]
+  },
+  {
+    id: 'nutrition-hydration',
+    name: '食事・水分摂取',
+    professions: ['nurse'],
+    sections: ['摂取状況', '嚥下・咀嚼の状態', '体重・脱水の評価', '指導内容'],
+    requiredObservations: ['食事摂取量', '水分摂取量', 'むせ込みの有無', '体重の変化'],
+    examplePhrases: [
+      '昼食は主食・副食とも7割程度摂取。水分は1日約1000mlと本人より聴取。',
+      '食事中にむせ込みはみられず、嚥下状態は良好である。'
+    ]
+  },
+  {
+    id: 'infusion',
+    name: '点滴',
+    professions: ['nurse'],
+    sections: ['実施内容（薬剤・量・速度）', '刺入部の観察', '実施中・実施後の状態'],
+    requiredObservations: ['薬剤名と投与量', '滴下速度', '刺入部の発赤・腫脹・疼痛', '実施中の状態変化'],
+    examplePhrases: [
+      '右前腕より22Gにてルート確保し、生食500mlを100ml/hで開始した。',
+      '刺入部に発赤・腫脹なく、滴下良好。実施中の気分不快の訴えはなかった。'
+    ]
+  },
+  {
+    id: 'wound-care',
+    name: '創傷処置',
+    professions: ['nurse'],
+    sections: ['創部の状態', '実施した処置', '評価と今後の方針'],
+    requiredObservations: ['部位', '大きさ', '滲出液の量・性状', '周囲皮膚の状態', '疼痛の有無'],
+    examplePhrases: [
+      '仙骨部褥瘡は2.0×1.5cm、滲出液少量・淡黄色で、周囲皮膚に発赤はみられない。',
+      '生理食塩水で洗浄後、指示の軟膏を塗布しフィルムドレッシング材で保護した。'
+    ]
+  },
+  {
+    id: 'mental-status',
+    name: '精神・心理状態の観察',
+    professions: ['nurse'],
+    sections: ['表情・言動', '本人の訴え', '生活への影響', 'アセスメント'],
+    requiredObservations: ['表情・会話の様子', '睡眠状況', '意欲・活動量', '不安や気がかりの内容'],
+    examplePhrases: [
+      '表情は穏やかで、会話のやり取りもスムーズである。',
+      '「夜になると不安になる」との発言あり。傾聴し、不安の内容を確認した。'
+    ]
+  },
+  {
+    id: 'family-support',
+    name: '家族への指導・相談対応',
+    professions: ['nurse'],
+    sections: ['相談内容', '助言・指導内容', '家族の反応・理解度', '今後の支援'],
+    requiredObservations: ['相談者（続柄）', '介護負担の状況', '家族の理解度'],
+    examplePhrases: [
+      '長女より夜間の介護負担についての相談あり。',
+      'ショートステイの利用についてケアマネジャーへ相談するよう提案し、了承を得た。'
+    ]
+  },
+
+  // ========================================
+  // 🦵 リハビリ業務テンプレート
+  // ========================================
+  {
+    id: 'gait-training',
+    name: '歩行訓練',
+    professions: ['rehab'],
+    sections: ['実施内容', '歩行状態（歩容・距離・介助量）', '評価', '今後の課題'],
+    requiredObservations: ['歩行距離・時間', '使用した歩行補助具', '介助量', 'ふらつき・疲労感'],
+    examplePhrases: [
+      '四点杖を使用し、屋内を見守りにて約30m歩行した。',
+      '後半に右下肢のクリアランス低下がみられ、つまずきに注意が必要である。'
+    ]
+  },
+  {
+    id: 'rom-exercise',
+    name: '関節可動域訓練',
+    professions: ['rehab'],
+    sections: ['実施部位と内容', '可動域・疼痛の状態', '評価'],
+    requiredObservations: ['実施部位', '可動域（角度）', '疼痛の有無と程度', '拘縮の有無'],
+    examplePhrases: [
+      '両肩関節・膝関節に対し他動的関節可動域訓練を実施した。',
+      '右膝関節の屈曲は110度で、最終域に軽度の疼痛を伴う。'
+    ]
+  },
+  {
+    id: 'strength-training',
+    name: '筋力トレーニング',
+    professions: ['rehab'],
+    sections: ['実施内容（種目・回数・負荷）', '実施中の状態', '評価'],
+    requiredObservations: ['種目', '回数・セット数', '負荷量', '疲労感・疼痛'],
+    examplePhrases: [
+      '下肢筋力強化として、座位での膝伸展運動を10回×2セット実施した。',
+      '実施後の疲労感は軽度で、バイタルサインに変動はなかった。'
+    ]
+  },
+  {
+    id: 'adl-training',
+    name: 'ADL訓練',
+    professions: ['rehab'],
+    sections: ['訓練内容', '動作の状態と介助量', '評価', '生活場面への助言'],
+    requiredObservations: ['対象動作', '自立度・介助量', '動作上の課題', '安全面の配慮'],
+    examplePhrases: [
+      '更衣動作訓練を実施。上衣は自立、下衣は立位保持に軽介助を要する。',
+      '座位で下衣を通してから立ち上がる手順を指導した。'
+    ]
+  },
+  {
+    id: 'transfer-training',
+    name: '移乗動作訓練',
+    professions: ['rehab'],
+    sections: ['実施内容', '動作の状態と介助量', '評価', '介助方法の指導'],
+    requiredObservations: ['移乗の場面（ベッド・車椅子・トイレ等）', '介助量', 'バランス', '安全面の配慮'],
+    examplePhrases: [
+      'ベッドから車椅子への移乗を軽介助にて実施した。',
+      '方向転換時に体幹の動揺がみられるため、手すりの使用を継続する。'
+    ]
+  },
+  {
+    id: 'sit-to-stand-training',
+    name: '立ち上がり動作訓練',
+    professions: ['rehab'],
+    sections: ['実施内容', '動作の状態と介助量', '評価'],
+    requiredObservations: ['座面の高さ', '上肢支持の有無', '介助量', '立位保持時間'],
+    examplePhrases: [
+      '椅子からの立ち上がりを手すり使用にて10回実施した。',
+      '前方への重心移動が不十分で、殿部離床時に軽介助を要した。'
+    ]
+  },
+  {
+    id: 'bed-mobility-training',
+    name: '起居動作訓練',
+    professions: ['rehab'],
+    sections: ['実施内容', '動作の状態と介助量', '評価'],
+    requiredObservations: ['寝返り', '起き上がり', '端座位保持', '介助量'],
+    examplePhrases: [
+      '寝返りは自立、起き上がりはベッド柵を使用し見守りにて可能である。',
+      '端座位保持は安定しており、5分以上保持できた。'
+    ]
+  },
+  {
+    id: 'assistive-device-assessment',
+    name: '福祉用具評価',
+    professions: ['rehab'],
+    sections: ['評価した福祉用具', '使用状況', '適合性の評価', '提案内容'],
+    requiredObservations: ['用具の種類', '使用場面', '適合性（高さ・サイズ等）', '安全性'],
+    examplePhrases: [
+      '歩行器の高さが合っておらず前傾姿勢となるため、2cm高く調整した。',
+      '調整後は姿勢が改善し、歩行の安定性が向上した。'
+    ]
+  },
+  {
+    id: 'home-environment-assessment',
+    name: '住環境評価',
+    professions: ['rehab'],
+    sections: ['評価した場所', '動線・危険箇所', '提案内容', '本人・家族の意向'],
+    requiredObservations: ['段差', '手すりの有無', '動線上の障害物', '照明'],
+    examplePhrases: [
+      '玄関に約20cmの段差があり、昇降時にふらつきがみられる。',
+      '上がり框への縦手すりの設置を提案し、ケアマネジャーと共有することとした。'
+    ]
+  },
+  {
+    id: 'home-exercise-instruction',
+    name: '自主トレーニング指導',
+    professions: ['rehab'],
+    sections: ['指導内容', '実施状況の確認', '本人の理解度', '次回までの課題'],
+    requiredObservations: ['指導した運動', '回数・頻度', '実施状況', '本人の理解度'],
+    examplePhrases: [
+      '自主トレーニングとして、立ち上がり運動を1日2回・各10回行うよう指導した。',
+      '前回指導した運動は毎日継続できていると本人より聴取した。'
+    ]
+  },
+  {
+    id: 'caregiver-instruction',
+    name: '家族への介助指導',
+    professions: ['rehab'],
+    sections: ['指導内容', '家族の実施状況', '理解度と課題', '今後の支援'],
+    requiredObservations: ['指導対象者（続柄）', '指導した介助方法', '家族の実施状況', '介護負担'],
+    examplePhrases: [
+      '妻に対し、ベッドから車椅子への移乗介助の方法を指導した。',
+      '実際に介助していただき、安全に実施できることを確認した。'
+    ]
+  }
+]
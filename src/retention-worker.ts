@@ -0,0 +1,75 @@
+/**
+ * タップカルテ - データ保持期間の定期実行（Cron Trigger）
+ *
+ * Cloudflare Pages は Cron Trigger に対応しないため、同じD1を参照する別のWorkerとしてデプロイする（wrangler.retention.jsonc）。
+ * 保持期間の処理の後、履歴本文の暗号化の移行処理（src/services/record-encryption.ts）も行う。
+ * RETENTION_DRY_RUN=true の場合は対象件数をログに出力するのみで、データは変更しない
+ */
+
+import type { CloudflareBindings } from './types'
+import { runRetention } from './services/retention'
+import { createRecordCipher, runRecordEncryptionMigration } from './services/record-encryption'
+import { logger } from './utils'
+
+interface RetentionWorkerBindings extends CloudflareBindings {
+  /** "true" の場合はドライラン */
+  RETENTION_DRY_RUN?: string
+}
+
+export default {
+  async scheduled(controller: ScheduledController, env: RetentionWorkerBindings, ctx: ExecutionContext) {
+    if (!env.DB) {
+      logger.error('Retention skipped (database unavailable)', { cron: controller.cron })
+      return
+    }
+
+    const dryRun = env.RETENTION_DRY_RUN === 'true'
+
+    ctx.waitUntil(
+      runRetention(env.DB, { dryRun, now: new Date(controller.scheduledTime) })
+        .then(report => {
+          // ドライランの結果を確認しやすいよう、適用単位ごとに1行で出力する
+          for (const target of report.targets) {
+            logger.info('Retention target processed', {
+              dryRun,
+              organizationId: target.organizationId,
+              recordAction: target.records.action,
+              recordCutoff: target.records.cutoff,
+              records: target.records.count,
+              logCutoff: target.logs.cutoff,
+              logs: target.logs.count,
+              drafts: target.drafts.count,
+              hasMore: target.records.hasMore || target.logs.hasMore || target.drafts.hasMore
+            })
+          }
+
+          logger.info('Retention completed', {
+            cron: controller.cron,
+            dryRun,
+            targets: report.targets.length,
+            sessionCutoff: report.sessions?.cutoff,
+            sessions: report.sessions?.count
+          })
+        })
+        .catch(error => {
+          logger.error('Retention failed', {
+            cron: controller.cron,
+            dryRun,
+            error: (error as Error).message
+          })
+        })
+        // 保持期間の処理の後に、平文の履歴の暗号化・鍵のローテーション後の再暗号化を進める
+        .then(async () => runRecordEncryptionMigration(await createRecordCipher(env.DB!, env), { dryRun }))
+        .then(report => {
+          logger.info('Record encryption migration completed', { cron: controller.cron, ...report })
+        })
+        .catch(error => {
+          logger.error('Record encryption migration failed', {
+            cron: controller.cron,
+            dryRun,
+            error: (error as Error).message
+          })
+        })
+    )
+  }
+}
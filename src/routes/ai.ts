@@ -1,17 +1,79 @@
 /**
  * タップカルテ - AI変換APIルート
  * 
- * Gemini APIを使用した医療記録変換の処理
+ * AIプロバイダー（Gemini / Claude）を使用した医療記録変換の処理
  */
 
 import { Hono } from 'hono'
-import { GoogleGenerativeAI } from '@google/generative-ai'
-import type { CloudflareBindings, ConversionRequest, ConversionResponse, ApiResponse } from '../types'
-import { AI_CONFIG, getEnvironmentVariables, validateEnvironmentVariables } from '../config'
+import type { Context } from 'hono'
+import { streamSSE } from 'hono/streaming'
+import type {
+  CloudflareBindings,
+  ConversionRequest,
+  ConversionResponse,
+  ApiResponse,
+  TemplateContent,
+  PatientProfile,
+  RefineRequest,
+  MonthlyReportRequest,
+  MonthlyReportResponse,
+  UsageStatus,
+  TranscriptionResponse,
+  RedFlagReport
+} from '../types'
+import { AI_CONFIG, MONTHLY_REPORT_CONFIG, getEnvironmentVariables, validateEnvironmentVariables } from '../config'
 import { logger, measurePerformance, sanitizeText, getCurrentTimestamp } from '../utils'
-
-// 医療用語辞書のインポート
-import { medicalTerms } from '../medical-dictionary'
+import type { AuthenticatedSession } from '../auth'
+import { createAIProviders, generateWithFallback, streamWithFallback, type AIProvider } from '../services/ai-provider'
+import {
+  SOAP_JSON_SCHEMA,
+  SOAP_SECTION_KEYS,
+  isSoapFormat,
+  buildSoapOutputInstruction,
+  parseSoapResponse,
+  applySoapCharLimit,
+  formatSoapText
+} from '../services/soap'
+import {
+  deidentifyTexts,
+  restoreText,
+  createStreamRestorer,
+  buildPlaceholderInstruction,
+  type DeidentifiedEntry
+} from '../services/deidentify'
+import { loadPromptDictionary, type MedicalDictionary } from '../services/dictionary'
+import {
+  selectRelevantTerms,
+  formatDictionaryContext,
+  measureDictionaryUsage,
+  correctTranscript,
+  type DictionaryUsage
+} from '../services/term-matcher'
+import { termReadings, spokenForms } from '../medical-dictionary'
+import { resolveConversionTemplates, buildTemplateInstruction, toTemplateRefs } from '../services/templates'
+import { findAccessiblePatient, buildPatientInstruction, toPatientId } from '../services/patients'
+import {
+  MONTHLY_REPORT_JSON_SCHEMA,
+  MONTHLY_REPORT_SECTION_KEYS,
+  listMonthlyReportRecords,
+  buildMonthlyReportSource,
+  buildMonthlyReportOutputInstruction,
+  parseMonthlyReportResponse,
+  applyMonthlyReportCharLimit,
+  formatMonthlyReportText
+} from '../services/monthly-report'
+import { resolveUsageSubject, reserveQuota, releaseQuota, type QuotaReservation } from '../services/usage'
+import { writeAuditLog } from '../services/audit'
+import { getOrganizationMembership } from '../services/organizations'
+import { createRecordCipher, encryptRecordFields, isRecordEncryptionEnabled } from '../services/record-encryption'
+import {
+  createTranscriptionProvider,
+  transcribeAudio,
+  extractTranscriptionAudio,
+  extractTranscriptText
+} from '../services/transcription'
+import { extractVitalSigns } from '../services/vitals'
+import { loadRedFlagRules, detectRedFlags } from '../services/red-flags'
 
 // ========================================
 // 🤖 AI変換APIルート
@@ -25,6 +87,7 @@ const ai = new Hono<{ Bindings: CloudflareBindings }>()
  */
 ai.post('/convert', async (c) => {
   const requestId = c.get('requestId') || 'unknown'
+  let quotaReservation: QuotaReservation | undefined
   
   try {
     // 環境変数の検証（デモ用に一時的にバイパス）
@@ -51,13 +114,17 @@ ai.post('/convert', async (c) => {
       
       // デモレスポンスを生成
       const demoResponse = generateDemoResponse(text || '入力テキストなし')
+      const vitals = typeof text === 'string' ? extractVitalSigns(text) : null
+      const redFlags = typeof text === 'string' ? await detectConversionRedFlags(c, text, demoResponse) : null
       
       return c.json<ApiResponse<ConversionResponse>>({
         success: true,
         data: {
           success: true,
           result: demoResponse,
-          responseTime: 1200 // 1.2秒のシミュレート
+          responseTime: 1200, // 1.2秒のシミュレート
+          ...(vitals && { vitals }),
+          ...(redFlags && { redFlags })
         }
       })
     }
@@ -97,10 +164,28 @@ ai.post('/convert', async (c) => {
       timestamp: getCurrentTimestamp()
     })
 
-    // AI変換処理の実行
+    // 利用回数の確認・確保（複数案の生成はAIを案の数だけ呼び出すため、案の数だけ数える）
+    const quota = await reserveConversionQuota(c, options.variants || 1)
+    if (!quota.allowed) {
+      return c.json<ApiResponse<UsageStatus>>({
+        success: false,
+        error: QUOTA_EXCEEDED_MESSAGE,
+        data: quota.status
+      }, 429)
+    }
+    quotaReservation = quota.reservation
+
+    // ユーザー辞書・テンプレートを読み込んでプロンプトを準備
+    const { dictionary, templates, patient } = await loadConversionContext(c, options)
+    const preparedVariants = VARIANT_INSTRUCTIONS
+      .slice(0, options.variants || 1)
+      .map(instruction => prepareConversionPrompt(text, options, dictionary, templates, patient, instruction))
+
+    // AI変換処理の実行（複数案の場合は並列に生成）。バイタルは生成結果によらず入力メモから抽出する
     const conversionResult = await measurePerformance(async () => {
-      return await performAIConversion(text, options, envValidation.variables.GEMINI_API_KEY)
+      return await performVariantConversions(preparedVariants, options, createAIProviders(c.env))
     })
+    const vitals = extractVitalSigns(text)
 
     if (!conversionResult.result.success) {
       logger.error('AI conversion failed', {
@@ -108,6 +193,8 @@ ai.post('/convert', async (c) => {
         error: conversionResult.result.error,
         duration: conversionResult.duration
       })
+
+      await releaseConversionQuota(c, quotaReservation)
       
       return c.json<ApiResponse<ConversionResponse>>({
         success: false,
@@ -120,29 +207,38 @@ ai.post('/convert', async (c) => {
       requestId,
       inputLength: text.length,
       outputLength: conversionResult.result.result?.length || 0,
+      provider: conversionResult.result.provider,
+      variants: conversionResult.result.variants?.length || 1,
       duration: conversionResult.duration
     })
 
-    // データベース保存（オプション）
-    try {
-      await saveConversionRecord(c.env?.DB, {
-        text,
-        result: conversionResult.result.result!,
-        options,
-        responseTime: conversionResult.duration,
-        requestId
-      })
-    } catch (dbError) {
-      // DB保存失敗はレスポンスに影響しない
-      logger.warn('Database save failed', { requestId, dbError })
-    }
+    // 注意所見は入力メモと1案目の生成結果から検出する
+    const redFlags = await detectConversionRedFlags(c, text, conversionResult.result.result)
+
+    // データベース保存（オプション・複数案の場合は1案目を保存）
+    const recordId = await recordConversion(c, requestBody, {
+      text,
+      result: conversionResult.result.result!,
+      options,
+      responseTime: conversionResult.duration,
+      dictionaryUsage: preparedVariants[0].dictionaryUsage,
+      patientId: patient?.id ?? null
+    })
 
     return c.json<ApiResponse<ConversionResponse>>({
       success: true,
       data: {
         success: true,
         result: conversionResult.result.result,
-        responseTime: conversionResult.duration
+        responseTime: conversionResult.duration,
+        provider: conversionResult.result.provider,
+        ...(conversionResult.result.soap && { soap: conversionResult.result.soap }),
+        ...(conversionResult.result.variants && { variants: conversionResult.result.variants }),
+        ...(vitals && { vitals }),
+        ...(redFlags && { redFlags }),
+        ...(quota.status && { usage: quota.status }),
+        // 履歴IDはログインユーザーにのみ返す
+        ...(recordId && { recordId })
       }
     })
 
@@ -154,6 +250,8 @@ ai.post('/convert', async (c) => {
       stack: errorInstance.stack
     })
 
+    await releaseConversionQuota(c, quotaReservation)
+
     return c.json<ApiResponse<ConversionResponse>>({
       success: false,
       error: '予期しないエラーが発生しました'
@@ -161,271 +259,1431 @@ ai.post('/convert', async (c) => {
   }
 })
 
-// ========================================
-// 🔧 ヘルパー関数
-// ========================================
-
 /**
- * リクエストデータからConversionRequestを抽出・検証
+ * 生成結果の修正エンドポイント
+ * POST /api/ai/refine
+ *
+ * 前回の生成結果を修正指示（例: 「もっと簡潔に」「家族の反応を強調」）に沿って書き直す。
+ * 入力メモを編集して再生成する必要がないよう、修正前の結果をそのまま受け取る。利用回数は変換と同じく1回として数える
  */
-function extractConversionRequest(body: any): {
-  success: boolean
-  data?: ConversionRequest
-  error?: string
-} {
-  // 新しいAPIフォーマット { text, options } をサポート
-  const { text, options, style, docType, format, charLimit } = body
+ai.post('/refine', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  let quotaReservation: QuotaReservation | undefined
 
-  // 必須フィールドの検証
-  if (!text || typeof text !== 'string') {
-    return {
-      success: false,
-      error: '入力テキストが必要です'
+  try {
+    // リクエストボディの取得
+    let requestBody
+    try {
+      requestBody = await c.req.json()
+    } catch (error) {
+      logger.warn('Invalid JSON in request body', { requestId })
+      return c.json<ApiResponse<ConversionResponse>>({
+        success: false,
+        error: '無効なJSONデータです'
+      }, 400)
     }
-  }
 
-  // 新しい形式 { text, options } の場合
-  if (options && typeof options === 'object') {
-    const { format: optFormat, style: optStyle, include_suggestions, charLimit: optCharLimit, docType: optDocType, template, templates } = options
-    
-    return {
-      success: true,
-      data: {
-        text: sanitizeText(text),
-        options: {
-          format: optFormat || 'medical_record',
-          style: optStyle || 'professional',
-          include_suggestions: include_suggestions !== false,
-          // 従来フォーマットへのマッピング
-          docType: optDocType || (optFormat === 'report' ? '報告書' : '記録'),
-          charLimit: optCharLimit || AI_CONFIG.defaultCharLimit,
-          template: template || null, // 単一テンプレート（後方互換性）
-          templates: templates || [] // 複数テンプレート（新機能）
-        }
-      }
-    }
-  }
+    // リクエストデータの検証・抽出
+    const refineRequest = extractRefineRequest(requestBody)
+    if (!refineRequest.success) {
+      logger.warn('Invalid refine request', {
+        requestId,
+        error: refineRequest.error
+      })
 
-  // 従来の形式をサポート（後方互換性）
-  if (!style || !docType || !format) {
-    return {
-      success: false,
-      error: '変換オプションが不完全です'
+      return c.json<ApiResponse<ConversionResponse>>({
+        success: false,
+        error: refineRequest.error
+      }, 400)
     }
-  }
 
-  // 値の検証
-  const validStyles = ['ですます体', 'だ・である体']
-  const validDocTypes = ['記録', '報告書']
-  const validFormats = ['文章形式', 'SOAP形式']
+    const request = refineRequest.data!
 
-  if (!validStyles.includes(style)) {
-    return {
-      success: false,
-      error: '無効な文体が指定されています'
-    }
-  }
+    logger.info('Refine request received', {
+      requestId,
+      previousLength: request.previousResult.length,
+      instructionLength: request.instruction.length,
+      hasOriginalText: !!request.text,
+      options: request.options,
+      timestamp: getCurrentTimestamp()
+    })
 
-  if (!validDocTypes.includes(docType)) {
-    return {
-      success: false,
-      error: '無効なドキュメント種別が指定されています'
+    // 利用回数の確認・確保
+    const quota = await reserveConversionQuota(c)
+    if (!quota.allowed) {
+      return c.json<ApiResponse<UsageStatus>>({
+        success: false,
+        error: QUOTA_EXCEEDED_MESSAGE,
+        data: quota.status
+      }, 429)
     }
-  }
+    quotaReservation = quota.reservation
 
-  if (!validFormats.includes(format)) {
-    return {
-      success: false,
-      error: '無効なフォーマットが指定されています'
+    const { dictionary, templates, patient } = await loadConversionContext(c, request.options)
+    const prepared = prepareRefinePrompt(request, dictionary, templates, patient)
+
+    // 変換と同じ生成・整形処理で修正版を作成
+    const refineResult = await measurePerformance(async () => {
+      return await performAIConversion(prepared, request.options, createAIProviders(c.env))
+    })
+    const vitals = extractVitalSigns(request.text || request.previousResult)
+
+    if (!refineResult.result.success) {
+      logger.error('AI refine failed', {
+        requestId,
+        error: refineResult.result.error,
+        duration: refineResult.duration
+      })
+
+      await releaseConversionQuota(c, quotaReservation)
+
+      return c.json<ApiResponse<ConversionResponse>>({
+        success: false,
+        error: refineResult.result.error || 'AI変換中にエラーが発生しました'
+      }, 500)
     }
-  }
 
-  // 文字数制限の検証
-  const limitValue = Math.min(parseInt(charLimit) || AI_CONFIG.defaultCharLimit, AI_CONFIG.maxCharLimit)
+    logger.info('Refine completed successfully', {
+      requestId,
+      outputLength: refineResult.result.result?.length || 0,
+      provider: refineResult.result.provider,
+      duration: refineResult.duration
+    })
 
-  return {
-    success: true,
-    data: {
-      text: sanitizeText(text),
-      options: {
-        style,
-        docType,
-        format,
-        charLimit: limitValue
+    // 修正で主治医への報告を書き加えた場合も判定できるよう、修正後の結果から検出する
+    const redFlags = await detectConversionRedFlags(c, request.text || '', refineResult.result.result)
+
+    // 修正版も履歴として保存する
+    const recordId = await recordConversion(c, requestBody, {
+      text: request.text || request.previousResult,
+      result: refineResult.result.result!,
+      options: request.options,
+      responseTime: refineResult.duration,
+      dictionaryUsage: prepared.dictionaryUsage,
+      patientId: patient?.id ?? null
+    })
+
+    return c.json<ApiResponse<ConversionResponse>>({
+      success: true,
+      data: {
+        success: true,
+        result: refineResult.result.result,
+        responseTime: refineResult.duration,
+        provider: refineResult.result.provider,
+        ...(refineResult.result.soap && { soap: refineResult.result.soap }),
+        ...(vitals && { vitals }),
+        ...(redFlags && { redFlags }),
+        ...(quota.status && { usage: quota.status }),
+        // 履歴IDはログインユーザーにのみ返す
+        ...(recordId && { recordId })
       }
-    }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Refine endpoint error', {
+      requestId,
+      error: errorInstance.message,
+      stack: errorInstance.stack
+    })
+
+    await releaseConversionQuota(c, quotaReservation)
+
+    return c.json<ApiResponse<ConversionResponse>>({
+      success: false,
+      error: '予期しないエラーが発生しました'
+    }, 500)
   }
-}
+})
 
 /**
- * Gemini APIを使用したAI変換処理
+ * 月次の訪問看護報告書の作成エンドポイント（ログイン必須）
+ * POST /api/ai/report/monthly
+ *
+ * 利用者に紐付けた期間内の訪問記録（docType: 記録）を時系列にまとめ、
+ * 主治医・ケアマネジャー向けの訪問看護報告書を生成する。利用回数は1回として数える
  */
-async function performAIConversion(
-  text: string,
-  options: ConversionRequest['options'],
-  apiKey: string
-): Promise<ConversionResponse> {
+ai.post('/report/monthly', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  let quotaReservation: QuotaReservation | undefined
+
   try {
-    const genAI = new GoogleGenerativeAI(apiKey)
-    const model = genAI.getGenerativeModel({ model: AI_CONFIG.model })
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    // リクエストボディの取得
+    let requestBody
+    try {
+      requestBody = await c.req.json()
+    } catch (error) {
+      logger.warn('Invalid JSON in request body', { requestId })
+      return c.json<ApiResponse<MonthlyReportResponse>>({
+        success: false,
+        error: '無効なJSONデータです'
+      }, 400)
+    }
 
-    // 医療用語辞書をプロンプト用文字列に変換
-    const medicalTermsContext = Object.entries(medicalTerms)
-      .map(([term, meaning]) => `・${term}: ${meaning}`)
-      .join('\n')
+    const reportRequest = extractMonthlyReportRequest(requestBody)
+    if (!reportRequest.success) {
+      logger.warn('Invalid monthly report request', {
+        requestId,
+        error: reportRequest.error
+      })
 
-    // プロンプトの構築
-    const prompt = buildConversionPrompt(text, options, medicalTermsContext)
-    
-    logger.debug('AI conversion prompt generated', {
-      textLength: text.length,
-      promptLength: prompt.length,
-      options
-    })
+      return c.json<ApiResponse<MonthlyReportResponse>>({
+        success: false,
+        error: reportRequest.error
+      }, 400)
+    }
 
-    // Gemini API呼び出し
-    const result = await model.generateContent(prompt)
-    const response = await result.response
-    const convertedText = response.text()
+    const request = reportRequest.data!
 
-    if (!convertedText || convertedText.trim() === '') {
-      return {
+    const { dictionary, patient } = await loadConversionContext(c, request.options)
+    if (!patient) {
+      return c.json<ApiResponse<MonthlyReportResponse>>({
         success: false,
-        error: 'AI変換結果が空です'
-      }
+        error: '利用者が見つかりません'
+      }, 404)
     }
 
-    // 不要な英文やフォーマット文字列を除去
-    const cleanedText = convertedText
-      .trim()
-      .replace(/^medical_record\s*/i, '') // 先頭のmedical_record削除
-      .replace(/\/medical_record\s*$/i, '') // 末尾の/medical_record削除
-      .replace(/medical_record/gi, '') // その他のmedical_record削除
-      .replace(/\*\*\d{4}年\d{1,2}月\d{1,2}日\s+\d{1,2}時\d{1,2}分\*\*/g, '') // 日時情報削除
-      .replace(/\*\*記録者：\[.*?\]\*\*/g, '') // 記録者情報削除
-      .replace(/\*\*記録者：.*?\*\*/g, '') // 記録者情報削除（別パターン）
-      .replace(/^\d{4}年\d{1,2}月\d{1,2}日.*?\n/gm, '') // 行頭の日時削除
-      .replace(/記録者：.*?\n/gm, '') // 記録者行削除
-      .replace(/^\*+\s*/gm, '') // 行頭のアスタリスク削除
-      .replace(/〇月〇日\s+〇時〇分/g, '') // 〇月〇日 〇時〇分削除
-      .replace(/^\*+$/gm, '') // アスタリスクのみの行削除
-      .replace(/【.*?】\s*/g, '') // 【タイトル】形式の削除（【訪問看護記録書】など）
-      .replace(/■.*?■\s*/g, '') // ■タイトル■形式の削除
-      .replace(/◆.*?◆\s*/g, '') // ◆タイトル◆形式の削除
-      .replace(/▼.*?▼\s*/g, '') // ▼タイトル▼形式の削除
-      .replace(/^\s*[＜<].*?[＞>]\s*$/gm, '') // <タイトル>形式の削除
-      .replace(/^.*?(記録書|報告書|申し送り書|看護記録).*?\n/gm, '') // タイトル行の削除
-      .replace(/ストレッチング/g, 'ストレッチ') // ストレッチング→ストレッチ
-      .replace(/セッション/g, '訪問看護') // セッション→訪問看護
-      .replace(/理学療法/g, '訪問リハビリ') // 理学療法→訪問リハビリ
-      .replace(/アナムネ[ーェエ]?ジ?ス?/g, '') // アナムネージス削除（表記揺れ対応）
-      .replace(/\s+/g, ' ') // 連続スペースを単一スペースに
-      .replace(/\n\s*\n/g, '\n') // 空行の除去
-      .trim()
-
-    // 文字数制限を厳密に適用
-    const { charLimit } = options
-    let limitedText = cleanedText
-    if (charLimit && cleanedText.length > charLimit) {
-      // 厳密に文字数制限を適用
-      if (charLimit <= 3) {
-        limitedText = cleanedText.substring(0, charLimit)
-      } else {
-        limitedText = cleanedText.substring(0, charLimit - 1) + '。'
-        // それでも長い場合は「...」を使用
-        if (limitedText.length > charLimit) {
-          limitedText = cleanedText.substring(0, charLimit - 3) + '...'
-        }
-      }
+    const cipher = await createRecordCipher(db, c.env)
+    const records = await listMonthlyReportRecords(db, cipher, session.user.id, patient.id, request.from, request.to)
+    if (records.length === 0) {
+      return c.json<ApiResponse<MonthlyReportResponse>>({
+        success: false,
+        error: '期間内にこの利用者の記録がありません'
+      }, 404)
     }
 
-    return {
-      success: true,
-      result: limitedText
+    if (records.length > MONTHLY_REPORT_CONFIG.maxRecords) {
+      return c.json<ApiResponse<MonthlyReportResponse>>({
+        success: false,
+        error: `1回の報告書にまとめられる記録は${MONTHLY_REPORT_CONFIG.maxRecords}件までです。期間を短くしてください`
+      }, 400)
     }
 
-  } catch (error) {
-    const errorInstance = error as Error
-    logger.error('Gemini API error', {
-      error: errorInstance.message,
-      apiKey: apiKey ? `***${apiKey.slice(-4)}` : 'not_provided'
+    const source = buildMonthlyReportSource(records)
+    if (source.length > MONTHLY_REPORT_CONFIG.maxSourceLength) {
+      return c.json<ApiResponse<MonthlyReportResponse>>({
+        success: false,
+        error: '期間内の記録が長すぎます。期間を短くしてください'
+      }, 400)
+    }
+
+    logger.info('Monthly report request received', {
+      requestId,
+      userId: session.user.id,
+      patientId: patient.id,
+      from: request.from,
+      to: request.to,
+      recordCount: records.length,
+      sourceLength: source.length
     })
 
-    // エラーメッセージの分類
-    if (errorInstance.message.includes('API key')) {
-      return {
-        success: false,
-        error: 'AI APIキーの設定に問題があります'
-      }
-    } else if (errorInstance.message.includes('quota') || errorInstance.message.includes('limit')) {
-      return {
+    // 利用回数の確認・確保（報告書の作成も1回として数える）
+    const quota = await reserveConversionQuota(c)
+    if (!quota.allowed) {
+      return c.json<ApiResponse<UsageStatus>>({
         success: false,
-        error: 'AI APIの利用制限に達しました。しばらく待ってからお試しください'
-      }
-    } else {
-      return {
+        error: QUOTA_EXCEEDED_MESSAGE,
+        data: quota.status
+      }, 429)
+    }
+    quotaReservation = quota.reservation
+
+    const prepared = prepareMonthlyReportPrompt(source, request, dictionary, patient, records.length)
+
+    const reportResult = await measurePerformance(async () => {
+      return await performMonthlyReport(prepared, request.options, createAIProviders(c.env))
+    })
+
+    if (!reportResult.result.success) {
+      logger.error('Monthly report generation failed', {
+        requestId,
+        error: reportResult.result.error,
+        duration: reportResult.duration
+      })
+
+      await releaseConversionQuota(c, quotaReservation)
+
+      return c.json<ApiResponse<MonthlyReportResponse>>({
         success: false,
-        error: 'AI変換サービスに接続できませんでした'
-      }
+        error: reportResult.result.error || 'AI変換中にエラーが発生しました'
+      }, 500)
     }
-  }
-}
 
-/**
- * 変換用プロンプトの構築
- */
-function buildConversionPrompt(
-  text: string,
-  options: ConversionRequest['options'],
-  medicalTermsContext: string
-): string {
-  const { style, docType, format, charLimit, template, templates } = options
+    logger.info('Monthly report completed successfully', {
+      requestId,
+      outputLength: reportResult.result.result?.length || 0,
+      provider: reportResult.result.provider,
+      duration: reportResult.duration
+    })
 
-  // テンプレート用コンテキストの準備
-  let templateContext = ''
-  
-  // 新しい複数テンプレート機能を優先
-  if (templates && Array.isArray(templates) && templates.length > 0) {
-    templateContext = `
-【業務内容テンプレート】
-この記録は「${templates.join('、')}」に関する内容として整理してください。これらの業務内容に関連する専門的な観点から記録を作成してください。
-`
-  } 
-  // 従来の単一テンプレート（後方互換性）
-  else if (template) {
-    templateContext = `
-【業務内容テンプレート】
-この記録は「${template}」に関する内容として整理してください。この業務内容に関連する専門的な観点から記録を作成してください。
-`
-  }
+    // 報告書も利用者に紐付けた履歴として保存する（入力には集計対象を記録する）
+    const recordId = await recordConversion(c, requestBody, {
+      text: `${request.from}〜${request.to}の訪問記録${records.length}件から作成した月次報告書`,
+      result: reportResult.result.result!,
+      options: request.options,
+      responseTime: reportResult.duration,
+      dictionaryUsage: prepared.dictionaryUsage,
+      patientId: patient.id
+    })
 
-  // 報告書の場合の特別な指示
-  if (docType === '報告書') {
-    return `あなたは経験豊富な一流の看護師と理学療法士です。以下の口頭メモや簡潔なメモを、適切な${docType}として整理してください。
-${templateContext}
-【重要な指示】
-1. 入力内容のみに基づいて記録を作成し、勝手な情報は追加しない
-2. 入力文字数が少ない場合（30文字未満）は決して創作や推測で内容を膨らませない
-3. ${style}で統一する
-4. ${format}で出力する
-5. 出力は${charLimit}文字以内に収める
-6. 以下の医療用語辞書を参考にして、適切な専門用語を使用する
-7. 自然な時系列順で読みやすく整理する
-8. あなたの専門的視点から情報を整理・分析し、主治医にとっては医学的判断の材料となり、ケアマネジャーにとってはケアプランの見直しに資する情報となるよう、論理的で分かりやすい文章を作成してください。
-9. 誤字脱字は、医療・介護の専門用語を用いて適切に修正します。
+    return c.json<ApiResponse<MonthlyReportResponse>>({
+      success: true,
+      data: {
+        ...reportResult.result,
+        responseTime: reportResult.duration,
+        recordCount: records.length,
+        ...(quota.status && { usage: quota.status }),
+        ...(recordId && { recordId })
+      }
+    })
 
-【医療用語辞書】
-${medicalTermsContext}
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Monthly report endpoint error', {
+      requestId,
+      error: errorInstance.message,
+      stack: errorInstance.stack
+    })
 
-【入力メモ】
-${text}
+    await releaseConversionQuota(c, quotaReservation)
 
-【${docType}（${format}・${style}・${charLimit}文字以内）】`
+    return c.json<ApiResponse<MonthlyReportResponse>>({
+      success: false,
+      error: '予期しないエラーが発生しました'
+    }, 500)
+  }
+})
+
+/**
+ * ストリーミング変換エンドポイント（Server-Sent Events）
+ * POST /api/ai/convert/stream
+ *
+ * イベント:
+ * - delta: 生成途中のテキスト断片 { text }（整形前）
+ * - done:  整形・文字数制限適用後の最終結果（ConversionResponse）。クライアントは表示を置き換える
+ * - error: エラー { error }
+ */
+ai.post('/convert/stream', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+
+  // リクエストボディの取得
+  let requestBody
+  try {
+    requestBody = await c.req.json()
+  } catch (error) {
+    logger.warn('Invalid JSON in request body', { requestId })
+    return c.json<ApiResponse<ConversionResponse>>({
+      success: false,
+      error: '無効なJSONデータです'
+    }, 400)
+  }
+
+  // 環境変数の検証（デモ用に一時的にバイパス）
+  const envValidation = validateEnvironmentVariables(c.env)
+  if (!envValidation.isValid) {
+    logger.info('Environment validation failed, streaming demo response', {
+      requestId,
+      issues: envValidation.issues
+    })
+
+    const demoResponse = generateDemoResponse(requestBody?.text || '入力テキストなし')
+    const vitals = typeof requestBody?.text === 'string' ? extractVitalSigns(requestBody.text) : null
+    const redFlags = typeof requestBody?.text === 'string' ? await detectConversionRedFlags(c, requestBody.text, demoResponse) : null
+
+    return streamSSE(c, async (stream) => {
+      await stream.writeSSE({ event: 'delta', data: JSON.stringify({ text: demoResponse }) })
+      await stream.writeSSE({
+        event: 'done',
+        data: JSON.stringify({ success: true, result: demoResponse, responseTime: 1200, ...(vitals && { vitals }), ...(redFlags && { redFlags }) })
+      })
+    })
+  }
+
+  // リクエストデータの検証・抽出（ストリーム開始前に通常のJSONエラーとして返す）
+  const conversionRequest = extractConversionRequest(requestBody)
+  if (!conversionRequest.success) {
+    logger.warn('Invalid conversion request', {
+      requestId,
+      error: conversionRequest.error
+    })
+
+    return c.json<ApiResponse<ConversionResponse>>({
+      success: false,
+      error: conversionRequest.error
+    }, 400)
+  }
+
+  const { text, options } = conversionRequest.data!
+  const providers = createAIProviders(c.env)
+
+  if (providers.length === 0) {
+    return c.json<ApiResponse<ConversionResponse>>({
+      success: false,
+      error: 'AI APIキーの設定に問題があります'
+    }, 500)
+  }
+
+  logger.info('Streaming conversion request received', {
+    requestId,
+    textLength: text.length,
+    options,
+    timestamp: getCurrentTimestamp()
+  })
+
+  // 利用回数の確認・確保（ストリーム開始前に通常のJSONエラーとして返す）
+  const quota = await reserveConversionQuota(c)
+  if (!quota.allowed) {
+    return c.json<ApiResponse<UsageStatus>>({
+      success: false,
+      error: QUOTA_EXCEEDED_MESSAGE,
+      data: quota.status
+    }, 429)
+  }
+
+  return streamSSE(c, async (stream) => {
+    const startTime = Date.now()
+    const { dictionary, templates, patient } = await loadConversionContext(c, options)
+    const { prompt, entries, dictionaryUsage } = prepareConversionPrompt(text, options, dictionary, templates, patient)
+    const structured = isSoapFormat(options.format)
+    const restorer = createStreamRestorer(entries)
+
+    // SOAP形式は生成途中のJSONを表示しても意味がないため、最終結果のみ送る
+    const generation = await streamWithFallback(providers, prompt, async (chunk) => {
+      const restored = restorer.push(chunk)
+      if (!structured && restored) {
+        await stream.writeSSE({ event: 'delta', data: JSON.stringify({ text: restored }) })
+      }
+    }, {
+      jsonSchema: structured ? SOAP_JSON_SCHEMA : undefined
+    })
+
+    const rest = restorer.flush()
+    if (!structured && rest) {
+      await stream.writeSSE({ event: 'delta', data: JSON.stringify({ text: rest }) })
+    }
+
+    const responseTime = Date.now() - startTime
+
+    if (!generation.success) {
+      logger.error('Streaming conversion failed', {
+        requestId,
+        errorKind: generation.errorKind,
+        attempts: generation.attempts,
+        duration: responseTime
+      })
+
+      await releaseConversionQuota(c, quota.reservation)
+      await stream.writeSSE({
+        event: 'error',
+        data: JSON.stringify({ error: AI_ERROR_MESSAGES[generation.errorKind] })
+      })
+      return
+    }
+
+    // 整形・文字数制限は生成完了後に一括で適用し、最終結果として送る
+    const finalized = finalizeConversion(generation.text, options, entries)
+    if (!finalized.success) {
+      await releaseConversionQuota(c, quota.reservation)
+      await stream.writeSSE({
+        event: 'error',
+        data: JSON.stringify({ error: finalized.error })
+      })
+      return
+    }
+
+    const result = finalized.result!
+    const vitals = extractVitalSigns(text)
+    const redFlags = await detectConversionRedFlags(c, text, result)
+
+    logger.info('Streaming conversion completed successfully', {
+      requestId,
+      inputLength: text.length,
+      outputLength: result.length,
+      provider: generation.provider,
+      duration: responseTime
+    })
+
+    const recordId = await recordConversion(c, requestBody, {
+      text,
+      result,
+      options,
+      responseTime,
+      dictionaryUsage,
+      patientId: patient?.id ?? null
+    })
+
+    await stream.writeSSE({
+      event: 'done',
+      data: JSON.stringify({
+        ...finalized,
+        responseTime,
+        provider: generation.provider,
+        ...(vitals && { vitals }),
+        ...(redFlags && { redFlags }),
+        ...(quota.status && { usage: quota.status }),
+        ...(recordId && { recordId })
+      } satisfies ConversionResponse)
+    })
+  }, async (error, stream) => {
+    logger.error('Streaming conversion endpoint error', {
+      requestId,
+      error: error.message,
+      stack: error.stack
+    })
+
+    await releaseConversionQuota(c, quota.reservation)
+    await stream.writeSSE({
+      event: 'error',
+      data: JSON.stringify({ error: '予期しないエラーが発生しました' })
+    })
+  })
+})
+
+/**
+ * 音声ファイルの文字起こしエンドポイント（ログイン必須）
+ * POST /api/ai/transcribe（multipart/form-data の audio）
+ *
+ * ブラウザの音声認識に対応していない端末で録音した音声を書き起こし、医療用語辞書で補正して返す
+ */
+ai.post('/transcribe', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const provider = createTranscriptionProvider(c.env)
+    if (!provider) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '音声の文字起こしは現在利用できません'
+      }, 503)
+    }
+
+    let form: FormData
+    try {
+      form = await c.req.formData()
+    } catch (error) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '音声ファイルを送信してください'
+      }, 400)
+    }
+
+    const audio = await extractTranscriptionAudio(form)
+    if (!audio.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: audio.error
+      }, audio.status!)
+    }
+
+    const result = await measurePerformance(() => transcribeAudio(provider, audio.data!))
+    if (!result.result.success) {
+      logger.error('Audio transcription failed', {
+        requestId,
+        provider: provider.name,
+        errorKind: result.result.errorKind,
+        duration: result.duration
+      })
+
+      return c.json<ApiResponse>({
+        success: false,
+        error: TRANSCRIPTION_ERROR_MESSAGES[result.result.errorKind]
+      }, 500)
+    }
+
+    const dictionary = await loadPromptDictionary(c.env?.DB, session.user.id)
+    const corrected = correctTranscript(result.result.text, dictionary, spokenForms)
+
+    logger.info('Audio transcribed', {
+      requestId,
+      provider: provider.name,
+      audioBytes: audio.data!.data.byteLength,
+      textLength: corrected.text.length,
+      corrections: corrected.corrections.length,
+      duration: result.duration
+    })
+
+    return c.json<ApiResponse<TranscriptionResponse>>({
+      success: true,
+      data: {
+        text: corrected.text,
+        rawText: result.result.text,
+        corrections: corrected.corrections,
+        provider: provider.name
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Transcription endpoint error', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '音声の文字起こしに失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 書き起こしの補正エンドポイント
+ * POST /api/ai/transcribe/correct
+ *
+ * ブラウザの音声認識の結果を医療用語辞書で補正する（ログイン中はマイ辞書・組織の共有辞書も使う）
+ */
+ai.post('/transcribe/correct', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession | undefined
+
+  try {
+    let requestBody
+    try {
+      requestBody = await c.req.json()
+    } catch (error) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '無効なJSONデータです'
+      }, 400)
+    }
+
+    const input = extractTranscriptText(requestBody)
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const dictionary = await loadPromptDictionary(c.env?.DB, session?.user.id)
+    const corrected = correctTranscript(input.data!, dictionary, spokenForms)
+
+    return c.json<ApiResponse<TranscriptionResponse>>({
+      success: true,
+      data: {
+        text: corrected.text,
+        rawText: input.data!,
+        corrections: corrected.corrections
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Transcript correction error', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '書き起こしの補正に失敗しました'
+    }, 500)
+  }
+})
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * リクエストデータからConversionRequestを抽出・検証
+ */
+function extractConversionRequest(body: any): {
+  success: boolean
+  data?: ConversionRequest
+  error?: string
+} {
+  // 新しいAPIフォーマット { text, options } をサポート
+  const { text, options, style, docType, format, charLimit } = body
+
+  // 必須フィールドの検証
+  if (!text || typeof text !== 'string') {
+    return {
+      success: false,
+      error: '入力テキストが必要です'
+    }
+  }
+
+  // 新しい形式 { text, options } の場合
+  if (options && typeof options === 'object') {
+    const { format: optFormat, style: optStyle, charLimit: optCharLimit, docType: optDocType, template, templates, variants, patientId } = options
+    
+    return {
+      success: true,
+      data: {
+        text: sanitizeText(text),
+        options: {
+          format: optFormat || 'medical_record',
+          style: optStyle || 'professional',
+          // 従来フォーマットへのマッピング
+          docType: optDocType || (optFormat === 'report' ? '報告書' : '記録'),
+          charLimit: optCharLimit || AI_CONFIG.defaultCharLimit,
+          template: template || null, // 単一テンプレート（後方互換性）
+          templates: toTemplateRefs(templates), // 複数テンプレート（テンプレートIDまたは業務内容名）
+          variants: Math.min(Math.max(parseInt(variants) || 1, 1), AI_CONFIG.maxVariants),
+          patientId: toPatientId(patientId) // 利用者プロフィール（背景情報として参照）
+        }
+      }
+    }
+  }
+
+  // 従来の形式をサポート（後方互換性）
+  if (!style || !docType || !format) {
+    return {
+      success: false,
+      error: '変換オプションが不完全です'
+    }
+  }
+
+  // 値の検証
+  const validStyles = ['ですます体', 'だ・である体']
+  const validDocTypes = ['記録', '報告書']
+  const validFormats = ['文章形式', 'SOAP形式']
+
+  if (!validStyles.includes(style)) {
+    return {
+      success: false,
+      error: '無効な文体が指定されています'
+    }
+  }
+
+  if (!validDocTypes.includes(docType)) {
+    return {
+      success: false,
+      error: '無効なドキュメント種別が指定されています'
+    }
+  }
+
+  if (!validFormats.includes(format)) {
+    return {
+      success: false,
+      error: '無効なフォーマットが指定されています'
+    }
+  }
+
+  // 文字数制限の検証
+  const limitValue = Math.min(parseInt(charLimit) || AI_CONFIG.defaultCharLimit, AI_CONFIG.maxCharLimit)
+
+  return {
+    success: true,
+    data: {
+      text: sanitizeText(text),
+      options: {
+        style,
+        docType,
+        format,
+        charLimit: limitValue
+      }
+    }
+  }
+}
+
+/**
+ * リクエストデータからRefineRequestを抽出・検証
+ * 変換オプションは変換リクエストと同じ規則で解釈する
+ */
+function extractRefineRequest(body: any): {
+  success: boolean
+  data?: RefineRequest
+  error?: string
+} {
+  const { previousResult, instruction, text, options } = body || {}
+
+  if (!previousResult || typeof previousResult !== 'string' || !previousResult.trim()) {
+    return {
+      success: false,
+      error: '修正する生成結果が必要です'
+    }
+  }
+
+  if (!instruction || typeof instruction !== 'string' || !instruction.trim()) {
+    return {
+      success: false,
+      error: '修正指示を入力してください'
+    }
+  }
+
+  if (instruction.trim().length > AI_CONFIG.maxRefineInstructionLength) {
+    return {
+      success: false,
+      error: `修正指示は${AI_CONFIG.maxRefineInstructionLength}文字以内で入力してください`
+    }
+  }
+
+  if (previousResult.length > AI_CONFIG.maxRefinePreviousResultLength) {
+    return {
+      success: false,
+      error: `修正する生成結果は${AI_CONFIG.maxRefinePreviousResultLength}文字以内で送信してください`
+    }
+  }
+
+  if (text !== undefined && text !== null && (typeof text !== 'string' || text.length > AI_CONFIG.maxInputLength)) {
+    return {
+      success: false,
+      error: `入力メモは${AI_CONFIG.maxInputLength}文字以内で送信してください`
+    }
+  }
+
+  const conversionRequest = extractConversionRequest({ text: previousResult, options: options || {} })
+  if (!conversionRequest.success) {
+    return {
+      success: false,
+      error: conversionRequest.error
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      previousResult: conversionRequest.data!.text,
+      instruction: sanitizeText(instruction.trim()),
+      ...(typeof text === 'string' && text.trim() && { text: sanitizeText(text) }),
+      // 修正は1案のみ生成する
+      options: { ...conversionRequest.data!.options, variants: 1 }
+    }
+  }
+}
+
+/**
+ * リクエストデータからMonthlyReportRequestを抽出・検証
+ * 報告書は文章形式で作成し、文体・文字数制限のみ指定できる
+ */
+function extractMonthlyReportRequest(body: any): {
+  success: boolean
+  data?: MonthlyReportRequest
+  error?: string
+} {
+  const { patientId, from, to, options } = body || {}
+
+  const id = toPatientId(patientId)
+  if (id === null) {
+    return {
+      success: false,
+      error: '利用者を指定してください'
+    }
+  }
+
+  if (!isValidDate(from) || !isValidDate(to)) {
+    return {
+      success: false,
+      error: '集計期間の形式が正しくありません（YYYY-MM-DD）'
+    }
+  }
+
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1
+  if (days < 1) {
+    return {
+      success: false,
+      error: '集計期間の終了日は開始日以降にしてください'
+    }
+  }
+
+  if (days > MONTHLY_REPORT_CONFIG.maxRangeDays) {
+    return {
+      success: false,
+      error: `集計期間は${MONTHLY_REPORT_CONFIG.maxRangeDays}日以内にしてください`
+    }
+  }
+
+  const charLimit = parseInt(options?.charLimit) || MONTHLY_REPORT_CONFIG.defaultCharLimit
+
+  return {
+    success: true,
+    data: {
+      patientId: id,
+      from,
+      to,
+      options: {
+        docType: '報告書',
+        format: '文章形式',
+        style: options?.style === 'ですます体' ? 'ですます体' : 'だ・である体',
+        charLimit: Math.min(Math.max(charLimit, AI_CONFIG.minCharLimit), MONTHLY_REPORT_CONFIG.maxCharLimit),
+        templates: [],
+        variants: 1,
+        patientId: id
+      }
+    }
+  }
+}
+
+/**
+ * 実在する日付（YYYY-MM-DD）か判定
+ */
+function isValidDate(value: unknown): value is string {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false
+  }
+  const date = new Date(`${value}T00:00:00Z`)
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value)
+}
+
+/**
+ * AIプロバイダーを使用したAI変換処理（設定順にフォールバック）
+ */
+async function performAIConversion(
+  prepared: PreparedPrompt,
+  options: ConversionRequest['options'],
+  providers: AIProvider[]
+): Promise<ConversionResponse> {
+  try {
+    if (providers.length === 0) {
+      return {
+        success: false,
+        error: 'AI APIキーの設定に問題があります'
+      }
+    }
+
+    const { prompt, entries } = prepared
+
+    // AIプロバイダー呼び出し（失敗・タイムアウト時は次のプロバイダーへ）
+    const generation = await generateWithFallback(providers, prompt, {
+      jsonSchema: isSoapFormat(options.format) ? SOAP_JSON_SCHEMA : undefined
+    })
+
+    if (!generation.success) {
+      logger.error('All AI providers failed', {
+        errorKind: generation.errorKind,
+        attempts: generation.attempts
+      })
+
+      return {
+        success: false,
+        error: AI_ERROR_MESSAGES[generation.errorKind]
+      }
+    }
+
+    const finalized = finalizeConversion(generation.text, options, entries)
+    if (!finalized.success) {
+      return finalized
+    }
+
+    return {
+      ...finalized,
+      provider: generation.provider
+    }
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('AI conversion error', {
+      error: errorInstance.message,
+      providers: providers.map(provider => provider.name)
+    })
+
+    return {
+      success: false,
+      error: AI_ERROR_MESSAGES.unavailable
+    }
+  }
+}
+
+/**
+ * 複数案の変換処理（各案を並列に生成し、成功した案のみ返す）
+ * 1案のみの場合は performAIConversion と同じ結果を返す
+ */
+async function performVariantConversions(
+  preparedVariants: PreparedPrompt[],
+  options: ConversionRequest['options'],
+  providers: AIProvider[]
+): Promise<ConversionResponse> {
+  const results = await Promise.all(
+    preparedVariants.map(prepared => performAIConversion(prepared, options, providers))
+  )
+
+  const succeeded = results.filter(result => result.success)
+  if (succeeded.length === 0) {
+    return results[0]
+  }
+
+  if (preparedVariants.length === 1) {
+    return succeeded[0]
+  }
+
+  return {
+    ...succeeded[0],
+    variants: succeeded.map(({ result, soap, provider }) => ({
+      result: result!,
+      ...(soap && { soap }),
+      provider
+    }))
+  }
+}
+
+/**
+ * 月次報告書の生成処理（設定順にフォールバック）
+ * 出力はスキーマ検証し、セクションごとに個人情報の復元と文字数制限を適用する
+ */
+async function performMonthlyReport(
+  prepared: PreparedPrompt,
+  options: ConversionRequest['options'],
+  providers: AIProvider[]
+): Promise<MonthlyReportResponse> {
+  try {
+    if (providers.length === 0) {
+      return {
+        success: false,
+        error: 'AI APIキーの設定に問題があります'
+      }
+    }
+
+    const generation = await generateWithFallback(providers, prepared.prompt, {
+      jsonSchema: MONTHLY_REPORT_JSON_SCHEMA
+    })
+
+    if (!generation.success) {
+      logger.error('All AI providers failed', {
+        errorKind: generation.errorKind,
+        attempts: generation.attempts
+      })
+
+      return {
+        success: false,
+        error: AI_ERROR_MESSAGES[generation.errorKind]
+      }
+    }
+
+    const parsed = parseMonthlyReportResponse(generation.text)
+    if (!parsed.success) {
+      logger.warn('Monthly report output validation failed', {
+        error: parsed.error,
+        outputLength: generation.text.length
+      })
+
+      return {
+        success: false,
+        error: '報告書を生成できませんでした。もう一度お試しください'
+      }
+    }
+
+    const restored = { ...parsed.data! }
+    for (const key of MONTHLY_REPORT_SECTION_KEYS) {
+      restored[key] = restoreText(restored[key], prepared.entries)
+    }
+
+    const report = applyMonthlyReportCharLimit(restored, options.charLimit)
+    return {
+      success: true,
+      result: formatMonthlyReportText(report),
+      report,
+      provider: generation.provider
+    }
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Monthly report generation error', {
+      error: errorInstance.message,
+      providers: providers.map(provider => provider.name)
+    })
+
+    return {
+      success: false,
+      error: AI_ERROR_MESSAGES.unavailable
+    }
+  }
+}
+
+/**
+ * 入力メモ・生成結果から注意所見を検出（ルールはログインユーザーの所属組織の設定を使う）
+ */
+async function detectConversionRedFlags(
+  c: Context<{ Bindings: CloudflareBindings }>,
+  input: string,
+  output?: string
+): Promise<RedFlagReport | null> {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession | undefined
+
+  const rules = await loadRedFlagRules(c.env?.DB, session?.user.id)
+  const redFlags = detectRedFlags({ input, output }, rules)
+
+  if (redFlags) {
+    logger.info('Red flags detected', {
+      requestId,
+      ruleIds: redFlags.warnings.map(warning => warning.ruleId),
+      doctorReportNoted: redFlags.doctorReportNoted
+    })
+  }
+
+  return redFlags
+}
+
+/** AIへ送る準備済みのプロンプト */
+interface PreparedPrompt {
+  prompt: string
+  /** 匿名化した個人情報（出力の復元用） */
+  entries: DeidentifiedEntry[]
+  dictionaryUsage: DictionaryUsage
+}
+
+/**
+ * プロンプト構築に使うユーザー辞書・テンプレート・利用者プロフィールを読み込む
+ * 閲覧できないテンプレートID・利用者IDは無視して変換を続ける
+ */
+async function loadConversionContext(
+  c: Context<{ Bindings: CloudflareBindings }>,
+  options: ConversionRequest['options']
+): Promise<{ dictionary: MedicalDictionary; templates: TemplateContent[]; patient: PatientProfile | null }> {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession | undefined
+  const userId = session?.user.id
+  const db = c.env?.DB
+
+  const [dictionary, resolved, patient] = await Promise.all([
+    // ユーザー辞書を組み込み辞書とマージ
+    loadPromptDictionary(db, userId),
+    resolveConversionTemplates(db, userId, options),
+    // 利用者プロフィールはログインユーザーのみ
+    db && userId && options.patientId ? findAccessiblePatient(db, userId, options.patientId) : null
+  ])
+
+  if (options.patientId && !patient) {
+    logger.warn('Patient profile was not found', {
+      requestId,
+      userId,
+      patientId: options.patientId
+    })
+  }
+
+  if (resolved.missing.length > 0) {
+    logger.warn('Some templates were not found', {
+      requestId,
+      userId,
+      missing: resolved.missing
+    })
+  }
+
+  return { dictionary, templates: resolved.templates, patient }
+}
+
+/**
+ * 医療用語辞書（組み込み辞書＋ユーザー辞書）・テンプレート・利用者の背景情報を含む変換プロンプトを準備
+ * 入力中の個人情報はプレースホルダーに置き換えてからAIへ送る
+ * 辞書は入力メモに関連する用語のみに絞り込む
+ */
+function prepareConversionPrompt(
+  text: string,
+  options: ConversionRequest['options'],
+  dictionary: MedicalDictionary,
+  templates: TemplateContent[],
+  patient: PatientProfile | null,
+  variantInstruction: string = ''
+): PreparedPrompt {
+  // 個人情報の匿名化（出力は finalizeConversion で復元する）
+  // 背景情報の留意事項に含まれる個人情報も入力メモと共通のプレースホルダーにする
+  const {
+    texts: [deidentifiedText, patientContext],
+    entries
+  } = deidentifyTexts([text, buildPatientInstruction(patient)])
+
+  // 入力メモに関連する用語のみをプロンプト用文字列に変換
+  const { medicalTermsContext, dictionaryUsage } = selectPromptDictionary(deidentifiedText, dictionary)
+
+  // プロンプトの構築
+  const prompt = buildConversionPrompt(
+    deidentifiedText,
+    options,
+    medicalTermsContext,
+    buildTemplateInstruction(templates),
+    patientContext,
+    buildPlaceholderInstruction(entries) + variantInstruction
+  )
+
+  logger.debug('AI conversion prompt generated', {
+    textLength: text.length,
+    promptLength: prompt.length,
+    // 件数のみ記録し、元の個人情報はログに残さない
+    deidentifiedCount: entries.length,
+    dictionaryUsage,
+    options
+  })
+
+  return { prompt, entries, dictionaryUsage }
+}
+
+/**
+ * 生成結果の修正プロンプトを準備
+ * 修正前の結果・元の入力メモ・修正指示は共通のプレースホルダーで匿名化する
+ */
+function prepareRefinePrompt(
+  request: RefineRequest,
+  dictionary: MedicalDictionary,
+  templates: TemplateContent[],
+  patient: PatientProfile | null
+): PreparedPrompt {
+  const {
+    texts: [previousResult, originalText, instruction, patientContext],
+    entries
+  } = deidentifyTexts([request.previousResult, request.text || '', request.instruction, buildPatientInstruction(patient)])
+
+  const { medicalTermsContext, dictionaryUsage } = selectPromptDictionary(
+    `${originalText}\n${previousResult}`,
+    dictionary
+  )
+
+  const prompt = buildRefinePrompt(
+    previousResult,
+    instruction,
+    originalText,
+    request.options,
+    medicalTermsContext,
+    buildTemplateInstruction(templates),
+    patientContext,
+    buildPlaceholderInstruction(entries)
+  )
+
+  logger.debug('AI refine prompt generated', {
+    previousLength: request.previousResult.length,
+    promptLength: prompt.length,
+    deidentifiedCount: entries.length,
+    dictionaryUsage,
+    options: request.options
+  })
+
+  return { prompt, entries, dictionaryUsage }
+}
+
+/**
+ * 月次報告書のプロンプトを準備
+ * 訪問記録と利用者の背景情報は共通のプレースホルダーで匿名化する
+ */
+function prepareMonthlyReportPrompt(
+  source: string,
+  request: MonthlyReportRequest,
+  dictionary: MedicalDictionary,
+  patient: PatientProfile,
+  recordCount: number
+): PreparedPrompt {
+  const {
+    texts: [records, patientContext],
+    entries
+  } = deidentifyTexts([source, buildPatientInstruction(patient)])
+
+  const { medicalTermsContext, dictionaryUsage } = selectPromptDictionary(records, dictionary)
+
+  const prompt = buildMonthlyReportPrompt(
+    records,
+    request,
+    recordCount,
+    medicalTermsContext,
+    patientContext,
+    buildPlaceholderInstruction(entries)
+  )
+
+  logger.debug('AI monthly report prompt generated', {
+    sourceLength: source.length,
+    promptLength: prompt.length,
+    recordCount,
+    deidentifiedCount: entries.length,
+    dictionaryUsage
+  })
+
+  return { prompt, entries, dictionaryUsage }
+}
+
+/**
+ * 入力に関連する医療用語のみをプロンプト用の辞書文字列に変換
+ */
+function selectPromptDictionary(text: string, dictionary: MedicalDictionary): {
+  medicalTermsContext: string
+  dictionaryUsage: DictionaryUsage
+} {
+  const relevantTerms = selectRelevantTerms(text, dictionary, termReadings)
+
+  return {
+    medicalTermsContext: formatDictionaryContext(relevantTerms) || '（該当する用語なし）',
+    dictionaryUsage: measureDictionaryUsage(dictionary, relevantTerms)
+  }
+}
+
+/**
+ * AI出力の最終整形（不要な文字列の除去と文字数制限の適用）
+ * ストリーミング時は生成完了後にこの結果でクライアント表示を置き換える
+ * SOAP形式はスキーマ検証したうえでセクションごとに整形する
+ */
+function finalizeConversion(
+  convertedText: string,
+  options: ConversionRequest['options'],
+  entries: DeidentifiedEntry[]
+): ConversionResponse {
+  if (!isSoapFormat(options.format)) {
+    return {
+      success: true,
+      result: applyCharLimit(restoreText(cleanupConvertedText(convertedText), entries), options.charLimit)
+    }
+  }
+
+  const parsed = parseSoapResponse(convertedText)
+  if (!parsed.success) {
+    logger.warn('SOAP output validation failed', {
+      error: parsed.error,
+      outputLength: convertedText.length
+    })
+
+    return {
+      success: false,
+      error: 'SOAP形式の記録を生成できませんでした。もう一度お試しください'
+    }
+  }
+
+  const restored = { ...parsed.data! }
+  for (const key of SOAP_SECTION_KEYS) {
+    restored[key] = restoreText(restored[key], entries)
+  }
+
+  const soap = applySoapCharLimit(restored, options.charLimit)
+  return {
+    success: true,
+    result: formatSoapText(soap),
+    soap
+  }
+}
+
+/**
+ * 不要な英文やフォーマット文字列を除去
+ */
+function cleanupConvertedText(convertedText: string): string {
+  return convertedText
+    .trim()
+    .replace(/^medical_record\s*/i, '') // 先頭のmedical_record削除
+    .replace(/\/medical_record\s*$/i, '') // 末尾の/medical_record削除
+    .replace(/medical_record/gi, '') // その他のmedical_record削除
+    .replace(/\*\*\d{4}年\d{1,2}月\d{1,2}日\s+\d{1,2}時\d{1,2}分\*\*/g, '') // 日時情報削除
+    .replace(/\*\*記録者：\[.*?\]\*\*/g, '') // 記録者情報削除
+    .replace(/\*\*記録者：.*?\*\*/g, '') // 記録者情報削除（別パターン）
+    .replace(/^\d{4}年\d{1,2}月\d{1,2}日.*?\n/gm, '') // 行頭の日時削除
+    .replace(/記録者：.*?\n/gm, '') // 記録者行削除
+    .replace(/^\*+\s*/gm, '') // 行頭のアスタリスク削除
+    .replace(/〇月〇日\s+〇時〇分/g, '') // 〇月〇日 〇時〇分削除
+    .replace(/^\*+$/gm, '') // アスタリスクのみの行削除
+    .replace(/【.*?】\s*/g, '') // 【タイトル】形式の削除（【訪問看護記録書】など）
+    .replace(/■.*?■\s*/g, '') // ■タイトル■形式の削除
+    .replace(/◆.*?◆\s*/g, '') // ◆タイトル◆形式の削除
+    .replace(/▼.*?▼\s*/g, '') // ▼タイトル▼形式の削除
+    .replace(/^\s*[＜<].*?[＞>]\s*$/gm, '') // <タイトル>形式の削除
+    .replace(/^.*?(記録書|報告書|申し送り書|看護記録).*?\n/gm, '') // タイトル行の削除
+    .replace(/ストレッチング/g, 'ストレッチ') // ストレッチング→ストレッチ
+    .replace(/セッション/g, '訪問看護') // セッション→訪問看護
+    .replace(/理学療法/g, '訪問リハビリ') // 理学療法→訪問リハビリ
+    .replace(/アナムネ[ーェエ]?ジ?ス?/g, '') // アナムネージス削除（表記揺れ対応）
+    .replace(/\s+/g, ' ') // 連続スペースを単一スペースに
+    .replace(/\n\s*\n/g, '\n') // 空行の除去
+    .trim()
+}
+
+/**
+ * 文字数制限を厳密に適用
+ */
+function applyCharLimit(text: string, charLimit?: number): string {
+  if (!charLimit || text.length <= charLimit) {
+    return text
+  }
+
+  if (charLimit <= 3) {
+    return text.substring(0, charLimit)
+  }
+
+  const limitedText = text.substring(0, charLimit - 1) + '。'
+  // それでも長い場合は「...」を使用
+  if (limitedText.length > charLimit) {
+    return text.substring(0, charLimit - 3) + '...'
+  }
+  return limitedText
+}
+
+/**
+ * 複数案生成時の各案の方針（1案目は通常の変換）
+ * AI_CONFIG.maxVariants 以上の件数を定義する
+ */
+const VARIANT_INSTRUCTIONS = [
+  '',
+  `
+【この案の方針】
+要点を絞り、簡潔な表現でまとめる
+`,
+  `
+【この案の方針】
+観察した事実と経過をより具体的に記載する
+`
+]
+
+/**
+ * 報告書の作成方針（単一メモの報告書・月次報告書で共通）
+ */
+const REPORT_GUIDANCE = 'あなたの専門的視点から情報を整理・分析し、主治医にとっては医学的判断の材料となり、ケアマネジャーにとってはケアプランの見直しに資する情報となるよう、論理的で分かりやすい文章を作成してください。'
+
+const QUOTA_EXCEEDED_MESSAGE = '本日の利用回数の上限に達しました。明日またご利用ください'
+
+/**
+ * AIエラー種別ごとのユーザー向けメッセージ
+ */
+const AI_ERROR_MESSAGES = {
+  auth: 'AI APIキーの設定に問題があります',
+  quota: 'AI APIの利用制限に達しました。しばらく待ってからお試しください',
+  timeout: 'AI変換がタイムアウトしました。しばらく待ってからお試しください',
+  empty: 'AI変換結果が空です',
+  unavailable: 'AI変換サービスに接続できませんでした'
+} as const
+
+const TRANSCRIPTION_ERROR_MESSAGES = {
+  auth: '文字起こしサービスの設定に問題があります',
+  quota: '文字起こしサービスの利用制限に達しました。しばらく待ってからお試しください',
+  timeout: '音声の文字起こしがタイムアウトしました。短く区切って録音してください',
+  empty: '音声から文字を書き起こせませんでした',
+  unavailable: '文字起こしサービスに接続できませんでした'
+} as const
+
+/**
+ * 変換用プロンプトの構築
+ */
+function buildConversionPrompt(
+  text: string,
+  options: ConversionRequest['options'],
+  medicalTermsContext: string,
+  templateContext: string = '',
+  patientContext: string = '',
+  additionalInstruction: string = ''
+): string {
+  const { style, docType, format, charLimit } = options
+
+  // SOAP形式は構造化JSONで出力させる
+  const outputInstruction = isSoapFormat(format) ? buildSoapOutputInstruction() : ''
+
+  // 報告書の場合の特別な指示
+  if (docType === '報告書') {
+    return `あなたは経験豊富な一流の看護師と理学療法士です。以下の口頭メモや簡潔なメモを、適切な${docType}として整理してください。
+${templateContext}${patientContext}
+【重要な指示】
+1. 入力内容のみに基づいて記録を作成し、勝手な情報は追加しない
+2. 入力文字数が少ない場合（30文字未満）は決して創作や推測で内容を膨らませない
+3. ${style}で統一する
+4. ${format}で出力する
+5. 出力は${charLimit}文字以内に収める
+6. 以下の医療用語辞書を参考にして、適切な専門用語を使用する
+7. 自然な時系列順で読みやすく整理する
+8. ${REPORT_GUIDANCE}
+9. 誤字脱字は、医療・介護の専門用語を用いて適切に修正します。
+${outputInstruction}${additionalInstruction}
+【医療用語辞書】
+${medicalTermsContext}
+
+【入力メモ】
+${text}
+
+【${docType}（${format}・${style}・${charLimit}文字以内）】`
   }
 
   // 記録の場合（訪問看護記録書向け指示）
   return `あなたは経験豊富な一流の看護師と理学療法士です。以下の口頭メモや簡潔なメモを、適切な${docType}として整理してください。
-${templateContext}
+${templateContext}${patientContext}
 【重要な指示】
 1. 入力内容のみに基づいて記録を作成し、勝手な情報は追加しない
 2. 入力文字数が少ない場合（30文字未満）は決して創作や推測で内容を膨らませない
@@ -436,7 +1694,7 @@ ${templateContext}
 7. 自然な時系列順で読みやすく整理する
 8. 入力された日常会話的な文章やメモを、公式な医療記録である「訪問看護記録書」として、客観的かつ専門的な文章に書き換えてください。
 9. 誤字脱字は、医療・介護の専門用語を用いて適切に修正します。
-
+${outputInstruction}${additionalInstruction}
 【医療用語辞書】
 ${medicalTermsContext}
 
@@ -446,39 +1704,264 @@ ${text}
 【${docType}（${format}・${style}・${charLimit}文字以内）】`
 }
 
+/**
+ * 生成結果の修正用プロンプトの構築
+ */
+function buildRefinePrompt(
+  previousResult: string,
+  instruction: string,
+  originalText: string,
+  options: ConversionRequest['options'],
+  medicalTermsContext: string,
+  templateContext: string = '',
+  patientContext: string = '',
+  additionalInstruction: string = ''
+): string {
+  const { style, docType, format, charLimit } = options
+  const outputInstruction = isSoapFormat(format) ? buildSoapOutputInstruction() : ''
+
+  // 元の入力メモがある場合は事実確認用に添える
+  const originalContext = originalText.trim() ? `
+【元の入力メモ】
+${originalText}
+` : ''
+
+  return `あなたは経験豊富な一流の看護師と理学療法士です。以下の${docType}を、修正指示に従って書き直してください。
+${templateContext}${patientContext}
+【重要な指示】
+1. 修正指示に関係しない部分は、修正前の記録の内容・事実を変えない
+2. 修正前の記録と元の入力メモにない情報は追加しない
+3. ${style}で統一する
+4. ${format}で出力する
+5. 出力は${charLimit}文字以内に収める
+6. 以下の医療用語辞書を参考にして、適切な専門用語を使用する
+7. 修正後の記録のみを出力し、修正内容の説明や前置きは付けない
+${outputInstruction}${additionalInstruction}
+【修正指示】
+${instruction}
+
+【医療用語辞書】
+${medicalTermsContext}
+${originalContext}
+【修正前の記録】
+${previousResult}
+
+【修正後の${docType}（${format}・${style}・${charLimit}文字以内）】`
+}
+
+/**
+ * 月次報告書用プロンプトの構築（報告書の作成方針は単一メモの報告書と共通）
+ */
+function buildMonthlyReportPrompt(
+  records: string,
+  request: MonthlyReportRequest,
+  recordCount: number,
+  medicalTermsContext: string,
+  patientContext: string = '',
+  additionalInstruction: string = ''
+): string {
+  const { from, to, options: { style, charLimit } } = request
+
+  return `あなたは経験豊富な一流の看護師と理学療法士です。以下は1人の利用者の${from}から${to}までの訪問記録（${recordCount}件）です。これらをまとめて、主治医とケアマネジャーへ提出する月次の訪問看護報告書を作成してください。
+${patientContext}
+【重要な指示】
+1. 訪問記録の内容のみに基づいて作成し、勝手な情報は追加しない
+2. 期間中の変化（改善・悪化・新たな症状）は、訪問日が分かるように時系列で整理する
+3. 個々の訪問の羅列ではなく、期間全体の傾向としてまとめる
+4. ${style}で統一する
+5. 出力は全体で${charLimit}文字以内に収める
+6. 以下の医療用語辞書を参考にして、適切な専門用語を使用する
+7. ${REPORT_GUIDANCE}
+8. 誤字脱字は、医療・介護の専門用語を用いて適切に修正します。
+${buildMonthlyReportOutputInstruction()}${additionalInstruction}
+【医療用語辞書】
+${medicalTermsContext}
+
+【訪問記録】
+${records}
+
+【訪問看護報告書（${style}・${charLimit}文字以内）】`
+}
+
+/**
+ * 変換の利用枠を確保（count は生成する案の数）
+ * DBが使えない・利用回数の管理に失敗した場合は変換自体を止めない
+ */
+async function reserveConversionQuota(c: Context<{ Bindings: CloudflareBindings }>, count: number = 1): Promise<{
+  allowed: boolean
+  reservation?: QuotaReservation
+  status?: UsageStatus
+}> {
+  const db = c.env?.DB
+  if (!db) {
+    return { allowed: true }
+  }
+
+  try {
+    const subject = await resolveUsageSubject(c)
+    const quota = await reserveQuota(db, subject, count)
+
+    if (!quota.allowed) {
+      logger.warn('Daily usage quota exceeded', {
+        requestId: c.get('requestId'),
+        plan: quota.status.plan,
+        used: quota.status.used,
+        limit: quota.status.limit
+      })
+    }
+
+    return quota
+  } catch (error) {
+    logger.warn('Usage quota check failed, continuing without quota', {
+      requestId: c.get('requestId'),
+      error: (error as Error).message
+    })
+    return { allowed: true }
+  }
+}
+
+/**
+ * 変換に失敗した場合に確保した利用枠を返却
+ */
+async function releaseConversionQuota(
+  c: Context<{ Bindings: CloudflareBindings }>,
+  reservation?: QuotaReservation
+): Promise<void> {
+  const db = c.env?.DB
+  if (!db || !reservation) {
+    return
+  }
+
+  try {
+    await releaseQuota(db, reservation)
+  } catch (error) {
+    logger.warn('Usage quota release failed', {
+      requestId: c.get('requestId'),
+      error: (error as Error).message
+    })
+  }
+}
+
+/**
+ * 変換結果を履歴として保存し、ログインユーザーの場合のみ履歴IDを返す
+ * 保存した履歴は監査ログにも記録する。DB保存失敗はレスポンスに影響させない（監査ログにも記録しない）
+ */
+async function recordConversion(
+  c: Context<{ Bindings: CloudflareBindings }>,
+  requestBody: any,
+  conversion: {
+    text: string
+    result: string
+    options: ConversionRequest['options']
+    responseTime: number
+    dictionaryUsage: DictionaryUsage
+    patientId: number | null
+  }
+): Promise<number | undefined> {
+  const requestId = (c.get('requestId') as string | undefined) || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession | undefined
+
+  let recordId: number | undefined
+  try {
+    recordId = await saveConversionRecord(c.env, {
+      ...conversion,
+      requestId,
+      userId: session?.user.id ?? null,
+      sessionId: typeof requestBody.sessionId === 'string' ? requestBody.sessionId.substring(0, 100) : requestId
+    })
+  } catch (dbError) {
+    logger.warn('Database save failed', { requestId, dbError })
+    return undefined
+  }
+
+  await writeAuditLog(c, {
+    eventType: 'record.create',
+    resourceType: 'record',
+    resourceId: recordId ?? null,
+    metadata: {
+      docType: conversion.options.docType,
+      format: conversion.options.format,
+      patientId: conversion.patientId
+    }
+  })
+
+  return session ? recordId : undefined
+}
+
 /**
  * データベースに変換記録を保存
  */
 async function saveConversionRecord(
-  db: D1Database | undefined,
+  env: CloudflareBindings | undefined,
   record: {
     text: string
     result: string
     options: ConversionRequest['options']
     responseTime: number
+    dictionaryUsage: DictionaryUsage
+    patientId: number | null
     requestId: string
+    userId: number | null
+    sessionId: string
   }
-): Promise<void> {
+): Promise<number | undefined> {
+  const db = env?.DB
   if (!db) {
     throw new Error('Database not available')
   }
 
-  await db.prepare(`
+  // 本文は作成者の所属組織のデータ鍵で暗号化して保存する
+  // （暗号文を履歴のIDに結びつけるため、本文を空にして登録し、IDが決まってから暗号化した本文を書き込む）
+  const cipher = await createRecordCipher(db, env)
+  const encrypted = isRecordEncryptionEnabled(cipher)
+
+  const result = await db.prepare(`
     INSERT INTO nursing_records (
       input_text, output_text, options_style, options_doc_type, 
-      options_format, char_limit, response_time, created_at, request_id
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      options_format, char_limit, response_time, created_at, request_id,
+      user_id, session_id, dictionary_terms_total, dictionary_terms_injected,
+      prompt_tokens_saved, patient_id
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `).bind(
-    record.text,
-    record.result,
+    encrypted ? '' : record.text,
+    encrypted ? '' : record.result,
     record.options.style,
     record.options.docType,
     record.options.format,
     record.options.charLimit,
     record.responseTime,
     getCurrentTimestamp(),
-    record.requestId
+    record.requestId,
+    record.userId,
+    record.sessionId,
+    record.dictionaryUsage.termsTotal,
+    record.dictionaryUsage.termsInjected,
+    record.dictionaryUsage.tokensSaved,
+    record.patientId
   ).run()
+  const recordId = result.meta.last_row_id
+
+  if (encrypted) {
+    try {
+      const organizationId = record.userId === null
+        ? null
+        : (await getOrganizationMembership(db, record.userId))?.organizationId ?? null
+      const fields = await encryptRecordFields(cipher, organizationId, { table: 'nursing_records', id: recordId }, {
+        inputText: record.text,
+        outputText: record.result
+      })
+
+      await db.prepare(`
+        UPDATE nursing_records SET input_text = ?, output_text = ?, encryption_key_id = ? WHERE id = ?
+      `).bind(fields.inputText, fields.outputText, fields.encryptionKeyId, recordId).run()
+    } catch (error) {
+      // 本文のない履歴を残さない
+      await db.prepare('DELETE FROM nursing_records WHERE id = ?').bind(recordId).run()
+      throw error
+    }
+  }
+
+  return recordId
 }
 
 /**
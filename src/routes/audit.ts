@@ -0,0 +1,168 @@
+/**
+ * タップカルテ - 監査ログAPIルート
+ *
+ * 組織の管理者が所属メンバーの操作履歴（security_logs）を検索・CSV書き出しする
+ */
+
+import { Hono } from 'hono'
+import type { CloudflareBindings, ApiResponse, AuditLogListResponse, OrganizationMembership } from '../types'
+import { AUDIT_CONFIG } from '../config'
+import { logger } from '../utils'
+import type { AuthenticatedSession } from '../auth'
+import { requireOrganizationRole } from '../middleware'
+import {
+  buildAuditLogFilter,
+  countAuditLogs,
+  listAuditLogs,
+  buildAuditLogCsv,
+  toAuditPageLimit,
+  writeAuditLog
+} from '../services/audit'
+
+// ========================================
+// 🧾 監査ログAPIルート
+// ========================================
+
+const audit = new Hono<{ Bindings: CloudflareBindings }>()
+
+/**
+ * 監査ログ一覧取得（組織の管理者のみ）
+ * GET /api/audit?page=1&limit=50&from=2025-01-01&to=2025-01-31&eventType=auth.*&userId=3
+ */
+audit.get('/', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const result = buildAuditLogFilter(membership.organizationId, c.req.query())
+    if (!result.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: result.error
+      }, 400)
+    }
+
+    const page = Math.max(parseInt(c.req.query('page') || '1') || 1, 1)
+    const limit = toAuditPageLimit(c.req.query('limit'))
+
+    const [total, entries] = await Promise.all([
+      countAuditLogs(db, result.filter!),
+      listAuditLogs(db, result.filter!, limit, (page - 1) * limit)
+    ])
+
+    logger.info('Audit logs retrieved', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      page,
+      total
+    })
+
+    return c.json<ApiResponse<AuditLogListResponse>>({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Audit logs retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '監査ログの取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 監査ログCSV書き出し（組織の管理者のみ・一覧取得と同じ検索条件）
+ * GET /api/audit/export?from=2025-01-01&to=2025-01-31
+ */
+audit.get('/export', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const query = c.req.query()
+    const result = buildAuditLogFilter(membership.organizationId, query)
+    if (!result.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: result.error
+      }, 400)
+    }
+
+    const total = await countAuditLogs(db, result.filter!)
+    if (total > AUDIT_CONFIG.maxExportRows) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `一度に書き出せる監査ログは${AUDIT_CONFIG.maxExportRows}件までです。期間を絞り込んでください`
+      }, 400)
+    }
+
+    const entries = await listAuditLogs(db, result.filter!, AUDIT_CONFIG.maxExportRows)
+
+    // 監査ログの書き出し自体も記録する
+    await writeAuditLog(c, {
+      eventType: 'audit.export',
+      resourceType: 'organization',
+      resourceId: membership.organizationId,
+      metadata: { count: entries.length, from: query.from || null, to: query.to || null, eventType: query.eventType || null }
+    })
+
+    logger.info('Audit logs exported', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      count: entries.length
+    })
+
+    return c.body(buildAuditLogCsv(entries), 200, {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="tapkarte-audit-${query.from || 'all'}-${query.to || 'today'}.csv"`
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Audit logs export failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '監査ログの書き出しに失敗しました'
+    }, 500)
+  }
+})
+
+export { audit }
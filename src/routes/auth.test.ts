@@ -0,0 +1,236 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest'
+import { createServer, type Server } from 'node:http'
+import type { AddressInfo } from 'node:net'
+import { Hono } from 'hono'
+import { auth } from './auth'
+import { toUser, type AuthenticatedSession, type UserRow } from '../auth'
+import { createTestDatabase, type TestDatabase } from '../test-helpers/d1'
+
+const CLIENT_ID = 'tapkarte-local.apps.googleusercontent.com'
+const ORIGIN = 'http://localhost'
+
+/** スタブのトークンエンドポイントが返すIDトークンのクレーム */
+type Claims = Record<string, unknown>
+
+/**
+ * Googleのトークンエンドポイントのスタブ
+ * 受け取った認可リクエストを記録し、設定したクレームのIDトークン（署名なし）を返す
+ */
+const tokenEndpoint = {
+  server: null as Server | null,
+  url: '',
+  /** null の場合は400を返す */
+  claims: null as ((nonce: string) => Claims) | null,
+  requests: [] as URLSearchParams[]
+}
+
+const toBase64Url = (value: string) => Buffer.from(value).toString('base64url')
+
+const toIdToken = (claims: Claims) =>
+  `${toBase64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }))}.${toBase64Url(JSON.stringify(claims))}.signature`
+
+/** Googleが返す正常なクレーム */
+const googleClaims = (nonce: string, overrides: Claims = {}): Claims => ({
+  iss: 'https://accounts.google.com',
+  aud: CLIENT_ID,
+  sub: 'google-sub-1',
+  email: 'nurse@example.com',
+  email_verified: true,
+  name: '看護師A',
+  nonce,
+  exp: Math.floor(Date.now() / 1000) + 3600,
+  ...overrides
+})
+
+/**
+ * 認証ルートとログイン中のユーザー（任意）を設定したアプリ
+ */
+const createApp = (session?: AuthenticatedSession) => {
+  const app = new Hono()
+  app.use('*', async (c, next) => {
+    if (session) {
+      c.set('authSession', session)
+    }
+    await next()
+  })
+  app.route('/api/auth', auth)
+  return app
+}
+
+describe('Googleログインのコールバック', () => {
+  let testDb: TestDatabase
+  let pendingNonce = ''
+
+  const env = () => ({
+    DB: testDb.db,
+    GOOGLE_CLIENT_ID: CLIENT_ID,
+    GOOGLE_CLIENT_SECRET: 'client-secret',
+    JWT_SECRET: 'jwt-secret-for-tests',
+    GOOGLE_TOKEN_ENDPOINT: tokenEndpoint.url
+  })
+
+  /**
+   * 認可画面へのリダイレクトを開始し、state・nonce とCookieを返す
+   */
+  const start = async (app = createApp(), init: { method: string; body?: string } = { method: 'GET' }) => {
+    const path = init.method === 'GET' ? '/api/auth/google/start' : '/api/auth/google/link'
+    const response = await app.request(`${ORIGIN}${path}`, init, env())
+    const location = init.method === 'GET'
+      ? response.headers.get('Location')!
+      : ((await response.json()) as { data: { authorizationUrl: string } }).data.authorizationUrl
+    const params = new URL(location).searchParams
+
+    pendingNonce = params.get('nonce')!
+    return {
+      state: params.get('state')!,
+      codeChallenge: params.get('code_challenge')!,
+      cookie: response.headers.get('Set-Cookie')!.split(';')[0]
+    }
+  }
+
+  /**
+   * 認可画面から戻ったときのリクエストを送り、リダイレクト先のフラグメントを返す
+   */
+  const callback = async (flow: { state: string; cookie: string }, app = createApp()) => {
+    const response = await app.request(`${ORIGIN}/api/auth/google/callback?code=auth-code&state=${flow.state}`, {
+      headers: { Cookie: flow.cookie }
+    }, env())
+
+    expect(response.status).toBe(302)
+    return new URLSearchParams(new URL(response.headers.get('Location')!, ORIGIN).hash.slice(1))
+  }
+
+  const findUser = (email: string) =>
+    testDb.db.prepare('SELECT * FROM users WHERE email = ?').bind(email).first<UserRow>()
+
+  beforeAll(async () => {
+    tokenEndpoint.server = createServer((req, res) => {
+      let body = ''
+      req.on('data', chunk => { body += chunk })
+      req.on('end', () => {
+        tokenEndpoint.requests.push(new URLSearchParams(body))
+        if (!tokenEndpoint.claims) {
+          res.writeHead(400, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: 'invalid_grant' }))
+          return
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify({ id_token: toIdToken(tokenEndpoint.claims(pendingNonce)) }))
+      })
+    })
+    await new Promise<void>(resolve => tokenEndpoint.server!.listen(0, '127.0.0.1', resolve))
+    tokenEndpoint.url = `http://127.0.0.1:${(tokenEndpoint.server.address() as AddressInfo).port}/token`
+  })
+
+  afterAll(async () => {
+    await new Promise(resolve => tokenEndpoint.server!.close(resolve))
+  })
+
+  beforeEach(async () => {
+    testDb = await createTestDatabase()
+    tokenEndpoint.claims = nonce => googleClaims(nonce)
+    tokenEndpoint.requests = []
+  })
+
+  afterEach(async () => {
+    await testDb.dispose()
+  })
+
+  it('未登録のGoogleアカウントは新規登録してログインする', async () => {
+    const flow = await start()
+
+    const result = await callback(flow)
+
+    expect(result.get('auth_token')).toBeTruthy()
+    expect(await findUser('nurse@example.com')).toMatchObject({
+      google_id: 'google-sub-1',
+      auth_provider: 'google',
+      email_verified: 1
+    })
+
+    // 認可コードは PKCE の code_verifier とともに交換する
+    const [request] = tokenEndpoint.requests
+    expect(request.get('code')).toBe('auth-code')
+    expect(request.get('redirect_uri')).toBe(`${ORIGIN}/api/auth/google/callback`)
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(request.get('code_verifier')!))
+    expect(Buffer.from(digest).toString('base64url')).toBe(flow.codeChallenge)
+  })
+
+  it('メールアドレス確認済みの登録ユーザーには自動で連携してログインする', async () => {
+    await testDb.db.prepare(`
+      INSERT INTO users (email, password_hash, display_name, auth_provider, email_verified) VALUES ('nurse@example.com', 'hash', 'A', 'email', 1)
+    `).run()
+
+    const result = await callback(await start())
+
+    expect(result.get('auth_token')).toBeTruthy()
+    expect(await findUser('nurse@example.com')).toMatchObject({ google_id: 'google-sub-1', auth_provider: 'email' })
+  })
+
+  it('メールアドレス未確認の登録ユーザーには自動で連携しない', async () => {
+    await testDb.db.prepare(`
+      INSERT INTO users (email, password_hash, display_name, auth_provider, email_verified) VALUES ('nurse@example.com', 'hash', 'A', 'email', 0)
+    `).run()
+
+    const result = await callback(await start())
+
+    expect(result.get('auth_error')).toBe('link_required')
+    expect(result.get('auth_token')).toBeNull()
+    expect((await findUser('nurse@example.com'))?.google_id).toBeNull()
+  })
+
+  it('ログイン中のユーザーはメールアドレス未確認でも連携できる', async () => {
+    const row = await testDb.db.prepare(`
+      INSERT INTO users (email, password_hash, display_name, auth_provider, email_verified) VALUES ('nurse@example.com', 'hash', 'A', 'email', 0)
+      RETURNING *
+    `).first<UserRow>()
+    const app = createApp({ user: toUser(row!), sessionId: 'session-1' })
+
+    const result = await callback(await start(app, { method: 'POST', body: '{}' }), app)
+
+    expect(result.get('google_linked')).toBe('1')
+    expect(await findUser('nurse@example.com')).toMatchObject({ google_id: 'google-sub-1', email_verified: 1 })
+  })
+
+  it('Google側でメールアドレスが未確認の場合はログインしない', async () => {
+    tokenEndpoint.claims = nonce => googleClaims(nonce, { email_verified: false })
+
+    const result = await callback(await start())
+
+    expect(result.get('auth_error')).toBe('email_not_verified')
+    expect(await findUser('nurse@example.com')).toBeNull()
+  })
+
+  it.each([
+    ['state が一致しない', (flow: { state: string; cookie: string }) => ({ ...flow, state: 'other-state' })],
+    ['Cookie がない（別のブラウザで開始された）', (flow: { state: string; cookie: string }) => ({ ...flow, cookie: '' })]
+  ])('%s場合はトークンを交換しない', async (_label, tamper) => {
+    const result = await callback(tamper(await start()))
+
+    expect(result.get('auth_error')).toBe('invalid_state')
+    expect(tokenEndpoint.requests).toHaveLength(0)
+  })
+
+  it.each([
+    ['nonce が一致しない', (nonce: string) => googleClaims(nonce, { nonce: 'other-nonce' })],
+    ['有効期限切れの', (nonce: string) => googleClaims(nonce, { exp: Math.floor(Date.now() / 1000) - 60 })],
+    ['対象（aud）が別のクライアントの', (nonce: string) => googleClaims(nonce, { aud: 'other-client.apps.googleusercontent.com' })],
+    ['発行者（iss）がGoogle以外の', (nonce: string) => googleClaims(nonce, { iss: 'https://accounts.example.com' })],
+    ['メールアドレスがない', (nonce: string) => googleClaims(nonce, { email: undefined })]
+  ])('%s IDトークンではログインしない', async (_label, claims) => {
+    tokenEndpoint.claims = claims
+
+    const result = await callback(await start())
+
+    expect(result.get('auth_error')).toBe('token_exchange_failed')
+    expect(await findUser('nurse@example.com')).toBeNull()
+  })
+
+  it('トークンエンドポイントがエラーを返した場合はログインしない', async () => {
+    tokenEndpoint.claims = null
+
+    const result = await callback(await start())
+
+    expect(result.get('auth_error')).toBe('token_exchange_failed')
+  })
+})
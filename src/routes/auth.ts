@@ -1,13 +1,39 @@
 /**
  * タップカルテ - 認証APIルート
- * 
- * シンプルなデモ認証システム
+ *
+ * usersテーブル・user_sessionsテーブルを利用したアカウント認証
  */
 
 import { Hono } from 'hono'
-import type { CloudflareBindings, AuthResponse, User, ApiResponse } from '../types'
-import { SECURITY_CONFIG, getEnvironmentVariables } from '../config'
-import { logger, getCurrentTimestamp, generateId, generateDemoUser, generateDemoAuthToken, validateDemoAuthToken, generateSessionFingerprint, generateSecureAuthToken, validateSecureAuthToken, hashPassword, verifyPassword } from '../utils'
+import type { Context } from 'hono'
+import type { CloudflareBindings, AuthResponse, ApiResponse } from '../types'
+import { getEnvironmentVariables } from '../config'
+import { logger, getCurrentTimestamp, logAuthEvent } from '../utils'
+import {
+  isValidEmail,
+  isValidPassword,
+  verifyPassword,
+  findUserByEmail,
+  createUser,
+  toUser,
+  toApiUser,
+  createUserSession,
+  revokeUserSession,
+  revokeAllUserSessions,
+  unlinkGoogleAccount,
+  linkGoogleAccount,
+  type AuthenticatedSession
+} from '../auth'
+import { writeAuditLog } from '../services/audit'
+import {
+  isGoogleOAuthConfigured,
+  createGoogleAuthorizationUrl,
+  consumeGoogleOAuthState,
+  exchangeGoogleCode,
+  resolveGoogleUser,
+  toRedirectPath,
+  type GoogleSignInError
+} from '../services/google-oauth'
 
 // ========================================
 // 🔑 認証APIルート
@@ -16,87 +42,198 @@ import { logger, getCurrentTimestamp, generateId, generateDemoUser, generateDemo
 const auth = new Hono<{ Bindings: CloudflareBindings }>()
 
 /**
- * パスワード認証ログインエンドポイント
+ * ユーザー登録エンドポイント
+ * POST /api/auth/register
+ */
+auth.post('/register', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse<AuthResponse>>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const body = await c.req.json()
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : ''
+    const displayName = typeof body.displayName === 'string' ? body.displayName.trim() : ''
+    let password: string | null = typeof body.password === 'string' ? body.password : null
+
+    // 入力値の検証
+    if (!email || !isValidEmail(email)) {
+      return c.json<ApiResponse<AuthResponse>>({
+        success: false,
+        error: '有効なメールアドレスを入力してください'
+      }, 400)
+    }
+
+    if (!password) {
+      return c.json<ApiResponse<AuthResponse>>({
+        success: false,
+        error: 'パスワードが入力されていません'
+      }, 400)
+    }
+
+    const passwordCheck = isValidPassword(password)
+    if (!passwordCheck.valid) {
+      return c.json<ApiResponse<AuthResponse>>({
+        success: false,
+        error: passwordCheck.message
+      }, 400)
+    }
+
+    if (!displayName || displayName.length > 50) {
+      return c.json<ApiResponse<AuthResponse>>({
+        success: false,
+        error: '表示名は1〜50文字で入力してください'
+      }, 400)
+    }
+
+    // 重複チェック
+    const existing = await findUserByEmail(db, email)
+    if (existing) {
+      logger.warn('Registration attempt with existing email', { requestId })
+
+      return c.json<ApiResponse<AuthResponse>>({
+        success: false,
+        error: 'このメールアドレスは既に登録されています'
+      }, 409)
+    }
+
+    const user = await createUser(db, {
+      email,
+      password,
+      display_name: displayName,
+      auth_provider: 'email'
+    })
+
+    // パスワードをメモリから消去
+    password = null
+
+    const token = await createUserSession(db, user, getEnvironmentVariables(c.env).JWT_SECRET, getClientInfo(c))
+
+    logAuthEvent('register', String(user.id), true, { requestId })
+    await writeAuditLog(c, { eventType: 'auth.register', userId: user.id })
+
+    return c.json<ApiResponse<AuthResponse>>({
+      success: true,
+      data: {
+        success: true,
+        user: toApiUser(user),
+        token
+      }
+    }, 201)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('User registration failed', {
+      requestId,
+      error: errorInstance.message,
+      timestamp: getCurrentTimestamp()
+    })
+
+    return c.json<ApiResponse<AuthResponse>>({
+      success: false,
+      error: 'ユーザー登録に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * メールアドレス・パスワード認証ログインエンドポイント
  * POST /api/auth/login
  */
 auth.post('/login', async (c) => {
   const requestId = c.get('requestId') || 'unknown'
-  
+
   try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse<AuthResponse>>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
     // リクエストボディから認証情報を取得
     const body = await c.req.json()
-    let { password } = body
+    const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : ''
+    let password: string | null = typeof body.password === 'string' ? body.password : null
 
     logger.info('Password authentication requested', {
       requestId,
       userAgent: c.req.header('User-Agent')?.substring(0, 100),
       timestamp: getCurrentTimestamp(),
+      hasEmail: !!email,
       hasPassword: !!password
     })
 
-    // パスワードの検証
-    if (!password) {
-      logger.warn('Login attempt without password', { requestId })
-      
+    if (!email || !password) {
+      logger.warn('Login attempt without credentials', { requestId })
+
       return c.json<ApiResponse<AuthResponse>>({
         success: false,
-        error: 'パスワードが入力されていません'
+        error: 'メールアドレスとパスワードを入力してください'
       }, 400)
     }
 
-    // パスワードのハッシュ化（秘匿化処理）
-    const expectedPasswordHash = await hashPassword('656110') // 固定パスワードのハッシュ
-    const providedPasswordHash = await hashPassword(password)
-    
-    if (providedPasswordHash !== expectedPasswordHash) {
-      logger.warn('Login attempt with invalid password', {
+    const row = await findUserByEmail(db, email)
+    const passwordMatches = row?.password_hash
+      ? await verifyPassword(password, row.password_hash)
+      : false
+
+    // パスワードをメモリから完全消去
+    password = null
+
+    // セキュリティ上、存在しないユーザーとパスワード間違いは同じメッセージを返す
+    if (!row || !passwordMatches) {
+      logAuthEvent('login', row ? String(row.id) : undefined, false, {
         requestId,
-        passwordLength: password.length,
-        providedHash: providedPasswordHash.substring(0, 8) + '...',
-        timestamp: getCurrentTimestamp()
+        reason: row ? 'invalid_password' : 'unknown_email'
+      })
+      await writeAuditLog(c, {
+        eventType: 'auth.login_failed',
+        severity: 'warning',
+        userId: row ? row.id : null,
+        metadata: { reason: row ? 'invalid_password' : 'unknown_email' }
       })
-      
-      // パスワードをメモリから完全消去
-      password = null
-      
-      // セキュリティ上、パスワード間違いの詳細は記録するが、レスポンスは一般的なメッセージ
+
       return c.json<ApiResponse<AuthResponse>>({
         success: false,
-        error: 'パスワードが正しくありません'
+        error: 'メールアドレスまたはパスワードが正しくありません'
       }, 401)
     }
 
-    // パスワード認証成功 - デモユーザー情報を生成
-    const demoUser: User = generateDemoUser()
-    
-    // セッションフィンガープリンティング生成
-    const fingerprint = await generateSessionFingerprint({
-      userAgent: c.req.header('User-Agent'),
-      acceptLanguage: c.req.header('Accept-Language'),
-      ip: c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For')
-    })
-    
-    // 強化された認証トークンを生成
-    const authToken = await generateSecureAuthToken(demoUser, fingerprint)
-    
-    // パスワードをメモリから完全消去（セキュリティ強化）
-    password = null
-    
-    logger.info('Password authentication successful', {
-      requestId,
-      userId: demoUser.id,
-      userName: demoUser.name,
-      fingerprint: fingerprint.substring(0, 8) + '...',
-      tokenType: 'secure',
-      timestamp: getCurrentTimestamp()
-    })
+    if (!row.is_active) {
+      logAuthEvent('login', String(row.id), false, { requestId, reason: 'inactive' })
+      await writeAuditLog(c, {
+        eventType: 'auth.login_failed',
+        severity: 'warning',
+        userId: row.id,
+        metadata: { reason: 'inactive' }
+      })
+
+      return c.json<ApiResponse<AuthResponse>>({
+        success: false,
+        error: 'このアカウントは無効化されています'
+      }, 403)
+    }
+
+    const user = toUser(row)
+    const token = await createUserSession(db, user, getEnvironmentVariables(c.env).JWT_SECRET, getClientInfo(c))
+
+    logAuthEvent('login', String(user.id), true, { requestId })
+    await writeAuditLog(c, { eventType: 'auth.login', userId: user.id })
 
     return c.json<ApiResponse<AuthResponse>>({
       success: true,
       data: {
         success: true,
-        user: demoUser,
-        token: authToken
+        user: toApiUser(user),
+        token
       }
     })
 
@@ -121,7 +258,7 @@ auth.post('/login', async (c) => {
  */
 auth.post('/demo-login', async (c) => {
   const requestId = c.get('requestId') || 'unknown'
-  
+
   logger.info('Legacy demo login endpoint accessed', {
     requestId,
     timestamp: getCurrentTimestamp()
@@ -130,7 +267,7 @@ auth.post('/demo-login', async (c) => {
   // 新しいログインエンドポイントへリダイレクト案内
   return c.json<ApiResponse<AuthResponse>>({
     success: false,
-    error: 'パスワード入力が必要です。ログインボタンからパスワードを入力してください。'
+    error: 'デモログインは廃止されました。メールアドレスとパスワードでログインしてください。'
   }, 400)
 })
 
@@ -140,99 +277,99 @@ auth.post('/demo-login', async (c) => {
  */
 auth.get('/me', async (c) => {
   const requestId = c.get('requestId') || 'unknown'
-  
-  try {
-    const authToken = c.get('authToken')
-    
-    if (!authToken) {
-      return c.json<ApiResponse<AuthResponse>>({
-        success: false,
-        error: '認証が必要です'
-      }, 401)
-    }
 
-    // セッションフィンガープリンティング生成
-    const fingerprint = await generateSessionFingerprint({
-      userAgent: c.req.header('User-Agent'),
-      acceptLanguage: c.req.header('Accept-Language'),
-      ip: c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For')
-    })
+  const session = c.get('authSession') as AuthenticatedSession | undefined
 
-    // 強化されたトークン検証
-    const user = await validateSecureAuthToken(authToken, fingerprint)
-    
-    if (!user) {
-      logger.warn('Invalid auth token provided', { requestId })
-      
-      return c.json<ApiResponse<AuthResponse>>({
-        success: false,
-        error: '無効な認証トークンです'
-      }, 401)
+  if (!session) {
+    return c.json<ApiResponse<AuthResponse>>({
+      success: false,
+      error: '認証が必要です'
+    }, 401)
+  }
+
+  logger.debug('User info retrieved', {
+    requestId,
+    userId: session.user.id
+  })
+
+  return c.json<ApiResponse<AuthResponse>>({
+    success: true,
+    data: {
+      success: true,
+      user: toApiUser(session.user)
     }
+  })
+})
 
-    logger.debug('User info retrieved', {
-      requestId,
-      userId: user.id,
-      userName: user.name,
-      tokenType: authToken.startsWith('secure_token_') ? 'secure' : 'demo'
-    })
+/**
+ * ログアウト（現在のセッションをサーバー側で失効）
+ * POST /api/auth/logout
+ */
+auth.post('/logout', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
 
-    return c.json<ApiResponse<AuthResponse>>({
+  try {
+    const session = c.get('authSession') as AuthenticatedSession | undefined
+
+    if (session && c.env?.DB) {
+      await revokeUserSession(c.env.DB, session.sessionId)
+      logAuthEvent('logout', String(session.user.id), true, { requestId })
+      await writeAuditLog(c, { eventType: 'auth.logout' })
+    }
+
+    return c.json<ApiResponse>({
       success: true,
       data: {
-        success: true,
-        user
+        message: 'ログアウトしました'
       }
     })
 
   } catch (error) {
     const errorInstance = error as Error
-    logger.error('User info retrieval failed', {
+    logger.error('Logout failed', {
       requestId,
       error: errorInstance.message
     })
 
-    return c.json<ApiResponse<AuthResponse>>({
+    return c.json<ApiResponse>({
       success: false,
-      error: 'ユーザー情報の取得に失敗しました'
+      error: 'ログアウト処理に失敗しました'
     }, 500)
   }
 })
 
 /**
- * ログアウト
- * POST /api/auth/logout
+ * 全端末からログアウト（ユーザーの全セッションを失効）
+ * POST /api/auth/logout-all
  */
-auth.post('/logout', async (c) => {
+auth.post('/logout-all', async (c) => {
   const requestId = c.get('requestId') || 'unknown'
-  
+
   try {
-    const authToken = c.get('authToken')
-    
-    if (authToken) {
-      // フィンガープリントはログアウト時は簡略化
-      const user = authToken.startsWith('secure_token_') 
-        ? await validateSecureAuthToken(authToken, 'logout')
-        : validateDemoAuthToken(authToken)
-      
-      logger.info('User logged out', {
-        requestId,
-        userId: user?.id || 'unknown',
-        userName: user?.name || 'unknown',
-        tokenType: authToken.startsWith('secure_token_') ? 'secure' : 'demo'
-      })
+    const session = c.get('authSession') as AuthenticatedSession | undefined
+
+    if (!session || !c.env?.DB) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '認証が必要です'
+      }, 401)
     }
 
+    const revokedCount = await revokeAllUserSessions(c.env.DB, session.user.id)
+    logAuthEvent('logout_all', String(session.user.id), true, { requestId, revokedCount })
+    await writeAuditLog(c, { eventType: 'auth.logout_all', metadata: { revokedCount } })
+
     return c.json<ApiResponse>({
       success: true,
       data: {
-        message: 'ログアウトしました'
+        message: 'すべての端末からログアウトしました',
+        revokedSessions: revokedCount
       }
     })
 
   } catch (error) {
     const errorInstance = error as Error
-    logger.error('Logout failed', {
+    logger.error('Logout all failed', {
       requestId,
       error: errorInstance.message
     })
@@ -245,54 +382,41 @@ auth.post('/logout', async (c) => {
 })
 
 /**
- * セッション延長
+ * セッション延長（現在のセッションを失効し、新しいセッションを発行）
  * POST /api/auth/refresh
  */
 auth.post('/refresh', async (c) => {
   const requestId = c.get('requestId') || 'unknown'
-  
+
   try {
-    const authToken = c.get('authToken')
-    
-    if (!authToken) {
+    const session = c.get('authSession') as AuthenticatedSession | undefined
+
+    if (!session || !c.env?.DB) {
       return c.json<ApiResponse<AuthResponse>>({
         success: false,
         error: '認証が必要です'
       }, 401)
     }
 
-    // セッションフィンガープリンティング生成
-    const fingerprint = await generateSessionFingerprint({
-      userAgent: c.req.header('User-Agent'),
-      acceptLanguage: c.req.header('Accept-Language'),
-      ip: c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For')
-    })
-
-    // 現在のトークンを検証
-    const user = await validateSecureAuthToken(authToken, fingerprint)
-    
-    if (!user) {
-      return c.json<ApiResponse<AuthResponse>>({
-        success: false,
-        error: '無効な認証トークンです'
-      }, 401)
-    }
+    const newToken = await createUserSession(
+      c.env.DB,
+      session.user,
+      getEnvironmentVariables(c.env).JWT_SECRET,
+      getClientInfo(c)
+    )
+    await revokeUserSession(c.env.DB, session.sessionId)
 
-    // 新しい強化トークンを生成
-    const newAuthToken = await generateSecureAuthToken(user, fingerprint)
-    
     logger.info('Session refreshed', {
       requestId,
-      userId: user.id,
-      userName: user.name
+      userId: session.user.id
     })
 
     return c.json<ApiResponse<AuthResponse>>({
       success: true,
       data: {
         success: true,
-        user,
-        token: newAuthToken
+        user: toApiUser(session.user),
+        token: newToken
       }
     })
 
@@ -311,16 +435,221 @@ auth.post('/refresh', async (c) => {
 })
 
 /**
- * Google認証設定取得（後方互換性のため）
+ * Googleログイン開始（Googleの認可画面へリダイレクト）
+ * GET /api/auth/google/start?redirect=/
+ */
+auth.get('/google/start', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const redirectPath = toRedirectPath(c.req.query('redirect'))
+
+  if (!isGoogleOAuthConfigured(c)) {
+    logger.warn('Google sign-in requested but not configured', { requestId })
+    return redirectWithAuthError(c, redirectPath, 'google_not_configured')
+  }
+
+  const authorizationUrl = await createGoogleAuthorizationUrl(c, { redirectPath, linkUserId: null })
+  return c.redirect(authorizationUrl, 302)
+})
+
+/**
+ * ログイン中のユーザーにGoogleアカウントを連携（認可画面のURLを返し、画面側で遷移する）
+ * POST /api/auth/google/link
+ */
+auth.post('/google/link', async (c) => {
+  const session = c.get('authSession') as AuthenticatedSession | undefined
+
+  if (!session) {
+    return c.json<ApiResponse>({
+      success: false,
+      error: '認証が必要です'
+    }, 401)
+  }
+
+  if (!isGoogleOAuthConfigured(c)) {
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Googleログインは設定されていません'
+    }, 503)
+  }
+
+  const body = await c.req.json().catch(() => ({}))
+  const authorizationUrl = await createGoogleAuthorizationUrl(c, {
+    redirectPath: toRedirectPath(typeof body.redirect === 'string' ? body.redirect : undefined),
+    linkUserId: session.user.id
+  })
+
+  return c.json<ApiResponse>({
+    success: true,
+    data: { authorizationUrl }
+  })
+})
+
+/**
+ * Googleアカウントの連携を解除
+ * DELETE /api/auth/google/link
+ */
+auth.delete('/google/link', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+
+  try {
+    const session = c.get('authSession') as AuthenticatedSession | undefined
+
+    if (!session || !c.env?.DB) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '認証が必要です'
+      }, 401)
+    }
+
+    const unlinked = await unlinkGoogleAccount(c.env.DB, session.user.id)
+    if (!unlinked) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Googleアカウントが連携されていないか、パスワードが未設定のため解除できません'
+      }, 409)
+    }
+
+    logAuthEvent('google_unlink', String(session.user.id), true, { requestId })
+    await writeAuditLog(c, { eventType: 'auth.google_unlink' })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        message: 'Googleアカウントの連携を解除しました'
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Google unlink failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Googleアカウントの連携解除に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * Googleの認可画面からのコールバック
+ * GET /api/auth/google/callback?code=...&state=...
+ * ログイン成功時はセッショントークンを URL フラグメント（#auth_token=...）で画面に渡す（サーバー・Refererに送信されない）
+ */
+auth.get('/google/callback', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const stored = await consumeGoogleOAuthState(c, c.req.query('state'))
+  const redirectPath = stored?.redirectPath || '/'
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    // state が一致しない場合は別のブラウザで開始された（またはCSRFの）可能性がある
+    if (!stored) {
+      logAuthEvent('google_login', undefined, false, { requestId, reason: 'invalid_state' })
+      await writeAuditLog(c, {
+        eventType: 'auth.login_failed',
+        severity: 'warning',
+        userId: null,
+        metadata: { provider: 'google', reason: 'invalid_state' }
+      })
+      return redirectWithAuthError(c, redirectPath, 'invalid_state')
+    }
+
+    const code = c.req.query('code')
+    if (c.req.query('error') || !code) {
+      return redirectWithAuthError(c, redirectPath, 'access_denied')
+    }
+
+    const google = await exchangeGoogleCode(c, code, stored)
+    if (!google) {
+      logAuthEvent('google_login', undefined, false, { requestId, reason: 'token_exchange_failed' })
+      await writeAuditLog(c, {
+        eventType: 'auth.login_failed',
+        severity: 'warning',
+        userId: null,
+        metadata: { provider: 'google', reason: 'token_exchange_failed' }
+      })
+      return redirectWithAuthError(c, redirectPath, 'token_exchange_failed')
+    }
+
+    // ログイン中のユーザーへの連携
+    if (stored.linkUserId !== null) {
+      const linkedUser = await linkGoogleAccount(db, stored.linkUserId, google)
+      if (!linkedUser) {
+        return redirectWithAuthError(c, redirectPath, 'already_linked')
+      }
+
+      logAuthEvent('google_link', String(linkedUser.id), true, { requestId })
+      await writeAuditLog(c, { eventType: 'auth.google_link', userId: linkedUser.id })
+
+      return c.redirect(`${redirectPath}#google_linked=1`, 302)
+    }
+
+    const result = await resolveGoogleUser(db, google)
+    if (!result.success || !result.user) {
+      const existing = await findUserByEmail(db, google.email)
+      logAuthEvent('google_login', existing ? String(existing.id) : undefined, false, { requestId, reason: result.error })
+      await writeAuditLog(c, {
+        eventType: 'auth.login_failed',
+        severity: 'warning',
+        userId: existing ? existing.id : null,
+        metadata: { provider: 'google', reason: result.error }
+      })
+      return redirectWithAuthError(c, redirectPath, result.error || 'server_error')
+    }
+
+    const user = result.user
+    const token = await createUserSession(db, user, getEnvironmentVariables(c.env).JWT_SECRET, getClientInfo(c))
+
+    logAuthEvent(result.created ? 'register' : 'login', String(user.id), true, { requestId, provider: 'google' })
+    if (result.linked) {
+      await writeAuditLog(c, { eventType: 'auth.google_link', userId: user.id })
+    }
+    await writeAuditLog(c, {
+      eventType: result.created ? 'auth.register' : 'auth.login',
+      userId: user.id,
+      metadata: { provider: 'google' }
+    })
+
+    return c.redirect(`${redirectPath}#auth_token=${encodeURIComponent(token)}`, 302)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Google sign-in failed', {
+      requestId,
+      error: errorInstance.message,
+      timestamp: getCurrentTimestamp()
+    })
+
+    return redirectWithAuthError(c, redirectPath, 'server_error')
+  }
+})
+
+/**
+ * Google認証設定取得
  * GET /api/auth/google-config
  */
 auth.get('/google-config', async (c) => {
   const envVars = getEnvironmentVariables(c.env)
-  
+  const enabled = isGoogleOAuthConfigured(c)
+
   return c.json({
     success: true,
     clientId: envVars.GOOGLE_CLIENT_ID,
-    note: 'このエンドポイントは後方互換性のために提供されています。現在はデモ認証のみをサポートしています。'
+    enabled,
+    startUrl: enabled ? '/api/auth/google/start' : null,
+    note: enabled
+      ? 'メールアドレス・パスワード認証とGoogleログインをサポートしています。'
+      : 'メールアドレス・パスワード認証のみをサポートしています（Googleログインは GOOGLE_CLIENT_ID・GOOGLE_CLIENT_SECRET の設定で有効になります）。'
   })
 })
 
@@ -328,9 +657,21 @@ auth.get('/google-config', async (c) => {
 // 🔧 ヘルパー関数
 // ========================================
 
-// 認証関数はutils/index.tsからインポートされています:
-// - generateDemoUser()
-// - generateDemoAuthToken()  
-// - validateDemoAuthToken()
+/**
+ * セッション保存用のクライアント情報を取得
+ */
+function getClientInfo(c: Context) {
+  return {
+    ipAddress: c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For'),
+    userAgent: c.req.header('User-Agent')
+  }
+}
+
+/**
+ * Googleログインの失敗を画面に伝える（URL フラグメント #auth_error=...）
+ */
+function redirectWithAuthError(c: Context, redirectPath: string, reason: GoogleSignInError) {
+  return c.redirect(`${redirectPath}#auth_error=${reason}`, 302)
+}
 
-export { auth }
\ No newline at end of file
+export { auth }
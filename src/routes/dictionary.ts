@@ -0,0 +1,255 @@
+/**
+ * タップカルテ - ユーザー辞書APIルート
+ *
+ * ログインユーザーごとの医療用語辞書（略語・薬剤の通称など）の登録・編集・削除
+ */
+
+import { Hono } from 'hono'
+import type { CloudflareBindings, ApiResponse, DictionaryEntry } from '../types'
+import { DICTIONARY_CONFIG } from '../config'
+import { logger } from '../utils'
+import type { AuthenticatedSession } from '../auth'
+import {
+  listDictionaryEntries,
+  countDictionaryEntries,
+  createDictionaryEntry,
+  updateDictionaryEntry,
+  deleteDictionaryEntry,
+  findDictionaryEntryByTerm,
+  extractDictionaryInput
+} from '../services/dictionary'
+
+// ========================================
+// 📚 ユーザー辞書APIルート
+// ========================================
+
+const dictionary = new Hono<{ Bindings: CloudflareBindings }>()
+
+/**
+ * 辞書一覧取得
+ * GET /api/dictionary
+ */
+dictionary.get('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const entries = await listDictionaryEntries(db, session.user.id)
+
+    return c.json<ApiResponse<{ entries: DictionaryEntry[]; maxEntries: number }>>({
+      success: true,
+      data: {
+        entries,
+        maxEntries: DICTIONARY_CONFIG.maxEntriesPerUser
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Dictionary retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '辞書の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 辞書登録
+ * POST /api/dictionary
+ */
+dictionary.post('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractDictionaryInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const count = await countDictionaryEntries(db, session.user.id)
+    if (count >= DICTIONARY_CONFIG.maxEntriesPerUser) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `辞書に登録できるのは${DICTIONARY_CONFIG.maxEntriesPerUser}件までです`
+      }, 400)
+    }
+
+    if (await findDictionaryEntryByTerm(db, session.user.id, input.data!.term)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'この用語は既に登録されています'
+      }, 409)
+    }
+
+    const entry = await createDictionaryEntry(db, session.user.id, input.data!)
+
+    logger.info('Dictionary entry created', {
+      requestId,
+      userId: session.user.id,
+      entryId: entry.id
+    })
+
+    return c.json<ApiResponse<DictionaryEntry>>({
+      success: true,
+      data: entry
+    }, 201)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Dictionary entry creation failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '辞書の登録に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 辞書更新
+ * PUT /api/dictionary/:id
+ */
+dictionary.put('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractDictionaryInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const id = parseInt(c.req.param('id'))
+
+    if (await findDictionaryEntryByTerm(db, session.user.id, input.data!.term, id)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'この用語は既に登録されています'
+      }, 409)
+    }
+
+    const entry = await updateDictionaryEntry(db, session.user.id, id, input.data!)
+    if (!entry) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '辞書の登録が見つかりません'
+      }, 404)
+    }
+
+    logger.info('Dictionary entry updated', {
+      requestId,
+      userId: session.user.id,
+      entryId: id
+    })
+
+    return c.json<ApiResponse<DictionaryEntry>>({
+      success: true,
+      data: entry
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Dictionary entry update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '辞書の更新に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 辞書削除
+ * DELETE /api/dictionary/:id
+ */
+dictionary.delete('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const deleted = await deleteDictionaryEntry(db, session.user.id, parseInt(c.req.param('id')))
+    if (!deleted) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '辞書の登録が見つかりません'
+      }, 404)
+    }
+
+    logger.info('Dictionary entry deleted', {
+      requestId,
+      userId: session.user.id,
+      entryId: c.req.param('id')
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted: 1
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Dictionary entry deletion failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '辞書の削除に失敗しました'
+    }, 500)
+  }
+})
+
+export { dictionary }
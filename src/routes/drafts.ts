@@ -0,0 +1,203 @@
+/**
+ * タップカルテ - 下書きAPIルート
+ *
+ * ログインユーザーの入力メモの下書きの同期（一覧・保存・削除）。
+ * 下書きIDは端末で発行するため、保存は PUT /api/drafts/:id で新規作成・更新を兼ねる
+ */
+
+import { Hono } from 'hono'
+import type { CloudflareBindings, ApiResponse, Draft } from '../types'
+import { DRAFT_CONFIG } from '../config'
+import { logger } from '../utils'
+import type { AuthenticatedSession } from '../auth'
+import { createRecordCipher } from '../services/record-encryption'
+import { findAccessiblePatient } from '../services/patients'
+import {
+  listDrafts,
+  getDraftCount,
+  saveDraft,
+  deleteDraft,
+  isDraftId,
+  extractDraftInput
+} from '../services/drafts'
+
+// ========================================
+// 📝 下書きAPIルート
+// ========================================
+
+const drafts = new Hono<{ Bindings: CloudflareBindings }>()
+
+/**
+ * 下書き一覧取得
+ * GET /api/drafts
+ */
+drafts.get('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const cipher = await createRecordCipher(db, c.env)
+
+    return c.json<ApiResponse<{ drafts: Draft[]; maxDrafts: number }>>({
+      success: true,
+      data: {
+        drafts: await listDrafts(cipher, session.user.id),
+        maxDrafts: DRAFT_CONFIG.maxDraftsPerUser
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Draft retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '下書きの取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 下書き保存（新規作成・更新）
+ * PUT /api/drafts/:id
+ * サーバーの下書きの方が新しい場合は409とサーバーの下書きを返す
+ */
+drafts.put('/:id', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const clientId = c.req.param('id')
+    if (!isDraftId(clientId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '下書きIDが正しくありません'
+      }, 400)
+    }
+
+    const input = extractDraftInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const { patientId } = input.data!
+    if (patientId !== null && !(await findAccessiblePatient(db, session.user.id, patientId))) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '利用者が見つかりません'
+      }, 400)
+    }
+
+    const count = await getDraftCount(db, session.user.id, clientId)
+    if (!count.exists && count.total >= DRAFT_CONFIG.maxDraftsPerUser) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `保存できる下書きは${DRAFT_CONFIG.maxDraftsPerUser}件までです。不要な下書きを削除してください`
+      }, 400)
+    }
+
+    const cipher = await createRecordCipher(db, c.env)
+    const result = await saveDraft(cipher, session.user.id, clientId, input.data!)
+
+    if (!result.saved) {
+      return c.json<ApiResponse<Draft>>({
+        success: false,
+        error: '別の端末でより新しい下書きが保存されています',
+        data: result.draft
+      }, 409)
+    }
+
+    logger.debug('Draft saved', {
+      requestId,
+      userId: session.user.id,
+      created: !count.exists
+    })
+
+    return c.json<ApiResponse<Draft>>({
+      success: true,
+      data: result.draft
+    }, count.exists ? 200 : 201)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Draft save failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '下書きの保存に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 下書き削除
+ * DELETE /api/drafts/:id
+ */
+drafts.delete('/:id', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const clientId = c.req.param('id')
+    if (!isDraftId(clientId) || !(await deleteDraft(db, session.user.id, clientId))) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '下書きが見つかりません'
+      }, 404)
+    }
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        message: '下書きを削除しました'
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Draft deletion failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '下書きの削除に失敗しました'
+    }, 500)
+  }
+})
+
+export { drafts }
@@ -6,8 +6,9 @@
 
 import { Hono } from 'hono'
 import type { CloudflareBindings, UsageStats, ApiResponse } from '../types'
-import { APP_CONFIG, AI_CONFIG, validateEnvironmentVariables } from '../config'
+import { APP_CONFIG, AI_CONFIG, RETENTION_CONFIG, validateEnvironmentVariables } from '../config'
 import { logger, getCurrentTimestamp } from '../utils'
+import { createAIProviders } from '../services/ai-provider'
 
 // ========================================
 // 📊 監視・統計APIルート
@@ -38,8 +39,9 @@ monitoring.get('/health', async (c) => {
       logger.warn('Database health check failed', { requestId, dbError })
     }
     
-    // AI APIキーチェック
-    const aiStatus = envValidation.variables.GEMINI_API_KEY !== 'test_gemini_key' 
+    // AIプロバイダーチェック（フォールバック順に利用可能なもの）
+    const aiProviders = createAIProviders(c.env).map(provider => provider.name)
+    const aiStatus = aiProviders.some(name => name !== 'mock')
       ? 'configured' 
       : 'test_mode'
     
@@ -51,11 +53,12 @@ monitoring.get('/health', async (c) => {
       services: {
         database: dbStatus,
         ai_service: aiStatus,
+        ai_providers: aiProviders,
         environment_config: envValidation.isValid ? 'valid' : 'warning'
       },
       uptime: process.uptime ? Math.floor(process.uptime()) : 'unknown',
-      ...(envValidation.issues.length > 0 && {
-        warnings: envValidation.issues
+      ...((envValidation.issues.length > 0 || envValidation.warnings.length > 0) && {
+        warnings: [...envValidation.issues, ...envValidation.warnings]
       })
     }
     
@@ -115,7 +118,7 @@ monitoring.get('/stats', async (c) => {
     }
     
     // 過去24時間の統計を取得
-    const [recordStats, performanceStats] = await Promise.all([
+    const [recordStats, performanceStats, dictionaryStats] = await Promise.all([
       // レコード統計
       db.prepare(`
         SELECT 
@@ -139,7 +142,20 @@ monitoring.get('/stats', async (c) => {
         FROM nursing_records 
         WHERE created_at > datetime('now', '-24 hours')
         GROUP BY options_style, options_doc_type, options_format
-      `).all()
+      `).all(),
+
+      // 医療用語辞書の絞り込み統計（計測列のある変換のみ）
+      db.prepare(`
+        SELECT
+          COUNT(*) as measured_requests,
+          AVG(dictionary_terms_total) as avg_terms_total,
+          AVG(dictionary_terms_injected) as avg_terms_injected,
+          AVG(prompt_tokens_saved) as avg_tokens_saved,
+          SUM(prompt_tokens_saved) as total_tokens_saved
+        FROM nursing_records
+        WHERE created_at > datetime('now', '-24 hours')
+          AND prompt_tokens_saved IS NOT NULL
+      `).first()
     ])
     
     // エラー率計算（この例では簡易的に0とする）
@@ -160,7 +176,15 @@ monitoring.get('/stats', async (c) => {
         maxResponseTime: Math.round((recordStats?.max_response_time as number) || 0),
         activeDays: (recordStats?.active_days as number) || 0
       },
-      usage_patterns: performanceStats?.results || []
+      usage_patterns: performanceStats?.results || [],
+      // トークン数は概算（日本語1文字≒1トークン）
+      dictionary_injection: {
+        measuredRequests: (dictionaryStats?.measured_requests as number) || 0,
+        averageTermsAvailable: Math.round((dictionaryStats?.avg_terms_total as number) || 0),
+        averageTermsInjected: Math.round(((dictionaryStats?.avg_terms_injected as number) || 0) * 10) / 10,
+        averageTokensSaved: Math.round((dictionaryStats?.avg_tokens_saved as number) || 0),
+        totalTokensSaved: (dictionaryStats?.total_tokens_saved as number) || 0
+      }
     }
     
     logger.info('Statistics retrieved', {
@@ -205,12 +229,14 @@ monitoring.get('/info', async (c) => {
       },
       ai_service: {
         model: AI_CONFIG.model,
+        fallback_model: AI_CONFIG.providers.anthropicModel,
+        providers: createAIProviders(c.env).map(provider => provider.name),
         default_char_limit: AI_CONFIG.defaultCharLimit,
         max_char_limit: AI_CONFIG.maxCharLimit,
         timeout: AI_CONFIG.timeout
       },
       features: {
-        demo_authentication: true,
+        account_authentication: !!c.env?.DB,
         ai_conversion: true,
         medical_dictionary: true,
         data_persistence: !!c.env?.DB,
@@ -218,7 +244,10 @@ monitoring.get('/info', async (c) => {
       },
       endpoints: {
         conversion: '/api/ai/convert',
-        authentication: '/api/auth/demo-login',
+        conversion_stream: '/api/ai/convert/stream',
+        authentication: '/api/auth/login',
+        records: '/api/records',
+        dictionary: '/api/dictionary',
         health_check: '/api/monitoring/health',
         statistics: '/api/monitoring/stats'
       },
@@ -265,9 +294,11 @@ monitoring.get('/security', async (c) => {
       environment_validation: {
         is_valid: envValidation.isValid,
         issues_count: envValidation.issues.length,
+        warnings_count: envValidation.warnings.length,
         // セキュリティ上、詳細な問題は本番環境では非表示
         ...(APP_CONFIG.isDevelopment && {
-          issues: envValidation.issues
+          issues: envValidation.issues,
+          warnings: envValidation.warnings
         })
       },
       security_features: {
@@ -279,9 +310,18 @@ monitoring.get('/security', async (c) => {
         request_logging: true
       },
       compliance: {
-        data_retention: 'temporary_processing_only',
+        data_retention: {
+          policy: 'per_organization',
+          default_record_retention_days: RETENTION_CONFIG.defaults.recordRetentionDays,
+          default_record_action: RETENTION_CONFIG.defaults.recordAction,
+          default_log_retention_days: RETENTION_CONFIG.defaults.logRetentionDays,
+          schedule: 'daily_cron'
+        },
         personal_info_policy: 'detection_and_blocking',
-        encryption: 'https_tls',
+        encryption: {
+          in_transit: 'https_tls',
+          records_at_rest: c.env?.RECORD_ENCRYPTION_SECRET ? 'aes_gcm_per_organization' : 'disabled'
+        },
         audit_logging: APP_CONFIG.isDevelopment ? 'enabled' : 'production_mode'
       },
       timestamp: getCurrentTimestamp()
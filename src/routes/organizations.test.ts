@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { Hono } from 'hono'
+import { organizations } from './organizations'
+import { organizationAuth } from '../middleware'
+import { createTestDatabase, type TestDatabase } from '../test-helpers/d1'
+import type { AuthenticatedSession } from '../auth'
+
+/** 監査ログの1行 */
+interface SecurityLogRow {
+  event_type: string
+  severity: string
+  user_id: number | null
+  organization_id: number | null
+  resource_type: string | null
+  resource_id: string | null
+  metadata: string | null
+}
+
+/**
+ * 組織ルートとログイン中のユーザーを設定したアプリ
+ */
+const createApp = (userId: number) => {
+  const app = new Hono()
+  app.use('*', async (c, next) => {
+    c.set('authSession', { user: { id: userId, email: `user${userId}@example.com` }, sessionId: `session-${userId}` } as AuthenticatedSession)
+    await next()
+  })
+  app.use('*', organizationAuth())
+  app.route('/api/organizations', organizations)
+  return app
+}
+
+describe('組織の操作の監査ログ', () => {
+  let testDb: TestDatabase
+
+  /** 組織1の管理者（ユーザー1）とメンバー（ユーザー2・3） */
+  beforeEach(async () => {
+    testDb = await createTestDatabase()
+    const { db } = testDb
+    await db.batch([
+      db.prepare(`
+        INSERT INTO users (id, email, display_name)
+        VALUES (1, 'user1@example.com', 'A'), (2, 'user2@example.com', 'B'), (3, 'user3@example.com', 'C'), (4, 'user4@example.com', 'D')
+      `),
+      db.prepare("INSERT INTO organizations (id, name) VALUES (1, '訪問看護ステーション')"),
+      db.prepare("INSERT INTO organization_members (organization_id, user_id, role) VALUES (1, 1, 'admin'), (1, 2, 'member'), (1, 3, 'member')"),
+      db.prepare("INSERT INTO organization_dictionary_entries (id, organization_id, term, meaning) VALUES (5, 1, 'ギャッジアップ', 'ベッドの背上げ')")
+    ])
+  })
+
+  afterEach(async () => {
+    await testDb.dispose()
+  })
+
+  const request = (userId: number, method: string, path: string, body?: unknown) =>
+    createApp(userId).request(`/api/organizations${path}`, {
+      method,
+      ...(body !== undefined && { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+    }, { DB: testDb.db })
+
+  const findLogs = async (eventType: string) => (await testDb.db.prepare(`
+    SELECT event_type, severity, user_id, organization_id, resource_type, resource_id, metadata
+    FROM security_logs WHERE event_type = ? ORDER BY id
+  `).bind(eventType).all<SecurityLogRow>()).results
+
+  it.each([
+    ['メンバーの権限変更', 'PUT', '/current/members/2', { role: 'admin' }, 'organization.member_role_update', 'user', '2', { before: 'member', after: 'admin' }],
+    ['メンバーの削除', 'DELETE', '/current/members/2', undefined, 'organization.member_remove', 'user', '2', { role: 'member', self: false }],
+    ['共有辞書の削除', 'DELETE', '/current/dictionary/5', undefined, 'organization.dictionary_delete', 'dictionary_entry', '5', null],
+    ['組織の設定変更', 'PUT', '/current', { name: '訪問看護ステーション東', dailyLimit: 100 }, 'organization.update', 'organization', '1', {
+      before: { name: '訪問看護ステーション', dailyLimit: null },
+      after: { name: '訪問看護ステーション東', dailyLimit: 100 }
+    }]
+  ])('%sを操作者・対象・組織とともに記録する', async (_label, method, path, body, eventType, resourceType, resourceId, metadata) => {
+    const response = await request(1, method, path, body)
+
+    expect(response.status).toBe(200)
+    const [log] = await findLogs(eventType)
+    expect(log).toMatchObject({ user_id: 1, organization_id: 1, resource_type: resourceType, resource_id: resourceId })
+    expect(log.metadata === null ? null : JSON.parse(log.metadata)).toEqual(metadata)
+  })
+
+  it('メンバー本人の脱退を記録する', async () => {
+    expect((await request(3, 'DELETE', '/current/members/3')).status).toBe(200)
+
+    const [log] = await findLogs('organization.member_remove')
+    expect(log).toMatchObject({ user_id: 3, organization_id: 1, resource_id: '3' })
+    expect(JSON.parse(log.metadata!)).toEqual({ role: 'member', self: true })
+  })
+
+  it('組織の削除は削除した組織で記録する', async () => {
+    expect((await request(1, 'DELETE', '/current')).status).toBe(200)
+
+    expect(await findLogs('organization.delete')).toEqual([
+      expect.objectContaining({ severity: 'warning', user_id: 1, organization_id: 1, resource_type: 'organization', resource_id: '1' })
+    ])
+  })
+
+  it('招待の発行・取り消し・承諾を記録し、招待コードは記録しない', async () => {
+    const created = await request(1, 'POST', '/current/invitations', { email: 'user4@example.com' })
+    const { data: invitation } = await created.json() as { data: { id: number; token: string } }
+    expect(created.status).toBe(201)
+
+    const [createLog] = await findLogs('organization.invitation_create')
+    expect(createLog).toMatchObject({ user_id: 1, organization_id: 1, resource_type: 'invitation', resource_id: String(invitation.id) })
+    expect(createLog.metadata).not.toContain(invitation.token)
+
+    expect((await request(4, 'POST', '/invitations/accept', { token: invitation.token })).status).toBe(200)
+    expect(await findLogs('organization.invitation_accept')).toEqual([
+      expect.objectContaining({ user_id: 4, organization_id: 1, resource_type: 'organization', resource_id: '1' })
+    ])
+
+    const second = await request(1, 'POST', '/current/invitations', { email: 'other@example.com' })
+    const { data: revoked } = await second.json() as { data: { id: number } }
+    expect((await request(1, 'DELETE', `/current/invitations/${revoked.id}`)).status).toBe(200)
+    expect(await findLogs('organization.invitation_revoke')).toEqual([
+      expect.objectContaining({ user_id: 1, organization_id: 1, resource_id: String(revoked.id) })
+    ])
+  })
+
+  it('失敗した操作は記録しない', async () => {
+    expect((await request(1, 'DELETE', '/current/members/1')).status).toBe(409)
+    expect((await request(1, 'DELETE', '/current/dictionary/99')).status).toBe(404)
+
+    expect(await findLogs('organization.member_remove')).toEqual([])
+    expect(await findLogs('organization.dictionary_delete')).toEqual([])
+  })
+
+  it('組織を作成したユーザーの新しい組織で記録する', async () => {
+    const response = await request(4, 'POST', '', { name: '新しいステーション' })
+    const { data: organization } = await response.json() as { data: { id: number } }
+
+    expect(response.status).toBe(201)
+    expect(await findLogs('organization.create')).toEqual([
+      expect.objectContaining({ user_id: 4, organization_id: organization.id, resource_id: String(organization.id) })
+    ])
+  })
+})
@@ -0,0 +1,1355 @@
+/**
+ * タップカルテ - 組織（事業所）APIルート
+ *
+ * 組織の作成・設定、データ保持ポリシー、注意所見の検出設定、履歴の暗号鍵、メンバーの権限管理、招待の発行と承諾、組織の共有辞書。
+ * 権限の判定は organizationAuth() / requireOrganizationRole() で行う
+ */
+
+import { Hono } from 'hono'
+import type {
+  CloudflareBindings,
+  ApiResponse,
+  DictionaryEntry,
+  Organization,
+  OrganizationInvitation,
+  OrganizationMember,
+  OrganizationMembership,
+  RetentionPolicy,
+  RetentionReport,
+  RecordEncryptionStatus,
+  RedFlagRule,
+  RedFlagSettings
+} from '../types'
+import { ORGANIZATION_CONFIG, RETENTION_CONFIG, RED_FLAG_CONFIG } from '../config'
+import { logger } from '../utils'
+import type { AuthenticatedSession } from '../auth'
+import { requireOrganizationRole } from '../middleware'
+import {
+  createOrganization,
+  findOrganization,
+  updateOrganization,
+  deleteOrganization,
+  listOrganizationMembers,
+  findOrganizationMember,
+  updateOrganizationMemberRole,
+  removeOrganizationMember,
+  listPendingInvitations,
+  countOrganizationSeats,
+  createInvitation,
+  revokeInvitation,
+  acceptInvitation,
+  extractOrganizationInput,
+  extractInvitationInput,
+  isOrganizationRole
+} from '../services/organizations'
+import {
+  getRetentionPolicy,
+  updateRetentionPolicy,
+  extractRetentionPolicyInput,
+  runRetention
+} from '../services/retention'
+import {
+  DEFAULT_RED_FLAG_RULES,
+  getRedFlagSettings,
+  updateRedFlagSettings,
+  resolveRedFlagRules,
+  extractRedFlagSettingsInput
+} from '../services/red-flags'
+import { writeAuditLog } from '../services/audit'
+import {
+  createRecordCipher,
+  isRecordEncryptionEnabled,
+  getRecordEncryptionStatus,
+  rotateDataKey
+} from '../services/record-encryption'
+import {
+  listOrganizationDictionaryEntries,
+  countOrganizationDictionaryEntries,
+  createOrganizationDictionaryEntry,
+  updateOrganizationDictionaryEntry,
+  deleteOrganizationDictionaryEntry,
+  findOrganizationDictionaryEntryByTerm,
+  extractDictionaryInput
+} from '../services/dictionary'
+
+// ========================================
+// 🏢 組織APIルート
+// ========================================
+
+const organizations = new Hono<{ Bindings: CloudflareBindings }>()
+
+/** 最後の管理者を外そうとした場合のエラー */
+const LAST_ADMIN_MESSAGE = '組織には管理者が1人以上必要です。先に別のメンバーを管理者にしてください'
+
+/**
+ * 組織の作成（作成者が管理者になる）
+ * POST /api/organizations
+ */
+organizations.post('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractOrganizationInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const organization = await createOrganization(db, session.user.id, input.data!.name)
+    if (!organization) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '既に組織に所属しています'
+      }, 409)
+    }
+
+    await writeAuditLog(c, {
+      eventType: 'organization.create',
+      resourceType: 'organization',
+      resourceId: organization.id
+    })
+
+    logger.info('Organization created', {
+      requestId,
+      userId: session.user.id,
+      organizationId: organization.id
+    })
+
+    return c.json<ApiResponse<Organization>>({
+      success: true,
+      data: organization
+    }, 201)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization creation failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '組織の作成に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 所属組織とメンバー一覧の取得
+ * GET /api/organizations/current
+ */
+organizations.get('/current', requireOrganizationRole('member'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const [organization, members] = await Promise.all([
+      findOrganization(db, membership.organizationId),
+      listOrganizationMembers(db, membership.organizationId)
+    ])
+
+    return c.json<ApiResponse<{
+      organization: Organization
+      role: OrganizationMembership['role']
+      members: OrganizationMember[]
+      maxMembers: number
+    }>>({
+      success: true,
+      data: {
+        organization: organization!,
+        role: membership.role,
+        members,
+        maxMembers: ORGANIZATION_CONFIG.maxMembers
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '組織の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 組織の設定変更（組織名・組織全体の1日の上限）
+ * PUT /api/organizations/current
+ */
+organizations.put('/current', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const current = await findOrganization(db, membership.organizationId)
+    const input = extractOrganizationInput(await c.req.json(), current!)
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const organization = await updateOrganization(db, membership.organizationId, input.data!)
+
+    await writeAuditLog(c, {
+      eventType: 'organization.update',
+      resourceType: 'organization',
+      resourceId: membership.organizationId,
+      metadata: {
+        before: { name: current!.name, dailyLimit: current!.dailyLimit },
+        after: { name: organization!.name, dailyLimit: organization!.dailyLimit }
+      }
+    })
+
+    logger.info('Organization updated', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      dailyLimit: input.data!.dailyLimit
+    })
+
+    return c.json<ApiResponse<Organization>>({
+      success: true,
+      data: organization!
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '組織の更新に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 組織の削除
+ * DELETE /api/organizations/current
+ */
+organizations.delete('/current', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    await deleteOrganization(db, membership.organizationId)
+
+    // 削除後は所属を参照できないため、削除した組織を明示して記録する
+    await writeAuditLog(c, {
+      eventType: 'organization.delete',
+      severity: 'warning',
+      resourceType: 'organization',
+      resourceId: membership.organizationId,
+      organizationId: membership.organizationId
+    })
+
+    logger.info('Organization deleted', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted: 1
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization deletion failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '組織の削除に失敗しました'
+    }, 500)
+  }
+})
+
+// ========================================
+// 🧹 データ保持ポリシー
+// ========================================
+
+/**
+ * 保持ポリシーと、現時点で対象になるデータ件数（ドライラン）
+ * GET /api/organizations/current/retention
+ */
+organizations.get('/current/retention', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const policy = await getRetentionPolicy(db, membership.organizationId)
+    if (!policy) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '組織が見つかりません'
+      }, 404)
+    }
+
+    const preview = await runRetention(db, { dryRun: true, organizationId: membership.organizationId })
+
+    return c.json<ApiResponse<{
+      policy: RetentionPolicy
+      limits: {
+        recordRetentionDays: { min: number; max: number }
+        logRetentionDays: { min: number; max: number }
+      }
+      preview: RetentionReport
+    }>>({
+      success: true,
+      data: {
+        policy,
+        limits: {
+          recordRetentionDays: RETENTION_CONFIG.recordRetentionDays,
+          logRetentionDays: RETENTION_CONFIG.logRetentionDays
+        },
+        preview
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Retention policy retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '保持ポリシーの取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 保持ポリシーの変更（次回の定期実行から適用）
+ * PUT /api/organizations/current/retention
+ */
+organizations.put('/current/retention', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const current = await getRetentionPolicy(db, membership.organizationId)
+    if (!current) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '組織が見つかりません'
+      }, 404)
+    }
+
+    const input = extractRetentionPolicyInput(await c.req.json(), current)
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const policy = await updateRetentionPolicy(db, membership.organizationId, input.data!)
+
+    await writeAuditLog(c, {
+      eventType: 'organization.retention_update',
+      resourceType: 'organization',
+      resourceId: membership.organizationId,
+      metadata: { before: current, after: policy }
+    })
+
+    logger.info('Retention policy updated', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      ...policy
+    })
+
+    return c.json<ApiResponse<RetentionPolicy>>({
+      success: true,
+      data: policy!
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Retention policy update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '保持ポリシーの更新に失敗しました'
+    }, 500)
+  }
+})
+
+// ========================================
+// 🚩 注意所見の検出設定
+// ========================================
+
+/**
+ * 注意所見の検出設定と、変換時に使うルール
+ * GET /api/organizations/current/red-flags
+ */
+organizations.get('/current/red-flags', requireOrganizationRole('member'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const settings = await getRedFlagSettings(db, membership.organizationId)
+    if (!settings) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '組織が見つかりません'
+      }, 404)
+    }
+
+    return c.json<ApiResponse<{
+      settings: RedFlagSettings
+      rules: RedFlagRule[]
+      builtInRules: RedFlagRule[]
+      limits: { maxCustomRules: number; maxTermsPerRule: number }
+    }>>({
+      success: true,
+      data: {
+        settings,
+        rules: resolveRedFlagRules(settings),
+        builtInRules: DEFAULT_RED_FLAG_RULES,
+        limits: {
+          maxCustomRules: RED_FLAG_CONFIG.maxCustomRules,
+          maxTermsPerRule: RED_FLAG_CONFIG.maxTermsPerRule
+        }
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Red flag settings retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '注意所見の検出設定の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 注意所見の検出設定の変更（組み込みのルールの無効化・組織のルールの追加）
+ * PUT /api/organizations/current/red-flags
+ */
+organizations.put('/current/red-flags', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const current = await getRedFlagSettings(db, membership.organizationId)
+    if (!current) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '組織が見つかりません'
+      }, 404)
+    }
+
+    const input = extractRedFlagSettingsInput(await c.req.json(), current)
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const settings = await updateRedFlagSettings(db, membership.organizationId, input.data!)
+
+    await writeAuditLog(c, {
+      eventType: 'organization.red_flags_update',
+      resourceType: 'organization',
+      resourceId: membership.organizationId,
+      metadata: { before: current, after: settings }
+    })
+
+    logger.info('Red flag settings updated', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      disabledRules: settings!.disabledRuleIds.length,
+      customRules: settings!.customRules.length
+    })
+
+    return c.json<ApiResponse<{ settings: RedFlagSettings; rules: RedFlagRule[] }>>({
+      success: true,
+      data: {
+        settings: settings!,
+        rules: resolveRedFlagRules(settings!)
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Red flag settings update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '注意所見の検出設定の更新に失敗しました'
+    }, 500)
+  }
+})
+
+// ========================================
+// 🔐 履歴の暗号化
+// ========================================
+
+/**
+ * 履歴本文の暗号化状況（有効なデータ鍵・暗号化待ち・再暗号化待ちの件数）
+ * GET /api/organizations/current/encryption
+ */
+organizations.get('/current/encryption', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const cipher = await createRecordCipher(db, c.env)
+    const status = await getRecordEncryptionStatus(cipher, membership.organizationId)
+
+    return c.json<ApiResponse<RecordEncryptionStatus>>({
+      success: true,
+      data: status
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Record encryption status retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '暗号化状況の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 組織のデータ鍵のローテーション（以降の履歴は新しい鍵で暗号化し、既存の履歴は定期実行で再暗号化する）
+ * POST /api/organizations/current/encryption/rotate
+ */
+organizations.post('/current/encryption/rotate', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const cipher = await createRecordCipher(db, c.env)
+    if (!isRecordEncryptionEnabled(cipher)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '履歴の暗号化が有効になっていません（RECORD_ENCRYPTION_SECRET が未設定です）'
+      }, 409)
+    }
+
+    const key = await rotateDataKey(cipher, membership.organizationId)
+
+    await writeAuditLog(c, {
+      eventType: 'organization.key_rotate',
+      resourceType: 'organization',
+      resourceId: membership.organizationId,
+      metadata: { keyId: key.id, retiredKeyId: key.retiredKeyId }
+    })
+
+    logger.info('Record encryption key rotated', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      keyId: key.id,
+      retiredKeyId: key.retiredKeyId
+    })
+
+    return c.json<ApiResponse<RecordEncryptionStatus>>({
+      success: true,
+      data: await getRecordEncryptionStatus(cipher, membership.organizationId)
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Record encryption key rotation failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '暗号鍵のローテーションに失敗しました'
+    }, 500)
+  }
+})
+
+// ========================================
+// 🧑‍⚕️ メンバー
+// ========================================
+
+/**
+ * メンバーの権限変更
+ * PUT /api/organizations/current/members/:userId
+ */
+organizations.put('/current/members/:userId{[0-9]+}', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const body = await c.req.json()
+    if (!isOrganizationRole(body?.role)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '権限は admin または member を指定してください'
+      }, 400)
+    }
+
+    const userId = parseInt(c.req.param('userId'))
+    const member = await findOrganizationMember(db, membership.organizationId, userId)
+    if (!member) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'メンバーが見つかりません'
+      }, 404)
+    }
+
+    if (!await updateOrganizationMemberRole(db, membership.organizationId, userId, body.role)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: LAST_ADMIN_MESSAGE
+      }, 409)
+    }
+
+    await writeAuditLog(c, {
+      eventType: 'organization.member_role_update',
+      resourceType: 'user',
+      resourceId: userId,
+      metadata: { before: member.role, after: body.role }
+    })
+
+    logger.info('Organization member role updated', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      memberId: userId,
+      role: body.role
+    })
+
+    return c.json<ApiResponse<OrganizationMember>>({
+      success: true,
+      data: (await findOrganizationMember(db, membership.organizationId, userId))!
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization member role update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '権限の変更に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * メンバーの削除（管理者）・組織からの脱退（本人）
+ * DELETE /api/organizations/current/members/:userId
+ */
+organizations.delete('/current/members/:userId{[0-9]+}', requireOrganizationRole('member'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const userId = parseInt(c.req.param('userId'))
+    const isSelf = userId === session.user.id
+
+    if (!isSelf && membership.role !== 'admin') {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '組織の管理者権限が必要です'
+      }, 403)
+    }
+
+    const member = await findOrganizationMember(db, membership.organizationId, userId)
+    if (!member) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'メンバーが見つかりません'
+      }, 404)
+    }
+
+    if (!await removeOrganizationMember(db, membership.organizationId, userId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: LAST_ADMIN_MESSAGE
+      }, 409)
+    }
+
+    await writeAuditLog(c, {
+      eventType: 'organization.member_remove',
+      resourceType: 'user',
+      resourceId: userId,
+      metadata: { role: member.role, self: isSelf }
+    })
+
+    logger.info(isSelf ? 'Organization member left' : 'Organization member removed', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      memberId: userId
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted: 1
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization member removal failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'メンバーの削除に失敗しました'
+    }, 500)
+  }
+})
+
+// ========================================
+// ✉️ 招待
+// ========================================
+
+/**
+ * 未承諾の招待一覧取得
+ * GET /api/organizations/current/invitations
+ */
+organizations.get('/current/invitations', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const invitations = await listPendingInvitations(db, membership.organizationId)
+
+    return c.json<ApiResponse<{ invitations: OrganizationInvitation[] }>>({
+      success: true,
+      data: {
+        invitations
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization invitation retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '招待の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 招待の発行
+ * 招待コードはこのレスポンスでのみ返すため、管理者から招待先に伝える
+ * POST /api/organizations/current/invitations
+ */
+organizations.post('/current/invitations', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractInvitationInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const members = await listOrganizationMembers(db, membership.organizationId)
+    if (members.some(member => member.email === input.data!.email)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'このメールアドレスのユーザーは既にメンバーです'
+      }, 409)
+    }
+
+    const seats = await countOrganizationSeats(db, membership.organizationId)
+    if (seats.pendingInvitations >= ORGANIZATION_CONFIG.maxPendingInvitations) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `未承諾の招待は${ORGANIZATION_CONFIG.maxPendingInvitations}件までです`
+      }, 400)
+    }
+
+    if (seats.members >= ORGANIZATION_CONFIG.maxMembers) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `組織に所属できるのは${ORGANIZATION_CONFIG.maxMembers}人までです`
+      }, 400)
+    }
+
+    const { invitation, token } = await createInvitation(db, membership.organizationId, session.user.id, input.data!)
+
+    // 招待コードは記録しない
+    await writeAuditLog(c, {
+      eventType: 'organization.invitation_create',
+      resourceType: 'invitation',
+      resourceId: invitation.id,
+      metadata: { role: invitation.role, expiresAt: invitation.expiresAt }
+    })
+
+    logger.info('Organization invitation created', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      invitationId: invitation.id,
+      role: invitation.role
+    })
+
+    return c.json<ApiResponse<OrganizationInvitation & { token: string }>>({
+      success: true,
+      data: {
+        ...invitation,
+        token
+      }
+    }, 201)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization invitation creation failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '招待の発行に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 招待の取り消し
+ * DELETE /api/organizations/current/invitations/:id
+ */
+organizations.delete('/current/invitations/:id{[0-9]+}', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const revoked = await revokeInvitation(db, membership.organizationId, parseInt(c.req.param('id')))
+    if (!revoked) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '招待が見つかりません'
+      }, 404)
+    }
+
+    await writeAuditLog(c, {
+      eventType: 'organization.invitation_revoke',
+      resourceType: 'invitation',
+      resourceId: c.req.param('id')
+    })
+
+    logger.info('Organization invitation revoked', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      invitationId: c.req.param('id')
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted: 1
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization invitation revocation failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '招待の取り消しに失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 招待の承諾
+ * POST /api/organizations/invitations/accept
+ */
+organizations.post('/invitations/accept', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const body = await c.req.json()
+    const token = typeof body?.token === 'string' ? body.token.trim() : ''
+    if (!token) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '招待コードを入力してください'
+      }, 400)
+    }
+
+    const result = await acceptInvitation(db, token, session.user)
+    if (!result.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: result.error
+      }, result.status || 400)
+    }
+
+    await writeAuditLog(c, {
+      eventType: 'organization.invitation_accept',
+      resourceType: 'organization',
+      resourceId: result.membership!.organizationId,
+      metadata: { role: result.membership!.role }
+    })
+
+    logger.info('Organization invitation accepted', {
+      requestId,
+      userId: session.user.id,
+      organizationId: result.membership!.organizationId,
+      role: result.membership!.role
+    })
+
+    return c.json<ApiResponse<OrganizationMembership>>({
+      success: true,
+      data: result.membership!
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization invitation acceptance failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '招待の承諾に失敗しました'
+    }, 500)
+  }
+})
+
+// ========================================
+// 📚 組織の共有辞書
+// ========================================
+
+/**
+ * 共有辞書一覧取得
+ * GET /api/organizations/current/dictionary
+ */
+organizations.get('/current/dictionary', requireOrganizationRole('member'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const entries = await listOrganizationDictionaryEntries(db, membership.organizationId)
+
+    return c.json<ApiResponse<{ entries: DictionaryEntry[]; maxEntries: number; editable: boolean }>>({
+      success: true,
+      data: {
+        entries,
+        maxEntries: ORGANIZATION_CONFIG.maxDictionaryEntries,
+        editable: membership.role === 'admin'
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization dictionary retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '共有辞書の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 共有辞書登録
+ * POST /api/organizations/current/dictionary
+ */
+organizations.post('/current/dictionary', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractDictionaryInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const count = await countOrganizationDictionaryEntries(db, membership.organizationId)
+    if (count >= ORGANIZATION_CONFIG.maxDictionaryEntries) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `共有辞書に登録できるのは${ORGANIZATION_CONFIG.maxDictionaryEntries}件までです`
+      }, 400)
+    }
+
+    if (await findOrganizationDictionaryEntryByTerm(db, membership.organizationId, input.data!.term)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'この用語は既に登録されています'
+      }, 409)
+    }
+
+    const entry = await createOrganizationDictionaryEntry(db, membership.organizationId, session.user.id, input.data!)
+
+    logger.info('Organization dictionary entry created', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      entryId: entry.id
+    })
+
+    return c.json<ApiResponse<DictionaryEntry>>({
+      success: true,
+      data: entry
+    }, 201)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization dictionary entry creation failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '共有辞書の登録に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 共有辞書更新
+ * PUT /api/organizations/current/dictionary/:id
+ */
+organizations.put('/current/dictionary/:id{[0-9]+}', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractDictionaryInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const id = parseInt(c.req.param('id'))
+
+    if (await findOrganizationDictionaryEntryByTerm(db, membership.organizationId, input.data!.term, id)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'この用語は既に登録されています'
+      }, 409)
+    }
+
+    const entry = await updateOrganizationDictionaryEntry(db, membership.organizationId, id, input.data!)
+    if (!entry) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '辞書の登録が見つかりません'
+      }, 404)
+    }
+
+    logger.info('Organization dictionary entry updated', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      entryId: id
+    })
+
+    return c.json<ApiResponse<DictionaryEntry>>({
+      success: true,
+      data: entry
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization dictionary entry update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '共有辞書の更新に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 共有辞書削除
+ * DELETE /api/organizations/current/dictionary/:id
+ */
+organizations.delete('/current/dictionary/:id{[0-9]+}', requireOrganizationRole('admin'), async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const deleted = await deleteOrganizationDictionaryEntry(db, membership.organizationId, parseInt(c.req.param('id')))
+    if (!deleted) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '辞書の登録が見つかりません'
+      }, 404)
+    }
+
+    await writeAuditLog(c, {
+      eventType: 'organization.dictionary_delete',
+      resourceType: 'dictionary_entry',
+      resourceId: c.req.param('id')
+    })
+
+    logger.info('Organization dictionary entry deleted', {
+      requestId,
+      userId: session.user.id,
+      organizationId: membership.organizationId,
+      entryId: c.req.param('id')
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted: 1
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Organization dictionary entry deletion failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '共有辞書の削除に失敗しました'
+    }, 500)
+  }
+})
+
+export { organizations }
@@ -0,0 +1,344 @@
+/**
+ * タップカルテ - 利用者プロフィールAPIルート
+ *
+ * 仮名化した利用者プロフィールの登録・編集・削除。
+ * 組織に所属している場合は組織のメンバー全員で共有する
+ */
+
+import { Hono } from 'hono'
+import type { CloudflareBindings, ApiResponse, OrganizationMembership, PatientProfile } from '../types'
+import { PATIENT_CONFIG } from '../config'
+import { logger } from '../utils'
+import type { AuthenticatedSession } from '../auth'
+import {
+  listAccessiblePatients,
+  findAccessiblePatient,
+  countPatients,
+  hasPatientCode,
+  createPatient,
+  updatePatient,
+  deletePatient,
+  getPatientScope,
+  extractPatientInput,
+  type PatientScope
+} from '../services/patients'
+import { writeAuditLog } from '../services/audit'
+
+// ========================================
+// 🧑‍🦳 利用者プロフィールAPIルート
+// ========================================
+
+const patients = new Hono<{ Bindings: CloudflareBindings }>()
+
+/**
+ * 利用者一覧取得（組織の利用者、または自分の登録分）
+ * GET /api/patients
+ */
+patients.get('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership | undefined
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const list = await listAccessiblePatients(db, session.user.id)
+
+    return c.json<ApiResponse<{
+      patients: PatientProfile[]
+      shared: boolean
+      careLevels: readonly string[]
+      maxPatients: number
+    }>>({
+      success: true,
+      data: {
+        patients: list,
+        shared: !!membership,
+        careLevels: PATIENT_CONFIG.careLevels,
+        maxPatients: PATIENT_CONFIG.maxPatients
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Patients retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '利用者の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 利用者詳細取得
+ * GET /api/patients/:id
+ */
+patients.get('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const patient = await findAccessiblePatient(db, session.user.id, parseInt(c.req.param('id')))
+    if (!patient) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '利用者が見つかりません'
+      }, 404)
+    }
+
+    return c.json<ApiResponse<PatientProfile>>({
+      success: true,
+      data: patient
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Patient retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '利用者の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 利用者登録
+ * POST /api/patients
+ */
+patients.post('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+  const membership = c.get('organizationMembership') as OrganizationMembership | undefined
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractPatientInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const scope: PatientScope = membership
+      ? { organizationId: membership.organizationId }
+      : { userId: session.user.id }
+
+    const count = await countPatients(db, scope)
+    if (count >= PATIENT_CONFIG.maxPatients) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `登録できる利用者は${PATIENT_CONFIG.maxPatients}人までです`
+      }, 400)
+    }
+
+    if (await hasPatientCode(db, scope, input.data!.code)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'この利用者コードは既に登録されています'
+      }, 409)
+    }
+
+    const patient = await createPatient(db, scope, session.user.id, input.data!)
+
+    logger.info('Patient created', {
+      requestId,
+      userId: session.user.id,
+      patientId: patient.id,
+      shared: patient.shared
+    })
+
+    return c.json<ApiResponse<PatientProfile>>({
+      success: true,
+      data: patient
+    }, 201)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Patient creation failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '利用者の登録に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 利用者更新
+ * PUT /api/patients/:id
+ */
+patients.put('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractPatientInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const id = parseInt(c.req.param('id'))
+    const existing = await findAccessiblePatient(db, session.user.id, id)
+    if (!existing) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '利用者が見つかりません'
+      }, 404)
+    }
+
+    // 登録先（組織・個人）は作成時のまま変えない
+    const scope = await getPatientScope(db, id)
+    if (scope && await hasPatientCode(db, scope, input.data!.code, id)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'この利用者コードは既に登録されています'
+      }, 409)
+    }
+
+    const patient = await updatePatient(db, session.user.id, id, input.data!)
+    if (!patient) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '利用者が見つかりません'
+      }, 404)
+    }
+
+    logger.info('Patient updated', {
+      requestId,
+      userId: session.user.id,
+      patientId: id
+    })
+
+    return c.json<ApiResponse<PatientProfile>>({
+      success: true,
+      data: patient
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Patient update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '利用者の更新に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 利用者削除（紐付けられた履歴は削除しない）
+ * DELETE /api/patients/:id
+ */
+patients.delete('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const id = parseInt(c.req.param('id'))
+    const existing = await findAccessiblePatient(db, session.user.id, id)
+    if (!existing) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '利用者が見つかりません'
+      }, 404)
+    }
+
+    if (!existing.deletable) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '組織の利用者は登録したユーザーまたは組織の管理者のみ削除できます'
+      }, 403)
+    }
+
+    await deletePatient(db, session.user.id, id)
+
+    await writeAuditLog(c, {
+      eventType: 'patient.delete',
+      resourceType: 'patient',
+      resourceId: id,
+      metadata: { code: existing.code, shared: existing.shared }
+    })
+
+    logger.info('Patient deleted', {
+      requestId,
+      userId: session.user.id,
+      patientId: id
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted: 1
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Patient deletion failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '利用者の削除に失敗しました'
+    }, 500)
+  }
+})
+
+export { patients }
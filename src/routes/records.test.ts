@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { Hono } from 'hono'
+import { records } from './records'
+import { createRecordCipher, encryptRecordFields } from '../services/record-encryption'
+import { createTestDatabase, type TestDatabase } from '../test-helpers/d1'
+import { RECORD_ENCRYPTION_CONFIG } from '../config'
+import type { AuthenticatedSession } from '../auth'
+import type { CloudflareBindings, NursingRecord, RecordListResponse } from '../types'
+
+const SECRET = 'test-record-encryption-secret-0123456789'
+
+const session = { user: { id: 1 }, sessionId: 'session-1' } as AuthenticatedSession
+
+const createApp = () => {
+  const app = new Hono()
+  app.use('*', async (c, next) => {
+    c.set('authSession', session)
+    await next()
+  })
+  app.route('/api/records', records)
+  return app
+}
+
+/** 平文の履歴を登録してIDを返す */
+const insertRecord = async (db: D1Database, inputText: string, outputText: string): Promise<number> => {
+  const result = await db.prepare(`
+    INSERT INTO nursing_records (session_id, input_text, output_text, options_style, options_doc_type, options_format, user_id)
+    VALUES ('session', ?, ?, 'だ・である体', '記録', '文章形式', 1)
+  `).bind(inputText, outputText).run()
+  return result.meta.last_row_id
+}
+
+/** 登録済みの履歴を組織の鍵で暗号化する */
+const encryptRecord = async (db: D1Database, id: number, inputText: string, outputText: string) => {
+  const cipher = await createRecordCipher(db, { RECORD_ENCRYPTION_SECRET: SECRET } as CloudflareBindings)
+  const fields = await encryptRecordFields(cipher, 1, { table: 'nursing_records', id }, { inputText, outputText })
+  await db.prepare('UPDATE nursing_records SET input_text = ?, output_text = ?, encryption_key_id = ? WHERE id = ?')
+    .bind(fields.inputText, fields.outputText, fields.encryptionKeyId, id)
+    .run()
+}
+
+/** 全文検索テーブルに索引されている履歴のID */
+const findIndexedIds = async (db: D1Database, phrase: string) => {
+  const result = await db.prepare('SELECT rowid AS id FROM nursing_records_fts WHERE nursing_records_fts MATCH ? ORDER BY rowid')
+    .bind(`"${phrase}"`)
+    .all<{ id: number }>()
+  return result.results.map((row: { id: number }) => row.id)
+}
+
+describe('履歴のキーワード検索', () => {
+  let testDb: TestDatabase
+
+  const search = async (query: string, vars: Partial<CloudflareBindings> = {}) => {
+    const response = await createApp().request(`/api/records?${query}`, {}, { DB: testDb.db, ...vars })
+    expect(response.status).toBe(200)
+    return ((await response.json()) as { data: RecordListResponse }).data
+  }
+
+  const ids = (list: RecordListResponse) => list.records.map((record: NursingRecord) => record.id)
+
+  beforeEach(async () => {
+    testDb = await createTestDatabase()
+    await testDb.db.batch([
+      testDb.db.prepare("INSERT INTO users (id, email, display_name) VALUES (1, 'a@example.com', 'A')"),
+      testDb.db.prepare("INSERT INTO organizations (id, name) VALUES (1, '訪問看護ステーション')"),
+      testDb.db.prepare("INSERT INTO organization_members (organization_id, user_id, role) VALUES (1, 1, 'admin')")
+    ])
+  })
+
+  afterEach(async () => {
+    await testDb.dispose()
+  })
+
+  it.each([
+    ['3文字以上は全文検索で照合する', 'バイタル'],
+    ['3文字未満は部分一致で照合する', '褥瘡']
+  ])('平文の履歴: %s', async (_label, keyword) => {
+    const matched = await insertRecord(testDb.db, `${keyword}のメモ`, '記録')
+    await insertRecord(testDb.db, '食事全量摂取', '記録')
+
+    const list = await search(`q=${encodeURIComponent(keyword)}`)
+
+    expect(ids(list)).toEqual([matched])
+    expect(list.searchTruncated).toBeUndefined()
+  })
+
+  it('暗号化していない環境では照合件数の上限なく検索する', async () => {
+    const oldest = await insertRecord(testDb.db, '転倒ありのメモ', '記録')
+    await testDb.db.prepare(`
+      WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < ?)
+      INSERT INTO nursing_records (session_id, input_text, output_text, options_style, options_doc_type, options_format, user_id)
+      SELECT 'session', '食事全量摂取', '記録', 'だ・である体', '記録', '文章形式', 1 FROM n
+    `).bind(RECORD_ENCRYPTION_CONFIG.searchScanLimit + 1).run()
+
+    const list = await search(`q=${encodeURIComponent('転倒あり')}`)
+
+    expect(ids(list)).toEqual([oldest])
+    expect(list.searchTruncated).toBeUndefined()
+  })
+
+  it('平文の履歴と暗号化した履歴の両方を照合する', async () => {
+    const plain = await insertRecord(testDb.db, '転倒ありのメモ', '記録')
+    const encrypted = await insertRecord(testDb.db, '', '')
+    await encryptRecord(testDb.db, encrypted, '夜間に転倒あり', '記録')
+    await insertRecord(testDb.db, '食事全量摂取', '記録')
+
+    const list = await search(`q=${encodeURIComponent('転倒あり')}`, { RECORD_ENCRYPTION_SECRET: SECRET })
+
+    expect(ids(list)).toEqual([encrypted, plain])
+    expect(list.records[0].inputText).toBe('夜間に転倒あり')
+  })
+
+  it('暗号化した履歴は全文検索テーブルの索引から外す', async () => {
+    const id = await insertRecord(testDb.db, '転倒ありのメモ', '記録')
+    expect(await findIndexedIds(testDb.db, '転倒あり')).toEqual([id])
+
+    await encryptRecord(testDb.db, id, '転倒ありのメモ', '記録')
+
+    expect(await findIndexedIds(testDb.db, '転倒あり')).toEqual([])
+  })
+
+  it('キーワードで絞り込んだ平文の履歴を一括削除する', async () => {
+    const matched = await insertRecord(testDb.db, '転倒ありのメモ', '記録')
+    const other = await insertRecord(testDb.db, '食事全量摂取', '記録')
+
+    const response = await createApp().request(`/api/records?q=${encodeURIComponent('転倒あり')}`, { method: 'DELETE' }, { DB: testDb.db })
+
+    expect(response.status).toBe(200)
+    expect(ids(await search(''))).toEqual([other])
+    expect(await findIndexedIds(testDb.db, '転倒あり')).not.toContain(matched)
+  })
+})
@@ -0,0 +1,741 @@
+/**
+ * タップカルテ - 変換履歴APIルート
+ *
+ * ログインユーザーごとの看護記録（nursing_records）の閲覧・検索・書き出し・削除
+ */
+
+import { Hono } from 'hono'
+import type { CloudflareBindings, ApiResponse, NursingRecord, RecordListResponse, ExportFormat, ExportLayout } from '../types'
+import { logger } from '../utils'
+import { getDayStartTimestamp } from '../services/usage'
+import type { AuthenticatedSession } from '../auth'
+import { EXPORT_CONFIG, RECORD_ENCRYPTION_CONFIG } from '../config'
+import { findAccessiblePatient, toPatientId } from '../services/patients'
+import {
+  findExportRecord,
+  listExportRecords,
+  exportRecords,
+  isExportFormat,
+  isExportLayout
+} from '../services/record-export'
+import { writeAuditLog } from '../services/audit'
+import { createRecordCipher, decryptRecordRow, decryptRecordRows, type RecordCipher } from '../services/record-encryption'
+
+// ========================================
+// 📂 変換履歴APIルート
+// ========================================
+
+const records = new Hono<{ Bindings: CloudflareBindings }>()
+
+/** 1ページあたりの件数設定 */
+const PAGE_LIMIT = {
+  default: 20,
+  max: 100
+} as const
+
+/** 検索キーワードの最大長 */
+const MAX_QUERY_LENGTH = 100
+
+/** キーワード検索の照合件数の上限を超えた場合のエラー（書き出し・一括削除で一部の履歴だけを対象にしないため） */
+const SEARCH_TRUNCATED_ERROR = `暗号化した履歴のキーワード検索の対象は新しい順に${RECORD_ENCRYPTION_CONFIG.searchScanLimit}件までです。期間を絞り込んでください`
+
+/** 履歴の検索条件（keyword は applyKeywordFilter で条件に加える） */
+interface RecordFilter {
+  where: string
+  params: (string | number)[]
+  keyword?: string
+}
+
+/**
+ * 履歴一覧取得（ページネーション・期間・キーワード検索）
+ * GET /api/records?page=1&limit=20&from=2025-01-01&to=2025-01-31&q=バイタル&patientId=3
+ */
+records.get('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const filterResult = buildRecordFilter(session.user.id, c.req.query())
+    if (!filterResult.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: filterResult.error
+      }, 400)
+    }
+
+    const page = Math.max(parseInt(c.req.query('page') || '1') || 1, 1)
+    const limit = Math.min(
+      Math.max(parseInt(c.req.query('limit') || '') || PAGE_LIMIT.default, 1),
+      PAGE_LIMIT.max
+    )
+    const offset = (page - 1) * limit
+
+    const cipher = await createRecordCipher(db, c.env)
+    const search = await applyKeywordFilter(db, cipher, filterResult.filter!)
+
+    const [countResult, listResult] = await Promise.all([
+      db.prepare(`SELECT COUNT(*) AS total FROM nursing_records WHERE ${search.filter.where}`)
+        .bind(...search.filter.params)
+        .first<{ total: number }>(),
+      db.prepare(`
+        SELECT * FROM nursing_records
+        WHERE ${search.filter.where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `).bind(...search.filter.params, limit, offset).all()
+    ])
+
+    const total = countResult?.total || 0
+    const rows = await decryptRecordRows(cipher, listResult.results || [])
+
+    logger.info('Records retrieved', {
+      requestId,
+      userId: session.user.id,
+      page,
+      limit,
+      total,
+      hasQuery: !!c.req.query('q')
+    })
+
+    return c.json<ApiResponse<RecordListResponse>>({
+      success: true,
+      data: {
+        records: rows.map(toNursingRecord),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        },
+        ...(search.truncated && { searchTruncated: true })
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Records retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '履歴の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 履歴詳細取得
+ * GET /api/records/:id
+ */
+records.get('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const row = await db.prepare('SELECT * FROM nursing_records WHERE id = ? AND user_id = ? AND anonymized_at IS NULL')
+      .bind(parseInt(c.req.param('id')), session.user.id)
+      .first()
+
+    if (!row) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '履歴が見つかりません'
+      }, 404)
+    }
+
+    const cipher = await createRecordCipher(db, c.env)
+
+    return c.json<ApiResponse<NursingRecord>>({
+      success: true,
+      data: toNursingRecord(await decryptRecordRow(cipher, row))
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Record retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '履歴の取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 履歴書き出し（PDF / Word / CSV / テキスト）
+ * GET /api/records/:id/export?format=pdf&layout=visit
+ */
+records.get('/:id{[0-9]+}/export', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const options = extractExportOptions(c.req.query())
+    if (!options.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: options.error
+      }, 400)
+    }
+
+    const id = parseInt(c.req.param('id'))
+    const record = await findExportRecord(db, await createRecordCipher(db, c.env), session.user.id, id)
+    if (!record) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '履歴が見つかりません'
+      }, 404)
+    }
+
+    const file = exportRecords([record], options.format!, options.layout)
+
+    await writeAuditLog(c, {
+      eventType: 'record.export',
+      resourceType: 'record',
+      resourceId: id,
+      metadata: { format: options.format, layout: options.layout || null }
+    })
+
+    logger.info('Records exported', {
+      requestId,
+      userId: session.user.id,
+      format: options.format,
+      count: 1
+    })
+
+    return c.body(file.body, 200, {
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="tapkarte-record-${id}.${file.extension}"`
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Record export failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '履歴の書き出しに失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 履歴一括書き出し（一覧取得と同じ期間・検索条件で絞り込み、古い順に1件ずつ改ページ）
+ * GET /api/records/export?format=pdf&from=2025-01-01&to=2025-01-31&patientId=1
+ */
+records.get('/export', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const query = c.req.query()
+    const options = extractExportOptions(query)
+    if (!options.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: options.error
+      }, 400)
+    }
+
+    const filterResult = buildRecordFilter(session.user.id, query)
+    if (!filterResult.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: filterResult.error
+      }, 400)
+    }
+
+    const cipher = await createRecordCipher(db, c.env)
+    const search = await applyKeywordFilter(db, cipher, filterResult.filter!)
+    if (search.truncated) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: SEARCH_TRUNCATED_ERROR
+      }, 400)
+    }
+
+    const list = await listExportRecords(db, cipher, search.filter)
+    if (list.length === 0) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '書き出す履歴がありません'
+      }, 404)
+    }
+
+    if (list.length > EXPORT_CONFIG.maxRecords) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `一度に書き出せる履歴は${EXPORT_CONFIG.maxRecords}件までです。期間を絞り込んでください`
+      }, 400)
+    }
+
+    const file = exportRecords(list, options.format!, options.layout)
+
+    // 検索キーワードは個人情報を含みうるため記録しない
+    await writeAuditLog(c, {
+      eventType: 'record.export',
+      resourceType: 'record',
+      metadata: {
+        format: options.format,
+        layout: options.layout || null,
+        count: list.length,
+        recordIds: list.map(record => record.id),
+        from: query.from || null,
+        to: query.to || null,
+        patientId: query.patientId || null
+      }
+    })
+
+    logger.info('Records exported', {
+      requestId,
+      userId: session.user.id,
+      format: options.format,
+      count: list.length
+    })
+
+    return c.body(file.body, 200, {
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="tapkarte-records-${query.from || 'all'}-${query.to || 'today'}.${file.extension}"`
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Records export failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '履歴の書き出しに失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 履歴と利用者の紐付け変更（patientId: null で解除）
+ * PUT /api/records/:id/patient
+ */
+records.put('/:id{[0-9]+}/patient', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const body = await c.req.json()
+    const patientId = body?.patientId === null ? null : toPatientId(body?.patientId)
+    if (body?.patientId !== null && patientId === null) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '利用者IDが正しくありません'
+      }, 400)
+    }
+
+    if (patientId !== null && !await findAccessiblePatient(db, session.user.id, patientId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '利用者が見つかりません'
+      }, 404)
+    }
+
+    const row = await db.prepare('UPDATE nursing_records SET patient_id = ? WHERE id = ? AND user_id = ? AND anonymized_at IS NULL RETURNING *')
+      .bind(patientId, parseInt(c.req.param('id')), session.user.id)
+      .first()
+
+    if (!row) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '履歴が見つかりません'
+      }, 404)
+    }
+
+    logger.info('Record patient updated', {
+      requestId,
+      userId: session.user.id,
+      recordId: c.req.param('id'),
+      patientId
+    })
+
+    const cipher = await createRecordCipher(db, c.env)
+
+    return c.json<ApiResponse<NursingRecord>>({
+      success: true,
+      data: toNursingRecord(await decryptRecordRow(cipher, row))
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Record patient update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '利用者の紐付けに失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 履歴削除
+ * DELETE /api/records/:id
+ */
+records.delete('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const result = await db.prepare('DELETE FROM nursing_records WHERE id = ? AND user_id = ?')
+      .bind(parseInt(c.req.param('id')), session.user.id)
+      .run()
+
+    if (!result.meta.changes) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '履歴が見つかりません'
+      }, 404)
+    }
+
+    await writeAuditLog(c, {
+      eventType: 'record.delete',
+      resourceType: 'record',
+      resourceId: c.req.param('id')
+    })
+
+    logger.info('Record deleted', {
+      requestId,
+      userId: session.user.id,
+      recordId: c.req.param('id')
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted: 1
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Record deletion failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '履歴の削除に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * 履歴一括削除（一覧取得と同じ期間・検索条件で絞り込み）
+ * DELETE /api/records?from=2025-01-01&to=2025-01-31
+ * 条件を指定しない場合は全件削除の誤操作を防ぐため all=true を必須とする
+ */
+records.delete('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const query = c.req.query()
+    const hasCondition = ['from', 'to', 'q', 'patientId'].some(name => query[name]?.trim())
+    if (!hasCondition && query.all !== 'true') {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '削除する履歴の条件を指定してください（すべて削除する場合は all=true）'
+      }, 400)
+    }
+
+    const filterResult = buildRecordFilter(session.user.id, query)
+    if (!filterResult.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: filterResult.error
+      }, 400)
+    }
+
+    const search = await applyKeywordFilter(db, await createRecordCipher(db, c.env), filterResult.filter!)
+    if (search.truncated) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: SEARCH_TRUNCATED_ERROR
+      }, 400)
+    }
+
+    const result = await db.prepare(`DELETE FROM nursing_records WHERE ${search.filter.where} RETURNING id`)
+      .bind(...search.filter.params)
+      .all()
+    const deleted = result.results?.length || 0
+
+    await writeAuditLog(c, {
+      eventType: 'record.bulk_delete',
+      resourceType: 'record',
+      metadata: {
+        deleted,
+        all: !hasCondition,
+        from: query.from || null,
+        to: query.to || null,
+        patientId: query.patientId || null
+      }
+    })
+
+    logger.info('Records bulk deleted', {
+      requestId,
+      userId: session.user.id,
+      deleted
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Records bulk deletion failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '履歴の削除に失敗しました'
+    }, 500)
+  }
+})
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * クエリパラメータから検索条件（WHERE句）を構築
+ */
+function buildRecordFilter(userId: number, query: Record<string, string>): {
+  success: boolean
+  filter?: RecordFilter
+  error?: string
+} {
+  // 保持期間を過ぎて匿名化した履歴は本文がないため対象外
+  const conditions = ['user_id = ?', 'anonymized_at IS NULL']
+  const params: (string | number)[] = [userId]
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/
+
+  const { from, to, q, patientId } = query
+
+  if (from) {
+    if (!datePattern.test(from)) {
+      return { success: false, error: '開始日の形式が正しくありません（YYYY-MM-DD）' }
+    }
+    // created_at はUTCのため、日本時間の日付の境界に換算する
+    conditions.push('created_at >= ?')
+    params.push(getDayStartTimestamp(from))
+  }
+
+  if (to) {
+    if (!datePattern.test(to)) {
+      return { success: false, error: '終了日の形式が正しくありません（YYYY-MM-DD）' }
+    }
+    // 終了日当日を含める
+    conditions.push('created_at < ?')
+    params.push(getDayStartTimestamp(to, 1))
+  }
+
+  if (patientId) {
+    const id = toPatientId(patientId)
+    if (id === null) {
+      return { success: false, error: '利用者IDが正しくありません' }
+    }
+    conditions.push('patient_id = ?')
+    params.push(id)
+  }
+
+  const keyword = q?.trim()
+  if (keyword && keyword.length > MAX_QUERY_LENGTH) {
+    return { success: false, error: `検索キーワードは${MAX_QUERY_LENGTH}文字以内で入力してください` }
+  }
+
+  return {
+    success: true,
+    filter: {
+      where: conditions.join(' AND '),
+      params,
+      ...(keyword && { keyword })
+    }
+  }
+}
+
+/**
+ * キーワード検索の条件を適用
+ * 平文の履歴は全文検索（trigram。3文字未満は部分一致）で照合する。暗号化した履歴はDBでは照合できないため、
+ * 他の条件に一致するものを新しい順に復号して部分一致で照合し、一致した履歴のIDで絞り込む
+ * （復号して照合するのは RECORD_ENCRYPTION_CONFIG.searchScanLimit 件まで）
+ */
+async function applyKeywordFilter(db: D1Database, cipher: RecordCipher, filter: RecordFilter): Promise<{
+  filter: RecordFilter
+  truncated: boolean
+}> {
+  if (!filter.keyword) {
+    return { filter, truncated: false }
+  }
+
+  const scanLimit = RECORD_ENCRYPTION_CONFIG.searchScanLimit
+  const result = await db.prepare(`
+    SELECT id, input_text, output_text, encryption_key_id FROM nursing_records
+    WHERE ${filter.where} AND encryption_key_id IS NOT NULL
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).bind(...filter.params, scanLimit + 1).all()
+  const rows = result.results || []
+
+  const keyword = filter.keyword.toLowerCase()
+  const matchedIds: number[] = []
+  for (const row of await decryptRecordRows(cipher, rows.slice(0, scanLimit))) {
+    const inputText = String(row.input_text || '').toLowerCase()
+    const outputText = String(row.output_text || '').toLowerCase()
+    if (inputText.includes(keyword) || outputText.includes(keyword)) {
+      matchedIds.push(row.id as number)
+    }
+  }
+
+  const plaintext = toPlaintextKeywordCondition(filter.keyword)
+
+  // IDはDBから取得した整数のため、バインド変数の上限を避けてSQLに直接埋め込む
+  return {
+    filter: {
+      where: `${filter.where} AND ((encryption_key_id IS NULL AND ${plaintext.condition}) OR id IN (${matchedIds.join(',') || 'NULL'}))`,
+      params: [...filter.params, ...plaintext.params]
+    },
+    truncated: rows.length > scanLimit
+  }
+}
+
+/**
+ * 平文の履歴をキーワードで絞り込む条件
+ */
+function toPlaintextKeywordCondition(keyword: string): { condition: string; params: string[] } {
+  if (Array.from(keyword).length >= 3) {
+    // trigram全文検索（フレーズとして検索）
+    return {
+      condition: 'id IN (SELECT rowid FROM nursing_records_fts WHERE nursing_records_fts MATCH ?)',
+      params: [`"${keyword.replace(/"/g, '""')}"`]
+    }
+  }
+
+  // trigramは3文字未満を検索できないため部分一致で代替
+  const likePattern = `%${keyword.replace(/[\\%_]/g, char => `\\${char}`)}%`
+  return {
+    condition: "(input_text LIKE ? ESCAPE '\\' OR output_text LIKE ? ESCAPE '\\')",
+    params: [likePattern, likePattern]
+  }
+}
+
+/**
+ * クエリパラメータから書き出し形式・レイアウトを取得（レイアウト未指定時は記録の種別に合わせる）
+ */
+function extractExportOptions(query: Record<string, string>): {
+  success: boolean
+  format?: ExportFormat
+  layout?: ExportLayout
+  error?: string
+} {
+  const format = query.format || 'pdf'
+  if (!isExportFormat(format)) {
+    return { success: false, error: `書き出し形式は ${EXPORT_CONFIG.formats.join(' / ')} のいずれかを指定してください` }
+  }
+
+  const layout = query.layout || undefined
+  if (layout !== undefined && !isExportLayout(layout)) {
+    return { success: false, error: `レイアウトは ${EXPORT_CONFIG.layouts.join(' / ')} のいずれかを指定してください` }
+  }
+
+  return { success: true, format, layout }
+}
+
+/**
+ * DB行をAPIレスポンス用の履歴データに変換
+ */
+function toNursingRecord(row: Record<string, any>): NursingRecord {
+  return {
+    id: row.id,
+    inputText: row.input_text,
+    outputText: row.output_text,
+    docType: row.options_doc_type,
+    format: row.options_format,
+    style: row.options_style,
+    charLimit: row.char_limit,
+    responseTime: row.response_time,
+    patientId: row.patient_id ?? null,
+    createdAt: row.created_at
+  }
+}
+
+export { records }
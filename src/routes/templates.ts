@@ -0,0 +1,363 @@
+/**
+ * タップカルテ - 記録テンプレートAPIルート
+ *
+ * 業務内容ごとの記載構成・観察項目・表現例を持つテンプレートの作成・編集・削除と、
+ * 所属組織内での共有
+ */
+
+import { Hono } from 'hono'
+import type { CloudflareBindings, ApiResponse, BuiltInTemplate, RecordTemplate } from '../types'
+import { TEMPLATE_CONFIG } from '../config'
+import { logger } from '../utils'
+import type { AuthenticatedSession } from '../auth'
+import { builtInTemplates } from '../record-templates'
+import {
+  getUserOrganizationId,
+  listAccessibleTemplates,
+  findAccessibleTemplate,
+  countOwnTemplates,
+  hasOwnTemplateNamed,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  extractTemplateInput
+} from '../services/templates'
+
+// ========================================
+// 📋 記録テンプレートAPIルート
+// ========================================
+
+const templates = new Hono<{ Bindings: CloudflareBindings }>()
+
+/**
+ * テンプレート一覧取得（組み込み＋自分の作成分＋組織の共有分）
+ * GET /api/templates
+ */
+templates.get('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const [custom, organizationId] = await Promise.all([
+      listAccessibleTemplates(db, session.user.id),
+      getUserOrganizationId(db, session.user.id)
+    ])
+
+    return c.json<ApiResponse<{
+      builtIn: BuiltInTemplate[]
+      templates: RecordTemplate[]
+      canShare: boolean
+      maxTemplates: number
+    }>>({
+      success: true,
+      data: {
+        builtIn: builtInTemplates,
+        templates: custom,
+        canShare: organizationId !== null,
+        maxTemplates: TEMPLATE_CONFIG.maxTemplatesPerUser
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Template list retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'テンプレートの取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * テンプレート詳細取得
+ * GET /api/templates/:id
+ */
+templates.get('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const template = await findAccessibleTemplate(db, session.user.id, parseInt(c.req.param('id')))
+    if (!template) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'テンプレートが見つかりません'
+      }, 404)
+    }
+
+    return c.json<ApiResponse<RecordTemplate>>({
+      success: true,
+      data: template
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Template retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'テンプレートの取得に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * テンプレート作成
+ * POST /api/templates
+ */
+templates.post('/', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractTemplateInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const organizationId = await getUserOrganizationId(db, session.user.id)
+    if (input.data!.shared && organizationId === null) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '組織に所属していないため共有できません'
+      }, 400)
+    }
+
+    const count = await countOwnTemplates(db, session.user.id)
+    if (count >= TEMPLATE_CONFIG.maxTemplatesPerUser) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `テンプレートは${TEMPLATE_CONFIG.maxTemplatesPerUser}件まで作成できます`
+      }, 400)
+    }
+
+    if (await hasOwnTemplateNamed(db, session.user.id, input.data!.name)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '同じ名前のテンプレートが既にあります'
+      }, 409)
+    }
+
+    const template = await createTemplate(db, session.user.id, organizationId, input.data!)
+
+    logger.info('Template created', {
+      requestId,
+      userId: session.user.id,
+      templateId: template.id,
+      shared: template.shared
+    })
+
+    return c.json<ApiResponse<RecordTemplate>>({
+      success: true,
+      data: template
+    }, 201)
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Template creation failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'テンプレートの作成に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * テンプレート更新（作成者、または共有先の組織の管理者）
+ * PUT /api/templates/:id
+ */
+templates.put('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const input = extractTemplateInput(await c.req.json())
+    if (!input.success) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: input.error
+      }, 400)
+    }
+
+    const id = parseInt(c.req.param('id'))
+    const existing = await findAccessibleTemplate(db, session.user.id, id)
+    if (!existing) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'テンプレートが見つかりません'
+      }, 404)
+    }
+
+    if (!existing.editable) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '共有されたテンプレートは作成者または組織の管理者のみ編集できます'
+      }, 403)
+    }
+
+    // 管理者が他のメンバーのテンプレートを編集する場合は共有を解除できない（解除すると管理者から見えなくなるため）
+    if (existing.ownerId !== session.user.id && !input.data!.shared) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '他のメンバーのテンプレートの共有は解除できません'
+      }, 400)
+    }
+
+    const organizationId = await getUserOrganizationId(db, session.user.id)
+    if (input.data!.shared && organizationId === null) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '組織に所属していないため共有できません'
+      }, 400)
+    }
+
+    if (await hasOwnTemplateNamed(db, existing.ownerId, input.data!.name, id)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '同じ名前のテンプレートが既にあります'
+      }, 409)
+    }
+
+    const template = await updateTemplate(db, session.user.id, id, organizationId, input.data!)
+    if (!template) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'テンプレートが見つかりません'
+      }, 404)
+    }
+
+    logger.info('Template updated', {
+      requestId,
+      userId: session.user.id,
+      templateId: id,
+      shared: template.shared
+    })
+
+    return c.json<ApiResponse<RecordTemplate>>({
+      success: true,
+      data: template
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Template update failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'テンプレートの更新に失敗しました'
+    }, 500)
+  }
+})
+
+/**
+ * テンプレート削除（作成者、または共有先の組織の管理者）
+ * DELETE /api/templates/:id
+ */
+templates.delete('/:id{[0-9]+}', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+  const session = c.get('authSession') as AuthenticatedSession
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const id = parseInt(c.req.param('id'))
+    const existing = await findAccessibleTemplate(db, session.user.id, id)
+    if (!existing) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'テンプレートが見つかりません'
+      }, 404)
+    }
+
+    if (!existing.editable) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: '共有されたテンプレートは作成者または組織の管理者のみ削除できます'
+      }, 403)
+    }
+
+    await deleteTemplate(db, session.user.id, id)
+
+    logger.info('Template deleted', {
+      requestId,
+      userId: session.user.id,
+      templateId: id
+    })
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: {
+        deleted: 1
+      }
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Template deletion failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'テンプレートの削除に失敗しました'
+    }, 500)
+  }
+})
+
+export { templates }
@@ -0,0 +1,56 @@
+/**
+ * タップカルテ - 利用状況APIルート
+ *
+ * 本日のAI変換回数と残り回数（サーバー側で管理している値）を返す
+ */
+
+import { Hono } from 'hono'
+import type { CloudflareBindings, ApiResponse, UsageStatus } from '../types'
+import { logger } from '../utils'
+import { resolveUsageSubject, getUsageStatus } from '../services/usage'
+
+// ========================================
+// 📊 利用状況APIルート
+// ========================================
+
+const usage = new Hono<{ Bindings: CloudflareBindings }>()
+
+/**
+ * 本日の利用状況取得（未ログインの場合はゲストとしての利用状況）
+ * GET /api/usage/me
+ */
+usage.get('/me', async (c) => {
+  const requestId = c.get('requestId') || 'unknown'
+
+  try {
+    const db = c.env?.DB
+    if (!db) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'データベースが利用できません'
+      }, 503)
+    }
+
+    const subject = await resolveUsageSubject(c)
+    const status = await getUsageStatus(db, subject)
+
+    return c.json<ApiResponse<UsageStatus>>({
+      success: true,
+      data: status
+    })
+
+  } catch (error) {
+    const errorInstance = error as Error
+    logger.error('Usage status retrieval failed', {
+      requestId,
+      error: errorInstance.message
+    })
+
+    return c.json<ApiResponse>({
+      success: false,
+      error: '利用状況の取得に失敗しました'
+    }, 500)
+  }
+})
+
+export { usage }
@@ -0,0 +1,171 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MockAIProvider,
+  createAIProviders,
+  parseProviderOrder,
+  generateWithFallback,
+  streamWithFallback,
+  classifyAIError,
+  type AIProvider
+} from './ai-provider'
+import type { CloudflareBindings } from '../types'
+
+const PROMPT = '【入力メモ】\n体温36.8度、食事全量摂取\n\n【出力】'
+
+/**
+ * 最初のチャンクを返した後に失敗するプロバイダー（ストリーミング途中の障害）
+ */
+const createBrokenStreamProvider = (): AIProvider => ({
+  name: 'gemini',
+  generate: async () => '使われない',
+  async *generateStream() {
+    yield '途中まで'
+    throw new Error('Service unavailable')
+  }
+})
+
+describe('generateWithFallback', () => {
+  it('先頭のプロバイダーが成功した場合はその結果を返す', async () => {
+    const result = await generateWithFallback([new MockAIProvider({ response: '記録A' })], PROMPT)
+
+    expect(result).toMatchObject({ success: true, text: '記録A', provider: 'mock' })
+    expect(result.attempts).toHaveLength(1)
+  })
+
+  it('失敗したプロバイダーを飛ばして次のプロバイダーで生成する', async () => {
+    const providers = [
+      new MockAIProvider({ error: Object.assign(new Error('Resource exhausted'), { status: 429 }) }),
+      new MockAIProvider({ response: '記録B' })
+    ]
+
+    const result = await generateWithFallback(providers, PROMPT)
+
+    expect(result).toMatchObject({ success: true, text: '記録B' })
+    expect(result.attempts.map(attempt => [attempt.success, attempt.errorKind])).toEqual([
+      [false, 'quota'],
+      [true, undefined]
+    ])
+  })
+
+  it('タイムアウトしたプロバイダーは中断して次に進む', async () => {
+    const providers = [
+      new MockAIProvider({ response: '遅い記録', delayMs: 1000 }),
+      new MockAIProvider({ response: '記録C' })
+    ]
+
+    const result = await generateWithFallback(providers, PROMPT, { timeoutMs: 20 })
+
+    expect(result).toMatchObject({ success: true, text: '記録C' })
+    expect(result.attempts[0].errorKind).toBe('timeout')
+  })
+
+  it('空のレスポンスは失敗として扱う', async () => {
+    const result = await generateWithFallback([new MockAIProvider({ response: '  ' })], PROMPT)
+
+    expect(result).toMatchObject({ success: false, errorKind: 'empty' })
+  })
+
+  it('すべて失敗した場合は最後のエラー種別を返す', async () => {
+    const providers = [
+      new MockAIProvider({ error: new Error('Resource exhausted') }),
+      new MockAIProvider({ error: Object.assign(new Error('Invalid API key'), { status: 401 }) })
+    ]
+
+    const result = await generateWithFallback(providers, PROMPT)
+
+    expect(result).toMatchObject({ success: false, errorKind: 'auth' })
+    expect(result.attempts).toHaveLength(2)
+  })
+
+  it('プロバイダーがない場合は unavailable を返す', async () => {
+    expect(await generateWithFallback([], PROMPT)).toEqual({ success: false, errorKind: 'unavailable', attempts: [] })
+  })
+
+  it('モックは入力メモから決定的なレスポンスを生成し、JSONスキーマにも対応する', async () => {
+    const provider = new MockAIProvider()
+
+    expect(await provider.generate(PROMPT)).toBe('体温36.8度、食事全量摂取について確認した。')
+
+    const json = await provider.generate(PROMPT, {
+      jsonSchema: {
+        type: 'object',
+        properties: { S: { type: 'string' }, O: { type: 'string' } },
+        required: ['S', 'O']
+      }
+    })
+    expect(JSON.parse(json)).toEqual({ S: '体温36.8度、食事全量摂取について確認した。', O: '' })
+  })
+})
+
+describe('streamWithFallback', () => {
+  it('生成されたテキストを逐次渡す', async () => {
+    const chunks: string[] = []
+
+    const result = await streamWithFallback([new MockAIProvider()], PROMPT, chunk => { chunks.push(chunk) })
+
+    expect(result).toMatchObject({ success: true, provider: 'mock' })
+    expect(chunks.length).toBeGreaterThan(1)
+    expect(chunks.join('')).toBe('体温36.8度、食事全量摂取について確認した。')
+  })
+
+  it('最初のチャンクの前に失敗した場合は次のプロバイダーへフォールバックする', async () => {
+    const chunks: string[] = []
+    const providers = [
+      new MockAIProvider({ error: new Error('Service unavailable') }),
+      new MockAIProvider({ response: '記録D' })
+    ]
+
+    const result = await streamWithFallback(providers, PROMPT, chunk => { chunks.push(chunk) })
+
+    expect(result).toMatchObject({ success: true, text: '記録D' })
+    expect(chunks.join('')).toBe('記録D')
+  })
+
+  it('送出後に失敗した場合は別のプロバイダーの出力を混ぜない', async () => {
+    const chunks: string[] = []
+    const providers = [createBrokenStreamProvider(), new MockAIProvider({ response: '記録E' })]
+
+    const result = await streamWithFallback(providers, PROMPT, chunk => { chunks.push(chunk) })
+
+    expect(result).toMatchObject({ success: false, errorKind: 'unavailable' })
+    expect(result.attempts).toHaveLength(1)
+    expect(chunks).toEqual(['途中まで'])
+  })
+})
+
+describe('createAIProviders', () => {
+  const env = (vars: Partial<CloudflareBindings>) => vars as CloudflareBindings
+
+  it('AI_PROVIDERS の順に生成し、APIキーが未設定のプロバイダーは除く', () => {
+    const providers = createAIProviders(env({ AI_PROVIDERS: 'anthropic,gemini,mock', GEMINI_API_KEY: 'AIza-configured' }))
+
+    expect(providers.map(provider => provider.name)).toEqual(['gemini', 'mock'])
+  })
+
+  it('APIキーがない場合はプロバイダーを生成しない', () => {
+    expect(createAIProviders(env({}))).toEqual([])
+  })
+})
+
+describe('parseProviderOrder', () => {
+  it.each([
+    ['anthropic, Gemini', ['anthropic', 'gemini']],
+    ['mock,mock', ['mock']],
+    ['unknown', ['gemini', 'anthropic']],
+    [undefined, ['gemini', 'anthropic']]
+  ])('%s → %j', (value, expected) => {
+    expect(parseProviderOrder(value)).toEqual(expected)
+  })
+})
+
+describe('classifyAIError', () => {
+  it.each([
+    [new Error('AI provider timeout after 30000ms'), 'timeout'],
+    [new Error('Empty response'), 'empty'],
+    [Object.assign(new Error('Forbidden'), { status: 403 }), 'auth'],
+    [Object.assign(new Error('Overloaded'), { status: 529 }), 'quota'],
+    [new Error('fetch failed'), 'unavailable']
+  ])('%s → %s', (error, expected) => {
+    expect(classifyAIError(error)).toBe(expected)
+  })
+})
@@ -0,0 +1,439 @@
+/**
+ * タップカルテ - AIプロバイダー層
+ *
+ * Gemini / Anthropic Claude / ローカルモックを共通インターフェースで扱い、
+ * 設定された順にフォールバックしながらテキスト生成を行う
+ */
+
+import { GoogleGenerativeAI, type ResponseSchema } from '@google/generative-ai'
+import Anthropic from '@anthropic-ai/sdk'
+import type { CloudflareBindings } from '../types'
+import { AI_CONFIG, getEnvironmentVariables, isConfiguredApiKey } from '../config'
+import { logger } from '../utils'
+
+// ========================================
+// 🧩 型定義
+// ========================================
+
+/** プロバイダー名 */
+export type AIProviderName = 'gemini' | 'anthropic' | 'mock'
+
+/** 構造化出力用のJSONスキーマ（文字列プロパティのみのオブジェクト） */
+export interface AIJsonSchema {
+  type: 'object'
+  properties: Record<string, { type: 'string'; description?: string }>
+  required: string[]
+}
+
+/** 生成オプション */
+export interface AIGenerateOptions {
+  /** 中断シグナル（タイムアウト時に発火） */
+  signal?: AbortSignal
+  /** 指定時はこのスキーマに沿ったJSONで出力させる */
+  jsonSchema?: AIJsonSchema
+}
+
+/** フォールバック生成のオプション */
+export interface AIRequestOptions {
+  /** プロバイダーごとのタイムアウト（ミリ秒） */
+  timeoutMs?: number
+  /** 構造化出力用のJSONスキーマ */
+  jsonSchema?: AIJsonSchema
+}
+
+/** AIプロバイダー共通インターフェース */
+export interface AIProvider {
+  /** プロバイダー名 */
+  readonly name: AIProviderName
+  /** プロンプトからテキストを生成 */
+  generate(prompt: string, options?: AIGenerateOptions): Promise<string>
+  /** プロンプトからテキストを逐次生成（未対応のプロバイダーは generate の結果を一括で返す） */
+  generateStream?(prompt: string, options?: AIGenerateOptions): AsyncIterable<string>
+}
+
+/** エラー分類 */
+export type AIErrorKind = 'auth' | 'quota' | 'timeout' | 'empty' | 'unavailable'
+
+/** プロバイダー呼び出し結果（1回分） */
+export interface AIProviderAttempt {
+  /** プロバイダー名 */
+  provider: AIProviderName
+  /** 成功フラグ */
+  success: boolean
+  /** 処理時間（ミリ秒） */
+  duration: number
+  /** エラー分類 */
+  errorKind?: AIErrorKind
+}
+
+/** フォールバック生成の結果 */
+export type AIGenerationResult =
+  | { success: true; text: string; provider: AIProviderName; attempts: AIProviderAttempt[] }
+  | { success: false; errorKind: AIErrorKind; attempts: AIProviderAttempt[] }
+
+// ========================================
+// 🤖 プロバイダー実装
+// ========================================
+
+/**
+ * Google Gemini プロバイダー
+ */
+export class GeminiProvider implements AIProvider {
+  readonly name = 'gemini' as const
+  private readonly client: GoogleGenerativeAI
+
+  constructor(apiKey: string, private readonly model: string = AI_CONFIG.model) {
+    this.client = new GoogleGenerativeAI(apiKey)
+  }
+
+  async generate(prompt: string, options: AIGenerateOptions = {}): Promise<string> {
+    const model = this.getModel(options)
+    const result = await model.generateContent(prompt, { signal: options.signal })
+    return result.response.text()
+  }
+
+  async *generateStream(prompt: string, options: AIGenerateOptions = {}): AsyncIterable<string> {
+    const model = this.getModel(options)
+    const result = await model.generateContentStream(prompt, { signal: options.signal })
+
+    for await (const chunk of result.stream) {
+      yield chunk.text()
+    }
+  }
+
+  /**
+   * モデル取得（JSONスキーマ指定時はGeminiの構造化出力を有効化）
+   */
+  private getModel(options: AIGenerateOptions) {
+    if (!options.jsonSchema) {
+      return this.client.getGenerativeModel({ model: this.model })
+    }
+
+    return this.client.getGenerativeModel({
+      model: this.model,
+      generationConfig: {
+        responseMimeType: 'application/json',
+        // 独自スキーマ型はGeminiのSchemaTypeと同じ文字列値を使用している
+        responseSchema: options.jsonSchema as unknown as ResponseSchema
+      }
+    })
+  }
+}
+
+/**
+ * Anthropic Claude プロバイダー
+ */
+export class AnthropicProvider implements AIProvider {
+  readonly name = 'anthropic' as const
+  private readonly client: Anthropic
+
+  constructor(apiKey: string, private readonly model: string = AI_CONFIG.providers.anthropicModel) {
+    // リトライはフォールバック層で制御するためSDK側では行わない
+    this.client = new Anthropic({ apiKey, maxRetries: 0 })
+  }
+
+  // JSONスキーマはプロンプト側の出力指示で担保する（Claudeには専用の出力モード指定がないため）
+  async generate(prompt: string, options: AIGenerateOptions = {}): Promise<string> {
+    const message = await this.client.messages.create({
+      model: this.model,
+      max_tokens: AI_CONFIG.providers.anthropicMaxTokens,
+      messages: [{ role: 'user', content: prompt }]
+    }, { signal: options.signal })
+
+    return message.content
+      .map(block => (block.type === 'text' ? block.text : ''))
+      .join('')
+  }
+
+  async *generateStream(prompt: string, options: AIGenerateOptions = {}): AsyncIterable<string> {
+    const stream = this.client.messages.stream({
+      model: this.model,
+      max_tokens: AI_CONFIG.providers.anthropicMaxTokens,
+      messages: [{ role: 'user', content: prompt }]
+    }, { signal: options.signal })
+
+    for await (const event of stream) {
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield event.delta.text
+      }
+    }
+  }
+}
+
+/**
+ * ローカルモックプロバイダー（開発・テスト用）
+ * 外部APIを呼ばずに、入力メモをそのまま返す決定的なレスポンスを生成する
+ */
+export class MockAIProvider implements AIProvider {
+  readonly name = 'mock' as const
+
+  constructor(private readonly behavior: {
+    /** 固定レスポンスまたはプロンプトから生成する関数 */
+    response?: string | ((prompt: string) => string)
+    /** 指定時は常にこのエラーを投げる */
+    error?: Error
+    /** 応答までの遅延（ミリ秒） */
+    delayMs?: number
+  } = {}) {}
+
+  async generate(prompt: string, options: AIGenerateOptions = {}): Promise<string> {
+    if (this.behavior.delayMs) {
+      await new Promise<void>((resolve, reject) => {
+        const timer = setTimeout(resolve, this.behavior.delayMs)
+        options.signal?.addEventListener('abort', () => {
+          clearTimeout(timer)
+          reject(new Error('Request aborted'))
+        })
+      })
+    }
+
+    if (this.behavior.error) {
+      throw this.behavior.error
+    }
+
+    const { response } = this.behavior
+    if (typeof response === 'function') {
+      return response(prompt)
+    }
+    if (typeof response === 'string') {
+      return response
+    }
+
+    // プロンプト中の【入力メモ】部分を抜き出して返す
+    const memo = prompt.match(/【入力メモ】\n([\s\S]*?)\n\n【/)?.[1]?.trim() || ''
+    const text = `${memo}について確認した。`
+
+    // JSONスキーマ指定時は先頭のキーに本文を入れ、残りは空文字列にする
+    if (options.jsonSchema) {
+      return JSON.stringify(Object.fromEntries(
+        options.jsonSchema.required.map((key, index) => [key, index === 0 ? text : ''])
+      ))
+    }
+    return text
+  }
+
+  async *generateStream(prompt: string, options: AIGenerateOptions = {}): AsyncIterable<string> {
+    const text = await this.generate(prompt, options)
+
+    // 実際のストリーミングに近づけるため数文字ずつに分割して返す
+    for (let index = 0; index < text.length; index += MOCK_STREAM_CHUNK_SIZE) {
+      yield text.slice(index, index + MOCK_STREAM_CHUNK_SIZE)
+    }
+  }
+}
+
+/** モックプロバイダーのストリーミング分割文字数 */
+const MOCK_STREAM_CHUNK_SIZE = 8
+
+// ========================================
+// 🔁 フォールバック制御
+// ========================================
+
+/**
+ * 環境変数から利用可能なプロバイダーを優先順に生成
+ * AI_PROVIDERS（例: "anthropic,gemini" / "mock"）で順序を上書きできる
+ */
+export const createAIProviders = (env?: CloudflareBindings): AIProvider[] => {
+  const vars = getEnvironmentVariables(env)
+  const order = parseProviderOrder(vars.AI_PROVIDERS)
+
+  return order.flatMap((name): AIProvider[] => {
+    switch (name) {
+      case 'gemini':
+        return isConfiguredApiKey(vars.GEMINI_API_KEY) ? [new GeminiProvider(vars.GEMINI_API_KEY)] : []
+      case 'anthropic':
+        return isConfiguredApiKey(vars.ANTHROPIC_API_KEY) ? [new AnthropicProvider(vars.ANTHROPIC_API_KEY)] : []
+      case 'mock':
+        return [new MockAIProvider()]
+    }
+  })
+}
+
+/**
+ * プロバイダー順序設定をパース
+ */
+export const parseProviderOrder = (value?: string): AIProviderName[] => {
+  const validNames: AIProviderName[] = ['gemini', 'anthropic', 'mock']
+  const names = (value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter((name): name is AIProviderName => validNames.includes(name as AIProviderName))
+
+  return names.length > 0 ? Array.from(new Set(names)) : [...AI_CONFIG.providers.defaultOrder]
+}
+
+/**
+ * プロバイダーを順に試し、最初に成功した結果を返す
+ * 各プロバイダーには AI_CONFIG.timeout のタイムアウトを個別に適用する
+ */
+export const generateWithFallback = async (
+  providers: AIProvider[],
+  prompt: string,
+  { timeoutMs = AI_CONFIG.timeout, jsonSchema }: AIRequestOptions = {}
+): Promise<AIGenerationResult> => {
+  const attempts: AIProviderAttempt[] = []
+  let lastErrorKind: AIErrorKind = 'unavailable'
+
+  for (const provider of providers) {
+    const startTime = Date.now()
+
+    try {
+      const text = await withTimeout(signal => provider.generate(prompt, { signal, jsonSchema }), timeoutMs)
+
+      if (!text || text.trim() === '') {
+        throw new Error('Empty response')
+      }
+
+      attempts.push({ provider: provider.name, success: true, duration: Date.now() - startTime })
+      return { success: true, text, provider: provider.name, attempts }
+
+    } catch (error) {
+      const errorInstance = error as Error
+      lastErrorKind = classifyAIError(errorInstance)
+      attempts.push({
+        provider: provider.name,
+        success: false,
+        duration: Date.now() - startTime,
+        errorKind: lastErrorKind
+      })
+
+      logger.warn('AI provider failed, trying next provider', {
+        provider: provider.name,
+        errorKind: lastErrorKind,
+        error: errorInstance.message
+      })
+    }
+  }
+
+  return { success: false, errorKind: lastErrorKind, attempts }
+}
+
+/**
+ * プロバイダーを順に試し、生成されたテキストを逐次 onChunk に渡す
+ * 最初のチャンクを送出する前に失敗した場合のみ次のプロバイダーへフォールバックする
+ * （送出済みの部分テキストと別プロバイダーの出力が混ざるのを防ぐため）
+ */
+export const streamWithFallback = async (
+  providers: AIProvider[],
+  prompt: string,
+  onChunk: (chunk: string) => Promise<void> | void,
+  { timeoutMs = AI_CONFIG.timeout, jsonSchema }: AIRequestOptions = {}
+): Promise<AIGenerationResult> => {
+  const attempts: AIProviderAttempt[] = []
+  let lastErrorKind: AIErrorKind = 'unavailable'
+
+  for (const provider of providers) {
+    const startTime = Date.now()
+    let text = ''
+
+    try {
+      await withTimeout(async signal => {
+        const chunks = provider.generateStream
+          ? provider.generateStream(prompt, { signal, jsonSchema })
+          : toSingleChunk(provider.generate(prompt, { signal, jsonSchema }))
+
+        for await (const chunk of chunks) {
+          // タイムアウト後に届いたチャンクは送出しない
+          if (signal.aborted) {
+            throw new Error('Request aborted')
+          }
+          if (!chunk) {
+            continue
+          }
+          text += chunk
+          await onChunk(chunk)
+        }
+      }, timeoutMs)
+
+      if (text.trim() === '') {
+        throw new Error('Empty response')
+      }
+
+      attempts.push({ provider: provider.name, success: true, duration: Date.now() - startTime })
+      return { success: true, text, provider: provider.name, attempts }
+
+    } catch (error) {
+      const errorInstance = error as Error
+      lastErrorKind = classifyAIError(errorInstance)
+      attempts.push({
+        provider: provider.name,
+        success: false,
+        duration: Date.now() - startTime,
+        errorKind: lastErrorKind
+      })
+
+      if (text) {
+        logger.error('AI provider failed during streaming', {
+          provider: provider.name,
+          errorKind: lastErrorKind,
+          error: errorInstance.message,
+          streamedLength: text.length
+        })
+        return { success: false, errorKind: lastErrorKind, attempts }
+      }
+
+      logger.warn('AI provider failed, trying next provider', {
+        provider: provider.name,
+        errorKind: lastErrorKind,
+        error: errorInstance.message
+      })
+    }
+  }
+
+  return { success: false, errorKind: lastErrorKind, attempts }
+}
+
+/**
+ * 一括生成の結果を1チャンクのストリームとして扱う
+ */
+async function* toSingleChunk(result: Promise<string>): AsyncIterable<string> {
+  yield await result
+}
+
+/**
+ * 処理にタイムアウトを適用（タイムアウト時は中断シグナルも発火）
+ */
+export const withTimeout = async <T>(
+  operation: (signal: AbortSignal) => Promise<T>,
+  timeoutMs: number
+): Promise<T> => {
+  const controller = new AbortController()
+  let timer: ReturnType<typeof setTimeout> | undefined
+
+  const timeout = new Promise<never>((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort()
+      reject(new Error(`AI provider timeout after ${timeoutMs}ms`))
+    }, timeoutMs)
+  })
+
+  try {
+    return await Promise.race([operation(controller.signal), timeout])
+  } finally {
+    if (timer) {
+      clearTimeout(timer)
+    }
+  }
+}
+
+/**
+ * エラーメッセージからエラー種別を分類
+ */
+export const classifyAIError = (error: Error): AIErrorKind => {
+  const message = error.message || ''
+  const status = (error as { status?: number }).status
+
+  if (error.name === 'AbortError' || /timeout|timed out|aborted/i.test(message)) {
+    return 'timeout'
+  }
+  if (/empty response/i.test(message)) {
+    return 'empty'
+  }
+  if (status === 401 || status === 403 || /api key|authentication|permission/i.test(message)) {
+    return 'auth'
+  }
+  if (status === 429 || status === 529 || /quota|limit|rate|overloaded|exhausted/i.test(message)) {
+    return 'quota'
+  }
+  return 'unavailable'
+}
@@ -0,0 +1,300 @@
+/**
+ * タップカルテ - 監査ログ
+ *
+ * 医療情報システムの安全管理に関するガイドライン（3省2ガイドライン）に沿って、ログイン・AI変換・書き出し・削除などの操作を
+ * security_logs に追記する（更新・削除はトリガーで禁止）。
+ * 組織の管理者は所属メンバーの操作を検索・CSV書き出しできる
+ */
+
+import type { Context } from 'hono'
+import type { AuditEventType, AuditLogEntry, AuditSeverity, OrganizationMembership } from '../types'
+import { AUDIT_CONFIG } from '../config'
+import { logger, getCurrentTimestamp, safeJsonParse, toCsv } from '../utils'
+import type { AuthenticatedSession } from '../auth'
+import { getOrganizationMembership } from './organizations'
+
+/** 記録する操作 */
+export interface AuditEvent {
+  eventType: AuditEventType
+  severity?: AuditSeverity
+  /** 操作者（省略時はログイン中のユーザー） */
+  userId?: number | null
+  /** 記録する組織（省略時は操作者の所属組織） */
+  organizationId?: number | null
+  /** 操作対象（例: record / patient） */
+  resourceType?: string
+  resourceId?: string | number | null
+  /** 補足情報（記録本文などの個人情報は含めない） */
+  metadata?: Record<string, unknown>
+}
+
+/** イベント種別の表示名（description・CSVに使う） */
+export const AUDIT_EVENT_LABELS: Record<AuditEventType, string> = {
+  'auth.register': 'ユーザー登録',
+  'auth.login': 'ログイン',
+  'auth.login_failed': 'ログイン失敗',
+  'auth.logout': 'ログアウト',
+  'auth.logout_all': '全端末からログアウト',
+  'auth.google_link': 'Googleアカウントの連携',
+  'auth.google_unlink': 'Googleアカウントの連携解除',
+  'record.create': 'AI変換（記録作成）',
+  'record.export': '記録の書き出し',
+  'record.delete': '記録の削除',
+  'record.bulk_delete': '記録の一括削除',
+  'patient.delete': '利用者の削除',
+  'organization.create': '組織の作成',
+  'organization.update': '組織の設定変更',
+  'organization.delete': '組織の削除',
+  'organization.member_role_update': 'メンバーの権限変更',
+  'organization.member_remove': 'メンバーの削除・脱退',
+  'organization.invitation_create': '招待の発行',
+  'organization.invitation_revoke': '招待の取り消し',
+  'organization.invitation_accept': '招待の承諾',
+  'organization.dictionary_delete': '共有辞書の削除',
+  'organization.retention_update': 'データ保持ポリシーの変更',
+  'organization.red_flags_update': '注意所見の検出設定の変更',
+  'organization.key_rotate': '暗号鍵のローテーション',
+  'audit.export': '監査ログの書き出し',
+  'security.permission_denied': '権限のない操作',
+  'security.request_blocked': '不審なリクエストの遮断'
+}
+
+/** 監査ログの検索条件 */
+export interface AuditLogFilter {
+  where: string
+  params: (string | number)[]
+}
+
+// ========================================
+// ✍️ 記録
+// ========================================
+
+/**
+ * 操作を監査ログに追記
+ * 操作者・所属組織・IPアドレス・リクエストIDはリクエストから補う。記録に失敗しても元の処理は続ける
+ */
+export const writeAuditLog = async (c: Context, event: AuditEvent): Promise<void> => {
+  const db = c.env?.DB as D1Database | undefined
+  const requestId = c.get('requestId') || 'unknown'
+
+  if (!db) {
+    logger.warn('Audit log skipped (database unavailable)', { requestId, eventType: event.eventType })
+    return
+  }
+
+  try {
+    const session = c.get('authSession') as AuthenticatedSession | undefined
+    const userId = event.userId !== undefined ? event.userId : session?.user.id ?? null
+    const organizationId = event.organizationId !== undefined
+      ? event.organizationId
+      : userId === null ? null : await resolveOrganizationId(c, db, userId)
+
+    await db.prepare(`
+      INSERT INTO security_logs (
+        event_type, description, severity, ip_address, user_agent, created_at,
+        user_id, organization_id, request_id, resource_type, resource_id, metadata
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      event.eventType,
+      AUDIT_EVENT_LABELS[event.eventType],
+      event.severity || 'info',
+      getClientIp(c),
+      c.req.header('User-Agent')?.substring(0, 255) || null,
+      getCurrentTimestamp(),
+      userId,
+      organizationId,
+      requestId,
+      event.resourceType || null,
+      event.resourceId === undefined || event.resourceId === null ? null : String(event.resourceId),
+      event.metadata ? JSON.stringify(event.metadata) : null
+    ).run()
+  } catch (error) {
+    logger.error('Audit log write failed', {
+      requestId,
+      eventType: event.eventType,
+      error: (error as Error).message
+    })
+  }
+}
+
+/**
+ * 操作者の所属組織（操作時点の所属を記録する）
+ */
+async function resolveOrganizationId(c: Context, db: D1Database, userId: number): Promise<number | null> {
+  const session = c.get('authSession') as AuthenticatedSession | undefined
+  const membership = c.get('organizationMembership') as OrganizationMembership | undefined
+
+  if (membership && session?.user.id === userId) {
+    return membership.organizationId
+  }
+
+  return (await getOrganizationMembership(db, userId))?.organizationId ?? null
+}
+
+// ========================================
+// 🔍 検索
+// ========================================
+
+/**
+ * クエリパラメータから検索条件（WHERE句）を構築（組織の監査ログに限定する）
+ */
+export const buildAuditLogFilter = (organizationId: number, query: Record<string, string>): {
+  success: boolean
+  filter?: AuditLogFilter
+  error?: string
+} => {
+  const conditions = ['l.organization_id = ?']
+  const params: (string | number)[] = [organizationId]
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/
+
+  const { from, to, eventType, userId, resourceType, resourceId } = query
+
+  if (from) {
+    if (!datePattern.test(from)) {
+      return { success: false, error: '開始日の形式が正しくありません（YYYY-MM-DD）' }
+    }
+    conditions.push('l.created_at >= ?')
+    params.push(from)
+  }
+
+  if (to) {
+    if (!datePattern.test(to)) {
+      return { success: false, error: '終了日の形式が正しくありません（YYYY-MM-DD）' }
+    }
+    // 終了日当日を含める
+    conditions.push("l.created_at < date(?, '+1 day')")
+    params.push(to)
+  }
+
+  if (eventType) {
+    // auth.* のように前方一致でも指定できる
+    if (/^[a-z]+\.\*$/.test(eventType)) {
+      conditions.push('l.event_type LIKE ?')
+      params.push(`${eventType.slice(0, -1)}%`)
+    } else if (Object.prototype.hasOwnProperty.call(AUDIT_EVENT_LABELS, eventType)) {
+      conditions.push('l.event_type = ?')
+      params.push(eventType)
+    } else {
+      return { success: false, error: 'イベント種別が正しくありません' }
+    }
+  }
+
+  if (userId) {
+    if (!/^\d+$/.test(userId)) {
+      return { success: false, error: 'ユーザーIDが正しくありません' }
+    }
+    conditions.push('l.user_id = ?')
+    params.push(parseInt(userId))
+  }
+
+  if (resourceType) {
+    conditions.push('l.resource_type = ?')
+    params.push(resourceType.substring(0, 50))
+  }
+
+  if (resourceId) {
+    conditions.push('l.resource_id = ?')
+    params.push(resourceId.substring(0, 50))
+  }
+
+  return { success: true, filter: { where: conditions.join(' AND '), params } }
+}
+
+/**
+ * 監査ログの件数
+ */
+export const countAuditLogs = async (db: D1Database, filter: AuditLogFilter): Promise<number> => {
+  const row = await db.prepare(`SELECT COUNT(*) AS total FROM security_logs l WHERE ${filter.where}`)
+    .bind(...filter.params)
+    .first<{ total: number }>()
+
+  return row?.total || 0
+}
+
+/**
+ * 監査ログを新しい順に取得
+ */
+export const listAuditLogs = async (
+  db: D1Database,
+  filter: AuditLogFilter,
+  limit: number,
+  offset: number = 0
+): Promise<AuditLogEntry[]> => {
+  const result = await db.prepare(`
+    SELECT l.*, u.display_name AS user_name
+    FROM security_logs l
+    LEFT JOIN users u ON u.id = l.user_id
+    WHERE ${filter.where}
+    ORDER BY l.created_at DESC, l.id DESC
+    LIMIT ? OFFSET ?
+  `).bind(...filter.params, limit, offset).all()
+
+  return (result.results || []).map(toAuditLogEntry)
+}
+
+/**
+ * 監査ログをCSVに変換
+ */
+export const buildAuditLogCsv = (entries: AuditLogEntry[]): string => {
+  const header = [
+    'ID', '日時（UTC）', 'イベント種別', '内容', '深刻度', 'ユーザーID', '表示名',
+    '対象種別', '対象ID', 'IPアドレス', 'User-Agent', 'リクエストID', '補足情報'
+  ]
+  const rows = entries.map(entry => [
+    String(entry.id),
+    entry.createdAt,
+    entry.eventType,
+    entry.description || '',
+    entry.severity,
+    entry.userId === null ? '' : String(entry.userId),
+    entry.userName || '',
+    entry.resourceType || '',
+    entry.resourceId || '',
+    entry.ipAddress || '',
+    entry.userAgent || '',
+    entry.requestId || '',
+    entry.metadata ? JSON.stringify(entry.metadata) : ''
+  ])
+
+  return toCsv([header, ...rows])
+}
+
+/** 一覧の1ページあたりの件数 */
+export const toAuditPageLimit = (value: string | undefined): number => Math.min(
+  Math.max(parseInt(value || '') || AUDIT_CONFIG.pageLimit.default, 1),
+  AUDIT_CONFIG.pageLimit.max
+)
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * クライアントのIPアドレスを取得
+ */
+function getClientIp(c: Context): string | null {
+  const forwarded = c.req.header('X-Forwarded-For')?.split(',')[0]?.trim()
+  return c.req.header('CF-Connecting-IP') || forwarded || null
+}
+
+/**
+ * DB行をAPIレスポンス用の監査ログに変換
+ */
+function toAuditLogEntry(row: Record<string, any>): AuditLogEntry {
+  return {
+    id: row.id,
+    eventType: row.event_type,
+    description: row.description ?? null,
+    severity: row.severity,
+    userId: row.user_id ?? null,
+    userName: row.user_name ?? null,
+    organizationId: row.organization_id ?? null,
+    requestId: row.request_id ?? null,
+    resourceType: row.resource_type ?? null,
+    resourceId: row.resource_id ?? null,
+    metadata: row.metadata ? safeJsonParse<Record<string, unknown> | null>(row.metadata, null) : null,
+    ipAddress: row.ip_address ?? null,
+    userAgent: row.user_agent ?? null,
+    createdAt: row.created_at
+  }
+}
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest'
+import { deidentifyText, deidentifyTexts, restoreText, createStreamRestorer, type PersonalInfoCategory } from './deidentify'
+
+/**
+ * 検出されること・プレースホルダーから元に戻せることを確認
+ */
+const expectDetected = (text: string, expected: Array<[PersonalInfoCategory, string]>) => {
+  const result = deidentifyText(text)
+
+  expect(result.entries.map(entry => [entry.category, entry.original])).toEqual(expected)
+  for (const [, original] of expected) {
+    expect(result.text).not.toContain(original)
+  }
+  expect(restoreText(result.text, result.entries)).toBe(text)
+}
+
+describe('deidentifyText', () => {
+  describe('氏名', () => {
+    it.each<[string, string, Array<[PersonalInfoCategory, string]>]>([
+      ['敬称付きのフルネーム', '山田太郎さん宅へ訪問。', [['name', '山田太郎']]],
+      ['文脈語に続く敬称付きの姓', '本日鈴木様は不在。', [['name', '鈴木']]],
+      ['ラベル付きのカタカナ氏名', '氏名：ヤマダハナコ', [['name', 'ヤマダハナコ']]],
+      ['敬称なしの一般的な姓', '長女の佐藤より連絡あり', [['name', '佐藤']]],
+      ['1文字の姓は敬称付きのみ', '森さんと面談', [['name', '森']]],
+      ['職種が続く姓', '前田医師に報告', [['name', '前田']]],
+      ['職種が続く姓（カタカナの職種）', '山本ケアマネより連絡', [['name', '山本']]]
+    ])('%s', (_label, text, expected) => {
+      expectDetected(text, expected)
+    })
+
+    it('氏名は患者に限らないため役割を含まないプレースホルダーにする', () => {
+      expect(deidentifyText('前田医師と山本ケアマネに報告').text).toBe('[人物A]医師と[人物B]ケアマネに報告')
+    })
+
+    it('同じ氏名は同じプレースホルダーにする', () => {
+      const result = deidentifyText('田中さんに説明。田中さんは了承。高橋さんも同席')
+
+      expect(result.text).toBe('[人物A]さんに説明。[人物A]さんは了承。[人物B]さんも同席')
+      expect(result.entries).toHaveLength(2)
+    })
+  })
+
+  describe('電話番号', () => {
+    it.each<[string, string, Array<[PersonalInfoCategory, string]>]>([
+      ['ハイフン区切り', '連絡先 03-1234-5678', [['phone', '03-1234-5678']]],
+      ['括弧区切り', '自宅 045(123)4567', [['phone', '045(123)4567']]],
+      ['連続した携帯番号', '携帯09012345678に連絡', [['phone', '09012345678']]],
+      ['全角数字', '連絡先０３－１２３４－５６７８', [['phone', '０３－１２３４－５６７８']]]
+    ])('%s', (_label, text, expected) => {
+      expectDetected(text, expected)
+    })
+  })
+
+  describe('住所', () => {
+    it.each<[string, string, Array<[PersonalInfoCategory, string]>]>([
+      ['ラベル付き', '住所：東京都練馬区豊玉北5-1-1', [['address', '東京都練馬区豊玉北5-1-1']]],
+      ['丁目・番地', '練馬区豊玉北5丁目1番1号に転居', [['address', '練馬区豊玉北5丁目1番1号']]],
+      ['郵便番号', '〒176-0012', [['postal_code', '〒176-0012']]]
+    ])('%s', (_label, text, expected) => {
+      expectDetected(text, expected)
+    })
+  })
+
+  describe('生年月日・保険番号', () => {
+    it.each<[string, string, Array<[PersonalInfoCategory, string]>]>([
+      ['ラベル付きの和暦', '生年月日：昭和15年3月2日', [['birthdate', '昭和15年3月2日']]],
+      ['元年', '平成元年1月8日生まれ', [['birthdate', '平成元年1月8日']]],
+      ['「生まれ」が続く西暦', '1940/03/02生まれ', [['birthdate', '1940/03/02']]],
+      ['被保険者番号', '被保険者番号：0123456789', [['insurance', '0123456789']]]
+    ])('%s', (_label, text, expected) => {
+      expectDetected(text, expected)
+    })
+  })
+
+  describe('誤検出しない記載', () => {
+    it.each([
+      ['姓を含む駅名', '中村橋駅から徒歩5分'],
+      ['姓を含む地名', '中村橋のデイサービスへ'],
+      ['姓と同じ地名の駅', '上野駅で待ち合わせ'],
+      ['姓と同じ県名', '千葉県在住の長男'],
+      ['姓から始まる診療所名', '田中内科を受診'],
+      ['姓から始まる診療科付きの医院名', '山本整形外科でリハビリ'],
+      ['姓から始まる大学病院名', '藤田保健衛生大学病院へ紹介'],
+      ['続柄の敬称', '娘さんと奥さんが同席'],
+      ['「様」で終わる語', '前回と同様に説明。皮膚の模様に変化なし'],
+      ['生年月日以外の日付', '次回訪問は2025年10月20日'],
+      ['バイタルの数値', '血圧132/78、体温36.8度、SpO2 97%'],
+      ['生活・生存の「生」', '2025年10月1日生活状況を確認']
+    ])('%s', (_label, text) => {
+      const result = deidentifyText(text)
+
+      expect(result.entries).toEqual([])
+      expect(result.text).toBe(text)
+    })
+  })
+})
+
+describe('deidentifyTexts', () => {
+  it('複数のテキストで同じ人物に同じプレースホルダーを使う', () => {
+    const result = deidentifyTexts(['山田さんの入浴介助', '山田さんは入浴後も変化なし'])
+
+    expect(result.texts).toEqual(['[人物A]さんの入浴介助', '[人物A]さんは入浴後も変化なし'])
+    expect(result.entries).toHaveLength(1)
+  })
+})
+
+describe('createStreamRestorer', () => {
+  it('チャンク境界で分断されたプレースホルダーを復元する', () => {
+    const { text, entries } = deidentifyText('山田さんの連絡先 03-1234-5678')
+    const restorer = createStreamRestorer(entries)
+
+    const chunks = ['[人', '物A]さんの連絡先 [電話', '番号1]']
+    const restored = chunks.map(chunk => restorer.push(chunk)).join('') + restorer.flush()
+
+    expect(text).toBe('[人物A]さんの連絡先 [電話番号1]')
+    expect(restored).toBe('山田さんの連絡先 03-1234-5678')
+  })
+
+  it('プレースホルダーでない角括弧はそのまま出力する', () => {
+    const { entries } = deidentifyText('山田さん')
+    const restorer = createStreamRestorer(entries)
+
+    expect(restorer.push('[S]主訴なし') + restorer.flush()).toBe('[S]主訴なし')
+  })
+})
@@ -0,0 +1,326 @@
+/**
+ * タップカルテ - 個人情報の匿名化
+ *
+ * AIへ送信する前に氏名・電話番号・生年月日・保険番号・住所を
+ * [人物A] のようなプレースホルダーに置き換え、AIの出力で元に戻す
+ * （氏名は患者本人とは限らない（医師・ケアマネ・家族など）ため、役割を含まないプレースホルダーにする）
+ */
+
+// ========================================
+// 🧩 型定義
+// ========================================
+
+/** 匿名化の対象カテゴリ */
+export type PersonalInfoCategory = 'name' | 'phone' | 'birthdate' | 'insurance' | 'postal_code' | 'address'
+
+/** 置き換えた個人情報1件分 */
+export interface DeidentifiedEntry {
+  /** プレースホルダー（例: [人物A]） */
+  placeholder: string
+  /** 元の文字列 */
+  original: string
+  /** カテゴリ */
+  category: PersonalInfoCategory
+}
+
+/** 匿名化結果 */
+export interface DeidentifyResult {
+  /** プレースホルダー置換後のテキスト */
+  text: string
+  /** 置き換えた個人情報の一覧（復元用） */
+  entries: DeidentifiedEntry[]
+}
+
+// ========================================
+// 📋 検出ルール
+// ========================================
+
+/** カテゴリごとのプレースホルダー名 */
+const PLACEHOLDER_LABELS: Record<PersonalInfoCategory, string> = {
+  name: '人物',
+  phone: '電話番号',
+  birthdate: '生年月日',
+  insurance: '保険番号',
+  postal_code: '郵便番号',
+  address: '住所'
+}
+
+/** 敬称なしでも氏名として扱う一般的な姓（2文字以上のみ。1文字の姓は誤検出が多いため敬称付きでのみ扱う） */
+const COMMON_SURNAMES = [
+  '佐藤', '鈴木', '高橋', '田中', '伊藤', '渡辺', '渡邊', '山本', '中村', '小林', '加藤', '吉田', '山田',
+  '佐々木', '山口', '松本', '井上', '木村', '斎藤', '齋藤', '齊藤', '清水', '山崎', '阿部', '池田',
+  '橋本', '山下', '石川', '中島', '前田', '藤田', '小川', '後藤', '岡田', '長谷川', '村上', '近藤',
+  '石井', '坂本', '遠藤', '青木', '藤井', '西村', '福田', '太田', '三浦', '藤原', '岡本', '松田',
+  '中川', '中野', '原田', '小野', '田村', '竹内', '金子', '和田', '中山', '石田', '上田', '森田',
+  '小島', '酒井', '宮崎', '工藤', '横山', '宮本', '内田', '高木', '安藤', '島田', '谷口',
+  '大野', '丸山', '今井', '高田', '藤本', '武田', '村田', '上野', '杉山', '増田', '平野', '大塚',
+  '千葉', '久保', '松井', '小山', '岩崎', '桜井', '櫻井', '野口', '松尾', '菊地', '野村', '木下',
+  '田邉', '田辺', '北村', '梅田', '中田', '豊田', '岩田', '村井', '千原'
+]
+
+/** 敬称付きでも氏名ではない語（続柄・職種など） */
+const NON_NAME_WORDS = new Set([
+  '奥', '娘', '息子', '孫', '嫁', '婿', '旦那', '主人', '家族', '夫', '妻', '姉', '兄', '妹', '弟',
+  '父', '母', '祖父', '祖母', '叔父', '叔母', '伯父', '伯母', '甥', '姪', '親戚', '隣', '近所',
+  '皆', '客', '患者', '利用者', '本人', '看護師', '医師', '先生', '主治医', '介護士', '薬剤師',
+  '理学療法士', '作業療法士', '言語聴覚士', '相談員', '職員', '担当', '民生委員', '大家', '神', '仏',
+  '看護婦', '担当者', '事業所', '施設', '薬局', '病院',
+  'ヘルパー', 'ケアマネ', 'ケアマネジャー', 'セラピスト', 'ドクター', 'ナース', 'スタッフ'
+])
+
+/** 「様」の直前にあると氏名ではない文字（同様・多様・模様など） */
+const NON_NAME_BEFORE_SAMA = /[同異多仕模左有各]$/
+
+/** 一般的な姓に続くと地名・施設名になる語（中村橋・上野駅・千葉県など） */
+const PLACE_NAME_SUFFIX = '(?:駅|橋|町|区|市|県|村|郡|通り?|台|線|公園|病院|医院|クリニック|商店街|丁目)'
+
+/** 医療機関・学校名の末尾（田中内科・藤田保健衛生大学病院など。姓から始まる機関名は氏名として扱わない） */
+const FACILITY_NAME_SUFFIX = '(?:病院|医院|診療所|クリニック|科|大学|学園|薬局)'
+
+/** 氏名の直前に付きやすい語（敬称付き氏名の抽出時に取り除く） */
+const LEADING_CONTEXT_WORDS = [
+  '本日', '今日', '昨日', '明日', '今回', '前回', '次回', '訪問時', '訪問', '午前', '午後', '朝', '夕方', '夜'
+]
+
+const KANJI = '\\u4E00-\\u9FFF々〆ヶ'
+const KATAKANA = '\\u30A1-\\u30FAー'
+const DIGIT = '0-9０-９'
+const DATE = `(?:(?:明治|大正|昭和|平成|令和)\\s*(?:[${DIGIT}]{1,2}|元)|[${DIGIT}]{4})\\s*年\\s*[${DIGIT}]{1,2}\\s*月\\s*[${DIGIT}]{1,2}\\s*日|[${DIGIT}]{4}[/.\\-][${DIGIT}]{1,2}[/.\\-][${DIGIT}]{1,2}`
+
+/** 敬称付き氏名（例: 山田太郎さん、佐々木様） */
+const HONORIFIC_NAME_PATTERN = new RegExp(`([${KANJI}]{1,8}|[${KATAKANA}]{2,10})(さん|様(?![子態式々])|さま|氏(?!名)|くん|ちゃん|殿)`, 'g')
+
+/** ラベル付き氏名（例: 氏名：山田太郎、患者名: ヤマダ） */
+const LABELED_NAME_PATTERN = new RegExp(`((?:氏名|患者名?|利用者名?)\\s*[：:]\\s*)([${KANJI}]{2,8}|[${KATAKANA}]{2,10})`, 'g')
+
+/** 一般的な姓（敬称なし。地名・施設名・医療機関名の一部は除く） */
+const SURNAME_PATTERN = new RegExp(
+  `(?:${[...COMMON_SURNAMES].sort((a, b) => b.length - a.length).join('|')})(?!${PLACE_NAME_SUFFIX})(?![${KANJI}]{0,8}${FACILITY_NAME_SUFFIX})`,
+  'g'
+)
+
+/** 電話番号（ハイフン区切り・連続数字） */
+const PHONE_PATTERNS = [
+  new RegExp(`(?<![${DIGIT}])[0０][${DIGIT}]{1,4}[-－‐(（][${DIGIT}]{1,4}[-－‐)）][${DIGIT}]{3,4}(?![${DIGIT}])`, 'g'),
+  new RegExp(`(?<![${DIGIT}])[0０][${DIGIT}]{9,10}(?![${DIGIT}])`, 'g')
+]
+
+/** 生年月日（「生まれ」「生」が続く日付、または「生年月日」ラベル付きの日付） */
+const BIRTHDATE_PATTERNS = [
+  new RegExp(`((?:生年月日|誕生日)\\s*[：:は]?\\s*)(${DATE})`, 'g'),
+  new RegExp(`()(${DATE})(?=\\s*(?:生まれ|生(?![活存命])))`, 'g')
+]
+
+/** 保険番号（ラベル付きの数字列） */
+const INSURANCE_PATTERN = new RegExp(
+  `((?:被保険者|保険者|介護保険|保険証|保険)(?:証)?(?:番号|記号番号|記号|No\\.?)?\\s*[：:は]?\\s*(?:No\\.?\\s*)?)([${DIGIT}](?:[${DIGIT}\\-－ ]{4,}[${DIGIT}]))`,
+  'g'
+)
+
+/** 郵便番号 */
+const POSTAL_CODE_PATTERN = new RegExp(`〒\\s*[${DIGIT}]{3}[-－]?[${DIGIT}]{4}`, 'g')
+
+/** 住所（ラベル付き、または市区町村＋番地） */
+const ADDRESS_PATTERNS = [
+  new RegExp(`((?:住所|現住所|自宅)\\s*[：:]\\s*)([^\\s、。,\\n]+)`, 'g'),
+  new RegExp(
+    `()((?:東京都|北海道|京都府|大阪府|[${KANJI}]{2,3}県)?[${KANJI}${KATAKANA}]{1,6}[市区町村郡][${KANJI}${KATAKANA}ぁ-ん]{0,10}?` +
+    `[${DIGIT}一二三四五六七八九十]+(?:丁目|[-－])[${DIGIT}]+(?:番地?|[-－])?(?:[${DIGIT}]+号?)?)`,
+    'g'
+  )
+]
+
+/** プレースホルダーの最大長（ストリーミング復元時のバッファ判定に使用） */
+const MAX_PLACEHOLDER_LENGTH = 12
+
+// ========================================
+// 🔒 匿名化・復元
+// ========================================
+
+/**
+ * テキスト中の個人情報をプレースホルダーに置き換える
+ * 同じ文字列は同じプレースホルダーになる
+ */
+export const deidentifyText = (text: string): DeidentifyResult => {
+  const { texts, entries } = deidentifyTexts([text])
+  return { text: texts[0], entries }
+}
+
+/**
+ * 複数のテキストを共通のプレースホルダーで匿名化する
+ * （修正前の記録と元の入力メモなど、同じ人物を同じプレースホルダーで扱う場合に使用）
+ */
+export const deidentifyTexts = (texts: string[]): { texts: string[]; entries: DeidentifiedEntry[] } => {
+  const entries: DeidentifiedEntry[] = []
+  const counters: Record<PersonalInfoCategory, number> = {
+    name: 0, phone: 0, birthdate: 0, insurance: 0, postal_code: 0, address: 0
+  }
+
+  const toPlaceholder = (original: string, category: PersonalInfoCategory): string => {
+    const existing = entries.find(entry => entry.original === original && entry.category === category)
+    if (existing) {
+      return existing.placeholder
+    }
+
+    const index = counters[category]++
+    const suffix = category === 'name' ? toAlphabetLabel(index) : String(index + 1)
+    const placeholder = `[${PLACEHOLDER_LABELS[category]}${suffix}]`
+    entries.push({ placeholder, original, category })
+    return placeholder
+  }
+
+  // ラベル付きの値（前半のラベルは残し、値のみ置き換える）
+  const replaceLabeled = (source: string, pattern: RegExp, category: PersonalInfoCategory) =>
+    source.replace(pattern, (_match, label: string, value: string) => `${label}${toPlaceholder(value, category)}`)
+
+  const maskText = (text: string): string => {
+    let masked = text
+
+    // 数字系は氏名より先に処理する（住所中の地名を氏名として扱わないため）
+    for (const pattern of BIRTHDATE_PATTERNS) {
+      masked = replaceLabeled(masked, pattern, 'birthdate')
+    }
+    masked = replaceLabeled(masked, INSURANCE_PATTERN, 'insurance')
+    for (const pattern of PHONE_PATTERNS) {
+      masked = masked.replace(pattern, match => toPlaceholder(match, 'phone'))
+    }
+    masked = masked.replace(POSTAL_CODE_PATTERN, match => toPlaceholder(match, 'postal_code'))
+    for (const pattern of ADDRESS_PATTERNS) {
+      masked = replaceLabeled(masked, pattern, 'address')
+    }
+
+    // 氏名
+    masked = replaceLabeled(masked, LABELED_NAME_PATTERN, 'name')
+    masked = masked.replace(HONORIFIC_NAME_PATTERN, (match, candidate: string, honorific: string) => {
+      const { prefix, name } = splitLeadingContext(candidate)
+      if (!name || NON_NAME_WORDS.has(name) || (honorific === '様' && NON_NAME_BEFORE_SAMA.test(name))) {
+        return match
+      }
+      return `${prefix}${toPlaceholder(name, 'name')}${honorific}`
+    })
+    masked = replaceOutsidePlaceholders(masked, SURNAME_PATTERN, match => toPlaceholder(match, 'name'))
+
+    return masked
+  }
+
+  return { texts: texts.map(maskText), entries }
+}
+
+/**
+ * プレースホルダーを元の文字列に戻す
+ */
+export const restoreText = (text: string, entries: DeidentifiedEntry[]): string => {
+  return entries.reduce(
+    (restored, entry) => restored.split(entry.placeholder).join(entry.original),
+    text
+  )
+}
+
+/**
+ * ストリーミング出力用の復元器
+ * チャンク境界で分断されたプレースホルダー（例: "[患" + "者A]"）は次のチャンクまで保留する
+ */
+export const createStreamRestorer = (entries: DeidentifiedEntry[]) => {
+  let pending = ''
+
+  return {
+    /** チャンクを受け取り、確定した部分を復元して返す */
+    push(chunk: string): string {
+      if (entries.length === 0) {
+        return chunk
+      }
+
+      pending += chunk
+      const openIndex = pending.lastIndexOf('[')
+      const isIncomplete = openIndex !== -1 &&
+        !pending.includes(']', openIndex) &&
+        pending.length - openIndex < MAX_PLACEHOLDER_LENGTH
+
+      const ready = isIncomplete ? pending.slice(0, openIndex) : pending
+      pending = isIncomplete ? pending.slice(openIndex) : ''
+      return restoreText(ready, entries)
+    },
+
+    /** 保留中の残りを復元して返す */
+    flush(): string {
+      const rest = restoreText(pending, entries)
+      pending = ''
+      return rest
+    }
+  }
+}
+
+/**
+ * AIにプレースホルダーを保持させるためのプロンプト指示
+ */
+export const buildPlaceholderInstruction = (entries: DeidentifiedEntry[]): string => {
+  if (entries.length === 0) {
+    return ''
+  }
+
+  const placeholders = Array.from(new Set(entries.map(entry => entry.placeholder))).join('、')
+  return `
+【匿名化について】
+入力メモの個人情報は ${placeholders} のようなプレースホルダーに置き換えています。プレースホルダーは角括弧を含めてそのまま出力し、推測で補ったり書き換えたりしないでください。
+[人物A] などの氏名は患者本人とは限りません。前後の記載（医師・ケアマネ・家族など）から誰のことかを判断し、入力メモにない役割を付け加えないでください。
+`
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 敬称付き氏名の候補から、直前の文脈語（「本日」など）を切り離す
+ */
+function splitLeadingContext(candidate: string): { prefix: string; name: string } {
+  // 一般的な姓が途中から始まる場合はその位置で切る（例: 訪問時山田 → 訪問時 + 山田）
+  SURNAME_PATTERN.lastIndex = 0
+  const surnameMatch = SURNAME_PATTERN.exec(candidate)
+  SURNAME_PATTERN.lastIndex = 0
+  if (surnameMatch && surnameMatch.index > 0) {
+    return { prefix: candidate.slice(0, surnameMatch.index), name: candidate.slice(surnameMatch.index) }
+  }
+
+  let prefix = ''
+  let name = candidate
+  let stripped = true
+  while (stripped) {
+    stripped = false
+    for (const word of LEADING_CONTEXT_WORDS) {
+      if (name.startsWith(word) && name.length > word.length) {
+        prefix += word
+        name = name.slice(word.length)
+        stripped = true
+      }
+    }
+  }
+  return { prefix, name }
+}
+
+/**
+ * 既存のプレースホルダー内を除いて置換する
+ */
+function replaceOutsidePlaceholders(
+  text: string,
+  pattern: RegExp,
+  replacer: (match: string) => string
+): string {
+  return text
+    .split(/(\[[^\[\]]{1,10}\])/)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(pattern, replacer)))
+    .join('')
+}
+
+/**
+ * 0 → A, 25 → Z, 26 → AA のように番号を英字ラベルに変換
+ */
+function toAlphabetLabel(index: number): string {
+  let label = ''
+  let current = index
+  do {
+    label = String.fromCharCode(65 + (current % 26)) + label
+    current = Math.floor(current / 26) - 1
+  } while (current >= 0)
+  return label
+}
@@ -0,0 +1,314 @@
+/**
+ * タップカルテ - 医療用語辞書
+ *
+ * 組み込み辞書（src/medical-dictionary.ts）・組織の共有辞書（organization_dictionary_entries）・
+ * ユーザー辞書（dictionary_entries）をプロンプト構築用にマージする
+ */
+
+import type { DictionaryEntry } from '../types'
+import { DICTIONARY_CONFIG } from '../config'
+import { logger } from '../utils'
+import { medicalTerms } from '../medical-dictionary'
+
+/** 用語 → 意味 の辞書 */
+export type MedicalDictionary = Record<string, string>
+
+// ========================================
+// 📚 辞書のマージ
+// ========================================
+
+/**
+ * 辞書を優先度の低い順にマージ（後に渡した辞書の同じ用語が優先される）
+ */
+export const mergeDictionaries = (...layers: MedicalDictionary[]): MedicalDictionary => {
+  return Object.assign({}, ...layers)
+}
+
+/**
+ * プロンプト構築用の辞書を取得
+ * 組み込み辞書 < 組織の共有辞書 < ユーザー辞書 の順に上書きする。DBが使えない場合は組み込み辞書のみ
+ */
+export const loadPromptDictionary = async (
+  db: D1Database | undefined,
+  userId?: number | null
+): Promise<MedicalDictionary> => {
+  if (!db || !userId) {
+    return medicalTerms
+  }
+
+  try {
+    const [organizationEntries, entries] = await Promise.all([
+      listMemberOrganizationDictionaryEntries(db, userId),
+      listDictionaryEntries(db, userId)
+    ])
+    return mergeDictionaries(medicalTerms, toDictionary(organizationEntries), toDictionary(entries))
+  } catch (error) {
+    // 辞書の取得失敗で変換自体は止めない
+    logger.warn('User dictionary load failed, using built-in dictionary', {
+      userId,
+      error: (error as Error).message
+    })
+    return medicalTerms
+  }
+}
+
+/**
+ * 辞書の登録内容を 用語 → 意味 の形式に変換
+ */
+export const toDictionary = (entries: Pick<DictionaryEntry, 'term' | 'meaning'>[]): MedicalDictionary => {
+  return Object.fromEntries(entries.map(entry => [entry.term, entry.meaning]))
+}
+
+// ========================================
+// 🗄️ データベース操作
+// ========================================
+
+/**
+ * ユーザー辞書の一覧を取得
+ */
+export const listDictionaryEntries = async (db: D1Database, userId: number): Promise<DictionaryEntry[]> => {
+  const result = await db.prepare(`
+    SELECT * FROM dictionary_entries
+    WHERE user_id = ?
+    ORDER BY term ASC
+  `).bind(userId).all()
+
+  return (result.results || []).map(toDictionaryEntry)
+}
+
+/**
+ * ユーザー辞書の登録件数を取得
+ */
+export const countDictionaryEntries = async (db: D1Database, userId: number): Promise<number> => {
+  const row = await db.prepare('SELECT COUNT(*) AS total FROM dictionary_entries WHERE user_id = ?')
+    .bind(userId)
+    .first<{ total: number }>()
+
+  return row?.total || 0
+}
+
+/**
+ * ユーザー辞書に登録
+ */
+export const createDictionaryEntry = async (
+  db: D1Database,
+  userId: number,
+  entry: { term: string; meaning: string }
+): Promise<DictionaryEntry> => {
+  const row = await db.prepare(`
+    INSERT INTO dictionary_entries (user_id, term, meaning)
+    VALUES (?, ?, ?)
+    RETURNING *
+  `).bind(userId, entry.term, entry.meaning).first()
+
+  return toDictionaryEntry(row!)
+}
+
+/**
+ * ユーザー辞書を更新（本人の登録のみ）
+ */
+export const updateDictionaryEntry = async (
+  db: D1Database,
+  userId: number,
+  id: number,
+  entry: { term: string; meaning: string }
+): Promise<DictionaryEntry | null> => {
+  const row = await db.prepare(`
+    UPDATE dictionary_entries
+    SET term = ?, meaning = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND user_id = ?
+    RETURNING *
+  `).bind(entry.term, entry.meaning, id, userId).first()
+
+  return row ? toDictionaryEntry(row) : null
+}
+
+/**
+ * ユーザー辞書から削除（本人の登録のみ）
+ */
+export const deleteDictionaryEntry = async (db: D1Database, userId: number, id: number): Promise<boolean> => {
+  const result = await db.prepare('DELETE FROM dictionary_entries WHERE id = ? AND user_id = ?')
+    .bind(id, userId)
+    .run()
+
+  return result.meta.changes > 0
+}
+
+/**
+ * 同じ用語が登録済みか確認（更新時は自身を除く）
+ */
+export const findDictionaryEntryByTerm = async (
+  db: D1Database,
+  userId: number,
+  term: string,
+  excludeId?: number
+): Promise<DictionaryEntry | null> => {
+  const row = await db.prepare(`
+    SELECT * FROM dictionary_entries
+    WHERE user_id = ? AND term = ? AND id != ?
+  `).bind(userId, term, excludeId ?? 0).first()
+
+  return row ? toDictionaryEntry(row) : null
+}
+
+// ========================================
+// 🏢 組織の共有辞書
+// ========================================
+
+/**
+ * 組織の共有辞書の一覧を取得
+ */
+export const listOrganizationDictionaryEntries = async (
+  db: D1Database,
+  organizationId: number
+): Promise<DictionaryEntry[]> => {
+  const result = await db.prepare(`
+    SELECT * FROM organization_dictionary_entries
+    WHERE organization_id = ?
+    ORDER BY term ASC
+  `).bind(organizationId).all()
+
+  return (result.results || []).map(toDictionaryEntry)
+}
+
+/**
+ * ユーザーが所属する組織の共有辞書を取得（未所属の場合は空）
+ */
+export const listMemberOrganizationDictionaryEntries = async (
+  db: D1Database,
+  userId: number
+): Promise<DictionaryEntry[]> => {
+  const result = await db.prepare(`
+    SELECT d.* FROM organization_dictionary_entries d
+    JOIN organization_members m ON m.organization_id = d.organization_id
+    WHERE m.user_id = ?
+  `).bind(userId).all()
+
+  return (result.results || []).map(toDictionaryEntry)
+}
+
+/**
+ * 組織の共有辞書の登録件数を取得
+ */
+export const countOrganizationDictionaryEntries = async (db: D1Database, organizationId: number): Promise<number> => {
+  const row = await db.prepare('SELECT COUNT(*) AS total FROM organization_dictionary_entries WHERE organization_id = ?')
+    .bind(organizationId)
+    .first<{ total: number }>()
+
+  return row?.total || 0
+}
+
+/**
+ * 組織の共有辞書に登録
+ */
+export const createOrganizationDictionaryEntry = async (
+  db: D1Database,
+  organizationId: number,
+  createdBy: number,
+  entry: { term: string; meaning: string }
+): Promise<DictionaryEntry> => {
+  const row = await db.prepare(`
+    INSERT INTO organization_dictionary_entries (organization_id, term, meaning, created_by)
+    VALUES (?, ?, ?, ?)
+    RETURNING *
+  `).bind(organizationId, entry.term, entry.meaning, createdBy).first()
+
+  return toDictionaryEntry(row!)
+}
+
+/**
+ * 組織の共有辞書を更新
+ */
+export const updateOrganizationDictionaryEntry = async (
+  db: D1Database,
+  organizationId: number,
+  id: number,
+  entry: { term: string; meaning: string }
+): Promise<DictionaryEntry | null> => {
+  const row = await db.prepare(`
+    UPDATE organization_dictionary_entries
+    SET term = ?, meaning = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND organization_id = ?
+    RETURNING *
+  `).bind(entry.term, entry.meaning, id, organizationId).first()
+
+  return row ? toDictionaryEntry(row) : null
+}
+
+/**
+ * 組織の共有辞書から削除
+ */
+export const deleteOrganizationDictionaryEntry = async (
+  db: D1Database,
+  organizationId: number,
+  id: number
+): Promise<boolean> => {
+  const result = await db.prepare('DELETE FROM organization_dictionary_entries WHERE id = ? AND organization_id = ?')
+    .bind(id, organizationId)
+    .run()
+
+  return result.meta.changes > 0
+}
+
+/**
+ * 組織の共有辞書に同じ用語が登録済みか確認（更新時は自身を除く）
+ */
+export const findOrganizationDictionaryEntryByTerm = async (
+  db: D1Database,
+  organizationId: number,
+  term: string,
+  excludeId?: number
+): Promise<DictionaryEntry | null> => {
+  const row = await db.prepare(`
+    SELECT * FROM organization_dictionary_entries
+    WHERE organization_id = ? AND term = ? AND id != ?
+  `).bind(organizationId, term, excludeId ?? 0).first()
+
+  return row ? toDictionaryEntry(row) : null
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * リクエストボディから辞書の登録内容を抽出・検証
+ */
+export const extractDictionaryInput = (body: any): {
+  success: boolean
+  data?: { term: string; meaning: string }
+  error?: string
+} => {
+  const term = typeof body?.term === 'string' ? body.term.trim() : ''
+  const meaning = typeof body?.meaning === 'string' ? body.meaning.trim() : ''
+
+  if (!term || term.length > DICTIONARY_CONFIG.maxTermLength) {
+    return { success: false, error: `用語は1〜${DICTIONARY_CONFIG.maxTermLength}文字で入力してください` }
+  }
+
+  if (!meaning || meaning.length > DICTIONARY_CONFIG.maxMeaningLength) {
+    return { success: false, error: `意味は1〜${DICTIONARY_CONFIG.maxMeaningLength}文字で入力してください` }
+  }
+
+  // プロンプトの辞書は「・用語: 意味」の1行形式のため改行は除去する
+  return {
+    success: true,
+    data: {
+      term: term.replace(/\s+/g, ' '),
+      meaning: meaning.replace(/\s+/g, ' ')
+    }
+  }
+}
+
+/**
+ * DB行をAPIレスポンス用の辞書データに変換
+ */
+function toDictionaryEntry(row: Record<string, any>): DictionaryEntry {
+  return {
+    id: row.id,
+    term: row.term,
+    meaning: row.meaning,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
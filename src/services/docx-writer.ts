@@ -0,0 +1,288 @@
+/**
+ * タップカルテ - Word（DOCX）出力
+ *
+ * 書き出し文書（ExportDocument）をA4縦のWord文書に変換する。
+ * 文書の各パーツ（XML）は無圧縮のZIPにまとめる
+ */
+
+import type { DocumentBlock, ExportDocument } from '../types'
+
+// ========================================
+// 📐 書式設定
+// ========================================
+
+/** 日本語フォント（Windows・Mac版Wordで標準搭載） */
+const FONTS = {
+  mincho: 'ＭＳ 明朝',
+  gothic: 'ＭＳ ゴシック'
+} as const
+
+/** 文字サイズ（半ポイント単位） */
+const FONT_SIZE = { title: 32, body: 21, label: 19 }
+
+/** A4縦・余白17mm（twip単位） */
+const PAGE = { width: 11906, height: 16838, margin: 964 }
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2
+
+/** 項目欄の見出しセルの幅（twip） */
+const LABEL_WIDTH = 1440
+
+/** 見出しセルの背景色 */
+const SHADE = 'EBEBEB'
+
+// ========================================
+// 📄 DOCX生成
+// ========================================
+
+/**
+ * 書き出し文書をDOCXに変換
+ */
+export const renderDocx = (document: ExportDocument): Uint8Array => {
+  const encoder = new TextEncoder()
+
+  return createZip([
+    { name: '[Content_Types].xml', data: encoder.encode(CONTENT_TYPES_XML) },
+    { name: '_rels/.rels', data: encoder.encode(PACKAGE_RELS_XML) },
+    { name: 'docProps/core.xml', data: encoder.encode(buildCoreXml(document.title)) },
+    { name: 'word/_rels/document.xml.rels', data: encoder.encode(DOCUMENT_RELS_XML) },
+    { name: 'word/styles.xml', data: encoder.encode(buildStylesXml(FONTS[document.font])) },
+    { name: 'word/document.xml', data: encoder.encode(buildDocumentXml(document.blocks)) }
+  ])
+}
+
+/**
+ * 本文（word/document.xml）
+ */
+function buildDocumentXml(blocks: DocumentBlock[]): string {
+  const body = blocks.map(block => {
+    switch (block.type) {
+      case 'title':
+        return paragraph(block.text, { align: 'center', size: FONT_SIZE.title, gothic: true, after: 240 })
+
+      case 'fields': {
+        // 2項目ずつ横に並べた表（見出しセル・値セル・見出しセル・値セル）
+        const valueWidth = CONTENT_WIDTH / 2 - LABEL_WIDTH
+        const widths = [LABEL_WIDTH, valueWidth, LABEL_WIDTH, valueWidth]
+        const rows: string[] = []
+        for (let index = 0; index < block.fields.length; index += 2) {
+          const cells = block.fields.slice(index, index + 2).flatMap(field => [
+            tableCell(LABEL_WIDTH, paragraph(field.label, { size: FONT_SIZE.label, gothic: true }), true),
+            tableCell(valueWidth, paragraphs(field.value))
+          ])
+          // 奇数個の場合は空欄で埋める
+          while (cells.length < 4) {
+            cells.push(tableCell(widths[cells.length], paragraph('')))
+          }
+          rows.push(`<w:tr>${cells.join('')}</w:tr>`)
+        }
+        return table(widths, rows) + paragraph('')
+      }
+
+      case 'section': {
+        const lines = block.text.split('\n')
+        while (lines.length < (block.minLines || 1)) lines.push('')
+        return table([CONTENT_WIDTH], [
+          `<w:tr>${tableCell(CONTENT_WIDTH, paragraph(block.heading, { size: FONT_SIZE.label, gothic: true }), true)}</w:tr>`,
+          `<w:tr>${tableCell(CONTENT_WIDTH, lines.map(line => paragraph(line)).join(''))}</w:tr>`
+        ]) + paragraph('')
+      }
+
+      case 'paragraph':
+        return paragraphs(block.text)
+
+      case 'pageBreak':
+        return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>'
+    }
+  }).join('')
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>${body}<w:sectPr><w:pgSz w:w="${PAGE.width}" w:h="${PAGE.height}"/><w:pgMar w:top="${PAGE.margin}" w:right="${PAGE.margin}" w:bottom="${PAGE.margin}" w:left="${PAGE.margin}" w:header="567" w:footer="567" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`
+}
+
+/**
+ * 既定の書式（word/styles.xml）
+ */
+function buildStylesXml(font: string): string {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="${font}" w:eastAsia="${font}" w:hAnsi="${font}"/><w:sz w:val="${FONT_SIZE.body}"/><w:lang w:val="ja-JP" w:eastAsia="ja-JP"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="300" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+</w:styles>`
+}
+
+function buildCoreXml(title: string): string {
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title><dc:creator>TapKarte</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`
+}
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 段落（見出しはゴシック体）
+ */
+function paragraph(
+  text: string,
+  { align, size, gothic, after }: { align?: 'center'; size?: number; gothic?: boolean; after?: number } = {}
+): string {
+  const paragraphProperties = [
+    align ? `<w:jc w:val="${align}"/>` : '',
+    after ? `<w:spacing w:after="${after}"/>` : ''
+  ].join('')
+  const runProperties = [
+    gothic ? `<w:rFonts w:ascii="${FONTS.gothic}" w:eastAsia="${FONTS.gothic}" w:hAnsi="${FONTS.gothic}"/>` : '',
+    size ? `<w:sz w:val="${size}"/>` : ''
+  ].join('')
+
+  return `<w:p>${paragraphProperties ? `<w:pPr>${paragraphProperties}</w:pPr>` : ''}` +
+    (text ? `<w:r>${runProperties ? `<w:rPr>${runProperties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>` : '') +
+    '</w:p>'
+}
+
+/**
+ * 改行ごとに段落を分ける
+ */
+function paragraphs(text: string): string {
+  return text.split('\n').map(line => paragraph(line)).join('')
+}
+
+function table(widths: number[], rows: string[]): string {
+  const border = (side: string) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="000000"/>`
+  return '<w:tbl><w:tblPr>' +
+    `<w:tblW w:w="${widths.reduce((sum, width) => sum + width, 0)}" w:type="dxa"/>` +
+    `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>` +
+    '<w:tblLayout w:type="fixed"/>' +
+    '<w:tblCellMar><w:top w:w="57" w:type="dxa"/><w:left w:w="85" w:type="dxa"/><w:bottom w:w="57" w:type="dxa"/><w:right w:w="85" w:type="dxa"/></w:tblCellMar>' +
+    '</w:tblPr>' +
+    `<w:tblGrid>${widths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>` +
+    rows.join('') +
+    '</w:tbl>'
+}
+
+function tableCell(width: number, content: string, shaded: boolean = false): string {
+  return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shaded ? `<w:shd w:val="clear" w:color="auto" w:fill="${SHADE}"/>` : ''}</w:tcPr>${content}</w:tc>`
+}
+
+function escapeXml(text: string): string {
+  return text
+    // XMLで使えない制御文字を除去
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+// ========================================
+// 🗜️ ZIP（無圧縮）
+// ========================================
+
+/**
+ * ファイルを無圧縮（stored）のZIPにまとめる
+ */
+function createZip(files: { name: string; data: Uint8Array }[]): Uint8Array {
+  const encoder = new TextEncoder()
+  const localParts: Uint8Array[] = []
+  const centralParts: Uint8Array[] = []
+  let offset = 0
+
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const crc = crc32(file.data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true) // ローカルファイルヘッダー
+    local.setUint16(4, 20, true) // 展開に必要なバージョン
+    local.setUint16(8, 0, true) // 無圧縮
+    local.setUint16(12, ZIP_DOS_DATE, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, file.data.length, true)
+    local.setUint32(22, file.data.length, true)
+    local.setUint16(26, name.length, true)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014b50, true) // セントラルディレクトリ
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(14, ZIP_DOS_DATE, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, file.data.length, true)
+    central.setUint32(24, file.data.length, true)
+    central.setUint16(28, name.length, true)
+    central.setUint32(42, offset, true)
+
+    localParts.push(new Uint8Array(local.buffer), name, file.data)
+    centralParts.push(new Uint8Array(central.buffer), name)
+    offset += 30 + name.length + file.data.length
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true) // 終端レコード
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)])
+}
+
+/** ZIP内のファイル日付（1980-01-01） */
+const ZIP_DOS_DATE = (0 << 9) | (1 << 5) | 1
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let index = 0; index < 256; index++) {
+    let value = index
+    for (let bit = 0; bit < 8; bit++) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1
+    }
+    table[index] = value >>> 0
+  }
+  return table
+})()
+
+function crc32(data: Uint8Array): number {
+  let crc = 0xffffffff
+  for (const byte of data) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function concatBytes(parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let position = 0
+  for (const part of parts) {
+    result.set(part, position)
+    position += part.length
+  }
+  return result
+}
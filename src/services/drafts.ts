@@ -0,0 +1,170 @@
+/**
+ * タップカルテ - 下書き
+ *
+ * ログインユーザーの入力メモの下書きを端末間で同期する（drafts）。
+ * 下書きのIDは端末で発行し、同じ下書きを複数の端末で編集した場合は最後に編集した方を残す。
+ * 本文は履歴と同じく作成者の所属組織のデータ鍵で暗号化する
+ */
+
+import type { Draft } from '../types'
+import { AI_CONFIG, DRAFT_CONFIG } from '../config'
+import { encryptRecordFields, decryptRecordRow, decryptRecordRows, type RecordCipher } from './record-encryption'
+import { getOrganizationMembership } from './organizations'
+import { toPatientId } from './patients'
+
+/** 下書きの保存内容 */
+export interface DraftInput {
+  inputText: string
+  patientId: number | null
+  updatedAt: string
+}
+
+// ========================================
+// 🗄️ データベース操作
+// ========================================
+
+/**
+ * 下書きの一覧を取得（最後に編集した順）
+ */
+export const listDrafts = async (cipher: RecordCipher, userId: number): Promise<Draft[]> => {
+  const result = await cipher.db.prepare(`
+    SELECT * FROM drafts
+    WHERE user_id = ?
+    ORDER BY updated_at DESC
+  `).bind(userId).all()
+
+  return (await decryptRecordRows(cipher, result.results || [], 'drafts')).map(toDraft)
+}
+
+/**
+ * 下書きをIDで取得（本人の下書きのみ）
+ */
+export const findDraft = async (cipher: RecordCipher, userId: number, clientId: string): Promise<Draft | null> => {
+  const row = await cipher.db.prepare('SELECT * FROM drafts WHERE user_id = ? AND client_id = ?')
+    .bind(userId, clientId)
+    .first()
+
+  return row ? toDraft(await decryptRecordRow(cipher, row, 'drafts')) : null
+}
+
+/**
+ * 下書きの保存数と、指定したIDの下書きが既にあるか
+ */
+export const getDraftCount = async (
+  db: D1Database,
+  userId: number,
+  clientId: string
+): Promise<{ total: number; exists: boolean }> => {
+  const row = await db.prepare(`
+    SELECT COUNT(*) AS total, COALESCE(SUM(client_id = ?), 0) AS existing
+    FROM drafts WHERE user_id = ?
+  `).bind(clientId, userId).first<{ total: number; existing: number }>()
+
+  return { total: row?.total || 0, exists: (row?.existing || 0) > 0 }
+}
+
+/**
+ * 下書きを保存（新規作成または更新）
+ * サーバーの下書きの方が新しい場合は保存せず、サーバーの下書きを返す
+ */
+export const saveDraft = async (
+  cipher: RecordCipher,
+  userId: number,
+  clientId: string,
+  input: DraftInput
+): Promise<{ saved: boolean; draft: Draft }> => {
+  const organizationId = (await getOrganizationMembership(cipher.db, userId))?.organizationId ?? null
+  const fields = await encryptRecordFields(cipher, organizationId, { table: 'drafts', userId, clientId }, {
+    inputText: input.inputText,
+    outputText: ''
+  })
+
+  const row = await cipher.db.prepare(`
+    INSERT INTO drafts (user_id, client_id, patient_id, input_text, encryption_key_id, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, client_id) DO UPDATE SET
+      patient_id = excluded.patient_id,
+      input_text = excluded.input_text,
+      encryption_key_id = excluded.encryption_key_id,
+      updated_at = excluded.updated_at
+    WHERE excluded.updated_at >= drafts.updated_at
+    RETURNING *
+  `).bind(userId, clientId, input.patientId, fields.inputText, fields.encryptionKeyId, input.updatedAt).first()
+
+  if (row) {
+    return { saved: true, draft: toDraft({ ...row, input_text: input.inputText }) }
+  }
+
+  return { saved: false, draft: (await findDraft(cipher, userId, clientId))! }
+}
+
+/**
+ * 下書きを削除（本人の下書きのみ）
+ */
+export const deleteDraft = async (db: D1Database, userId: number, clientId: string): Promise<boolean> => {
+  const result = await db.prepare('DELETE FROM drafts WHERE user_id = ? AND client_id = ?')
+    .bind(userId, clientId)
+    .run()
+
+  return (result.meta.changes || 0) > 0
+}
+
+// ========================================
+// ✅ 入力値の検証
+// ========================================
+
+/**
+ * 下書きIDの形式か判定
+ */
+export const isDraftId = (value: string): boolean => DRAFT_CONFIG.idPattern.test(value)
+
+/**
+ * リクエストボディから下書きの内容を抽出・検証
+ * 編集日時は端末の時計のため、未来の日時は現在時刻に丸める
+ */
+export const extractDraftInput = (body: any): {
+  success: boolean
+  data?: DraftInput
+  error?: string
+} => {
+  const inputText = typeof body?.inputText === 'string' ? body.inputText : ''
+  if (!inputText.trim()) {
+    return { success: false, error: '下書きの内容を入力してください' }
+  }
+  if (inputText.length > AI_CONFIG.maxInputLength) {
+    return { success: false, error: `下書きは${AI_CONFIG.maxInputLength}文字以内で入力してください` }
+  }
+
+  const patientId = body?.patientId === undefined || body?.patientId === null ? null : toPatientId(body.patientId)
+  if (body?.patientId !== undefined && body?.patientId !== null && patientId === null) {
+    return { success: false, error: '利用者IDが正しくありません' }
+  }
+
+  const now = Date.now()
+  const updatedAt = body?.updatedAt === undefined ? now : Date.parse(body.updatedAt)
+  if (Number.isNaN(updatedAt)) {
+    return { success: false, error: '編集日時の形式が正しくありません' }
+  }
+
+  return {
+    success: true,
+    data: { inputText, patientId, updatedAt: new Date(Math.min(updatedAt, now)).toISOString() }
+  }
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * DB行をAPIレスポンス用の下書きに変換
+ */
+function toDraft(row: Record<string, any>): Draft {
+  return {
+    id: row.client_id,
+    patientId: row.patient_id ?? null,
+    inputText: row.input_text,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * タップカルテ - Googleログイン
+ *
+ * OAuth 2.0 認可コードフロー（PKCE・state・nonce）でGoogleアカウントを認証し、google_id でユーザーを作成・ログインする。
+ * state・code_verifier・nonce は署名付きCookieに保存してブラウザに紐付け、認可画面から戻ったときに照合する。
+ * 同じメールアドレスのパスワード登録ユーザーがいる場合は、Google側とこのサービスの両方でメールアドレスが確認済みのときのみ連携する
+ * （未確認の場合は、パスワードでログインしてからアカウント連携する）
+ */
+
+import type { Context } from 'hono'
+import { getSignedCookie, setSignedCookie, deleteCookie } from 'hono/cookie'
+import { GOOGLE_OAUTH_CONFIG, getEnvironmentVariables, isConfiguredApiKey } from '../config'
+import {
+  verifyGoogleToken,
+  findUserByGoogleId,
+  findUserByEmail,
+  linkGoogleAccount,
+  createUser,
+  toUser,
+  type GoogleTokenInfo,
+  type User
+} from '../auth'
+
+/** 認可画面から戻るまでCookieに保存する値 */
+export interface GoogleOAuthState {
+  state: string
+  codeVerifier: string
+  nonce: string
+  /** ログイン後に戻るパス */
+  redirectPath: string
+  /** アカウント連携の場合は連携先のユーザーID */
+  linkUserId: number | null
+  /** 有効期限（UNIX時間・秒） */
+  expiresAt: number
+}
+
+/** Googleログインの失敗理由（リダイレクト先に auth_error として渡す） */
+export type GoogleSignInError =
+  | 'google_not_configured'
+  | 'access_denied'
+  | 'invalid_state'
+  | 'token_exchange_failed'
+  | 'email_not_verified'
+  | 'account_inactive'
+  | 'already_linked'
+  | 'link_required'
+  | 'server_error'
+
+/** Cookieのパス（Googleログインのエンドポイントにのみ送信する） */
+const STATE_COOKIE_PATH = '/api/auth/google'
+
+// ========================================
+// 🔗 認可リクエスト
+// ========================================
+
+/**
+ * GOOGLE_CLIENT_ID・GOOGLE_CLIENT_SECRET が設定されているか
+ */
+export const isGoogleOAuthConfigured = (c: Context): boolean => {
+  const vars = getEnvironmentVariables(c.env)
+  return isConfiguredApiKey(vars.GOOGLE_CLIENT_ID) && !!vars.GOOGLE_CLIENT_SECRET
+}
+
+/**
+ * 認可画面のURLを作成し、state・code_verifier・nonce を署名付きCookieに保存する
+ */
+export const createGoogleAuthorizationUrl = async (
+  c: Context,
+  options: { redirectPath: string; linkUserId: number | null }
+): Promise<string> => {
+  const vars = getEnvironmentVariables(c.env)
+  const stored: GoogleOAuthState = {
+    state: toBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+    codeVerifier: toBase64Url(crypto.getRandomValues(new Uint8Array(32))),
+    nonce: toBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+    redirectPath: options.redirectPath,
+    linkUserId: options.linkUserId,
+    expiresAt: Math.floor(Date.now() / 1000) + GOOGLE_OAUTH_CONFIG.stateMaxAge
+  }
+
+  await setSignedCookie(c, GOOGLE_OAUTH_CONFIG.stateCookieName, JSON.stringify(stored), vars.JWT_SECRET, {
+    path: STATE_COOKIE_PATH,
+    httpOnly: true,
+    secure: new URL(c.req.url).protocol === 'https:',
+    // Googleの認可画面からのトップレベルのリダイレクトでは送信される
+    sameSite: 'Lax',
+    maxAge: GOOGLE_OAUTH_CONFIG.stateMaxAge
+  })
+
+  const codeChallenge = toBase64Url(new Uint8Array(
+    await crypto.subtle.digest('SHA-256', new TextEncoder().encode(stored.codeVerifier))
+  ))
+
+  const params = new URLSearchParams({
+    client_id: vars.GOOGLE_CLIENT_ID,
+    redirect_uri: getGoogleRedirectUri(c),
+    response_type: 'code',
+    scope: GOOGLE_OAUTH_CONFIG.scope,
+    state: stored.state,
+    nonce: stored.nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+    prompt: 'select_account'
+  })
+
+  return `${GOOGLE_OAUTH_CONFIG.authorizationEndpoint}?${params}`
+}
+
+// ========================================
+// 🔑 コールバック
+// ========================================
+
+/**
+ * Cookieに保存した値を取り出し、認可画面から返された state と照合する（Cookieは1回限りで削除する）
+ */
+export const consumeGoogleOAuthState = async (c: Context, state: string | undefined): Promise<GoogleOAuthState | null> => {
+  const vars = getEnvironmentVariables(c.env)
+  const value = await getSignedCookie(c, vars.JWT_SECRET, GOOGLE_OAUTH_CONFIG.stateCookieName)
+  deleteCookie(c, GOOGLE_OAUTH_CONFIG.stateCookieName, { path: STATE_COOKIE_PATH })
+
+  if (!value || !state) {
+    return null
+  }
+
+  try {
+    const stored = JSON.parse(value) as GoogleOAuthState
+    if (stored.state !== state || stored.expiresAt < Math.floor(Date.now() / 1000)) {
+      return null
+    }
+    return stored
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 認可コードをトークンエンドポイントでIDトークンに交換し、クレームを検証する
+ */
+export const exchangeGoogleCode = async (
+  c: Context,
+  code: string,
+  stored: GoogleOAuthState
+): Promise<GoogleTokenInfo | null> => {
+  const vars = getEnvironmentVariables(c.env)
+
+  const response = await fetch(vars.GOOGLE_TOKEN_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      client_id: vars.GOOGLE_CLIENT_ID,
+      client_secret: vars.GOOGLE_CLIENT_SECRET,
+      redirect_uri: getGoogleRedirectUri(c),
+      code_verifier: stored.codeVerifier
+    }),
+    signal: AbortSignal.timeout(GOOGLE_OAUTH_CONFIG.tokenTimeoutMs)
+  })
+
+  if (!response.ok) {
+    return null
+  }
+
+  const body: unknown = await response.json()
+  const idToken = typeof body === 'object' && body !== null ? (body as { id_token?: unknown }).id_token : undefined
+  if (typeof idToken !== 'string') {
+    return null
+  }
+
+  return verifyGoogleToken(idToken, {
+    clientId: vars.GOOGLE_CLIENT_ID,
+    nonce: stored.nonce,
+    issuers: GOOGLE_OAUTH_CONFIG.issuers
+  })
+}
+
+/**
+ * Googleアカウントでログインするユーザーを決定（google_id で検索し、なければメールアドレスで連携または新規作成）
+ */
+export const resolveGoogleUser = async (db: D1Database, google: GoogleTokenInfo): Promise<{
+  success: boolean
+  user?: User
+  /** 新規作成した場合 true */
+  created?: boolean
+  /** 既存のパスワード登録ユーザーに連携した場合 true */
+  linked?: boolean
+  error?: GoogleSignInError
+}> => {
+  const linkedRow = await findUserByGoogleId(db, google.sub)
+  if (linkedRow) {
+    return linkedRow.is_active
+      ? { success: true, user: toUser(linkedRow) }
+      : { success: false, error: 'account_inactive' }
+  }
+
+  // 未確認のメールアドレスでは既存ユーザーへの連携・新規作成をしない（なりすまし防止）
+  if (!google.email_verified) {
+    return { success: false, error: 'email_not_verified' }
+  }
+
+  const emailRow = await findUserByEmail(db, google.email)
+  if (emailRow) {
+    if (!emailRow.is_active) {
+      return { success: false, error: 'account_inactive' }
+    }
+
+    // メールアドレスの所有を確認していない登録は、第三者が先回りして作成した可能性があるため自動で連携しない
+    // （連携するとその登録のパスワードでも同じアカウントにログインできてしまう）。
+    // パスワード登録ではメールアドレスを確認しないため、パスワード登録のユーザーは常にこちらになり、
+    // パスワードでログインしてから POST /api/auth/google/link で連携する
+    if (!emailRow.email_verified) {
+      return { success: false, error: 'link_required' }
+    }
+
+    const user = await linkGoogleAccount(db, emailRow.id, google)
+    return user
+      ? { success: true, user, linked: true }
+      : { success: false, error: 'already_linked' }
+  }
+
+  const user = await createUser(db, {
+    email: google.email,
+    display_name: google.name.substring(0, 50),
+    profile_image: google.picture,
+    auth_provider: 'google',
+    google_id: google.sub,
+    email_verified: true
+  })
+
+  return { success: true, user, created: true }
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * ログイン後に戻るパス（同じオリジンのパスのみ許可する）
+ */
+export const toRedirectPath = (value: string | undefined): string =>
+  value && /^\/(?![/\\])/.test(value) ? value : '/'
+
+/**
+ * 認可画面からのリダイレクト先（Google Cloud Console の「承認済みのリダイレクトURI」に登録する）
+ */
+function getGoogleRedirectUri(c: Context): string {
+  return `${new URL(c.req.url).origin}/api/auth/google/callback`
+}
+
+function toBase64Url(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
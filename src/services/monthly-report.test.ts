@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { listMonthlyReportRecords, buildMonthlyReportSource } from './monthly-report'
+import { createRecordCipher } from './record-encryption'
+import { createTestDatabase, type TestDatabase } from '../test-helpers/d1'
+
+describe('listMonthlyReportRecords', () => {
+  let testDb: TestDatabase
+
+  beforeAll(async () => {
+    testDb = await createTestDatabase()
+    const { db } = testDb
+
+    await db.prepare("INSERT INTO users (id, email, display_name) VALUES (1, 'nurse@example.com', '看護師A')").run()
+    await db.prepare("INSERT INTO patient_profiles (id, user_id, code) VALUES (1, 1, 'A-001')").run()
+
+    // created_at はUTCで保存する（日本時間 = UTC + 9時間）
+    const records: Array<[string, string, string]> = [
+      ['2025-09-30T14:59:59.000Z', '9月30日23:59（対象外）', '記録'],
+      ['2025-09-30T15:00:00.000Z', '10月1日0:00', '記録'],
+      ['2025-09-30T23:30:00.000Z', '10月1日8:30', '記録'],
+      ['2025-10-31T14:59:59.000Z', '10月31日23:59', '記録'],
+      ['2025-10-31T15:00:00.000Z', '11月1日0:00（対象外）', '記録'],
+      ['2025-10-15T01:00:00.000Z', '報告書（対象外）', '報告書']
+    ]
+    for (const [createdAt, outputText, docType] of records) {
+      await db.prepare(`
+        INSERT INTO nursing_records (session_id, input_text, output_text, options_style, options_doc_type, options_format, created_at, user_id, patient_id)
+        VALUES ('s', 'メモ', ?, 'だ・である体', ?, '文章形式', ?, 1, 1)
+      `).bind(outputText, docType, createdAt).run()
+    }
+  })
+
+  afterAll(async () => {
+    await testDb.dispose()
+  })
+
+  it('日本時間の月初0時から月末24時までの記録を取得する', async () => {
+    const cipher = await createRecordCipher(testDb.db)
+
+    const records = await listMonthlyReportRecords(testDb.db, cipher, 1, 1, '2025-10-01', '2025-10-31')
+
+    expect(records.map(record => record.outputText)).toEqual(['10月1日0:00', '10月1日8:30', '10月31日23:59'])
+  })
+
+  it('組織で共有している利用者は同じ組織のメンバーの記録をまとめ、他の組織のユーザーの記録は含めない', async () => {
+    const { db } = testDb
+    await db.batch([
+      db.prepare(`
+        INSERT INTO users (id, email, display_name)
+        VALUES (2, 'nurse-b@example.com', '看護師B'), (3, 'nurse-c@example.com', '看護師C')
+      `),
+      db.prepare("INSERT INTO organizations (id, name) VALUES (1, '訪問看護ステーション'), (2, '別のステーション')"),
+      db.prepare("INSERT INTO organization_members (organization_id, user_id, role) VALUES (1, 1, 'admin'), (1, 2, 'member'), (2, 3, 'admin')"),
+      db.prepare("INSERT INTO patient_profiles (id, organization_id, code) VALUES (2, 1, 'B-001')")
+    ])
+    const records: Array<[number, string, string]> = [
+      [1, '2025-10-02T01:00:00.000Z', '看護師Aの訪問'],
+      [2, '2025-10-03T01:00:00.000Z', '看護師Bの訪問'],
+      [3, '2025-10-04T01:00:00.000Z', '他の組織の記録（対象外）']
+    ]
+    for (const [userId, createdAt, outputText] of records) {
+      await db.prepare(`
+        INSERT INTO nursing_records (session_id, input_text, output_text, options_style, options_doc_type, options_format, created_at, user_id, patient_id)
+        VALUES ('s', 'メモ', ?, 'だ・である体', '記録', '文章形式', ?, ?, 2)
+      `).bind(outputText, createdAt, userId).run()
+    }
+    const cipher = await createRecordCipher(db)
+
+    const viewed = await listMonthlyReportRecords(db, cipher, 1, 2, '2025-10-01', '2025-10-31')
+
+    expect(viewed.map(record => record.outputText)).toEqual(['看護師Aの訪問', '看護師Bの訪問'])
+  })
+
+  it('訪問日の見出しは日本時間の日付にする', async () => {
+    const source = buildMonthlyReportSource([
+      { id: 1, outputText: '早朝の訪問', createdAt: '2025-09-30T23:30:00.000Z' },
+      { id: 2, outputText: '深夜の訪問', createdAt: '2025-10-31T14:59:59.000Z' }
+    ])
+
+    expect(source).toBe('[2025-10-01]\n早朝の訪問\n\n[2025-10-31]\n深夜の訪問')
+  })
+})
@@ -0,0 +1,178 @@
+/**
+ * タップカルテ - 月次の訪問看護報告書
+ *
+ * 利用者ごとの1か月分の訪問記録（nursing_records）を集計し、主治医・ケアマネジャーへ提出する
+ * 訪問看護報告書を { 病状の経過, 看護・リハビリテーションの内容, 家庭での介護の状況, 特記すべき事項・課題 } の
+ * JSONとして生成・検証する
+ */
+
+import type { MonthlyReportSections } from '../types'
+import type { AIJsonSchema } from './ai-provider'
+import { MONTHLY_REPORT_CONFIG } from '../config'
+import { applySectionsCharLimit } from './soap'
+import { decryptRecordRows, type RecordCipher } from './record-encryption'
+import { getDayStartTimestamp, getUsageDate } from './usage'
+
+// ========================================
+// 📋 スキーマ定義
+// ========================================
+
+/** 報告書の各セクションキー（出力順） */
+export const MONTHLY_REPORT_SECTION_KEYS = ['conditionChanges', 'careProvided', 'familySituation', 'issues'] as const
+
+/** 報告書の各セクション名（訪問看護報告書の記載欄） */
+export const MONTHLY_REPORT_SECTION_LABELS: Record<keyof MonthlyReportSections, string> = {
+  conditionChanges: '病状の経過',
+  careProvided: '看護・リハビリテーションの内容',
+  familySituation: '家庭での介護の状況',
+  issues: '特記すべき事項・課題'
+}
+
+/** AIに渡す出力スキーマ */
+export const MONTHLY_REPORT_JSON_SCHEMA: AIJsonSchema = {
+  type: 'object',
+  properties: {
+    conditionChanges: { type: 'string', description: '病状の経過: バイタルサイン・症状・ADLの期間中の変化' },
+    careProvided: { type: 'string', description: '看護・リハビリテーションの内容: 期間中に実施したケア・処置・指導' },
+    familySituation: { type: 'string', description: '家庭での介護の状況: 家族の介護状況・反応・負担' },
+    issues: { type: 'string', description: '特記すべき事項・課題: 主治医・ケアマネジャーへの報告・相談事項と今後の課題' }
+  },
+  required: [...MONTHLY_REPORT_SECTION_KEYS]
+}
+
+/** 報告書の元になる訪問記録 */
+export interface MonthlyReportSourceRecord {
+  id: number
+  outputText: string
+  createdAt: string
+}
+
+// ========================================
+// 🗄️ データベース操作
+// ========================================
+
+/**
+ * 期間内の利用者の訪問記録を古い順に取得
+ * 組織で共有している利用者は、閲覧するユーザーと同じ組織のメンバー全員の記録を対象にする（個人の利用者は本人の記録のみ）。
+ * 期間（from・to）は日本時間の日付で、UTCで記録した created_at は日本時間の0時で区切る。
+ * 報告書（docType: 報告書）は集計済みの内容のため含めない。上限を超えたか判定できるよう1件多く取得する
+ */
+export const listMonthlyReportRecords = async (
+  db: D1Database,
+  cipher: RecordCipher,
+  viewerId: number,
+  patientId: number,
+  from: string,
+  to: string
+): Promise<MonthlyReportSourceRecord[]> => {
+  const result = await db.prepare(`
+    SELECT r.id, r.output_text, r.encryption_key_id, r.created_at
+    FROM nursing_records r
+    JOIN patient_profiles p ON p.id = r.patient_id
+    WHERE r.patient_id = ?2 AND r.options_doc_type = '記録' AND r.anonymized_at IS NULL
+      AND r.created_at >= ?3 AND r.created_at < ?4
+      AND (
+        r.user_id = ?1
+        OR (
+          p.organization_id = (SELECT organization_id FROM organization_members WHERE user_id = ?1)
+          AND r.user_id IN (SELECT user_id FROM organization_members WHERE organization_id = p.organization_id)
+        )
+      )
+    ORDER BY r.created_at ASC, r.id ASC
+    LIMIT ?5
+  `).bind(viewerId, patientId, getDayStartTimestamp(from), getDayStartTimestamp(to, 1), MONTHLY_REPORT_CONFIG.maxRecords + 1).all()
+
+  const rows = await decryptRecordRows(cipher, result.results || [])
+  return rows.map(row => ({
+    id: row.id as number,
+    outputText: row.output_text as string,
+    createdAt: row.created_at as string
+  }))
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 訪問記録をプロンプト用の時系列テキストに変換（日本時間の訪問日ごとに見出しを付ける）
+ */
+export const buildMonthlyReportSource = (records: MonthlyReportSourceRecord[]): string => records
+  .map(record => `[${getUsageDate(new Date(record.createdAt))}]\n${record.outputText.trim()}`)
+  .join('\n\n')
+
+/**
+ * プロンプトに追加する報告書の出力指示
+ */
+export const buildMonthlyReportOutputInstruction = (): string => `
+【出力形式】
+次のキーを持つJSONオブジェクトのみを出力してください。説明文やコードブロックは付けないでください。
+${MONTHLY_REPORT_SECTION_KEYS.map(key => `・"${key}": ${MONTHLY_REPORT_JSON_SCHEMA.properties[key].description}`).join('\n')}
+訪問記録に該当する情報がないセクションは空文字列にしてください。
+`
+
+/**
+ * AI出力をスキーマに沿って検証し、報告書のセクションに変換
+ */
+export const parseMonthlyReportResponse = (rawText: string): {
+  success: boolean
+  data?: MonthlyReportSections
+  error?: string
+} => {
+  // コードブロックで囲まれている場合は中身を取り出す
+  const jsonText = rawText
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '')
+
+  let parsed: unknown
+  try {
+    parsed = JSON.parse(jsonText)
+  } catch (error) {
+    return { success: false, error: '報告書の出力がJSONとして解析できません' }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { success: false, error: '報告書の出力がオブジェクトではありません' }
+  }
+
+  const record = parsed as Record<string, unknown>
+  const sections = {} as MonthlyReportSections
+
+  for (const key of MONTHLY_REPORT_SECTION_KEYS) {
+    const value = record[key]
+    if (typeof value !== 'string') {
+      return { success: false, error: `報告書の出力の${key}が文字列ではありません` }
+    }
+    sections[key] = cleanupReportSection(value, MONTHLY_REPORT_SECTION_LABELS[key])
+  }
+
+  if (MONTHLY_REPORT_SECTION_KEYS.every(key => sections[key] === '')) {
+    return { success: false, error: '報告書の出力が空です' }
+  }
+
+  return { success: true, data: sections }
+}
+
+/**
+ * セクション本文の整形（本文に重複したセクション名の見出しを除去）
+ */
+const cleanupReportSection = (text: string, label: string): string => text
+  .replace(/^\*+\s*/gm, '') // 行頭のアスタリスク削除
+  .replace(new RegExp(`^[【■]?${label}[】]?\\s*[:：]?\\s*`), '') // 重複した見出しを削除
+  .replace(/[ \t　]+/g, ' ') // 連続スペースを単一スペースに（改行は保持）
+  .replace(/\n\s*\n/g, '\n') // 空行の除去
+  .trim()
+
+/**
+ * 文字数制限を報告書全体に適用（各セクションの長さに比例して配分）
+ */
+export const applyMonthlyReportCharLimit = (sections: MonthlyReportSections, charLimit?: number): MonthlyReportSections =>
+  applySectionsCharLimit(sections, MONTHLY_REPORT_SECTION_KEYS, charLimit)
+
+/**
+ * 報告書のセクションを履歴保存・一括コピー用のテキストに変換
+ */
+export const formatMonthlyReportText = (sections: MonthlyReportSections): string => MONTHLY_REPORT_SECTION_KEYS
+  .map(key => `【${MONTHLY_REPORT_SECTION_LABELS[key]}】\n${sections[key] || '特記事項なし'}`)
+  .join('\n\n')
@@ -0,0 +1,492 @@
+/**
+ * タップカルテ - 組織（事業所）
+ *
+ * 組織の作成・メンバーの権限管理・招待の発行と承諾。
+ * 1ユーザーは1組織にのみ所属し、組織には少なくとも1人の管理者（admin）を残す
+ */
+
+import type {
+  Organization,
+  OrganizationInvitation,
+  OrganizationMember,
+  OrganizationMembership,
+  OrganizationRole
+} from '../types'
+import { ORGANIZATION_CONFIG, QUOTA_CONFIG } from '../config'
+import { isValidEmail, type User } from '../auth'
+
+/** 組織の設定内容 */
+export interface OrganizationInput {
+  name: string
+  /** 組織全体の1日のAI変換回数の上限（null は上限なし） */
+  dailyLimit: number | null
+}
+
+/** 招待の発行内容 */
+export interface InvitationInput {
+  email: string
+  role: OrganizationRole
+}
+
+/** 権限の強さ（数値が大きいほど強い） */
+const ROLE_LEVELS: Record<OrganizationRole, number> = {
+  member: 1,
+  admin: 2
+}
+
+/**
+ * 管理者が1人以上残る場合のみ対象メンバーを変更する条件
+ * 対象が管理者でない、または対象以外にも管理者がいる
+ */
+const KEEPS_ADMIN_CONDITION = `(
+  role != 'admin'
+  OR EXISTS (
+    SELECT 1 FROM organization_members other
+    WHERE other.organization_id = organization_members.organization_id
+      AND other.role = 'admin'
+      AND other.user_id != organization_members.user_id
+  )
+)`
+
+// ========================================
+// 👥 所属・権限
+// ========================================
+
+/**
+ * ユーザーの組織への所属を取得（未所属の場合は null）
+ */
+export const getOrganizationMembership = async (
+  db: D1Database,
+  userId: number
+): Promise<OrganizationMembership | null> => {
+  const row = await db.prepare(`
+    SELECT m.organization_id, m.role, o.name
+    FROM organization_members m
+    JOIN organizations o ON o.id = m.organization_id
+    WHERE m.user_id = ?
+  `).bind(userId).first<{ organization_id: number; role: string; name: string }>()
+
+  return row
+    ? { organizationId: row.organization_id, organizationName: row.name, role: toOrganizationRole(row.role) }
+    : null
+}
+
+/**
+ * 所属が指定の権限以上を持つか（admin は member の操作もできる）
+ */
+export const hasOrganizationRole = (membership: OrganizationMembership, role: OrganizationRole): boolean => {
+  return ROLE_LEVELS[membership.role] >= ROLE_LEVELS[role]
+}
+
+// ========================================
+// 🏢 組織
+// ========================================
+
+/**
+ * 組織を作成し、作成者を管理者として所属させる
+ * 作成者が既に別の組織に所属している場合は null
+ */
+export const createOrganization = async (
+  db: D1Database,
+  userId: number,
+  name: string
+): Promise<Organization | null> => {
+  try {
+    // 同一トランザクションで実行し、所属の追加に失敗した場合は組織も作成しない
+    const [created] = await db.batch<{ id: number }>([
+      db.prepare('INSERT INTO organizations (name) VALUES (?) RETURNING id').bind(name),
+      db.prepare(`
+        INSERT INTO organization_members (organization_id, user_id, role)
+        VALUES (last_insert_rowid(), ?, 'admin')
+      `).bind(userId)
+    ])
+
+    return findOrganization(db, created.results[0].id)
+  } catch (error) {
+    if (isUniqueConstraintError(error)) {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * 組織をIDで取得
+ */
+export const findOrganization = async (db: D1Database, id: number): Promise<Organization | null> => {
+  const row = await db.prepare('SELECT * FROM organizations WHERE id = ?').bind(id).first()
+  return row ? toOrganization(row) : null
+}
+
+/**
+ * 組織の設定を更新
+ */
+export const updateOrganization = async (
+  db: D1Database,
+  id: number,
+  input: OrganizationInput
+): Promise<Organization | null> => {
+  const row = await db.prepare(`
+    UPDATE organizations
+    SET name = ?, daily_limit = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+    RETURNING *
+  `).bind(input.name, input.dailyLimit, id).first()
+
+  return row ? toOrganization(row) : null
+}
+
+/**
+ * 組織を削除（メンバー・招待・共有辞書も削除され、共有テンプレートは作成者のみのものに戻る）
+ */
+export const deleteOrganization = async (db: D1Database, id: number): Promise<boolean> => {
+  const result = await db.prepare('DELETE FROM organizations WHERE id = ?').bind(id).run()
+  return result.meta.changes > 0
+}
+
+// ========================================
+// 🧑‍⚕️ メンバー
+// ========================================
+
+const SELECT_MEMBERS = `
+  SELECT m.user_id, m.role, m.created_at, u.email, u.display_name
+  FROM organization_members m
+  JOIN users u ON u.id = m.user_id
+`
+
+/**
+ * 組織のメンバー一覧を取得（管理者が先頭）
+ */
+export const listOrganizationMembers = async (db: D1Database, organizationId: number): Promise<OrganizationMember[]> => {
+  const result = await db.prepare(`
+    ${SELECT_MEMBERS}
+    WHERE m.organization_id = ?
+    ORDER BY m.role = 'admin' DESC, m.created_at ASC
+  `).bind(organizationId).all()
+
+  return (result.results || []).map(toOrganizationMember)
+}
+
+/**
+ * 組織のメンバーを取得
+ */
+export const findOrganizationMember = async (
+  db: D1Database,
+  organizationId: number,
+  userId: number
+): Promise<OrganizationMember | null> => {
+  const row = await db.prepare(`
+    ${SELECT_MEMBERS}
+    WHERE m.organization_id = ? AND m.user_id = ?
+  `).bind(organizationId, userId).first()
+
+  return row ? toOrganizationMember(row) : null
+}
+
+/**
+ * メンバーの権限を変更
+ * 最後の管理者を一般メンバーにする変更は行わず false を返す
+ */
+export const updateOrganizationMemberRole = async (
+  db: D1Database,
+  organizationId: number,
+  userId: number,
+  role: OrganizationRole
+): Promise<boolean> => {
+  const result = await db.prepare(`
+    UPDATE organization_members
+    SET role = ?
+    WHERE organization_id = ? AND user_id = ?
+      AND (? = 'admin' OR ${KEEPS_ADMIN_CONDITION})
+  `).bind(role, organizationId, userId, role).run()
+
+  return result.meta.changes > 0
+}
+
+/**
+ * メンバーを組織から外す（本人の脱退を含む）
+ * 最後の管理者は外さず false を返す
+ */
+export const removeOrganizationMember = async (
+  db: D1Database,
+  organizationId: number,
+  userId: number
+): Promise<boolean> => {
+  const result = await db.prepare(`
+    DELETE FROM organization_members
+    WHERE organization_id = ? AND user_id = ? AND ${KEEPS_ADMIN_CONDITION}
+  `).bind(organizationId, userId).run()
+
+  return result.meta.changes > 0
+}
+
+// ========================================
+// ✉️ 招待
+// ========================================
+
+const SELECT_INVITATIONS = `
+  SELECT i.*, u.display_name AS invited_by_name
+  FROM organization_invitations i
+  LEFT JOIN users u ON u.id = i.invited_by
+`
+
+/**
+ * 未承諾・有効期限内の招待一覧を取得
+ */
+export const listPendingInvitations = async (
+  db: D1Database,
+  organizationId: number
+): Promise<OrganizationInvitation[]> => {
+  const result = await db.prepare(`
+    ${SELECT_INVITATIONS}
+    WHERE i.organization_id = ? AND i.accepted_at IS NULL AND i.expires_at > ?
+    ORDER BY i.created_at DESC
+  `).bind(organizationId, new Date().toISOString()).all()
+
+  return (result.results || []).map(toOrganizationInvitation)
+}
+
+/**
+ * 組織の人数（メンバー＋未承諾の招待）を取得
+ */
+export const countOrganizationSeats = async (
+  db: D1Database,
+  organizationId: number
+): Promise<{ members: number; pendingInvitations: number }> => {
+  const row = await db.prepare(`
+    SELECT
+      (SELECT COUNT(*) FROM organization_members WHERE organization_id = ?) AS members,
+      (SELECT COUNT(*) FROM organization_invitations
+        WHERE organization_id = ? AND accepted_at IS NULL AND expires_at > ?) AS pending_invitations
+  `).bind(organizationId, organizationId, new Date().toISOString())
+    .first<{ members: number; pending_invitations: number }>()
+
+  return {
+    members: row?.members || 0,
+    pendingInvitations: row?.pending_invitations || 0
+  }
+}
+
+/**
+ * 招待を発行
+ * 同じメールアドレスへの未承諾の招待は取り消して新しい招待に置き換える。
+ * 招待コードは発行時のレスポンスでのみ返す
+ */
+export const createInvitation = async (
+  db: D1Database,
+  organizationId: number,
+  invitedBy: number,
+  input: InvitationInput
+): Promise<{ invitation: OrganizationInvitation; token: string }> => {
+  const token = generateInvitationToken()
+  const expiresAt = new Date(Date.now() + ORGANIZATION_CONFIG.invitationExpiryDays * 24 * 60 * 60 * 1000).toISOString()
+
+  const [, inserted] = await db.batch<{ id: number }>([
+    db.prepare(`
+      DELETE FROM organization_invitations
+      WHERE organization_id = ? AND email = ? AND accepted_at IS NULL
+    `).bind(organizationId, input.email),
+    db.prepare(`
+      INSERT INTO organization_invitations (organization_id, email, role, token, invited_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `).bind(organizationId, input.email, input.role, token, invitedBy, expiresAt)
+  ])
+
+  const row = await db.prepare(`${SELECT_INVITATIONS} WHERE i.id = ?`)
+    .bind(inserted.results[0].id)
+    .first()
+
+  return { invitation: toOrganizationInvitation(row!), token }
+}
+
+/**
+ * 未承諾の招待を取り消す
+ */
+export const revokeInvitation = async (db: D1Database, organizationId: number, id: number): Promise<boolean> => {
+  const result = await db.prepare(`
+    DELETE FROM organization_invitations
+    WHERE id = ? AND organization_id = ? AND accepted_at IS NULL
+  `).bind(id, organizationId).run()
+
+  return result.meta.changes > 0
+}
+
+/**
+ * 招待を承諾して組織に所属する
+ * 招待先のメールアドレスでログインしているユーザーのみ承諾できる
+ */
+export const acceptInvitation = async (
+  db: D1Database,
+  token: string,
+  user: User
+): Promise<{ success: boolean; membership?: OrganizationMembership; error?: string; status?: 403 | 404 | 409 }> => {
+  const invitation = await db.prepare(`
+    SELECT * FROM organization_invitations
+    WHERE token = ? AND accepted_at IS NULL AND expires_at > ?
+  `).bind(token, new Date().toISOString()).first<{
+    id: number
+    organization_id: number
+    email: string
+    role: string
+  }>()
+
+  if (!invitation) {
+    return { success: false, error: '招待が見つからないか、有効期限が切れています', status: 404 }
+  }
+
+  if (invitation.email !== user.email.toLowerCase()) {
+    return { success: false, error: 'この招待は別のメールアドレス宛てです', status: 403 }
+  }
+
+  const { members } = await countOrganizationSeats(db, invitation.organization_id)
+  if (members >= ORGANIZATION_CONFIG.maxMembers) {
+    return { success: false, error: `組織に所属できるのは${ORGANIZATION_CONFIG.maxMembers}人までです`, status: 409 }
+  }
+
+  try {
+    // 所属の追加と招待の承諾を同一トランザクションで実行（既に所属している場合は一意制約で失敗する）
+    await db.batch([
+      db.prepare(`
+        INSERT INTO organization_members (organization_id, user_id, role)
+        VALUES (?, ?, ?)
+      `).bind(invitation.organization_id, user.id, toOrganizationRole(invitation.role)),
+      db.prepare(`
+        UPDATE organization_invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(invitation.id)
+    ])
+  } catch (error) {
+    if (isUniqueConstraintError(error)) {
+      return { success: false, error: '既に組織に所属しています。別の組織に参加するには現在の組織から脱退してください', status: 409 }
+    }
+    throw error
+  }
+
+  return {
+    success: true,
+    membership: (await getOrganizationMembership(db, user.id))!
+  }
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * リクエストボディから組織の設定内容を抽出・検証
+ * 省略された項目は current の値を引き継ぐ
+ */
+export const extractOrganizationInput = (body: any, current?: OrganizationInput): {
+  success: boolean
+  data?: OrganizationInput
+  error?: string
+} => {
+  const name = typeof body?.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : current?.name ?? ''
+  if (!name || name.length > ORGANIZATION_CONFIG.maxNameLength) {
+    return { success: false, error: `組織名は1〜${ORGANIZATION_CONFIG.maxNameLength}文字で入力してください` }
+  }
+
+  const dailyLimit = body?.dailyLimit === undefined ? current?.dailyLimit ?? null : body.dailyLimit
+  if (
+    dailyLimit !== null &&
+    (!Number.isInteger(dailyLimit) || dailyLimit < 1 || dailyLimit > QUOTA_CONFIG.maxOrganizationDailyLimit)
+  ) {
+    return {
+      success: false,
+      error: `組織全体の1日の上限は1〜${QUOTA_CONFIG.maxOrganizationDailyLimit}回、または null（上限なし）で指定してください`
+    }
+  }
+
+  return { success: true, data: { name, dailyLimit } }
+}
+
+/**
+ * リクエストボディから招待の内容を抽出・検証
+ */
+export const extractInvitationInput = (body: any): {
+  success: boolean
+  data?: InvitationInput
+  error?: string
+} => {
+  const email = typeof body?.email === 'string' ? body.email.trim().toLowerCase() : ''
+  if (!email || !isValidEmail(email)) {
+    return { success: false, error: '有効なメールアドレスを入力してください' }
+  }
+
+  const role = body?.role ?? 'member'
+  if (!isOrganizationRole(role)) {
+    return { success: false, error: '権限は admin または member を指定してください' }
+  }
+
+  return { success: true, data: { email, role } }
+}
+
+/**
+ * 権限の値か判定
+ */
+export const isOrganizationRole = (value: unknown): value is OrganizationRole => {
+  return typeof value === 'string' && value in ROLE_LEVELS
+}
+
+/**
+ * 推測されにくい招待コード（256bit）を生成
+ */
+function generateInvitationToken(): string {
+  const bytes = new Uint8Array(32)
+  crypto.getRandomValues(bytes)
+  return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * D1の一意制約違反か判定
+ */
+function isUniqueConstraintError(error: unknown): boolean {
+  return (error as Error)?.message?.includes('UNIQUE constraint failed') ?? false
+}
+
+/**
+ * 不明な値は一般メンバーとみなす
+ */
+function toOrganizationRole(value: string): OrganizationRole {
+  return value === 'admin' ? 'admin' : 'member'
+}
+
+/**
+ * DB行をAPIレスポンス用の組織データに変換
+ */
+function toOrganization(row: Record<string, any>): Organization {
+  return {
+    id: row.id,
+    name: row.name,
+    dailyLimit: row.daily_limit ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
+
+/**
+ * DB行をAPIレスポンス用のメンバーデータに変換
+ */
+function toOrganizationMember(row: Record<string, any>): OrganizationMember {
+  return {
+    userId: row.user_id,
+    email: row.email,
+    displayName: row.display_name,
+    role: toOrganizationRole(row.role),
+    joinedAt: row.created_at
+  }
+}
+
+/**
+ * DB行をAPIレスポンス用の招待データに変換（招待コードは含めない）
+ */
+function toOrganizationInvitation(row: Record<string, any>): OrganizationInvitation {
+  return {
+    id: row.id,
+    email: row.email,
+    role: toOrganizationRole(row.role),
+    invitedByName: row.invited_by_name ?? null,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  }
+}
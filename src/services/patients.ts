@@ -0,0 +1,339 @@
+/**
+ * タップカルテ - 利用者プロフィール
+ *
+ * 仮名化した利用者の情報（利用者コード・要介護度・診断名・平常時のバイタル・ケアの目標）の管理と、
+ * 変換プロンプト用の背景情報の構築。
+ * 組織に所属しているユーザーの登録は組織で共有し、未所属の場合は作成者のみが利用する
+ */
+
+import type { CareLevel, PatientProfile, PatientProfileContent } from '../types'
+import { PATIENT_CONFIG } from '../config'
+import { toItemList, parseItemList } from './templates'
+
+/** 登録先（組織、または未所属ユーザー個人） */
+export type PatientScope = { organizationId: number; userId?: undefined } | { userId: number; organizationId?: undefined }
+
+// ========================================
+// 🗄️ データベース操作
+// ========================================
+
+/**
+ * 閲覧・編集できる利用者の条件（?1 は閲覧中のユーザーID）
+ * 自分が登録した個人の利用者、または所属組織の利用者
+ */
+const ACCESSIBLE_CONDITION = `(
+  p.user_id = ?1
+  OR p.organization_id = (SELECT organization_id FROM organization_members WHERE user_id = ?1)
+)`
+
+/**
+ * 利用者の取得（viewer_can_delete: 個人の利用者、自分が登録した組織の利用者、または組織の管理者）
+ */
+const SELECT_PATIENTS = `
+  SELECT p.*,
+    (
+      p.user_id = ?1
+      OR p.created_by = ?1
+      OR EXISTS (
+        SELECT 1 FROM organization_members a
+        WHERE a.user_id = ?1 AND a.organization_id = p.organization_id AND a.role = 'admin'
+      )
+    ) AS viewer_can_delete
+  FROM patient_profiles p
+`
+
+/**
+ * 閲覧できる利用者の一覧を取得（利用者コード順）
+ */
+export const listAccessiblePatients = async (db: D1Database, userId: number): Promise<PatientProfile[]> => {
+  const result = await db.prepare(`
+    ${SELECT_PATIENTS}
+    WHERE ${ACCESSIBLE_CONDITION}
+    ORDER BY p.code ASC
+  `).bind(userId).all()
+
+  return (result.results || []).map(toPatientProfile)
+}
+
+/**
+ * 閲覧できる利用者をIDで取得
+ */
+export const findAccessiblePatient = async (
+  db: D1Database,
+  userId: number,
+  id: number
+): Promise<PatientProfile | null> => {
+  const row = await db.prepare(`
+    ${SELECT_PATIENTS}
+    WHERE p.id = ?2 AND ${ACCESSIBLE_CONDITION}
+  `).bind(userId, id).first()
+
+  return row ? toPatientProfile(row) : null
+}
+
+/**
+ * 利用者の登録先を取得
+ */
+export const getPatientScope = async (db: D1Database, id: number): Promise<PatientScope | null> => {
+  const row = await db.prepare('SELECT organization_id, user_id FROM patient_profiles WHERE id = ?')
+    .bind(id)
+    .first<{ organization_id: number | null; user_id: number | null }>()
+
+  if (!row) {
+    return null
+  }
+
+  return row.organization_id !== null ? { organizationId: row.organization_id } : { userId: row.user_id! }
+}
+
+/**
+ * 登録先の利用者数を取得
+ */
+export const countPatients = async (db: D1Database, scope: PatientScope): Promise<number> => {
+  const row = await db.prepare(`SELECT COUNT(*) AS total FROM patient_profiles WHERE ${scopeCondition(scope)}`)
+    .bind(scopeId(scope))
+    .first<{ total: number }>()
+
+  return row?.total || 0
+}
+
+/**
+ * 登録先に同じ利用者コードがあるか確認（更新時は自身を除く）
+ */
+export const hasPatientCode = async (
+  db: D1Database,
+  scope: PatientScope,
+  code: string,
+  excludeId?: number
+): Promise<boolean> => {
+  const row = await db.prepare(`SELECT id FROM patient_profiles WHERE ${scopeCondition(scope)} AND code = ? AND id != ?`)
+    .bind(scopeId(scope), code, excludeId ?? 0)
+    .first()
+
+  return !!row
+}
+
+/**
+ * 利用者を登録
+ */
+export const createPatient = async (
+  db: D1Database,
+  scope: PatientScope,
+  createdBy: number,
+  input: PatientProfileContent
+): Promise<PatientProfile> => {
+  const row = await db.prepare(`
+    INSERT INTO patient_profiles (
+      organization_id, user_id, code, care_level,
+      diagnoses, usual_vitals, care_goals, notes, created_by
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING id
+  `).bind(
+    scope.organizationId ?? null,
+    scope.userId ?? null,
+    input.code,
+    input.careLevel,
+    JSON.stringify(input.diagnoses),
+    input.usualVitals,
+    JSON.stringify(input.careGoals),
+    input.notes,
+    createdBy
+  ).first<{ id: number }>()
+
+  return (await findAccessiblePatient(db, createdBy, row!.id))!
+}
+
+/**
+ * 利用者を更新（閲覧できる利用者のみ）
+ */
+export const updatePatient = async (
+  db: D1Database,
+  userId: number,
+  id: number,
+  input: PatientProfileContent
+): Promise<PatientProfile | null> => {
+  const row = await db.prepare(`
+    UPDATE patient_profiles AS p
+    SET code = ?3, care_level = ?4, diagnoses = ?5, usual_vitals = ?6,
+        care_goals = ?7, notes = ?8, updated_at = CURRENT_TIMESTAMP
+    WHERE p.id = ?2 AND ${ACCESSIBLE_CONDITION}
+    RETURNING id
+  `).bind(
+    userId,
+    id,
+    input.code,
+    input.careLevel,
+    JSON.stringify(input.diagnoses),
+    input.usualVitals,
+    JSON.stringify(input.careGoals),
+    input.notes
+  ).first<{ id: number }>()
+
+  return row ? findAccessiblePatient(db, userId, row.id) : null
+}
+
+/**
+ * 利用者を削除（紐付けられた履歴は残り、紐付けのみ解除される）
+ * 組織の利用者は登録したユーザーまたは組織の管理者のみ削除できる
+ */
+export const deletePatient = async (db: D1Database, userId: number, id: number): Promise<boolean> => {
+  const result = await db.prepare(`
+    DELETE FROM patient_profiles AS p
+    WHERE p.id = ?2 AND ${ACCESSIBLE_CONDITION}
+      AND (
+        p.user_id = ?1
+        OR p.created_by = ?1
+        OR EXISTS (
+          SELECT 1 FROM organization_members a
+          WHERE a.user_id = ?1 AND a.organization_id = p.organization_id AND a.role = 'admin'
+        )
+      )
+  `).bind(userId, id).run()
+
+  return result.meta.changes > 0
+}
+
+// ========================================
+// 📝 変換プロンプト用
+// ========================================
+
+/**
+ * 利用者プロフィールをプロンプト用の背景情報に変換
+ * 利用者コードはAIに送らない
+ */
+export const buildPatientInstruction = (patient: PatientProfileContent | null): string => {
+  if (!patient) {
+    return ''
+  }
+
+  const details = [
+    ...(patient.careLevel ? [`・要介護度: ${patient.careLevel}`] : []),
+    ...(patient.diagnoses.length > 0 ? [`・診断名・既往歴: ${patient.diagnoses.join('、')}`] : []),
+    ...(patient.usualVitals ? [`・平常時のバイタル: ${patient.usualVitals}`] : []),
+    ...(patient.careGoals.length > 0 ? [`・ケアの目標: ${patient.careGoals.join('、')}`] : []),
+    ...(patient.notes ? [`・留意事項: ${patient.notes}`] : [])
+  ]
+
+  if (details.length === 0) {
+    return ''
+  }
+
+  return `
+【利用者の背景情報（参考）】
+${details.join('\n')}
+背景情報は記録の文脈を理解するための参考とし、入力メモにない観察結果や出来事を記録に追加しない。平常時のバイタルやケアの目標と比べた変化は、入力メモの内容に基づく場合のみ記載する。
+`
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * リクエストボディから利用者の登録内容を抽出・検証
+ * 診断名・ケアの目標は文字列配列、または改行区切りの文字列を受け付ける
+ */
+export const extractPatientInput = (body: any): {
+  success: boolean
+  data?: PatientProfileContent
+  error?: string
+} => {
+  const code = typeof body?.code === 'string' ? body.code.trim().replace(/\s+/g, ' ') : ''
+  if (!code || code.length > PATIENT_CONFIG.maxCodeLength) {
+    return { success: false, error: `利用者コードは1〜${PATIENT_CONFIG.maxCodeLength}文字で入力してください` }
+  }
+
+  const careLevel = body?.careLevel === undefined || body?.careLevel === null || body?.careLevel === ''
+    ? null
+    : body.careLevel
+  if (careLevel !== null && !isCareLevel(careLevel)) {
+    return { success: false, error: '要介護度の値が正しくありません' }
+  }
+
+  const usualVitals = typeof body?.usualVitals === 'string' ? body.usualVitals.trim().replace(/\s+/g, ' ') : ''
+  if (usualVitals.length > PATIENT_CONFIG.maxVitalsLength) {
+    return { success: false, error: `平常時のバイタルは${PATIENT_CONFIG.maxVitalsLength}文字以内で入力してください` }
+  }
+
+  const notes = typeof body?.notes === 'string' ? body.notes.trim().replace(/\s+/g, ' ') : ''
+  if (notes.length > PATIENT_CONFIG.maxNotesLength) {
+    return { success: false, error: `留意事項は${PATIENT_CONFIG.maxNotesLength}文字以内で入力してください` }
+  }
+
+  const lists = {
+    diagnoses: toItemList(body?.diagnoses),
+    careGoals: toItemList(body?.careGoals)
+  }
+
+  const labels: Record<keyof typeof lists, string> = {
+    diagnoses: '診断名',
+    careGoals: 'ケアの目標'
+  }
+
+  for (const key of Object.keys(lists) as (keyof typeof lists)[]) {
+    const items = lists[key]
+    if (items === null) {
+      return { success: false, error: `${labels[key]}の形式が正しくありません` }
+    }
+    if (items.length > PATIENT_CONFIG.maxItems) {
+      return { success: false, error: `${labels[key]}は${PATIENT_CONFIG.maxItems}件まで登録できます` }
+    }
+    if (items.some(item => item.length > PATIENT_CONFIG.maxItemLength)) {
+      return { success: false, error: `${labels[key]}は1件${PATIENT_CONFIG.maxItemLength}文字以内で入力してください` }
+    }
+  }
+
+  return {
+    success: true,
+    data: {
+      code,
+      careLevel,
+      diagnoses: lists.diagnoses!,
+      usualVitals,
+      careGoals: lists.careGoals!,
+      notes
+    }
+  }
+}
+
+/**
+ * 変換リクエストの利用者指定を検証（正の整数以外は null）
+ */
+export const toPatientId = (value: unknown): number | null => {
+  const id = typeof value === 'string' && /^[1-9][0-9]*$/.test(value.trim()) ? Number(value) : value
+  return typeof id === 'number' && Number.isInteger(id) && id > 0 ? id : null
+}
+
+/**
+ * 要介護度の値か判定
+ */
+function isCareLevel(value: unknown): value is CareLevel {
+  return typeof value === 'string' && (PATIENT_CONFIG.careLevels as readonly string[]).includes(value)
+}
+
+function scopeCondition(scope: PatientScope): string {
+  return scope.organizationId !== undefined ? 'organization_id = ?' : 'user_id = ?'
+}
+
+function scopeId(scope: PatientScope): number {
+  return scope.organizationId ?? scope.userId!
+}
+
+/**
+ * DB行をAPIレスポンス用の利用者データに変換
+ */
+function toPatientProfile(row: Record<string, any>): PatientProfile {
+  return {
+    id: row.id,
+    code: row.code,
+    careLevel: isCareLevel(row.care_level) ? row.care_level : null,
+    diagnoses: parseItemList(row.diagnoses),
+    usualVitals: row.usual_vitals,
+    careGoals: parseItemList(row.care_goals),
+    notes: row.notes,
+    shared: row.organization_id !== null,
+    deletable: !!row.viewer_can_delete,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * タップカルテ - PDF出力
+ *
+ * 書き出し文書（ExportDocument）をA4縦のPDFに変換する。
+ * フォントはPDF閲覧ソフトが標準で備える日本語フォント（平成明朝・平成角ゴシック）を参照し、
+ * Workerのサイズを抑えるため埋め込まない
+ */
+
+import type { DocumentBlock, ExportDocument } from '../types'
+
+// ========================================
+// 📐 ページ設定
+// ========================================
+
+/** A4縦（ポイント） */
+const PAGE = { width: 595.28, height: 841.89 }
+const MARGIN = { top: 56, bottom: 56, side: 48 }
+const CONTENT_WIDTH = PAGE.width - MARGIN.side * 2
+
+/** 文字サイズ（ポイント） */
+const FONT_SIZE = { title: 16, body: 10.5, label: 9.5, footer: 8 }
+const LINE_HEIGHT = 1.6
+const CELL_PADDING = 5
+
+/** 項目欄の見出しセルの幅 */
+const LABEL_WIDTH = 72
+
+/** 見出しセルの背景色（グレー） */
+const SHADE = 0.92
+
+/**
+ * 参照する日本語フォント（Adobe-Japan1）
+ * F1: 見出し用ゴシック体 / F2: 本文用明朝体
+ */
+const FONTS = {
+  F1: 'HeiseiKakuGo-W5',
+  F2: 'HeiseiMin-W3'
+} as const
+
+type FontKey = keyof typeof FONTS
+
+/** 行頭に置かない文字（禁則処理） */
+const NO_LINE_START = '、。，．,.)）」』】〕〉》・ー～ぁぃぅぇぉっゃゅょァィゥェォッャュョ!?！？'
+
+// ========================================
+// 📄 PDF生成
+// ========================================
+
+/**
+ * 書き出し文書をPDFに変換
+ */
+export const renderPdf = (document: ExportDocument): Uint8Array => {
+  const bodyFont: FontKey = document.font === 'gothic' ? 'F1' : 'F2'
+  const pages = layoutPages(document.blocks, bodyFont)
+  return new TextEncoder().encode(serializePdf(pages, document.title))
+}
+
+/**
+ * 構成要素をページごとの描画命令に配置
+ */
+function layoutPages(blocks: DocumentBlock[], bodyFont: FontKey): string[][] {
+  const pages: string[][] = [[]]
+  let y = PAGE.height - MARGIN.top
+
+  const current = () => pages[pages.length - 1]
+  const newPage = () => {
+    pages.push([])
+    y = PAGE.height - MARGIN.top
+  }
+  const remaining = () => y - MARGIN.bottom
+  const lineHeight = (size: number) => size * LINE_HEIGHT
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'pageBreak': {
+        if (current().length > 0) {
+          newPage()
+        }
+        break
+      }
+
+      case 'title': {
+        const height = lineHeight(FONT_SIZE.title) + 8
+        if (remaining() < height) newPage()
+        const width = measureText(block.text, FONT_SIZE.title)
+        current().push(drawText('F1', FONT_SIZE.title, (PAGE.width - width) / 2, y - FONT_SIZE.title, block.text))
+        y -= height
+        break
+      }
+
+      case 'fields': {
+        // 2項目ずつ横に並べた表（見出しセル・値セル・見出しセル・値セル）
+        const valueWidth = CONTENT_WIDTH / 2 - LABEL_WIDTH
+        for (let index = 0; index < block.fields.length; index += 2) {
+          const row = block.fields.slice(index, index + 2)
+          const wrapped = row.map(field => wrapText(field.value, FONT_SIZE.body, valueWidth - CELL_PADDING * 2))
+          const lines = Math.max(1, ...wrapped.map(value => value.length))
+          const height = lines * lineHeight(FONT_SIZE.body) + CELL_PADDING * 2
+          if (remaining() < height) newPage()
+
+          row.forEach((field, column) => {
+            const x = MARGIN.side + column * (CONTENT_WIDTH / 2)
+            current().push(fillRect(x, y - height, LABEL_WIDTH, height))
+            current().push(strokeRect(x, y - height, LABEL_WIDTH, height))
+            current().push(strokeRect(x + LABEL_WIDTH, y - height, valueWidth, height))
+            current().push(drawText('F1', FONT_SIZE.label, x + CELL_PADDING, baseline(y, FONT_SIZE.body), field.label))
+            wrapped[column].forEach((line, lineIndex) => {
+              current().push(drawText(
+                bodyFont,
+                FONT_SIZE.body,
+                x + LABEL_WIDTH + CELL_PADDING,
+                baseline(y, FONT_SIZE.body) - lineIndex * lineHeight(FONT_SIZE.body),
+                line
+              ))
+            })
+          })
+          y -= height
+        }
+        y -= 10
+        break
+      }
+
+      case 'section': {
+        // 見出し行＋本文の枠。ページをまたぐ場合は各ページで枠を閉じる
+        const headingHeight = lineHeight(FONT_SIZE.label) + CELL_PADDING
+        const bodyLineHeight = lineHeight(FONT_SIZE.body)
+        const lines = wrapText(block.text, FONT_SIZE.body, CONTENT_WIDTH - CELL_PADDING * 2)
+        while (lines.length < (block.minLines || 1)) lines.push('')
+
+        // 見出しと本文2行が入らない場合は改ページ
+        if (remaining() < headingHeight + Math.min(lines.length, 2) * bodyLineHeight + CELL_PADDING * 2) newPage()
+
+        current().push(fillRect(MARGIN.side, y - headingHeight, CONTENT_WIDTH, headingHeight))
+        current().push(strokeRect(MARGIN.side, y - headingHeight, CONTENT_WIDTH, headingHeight))
+        current().push(drawText('F1', FONT_SIZE.label, MARGIN.side + CELL_PADDING, y - headingHeight + CELL_PADDING + 1, block.heading))
+        y -= headingHeight
+
+        let lineIndex = 0
+        while (lineIndex < lines.length) {
+          const fit = Math.max(1, Math.floor((remaining() - CELL_PADDING * 2) / bodyLineHeight))
+          const segment = lines.slice(lineIndex, lineIndex + fit)
+          const height = segment.length * bodyLineHeight + CELL_PADDING * 2
+
+          current().push(strokeRect(MARGIN.side, y - height, CONTENT_WIDTH, height))
+          segment.forEach((line, index) => {
+            current().push(drawText(
+              bodyFont,
+              FONT_SIZE.body,
+              MARGIN.side + CELL_PADDING,
+              baseline(y, FONT_SIZE.body) - index * bodyLineHeight,
+              line
+            ))
+          })
+
+          y -= height
+          lineIndex += segment.length
+          if (lineIndex < lines.length) newPage()
+        }
+        y -= 8
+        break
+      }
+
+      case 'paragraph': {
+        const bodyLineHeight = lineHeight(FONT_SIZE.body)
+        for (const line of wrapText(block.text, FONT_SIZE.body, CONTENT_WIDTH)) {
+          if (remaining() < bodyLineHeight) newPage()
+          current().push(drawText(bodyFont, FONT_SIZE.body, MARGIN.side, y - FONT_SIZE.body, line))
+          y -= bodyLineHeight
+        }
+        y -= bodyLineHeight / 2
+        break
+      }
+    }
+  }
+
+  // ページ番号
+  pages.forEach((page, index) => {
+    const label = `${index + 1} / ${pages.length}`
+    page.push(drawText('F1', FONT_SIZE.footer, (PAGE.width - measureText(label, FONT_SIZE.footer)) / 2, MARGIN.bottom / 2, label))
+  })
+
+  return pages
+}
+
+/**
+ * ページの描画命令をPDFファイルの文字列に変換（本文の文字列はすべて16進数で表すためASCIIのみになる）
+ */
+function serializePdf(pages: string[][], title: string): string {
+  const objects: string[] = []
+  const addObject = (body: string): number => {
+    objects.push(body)
+    return objects.length
+  }
+
+  const catalogId = addObject('')
+  const pagesId = addObject('')
+
+  const fontIds = Object.fromEntries(
+    (Object.keys(FONTS) as FontKey[]).map(key => {
+      const name = FONTS[key]
+      const descriptorId = addObject(
+        `<< /Type /FontDescriptor /FontName /${name} /Flags 6 /FontBBox [-150 -331 1150 1150] ` +
+        '/ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 700 /StemV 80 >>'
+      )
+      const cidFontId = addObject(
+        `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${name} ` +
+        '/CIDSystemInfo << /Registry (Adobe) /Ordering (Japan1) /Supplement 5 >> ' +
+        `/FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 95 500 231 632 500] >>`
+      )
+      return [key, addObject(
+        `<< /Type /Font /Subtype /Type0 /BaseFont /${name}-UniJIS-UTF16-H /Encoding /UniJIS-UTF16-H ` +
+        `/DescendantFonts [${cidFontId} 0 R] >>`
+      )]
+    })
+  )
+  const fontResources = Object.entries(fontIds).map(([key, id]) => `/${key} ${id} 0 R`).join(' ')
+
+  const pageIds = pages.map(operations => {
+    const content = operations.join('\n')
+    const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`)
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+    )
+  })
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+  const infoId = addObject(`<< /Title <FEFF${toHex(title)}> /Producer (TapKarte) /CreationDate (D:${pdfDate(new Date())}) >>`)
+
+  let output = '%PDF-1.4\n'
+  const offsets = objects.map((body, index) => {
+    const offset = output.length
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`
+    return offset
+  })
+
+  const xrefOffset = output.length
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+  return output
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 文字幅（全角1em・半角0.5em）で折り返す
+ */
+function wrapText(text: string, fontSize: number, maxWidth: number): string[] {
+  const lines: string[] = []
+
+  for (const paragraph of text.replace(/\r\n?/g, '\n').replace(/\t/g, ' ').split('\n')) {
+    let line = ''
+    let width = 0
+
+    for (const char of Array.from(paragraph)) {
+      const charWidth = measureText(char, fontSize)
+      if (line && width + charWidth > maxWidth && !NO_LINE_START.includes(char)) {
+        lines.push(line)
+        line = ''
+        width = 0
+      }
+      line += char
+      width += charWidth
+    }
+
+    lines.push(line)
+  }
+
+  return lines
+}
+
+function measureText(text: string, fontSize: number): number {
+  return Array.from(text).reduce((width, char) => {
+    const code = char.codePointAt(0)!
+    const halfWidth = code < 0x7f || (code >= 0xff61 && code <= 0xff9f)
+    return width + (halfWidth ? 0.5 : 1) * fontSize
+  }, 0)
+}
+
+/**
+ * セル上端から1行目のベースライン位置
+ */
+function baseline(top: number, fontSize: number): number {
+  return top - CELL_PADDING - fontSize * 1.1
+}
+
+function drawText(font: FontKey, size: number, x: number, y: number, text: string): string {
+  return `BT /${font} ${size} Tf ${num(x)} ${num(y)} Td <${toHex(text)}> Tj ET`
+}
+
+function fillRect(x: number, y: number, width: number, height: number): string {
+  return `${SHADE} g ${num(x)} ${num(y)} ${num(width)} ${num(height)} re f 0 g`
+}
+
+function strokeRect(x: number, y: number, width: number, height: number): string {
+  return `0.6 w ${num(x)} ${num(y)} ${num(width)} ${num(height)} re S`
+}
+
+/**
+ * UTF-16BEの16進数表記（UniJIS-UTF16-H の文字コード）
+ */
+function toHex(text: string): string {
+  let hex = ''
+  for (let index = 0; index < text.length; index++) {
+    hex += text.charCodeAt(index).toString(16).padStart(4, '0').toUpperCase()
+  }
+  return hex
+}
+
+function num(value: number): string {
+  return Number(value.toFixed(2)).toString()
+}
+
+function pdfDate(date: Date): string {
+  return date.toISOString().replace(/[-:T]/g, '').substring(0, 14) + 'Z'
+}
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest'
+import { Hono } from 'hono'
+import { consumeRateLimit, estimateSlidingWindowCount, MemoryRateLimitStore, RATE_LIMIT_POLICIES, type RateLimitPolicy, type RateLimitStore } from './rate-limiter'
+import { rateLimit } from '../middleware'
+
+const WINDOW_MS = 60 * 1000
+
+const policy: RateLimitPolicy = { name: 'api', limit: 3, windowMs: WINDOW_MS, keyBy: 'ip' }
+
+/** ウィンドウの開始時刻 */
+const windowAt = (index: number) => index * WINDOW_MS
+
+/**
+ * 同じキーで count 回リクエストし、最後の判定結果を返す
+ */
+const consumeTimes = async (store: RateLimitStore, key: string, count: number, now: number) => {
+  let result = await consumeRateLimit(store, key, policy, now)
+  for (let i = 1; i < count; i++) {
+    result = await consumeRateLimit(store, key, policy, now)
+  }
+  return result
+}
+
+describe('consumeRateLimit', () => {
+  it('上限までは許可し、超えたら再試行までの秒数を返す', async () => {
+    const store = new MemoryRateLimitStore()
+    const now = windowAt(10)
+
+    const allowed = await consumeTimes(store, 'ip:1.1.1.1', 3, now)
+    expect(allowed).toMatchObject({ allowed: true, limit: 3, remaining: 0, resetSeconds: 60 })
+
+    const denied = await consumeRateLimit(store, 'ip:1.1.1.1', policy, now)
+    expect(denied.allowed).toBe(false)
+    expect(denied.retryAfterSeconds).toBeGreaterThan(0)
+  })
+
+  it('キーごとに数える', async () => {
+    const store = new MemoryRateLimitStore()
+    const now = windowAt(10)
+
+    await consumeTimes(store, 'ip:1.1.1.1', 4, now)
+    const other = await consumeRateLimit(store, 'ip:2.2.2.2', policy, now)
+
+    expect(other).toMatchObject({ allowed: true, remaining: 2 })
+  })
+
+  it('直前のウィンドウの件数を経過時間で按分して加える', async () => {
+    const store = new MemoryRateLimitStore()
+    await consumeTimes(store, 'ip:1.1.1.1', 3, windowAt(10))
+
+    // 次のウィンドウの中間: 3 × 0.5 + 1 = 2.5 件
+    const half = await consumeRateLimit(store, 'ip:1.1.1.1', policy, windowAt(11) + WINDOW_MS / 2)
+    expect(half).toMatchObject({ allowed: true, remaining: 0 })
+
+    // 3 × 0.5 + 2 = 3.5 件
+    const denied = await consumeRateLimit(store, 'ip:1.1.1.1', policy, windowAt(11) + WINDOW_MS / 2)
+    expect(denied.allowed).toBe(false)
+  })
+
+  it.each([
+    ['現在のウィンドウで超過', 0, 4],
+    ['直前のウィンドウの件数が残っている', 3, 2],
+    ['拒否後も繰り返しリクエストした', 0, 8]
+  ])('Retry-After の秒数が経過すると再試行を許可する（%s）', async (_label, previousCount, currentCount) => {
+    const store = new MemoryRateLimitStore()
+    const now = windowAt(11) + WINDOW_MS / 2
+    if (previousCount > 0) {
+      await consumeTimes(store, 'ip:1.1.1.1', previousCount, windowAt(10))
+    }
+    const denied = await consumeTimes(store, 'ip:1.1.1.1', currentCount, now)
+    expect(denied.allowed).toBe(false)
+
+    const retryAt = now + denied.retryAfterSeconds! * 1000
+    const retried = await consumeRateLimit(store, 'ip:1.1.1.1', policy, retryAt)
+    expect(retried.allowed).toBe(true)
+  })
+
+  it('Retry-After より前の再試行は拒否する', async () => {
+    const store = new MemoryRateLimitStore()
+    const now = windowAt(10) + WINDOW_MS / 4
+    const denied = await consumeTimes(store, 'ip:1.1.1.1', 4, now)
+
+    const early = await consumeRateLimit(store, 'ip:1.1.1.1', policy, now + (denied.retryAfterSeconds! - 2) * 1000)
+    expect(early.allowed).toBe(false)
+  })
+
+  it('2つ前のウィンドウの件数は数えない', async () => {
+    const store = new MemoryRateLimitStore()
+    await consumeTimes(store, 'ip:1.1.1.1', 10, windowAt(10))
+
+    const result = await consumeRateLimit(store, 'ip:1.1.1.1', policy, windowAt(12))
+    expect(result).toMatchObject({ allowed: true, remaining: 2 })
+  })
+})
+
+describe('estimateSlidingWindowCount', () => {
+  it.each([
+    [10, 0, 0, 10],
+    [10, 0, 0.5, 5],
+    [10, 2, 0.75, 4.5],
+    [0, 3, 0.9, 3]
+  ])('直前 %i 件・現在 %i 件・経過 %f → %f 件', (previous, current, elapsed, expected) => {
+    expect(estimateSlidingWindowCount(previous, current, elapsed)).toBeCloseTo(expected)
+  })
+})
+
+describe('MemoryRateLimitStore', () => {
+  it('期限切れのカウンターのみ削除する', async () => {
+    const store = new MemoryRateLimitStore()
+    await store.increment('api:ip:1.1.1.1', windowAt(10), windowAt(12))
+    await store.increment('api:ip:1.1.1.1', windowAt(11), windowAt(13))
+
+    await store.purgeExpired(windowAt(12) + 1)
+
+    expect(await store.get('api:ip:1.1.1.1', windowAt(10))).toBe(0)
+    expect(await store.get('api:ip:1.1.1.1', windowAt(11))).toBe(1)
+  })
+})
+
+describe('rateLimit ミドルウェア', () => {
+  const createApp = (store: RateLimitStore) => {
+    const app = new Hono()
+    app.use('*', rateLimit('auth', store))
+    app.post('/login', (c) => c.json({ success: true }))
+    return app
+  }
+
+  const login = (app: Hono, ip: string) => app.request('/login', {
+    method: 'POST',
+    headers: { 'CF-Connecting-IP': ip }
+  })
+
+  it('RateLimit ヘッダーを付与し、上限を超えたら429とRetry-Afterを返す', async () => {
+    const app = createApp(new MemoryRateLimitStore())
+    const { limit } = RATE_LIMIT_POLICIES.auth
+
+    for (let i = 0; i < limit; i++) {
+      const response = await login(app, '203.0.113.1')
+      expect(response.status).toBe(200)
+      expect(response.headers.get('RateLimit-Limit')).toBe(String(limit))
+    }
+
+    const denied = await login(app, '203.0.113.1')
+    expect(denied.status).toBe(429)
+    expect(Number(denied.headers.get('Retry-After'))).toBeGreaterThan(0)
+    expect(denied.headers.get('RateLimit-Remaining')).toBe('0')
+
+    // 別のIPアドレスは制限されない
+    expect((await login(app, '203.0.113.2')).status).toBe(200)
+  })
+
+  it('カウンターの保存に失敗してもリクエストは止めない', async () => {
+    const failingStore: RateLimitStore = {
+      increment: async () => { throw new Error('D1 unavailable') },
+      get: async () => 0,
+      purgeExpired: async () => {}
+    }
+    const app = createApp(failingStore)
+
+    const response = await login(app, '203.0.113.1')
+    expect(response.status).toBe(200)
+    expect(response.headers.get('RateLimit-Limit')).toBeNull()
+  })
+})
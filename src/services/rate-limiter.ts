@@ -0,0 +1,190 @@
+/**
+ * タップカルテ - レート制限
+ *
+ * スライディングウィンドウ（直前のウィンドウの件数を経過時間で按分して加算する方式）で
+ * リクエスト数を数える。カウンターはストレージに保存し、Workerのアイソレートをまたいで共有する
+ * - D1RateLimitStore: 本番用（rate_limit_counters テーブル）
+ * - MemoryRateLimitStore: DBが使えない環境・テスト用
+ */
+
+import { SECURITY_CONFIG } from '../config'
+
+/** レート制限のポリシー名 */
+export type RateLimitPolicyName = 'api' | 'auth'
+
+/** レート制限のポリシー */
+export interface RateLimitPolicy {
+  name: RateLimitPolicyName
+  /** ウィンドウあたりの最大リクエスト数 */
+  limit: number
+  /** ウィンドウ時間（ミリ秒） */
+  windowMs: number
+  /** 数える単位（ログインユーザーごと、またはIPアドレスごと） */
+  keyBy: 'user' | 'ip'
+}
+
+/** 判定結果（RateLimit-* ヘッダーの値） */
+export interface RateLimitResult {
+  allowed: boolean
+  limit: number
+  remaining: number
+  /** 現在のウィンドウが終わるまでの秒数 */
+  resetSeconds: number
+  /** 拒否した場合、再度リクエストできるまでの秒数 */
+  retryAfterSeconds?: number
+}
+
+/** カウンターの保存先 */
+export interface RateLimitStore {
+  /** ウィンドウのカウンターを1加算し、加算後の件数を返す */
+  increment(key: string, windowStart: number, expiresAt: number): Promise<number>
+  /** ウィンドウのカウンターを取得 */
+  get(key: string, windowStart: number): Promise<number>
+  /** 期限切れのカウンターを削除 */
+  purgeExpired(now: number): Promise<void>
+}
+
+/** ルートごとのポリシー（上限は SECURITY_CONFIG.rateLimit で環境別に設定） */
+export const RATE_LIMIT_POLICIES: Record<RateLimitPolicyName, RateLimitPolicy> = {
+  /** API全体（ログインユーザーはユーザーごと、未ログインはIPごと） */
+  api: {
+    name: 'api',
+    limit: SECURITY_CONFIG.rateLimit.api,
+    windowMs: SECURITY_CONFIG.rateLimit.windowMs,
+    keyBy: 'user'
+  },
+  /** ログイン・登録（総当たり対策のため常にIPごと） */
+  auth: {
+    name: 'auth',
+    limit: SECURITY_CONFIG.rateLimit.auth,
+    windowMs: SECURITY_CONFIG.rateLimit.windowMs,
+    keyBy: 'ip'
+  }
+}
+
+// ========================================
+// ⚡ 判定
+// ========================================
+
+/**
+ * リクエストを1件数え、ポリシーの上限内かを判定
+ * 上限を超えたリクエストも数えるため、拒否され続けている間は制限が緩和されない
+ */
+export const consumeRateLimit = async (
+  store: RateLimitStore,
+  key: string,
+  policy: RateLimitPolicy,
+  now: number = Date.now()
+): Promise<RateLimitResult> => {
+  const { windowMs, limit } = policy
+  const windowStart = Math.floor(now / windowMs) * windowMs
+  const storeKey = `${policy.name}:${key}`
+
+  const [current, previous] = await Promise.all([
+    store.increment(storeKey, windowStart, windowStart + windowMs * 2),
+    store.get(storeKey, windowStart - windowMs)
+  ])
+
+  const elapsed = (now - windowStart) / windowMs
+  const estimated = estimateSlidingWindowCount(previous, current, elapsed)
+  const allowed = estimated <= limit
+
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - estimated)),
+    resetSeconds: Math.ceil((windowStart + windowMs - now) / 1000),
+    ...(!allowed && { retryAfterSeconds: estimateRetryAfterSeconds(previous, current, limit, elapsed, windowMs) })
+  }
+}
+
+/**
+ * スライディングウィンドウの推定件数
+ * 直前のウィンドウの件数のうち、現在のウィンドウと重なる割合だけを加える
+ */
+export const estimateSlidingWindowCount = (previous: number, current: number, elapsed: number): number => {
+  return previous * (1 - elapsed) + current
+}
+
+/**
+ * 再試行のリクエスト（1件）を加えても推定件数が上限以下になるまでの秒数
+ * 現在のウィンドウ内で下回らない場合は、次のウィンドウで直前分が減っていく分も考慮する
+ */
+function estimateRetryAfterSeconds(
+  previous: number,
+  current: number,
+  limit: number,
+  elapsed: number,
+  windowMs: number
+): number {
+  // 現在のウィンドウ内: previous * (1 - t) + current + 1 <= limit となる t
+  if (previous > 0 && current < limit) {
+    const t = 1 - (limit - current - 1) / previous
+    return Math.max(1, Math.ceil(((t - elapsed) * windowMs) / 1000))
+  }
+
+  // 次のウィンドウ: current * (1 - t) + 1 <= limit となる t
+  const t = current > 0 ? Math.max(0, 1 - (limit - 1) / current) : 0
+  return Math.max(1, Math.ceil(((1 - elapsed + t) * windowMs) / 1000))
+}
+
+// ========================================
+// 🗄️ カウンターの保存先
+// ========================================
+
+/**
+ * D1に保存するカウンター
+ */
+export class D1RateLimitStore implements RateLimitStore {
+  constructor(private db: D1Database) {}
+
+  async increment(key: string, windowStart: number, expiresAt: number): Promise<number> {
+    const row = await this.db.prepare(`
+      INSERT INTO rate_limit_counters (key, window_start, count, expires_at)
+      VALUES (?, ?, 1, ?)
+      ON CONFLICT (key, window_start) DO UPDATE SET count = count + 1
+      RETURNING count
+    `).bind(key, windowStart, expiresAt).first<{ count: number }>()
+
+    return row?.count || 1
+  }
+
+  async get(key: string, windowStart: number): Promise<number> {
+    const row = await this.db.prepare(`
+      SELECT count FROM rate_limit_counters WHERE key = ? AND window_start = ?
+    `).bind(key, windowStart).first<{ count: number }>()
+
+    return row?.count || 0
+  }
+
+  async purgeExpired(now: number): Promise<void> {
+    await this.db.prepare('DELETE FROM rate_limit_counters WHERE expires_at < ?').bind(now).run()
+  }
+}
+
+/**
+ * メモリ上のカウンター（アイソレート内でのみ共有される）
+ */
+export class MemoryRateLimitStore implements RateLimitStore {
+  private counters = new Map<string, { count: number; expiresAt: number }>()
+
+  async increment(key: string, windowStart: number, expiresAt: number): Promise<number> {
+    const counterKey = `${key}@${windowStart}`
+    const counter = this.counters.get(counterKey) || { count: 0, expiresAt }
+    counter.count++
+    this.counters.set(counterKey, counter)
+    return counter.count
+  }
+
+  async get(key: string, windowStart: number): Promise<number> {
+    return this.counters.get(`${key}@${windowStart}`)?.count || 0
+  }
+
+  async purgeExpired(now: number): Promise<void> {
+    for (const [counterKey, counter] of this.counters.entries()) {
+      if (counter.expiresAt < now) {
+        this.counters.delete(counterKey)
+      }
+    }
+  }
+}
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import {
+  createRecordCipher,
+  encryptRecordFields,
+  decryptRecordRow,
+  rotateDataKey,
+  runRecordEncryptionMigration,
+  type RecordCipher
+} from './record-encryption'
+import { createTestDatabase, type TestDatabase } from '../test-helpers/d1'
+import type { CloudflareBindings } from '../types'
+
+const SECRET = 'test-record-encryption-secret-0123456789'
+const NEW_SECRET = 'test-record-encryption-secret-rotated-9876'
+
+/** 組織1の管理者（ユーザー1）と未所属のユーザー2 */
+const seed = async (db: D1Database) => {
+  await db.batch([
+    db.prepare("INSERT INTO users (id, email, display_name) VALUES (1, 'a@example.com', 'A'), (2, 'b@example.com', 'B')"),
+    db.prepare("INSERT INTO organizations (id, name) VALUES (1, '訪問看護ステーション')"),
+    db.prepare("INSERT INTO organization_members (organization_id, user_id, role) VALUES (1, 1, 'admin')")
+  ])
+}
+
+/** 平文の履歴を登録してIDを返す */
+const insertRecord = async (db: D1Database, userId: number, text: string): Promise<number> => {
+  const result = await db.prepare(`
+    INSERT INTO nursing_records (session_id, input_text, output_text, options_style, options_doc_type, options_format, user_id)
+    VALUES ('session', ?, ?, 'だ・である体', '記録', '文章形式', ?)
+  `).bind(`${text}のメモ`, `${text}の記録`, userId).run()
+  return result.meta.last_row_id
+}
+
+/** 履歴を暗号化して保存 */
+const saveEncrypted = async (cipher: RecordCipher, id: number, organizationId: number | null, text: string) => {
+  const fields = await encryptRecordFields(cipher, organizationId, { table: 'nursing_records', id }, {
+    inputText: `${text}のメモ`,
+    outputText: `${text}の記録`
+  })
+  await cipher.db.prepare('UPDATE nursing_records SET input_text = ?, output_text = ?, encryption_key_id = ? WHERE id = ?')
+    .bind(fields.inputText, fields.outputText, fields.encryptionKeyId, id)
+    .run()
+}
+
+const findRecord = async (db: D1Database, id: number) => (await db.prepare(`
+  SELECT id, input_text, output_text, encryption_key_id FROM nursing_records WHERE id = ?
+`).bind(id).first())!
+
+const env = (vars: Partial<CloudflareBindings>) => vars as CloudflareBindings
+
+describe('履歴本文の暗号化', () => {
+  let testDb: TestDatabase
+  let cipher: RecordCipher
+
+  beforeEach(async () => {
+    testDb = await createTestDatabase()
+    await seed(testDb.db)
+    cipher = await createRecordCipher(testDb.db, env({ RECORD_ENCRYPTION_SECRET: SECRET }))
+  })
+
+  afterEach(async () => {
+    await testDb.dispose()
+  })
+
+  it('組織のデータ鍵で暗号化し、復号すると元の本文に戻る', async () => {
+    const id = await insertRecord(testDb.db, 1, '訪問1')
+    await saveEncrypted(cipher, id, 1, '訪問1')
+
+    const stored = await findRecord(testDb.db, id)
+    expect(stored.input_text).not.toContain('訪問1')
+    expect(stored.encryption_key_id).not.toBeNull()
+
+    // 別のリクエスト（キャッシュなし）でも復号できる
+    const otherCipher = await createRecordCipher(testDb.db, env({ RECORD_ENCRYPTION_SECRET: SECRET }))
+    expect(await decryptRecordRow(otherCipher, stored)).toMatchObject({
+      input_text: '訪問1のメモ',
+      output_text: '訪問1の記録'
+    })
+  })
+
+  it('別の履歴に付け替えた暗号文は復号できない', async () => {
+    const first = await insertRecord(testDb.db, 1, '訪問1')
+    const second = await insertRecord(testDb.db, 1, '訪問2')
+    await saveEncrypted(cipher, first, 1, '訪問1')
+    await saveEncrypted(cipher, second, 1, '訪問2')
+
+    const swapped = { ...(await findRecord(testDb.db, first)), id: second }
+
+    await expect(decryptRecordRow(cipher, swapped)).rejects.toThrow()
+  })
+
+  it('入力メモと出力の列を入れ替えた暗号文は復号できない', async () => {
+    const id = await insertRecord(testDb.db, 1, '訪問1')
+    await saveEncrypted(cipher, id, 1, '訪問1')
+    const stored = await findRecord(testDb.db, id)
+
+    await expect(decryptRecordRow(cipher, { ...stored, input_text: stored.output_text })).rejects.toThrow()
+  })
+
+  it('下書きの暗号文は作成者と下書きのIDに結びつける', async () => {
+    const fields = await encryptRecordFields(cipher, 1, { table: 'drafts', userId: 1, clientId: 'draft-a' }, {
+      inputText: '下書きのメモ',
+      outputText: ''
+    })
+    const row = { user_id: 1, client_id: 'draft-a', input_text: fields.inputText, encryption_key_id: fields.encryptionKeyId }
+
+    expect((await decryptRecordRow(cipher, row, 'drafts')).input_text).toBe('下書きのメモ')
+    await expect(decryptRecordRow(cipher, { ...row, client_id: 'draft-b' }, 'drafts')).rejects.toThrow()
+    await expect(decryptRecordRow(cipher, { ...row, user_id: 2 }, 'drafts')).rejects.toThrow()
+  })
+
+  it('行の識別に使う列がない場合は復号しない', async () => {
+    const id = await insertRecord(testDb.db, 1, '訪問1')
+    await saveEncrypted(cipher, id, 1, '訪問1')
+    const { id: _id, ...withoutId } = await findRecord(testDb.db, id)
+
+    await expect(decryptRecordRow(cipher, withoutId)).rejects.toThrow(/Row identifier/)
+  })
+
+  it('シークレット未設定の場合は平文のまま保存する', async () => {
+    const plainCipher = await createRecordCipher(testDb.db)
+
+    const fields = await encryptRecordFields(plainCipher, 1, { table: 'nursing_records', id: 1 }, {
+      inputText: 'メモ',
+      outputText: '記録'
+    })
+
+    expect(fields).toEqual({ inputText: 'メモ', outputText: '記録', encryptionKeyId: null })
+  })
+})
+
+describe('runRecordEncryptionMigration', () => {
+  let testDb: TestDatabase
+
+  beforeEach(async () => {
+    testDb = await createTestDatabase()
+    await seed(testDb.db)
+  })
+
+  afterEach(async () => {
+    await testDb.dispose()
+  })
+
+  it('平文の履歴を作成者の所属組織の鍵で暗号化する', async () => {
+    const orgRecord = await insertRecord(testDb.db, 1, '組織')
+    const personalRecord = await insertRecord(testDb.db, 2, '未所属')
+    const cipher = await createRecordCipher(testDb.db, env({ RECORD_ENCRYPTION_SECRET: SECRET }))
+
+    const dryRun = await runRecordEncryptionMigration(cipher, { dryRun: true })
+    expect(dryRun).toMatchObject({ encrypted: 2, reencrypted: 0 })
+    expect((await findRecord(testDb.db, orgRecord)).encryption_key_id).toBeNull()
+
+    const report = await runRecordEncryptionMigration(cipher, { dryRun: false })
+    expect(report).toMatchObject({ encrypted: 2, reencrypted: 0, hasMore: false })
+
+    const keys = await testDb.db.prepare('SELECT id, organization_id FROM record_encryption_keys ORDER BY id')
+      .all<{ id: number; organization_id: number | null }>()
+    const keyByOrganization = new Map(keys.results.map((key: { id: number; organization_id: number | null }) => [key.organization_id, key.id]))
+    expect((await findRecord(testDb.db, orgRecord)).encryption_key_id).toBe(keyByOrganization.get(1))
+    expect((await findRecord(testDb.db, personalRecord)).encryption_key_id).toBe(keyByOrganization.get(null))
+
+    expect((await decryptRecordRow(cipher, await findRecord(testDb.db, personalRecord))).output_text).toBe('未所属の記録')
+  })
+
+  it('データ鍵のローテーション後は新しい鍵で再暗号化する', async () => {
+    const id = await insertRecord(testDb.db, 1, '訪問1')
+    const cipher = await createRecordCipher(testDb.db, env({ RECORD_ENCRYPTION_SECRET: SECRET }))
+    await runRecordEncryptionMigration(cipher, { dryRun: false })
+    const oldKeyId = (await findRecord(testDb.db, id)).encryption_key_id
+
+    const rotated = await rotateDataKey(cipher, 1)
+    expect(rotated.retiredKeyId).toBe(oldKeyId)
+
+    const report = await runRecordEncryptionMigration(cipher, { dryRun: false })
+    expect(report).toMatchObject({ encrypted: 0, reencrypted: 1 })
+
+    const stored = await findRecord(testDb.db, id)
+    expect(stored.encryption_key_id).toBe(rotated.id)
+    expect((await decryptRecordRow(cipher, stored)).input_text).toBe('訪問1のメモ')
+  })
+
+  it('旧シークレットでラップしたデータ鍵をラップし直し、旧シークレットを外しても復号できる', async () => {
+    const id = await insertRecord(testDb.db, 1, '訪問1')
+    await runRecordEncryptionMigration(await createRecordCipher(testDb.db, env({ RECORD_ENCRYPTION_SECRET: SECRET })), {
+      dryRun: false
+    })
+
+    const rotating = await createRecordCipher(testDb.db, env({
+      RECORD_ENCRYPTION_SECRET: NEW_SECRET,
+      RECORD_ENCRYPTION_SECRET_PREVIOUS: SECRET
+    }))
+    expect((await runRecordEncryptionMigration(rotating, { dryRun: false })).rewrappedKeys).toBe(1)
+
+    const cipher = await createRecordCipher(testDb.db, env({ RECORD_ENCRYPTION_SECRET: NEW_SECRET }))
+    expect((await decryptRecordRow(cipher, await findRecord(testDb.db, id))).output_text).toBe('訪問1の記録')
+  })
+})
@@ -0,0 +1,512 @@
+/**
+ * タップカルテ - 履歴本文の暗号化
+ *
+ * 履歴（nursing_records）の input_text / output_text を組織ごとのデータ鍵（AES-GCM 256bit）で暗号化する（エンベロープ暗号化）。
+ * データ鍵はシークレット RECORD_ENCRYPTION_SECRET から HKDF で導出した組織ごとの鍵暗号化鍵（AES-KW）でラップして
+ * record_encryption_keys に保存する。組織に所属しないユーザー・未ログインの履歴は共通のデータ鍵（organization_id: NULL）を使う。
+ *
+ * - データ鍵のローテーション: 組織の管理者が新しいデータ鍵を発行し、旧鍵の履歴は定期実行で新しい鍵に再暗号化する
+ * - シークレットのローテーション: 旧シークレットを RECORD_ENCRYPTION_SECRET_PREVIOUS に移すと、定期実行でデータ鍵をラップし直す
+ * - シークレット未設定の環境（ローカル開発）では平文のまま保存し、既存の平文の履歴は定期実行で暗号化する
+ * - 暗号文は行（履歴のID・下書きの作成者とID）と列に結びつけ、別の行・列に付け替えると復号に失敗する
+ */
+
+import type { CloudflareBindings, RecordEncryptionReport, RecordEncryptionStatus } from '../types'
+import { RECORD_ENCRYPTION_CONFIG } from '../config'
+import { getCurrentTimestamp } from '../utils'
+
+/** シークレットから導出した鍵の素材 */
+interface MasterSecret {
+  /** シークレットの識別子（どのシークレットでデータ鍵をラップしたかを記録する） */
+  id: string
+  key: CryptoKey
+}
+
+/** 暗号化・復号の状態（データ鍵はリクエスト内でキャッシュする） */
+export interface RecordCipher {
+  db: D1Database
+  /** 現在のシークレット（未設定の場合は null） */
+  current: MasterSecret | null
+  /** ローテーション前のシークレット */
+  previous: MasterSecret | null
+  dataKeys: Map<number, CryptoKey>
+  activeKeyIds: Map<string, number>
+}
+
+/** 暗号化した履歴本文 */
+export interface EncryptedRecordFields {
+  inputText: string
+  outputText: string
+  /** 平文の場合は null */
+  encryptionKeyId: number | null
+}
+
+/**
+ * 暗号文を結びつける行（履歴は行のID、下書きは作成者と端末で発行したIDで識別する）
+ * 追加認証データに含めるため、履歴は行を登録してIDが決まってから暗号化する
+ */
+export type RecordRowRef =
+  | { table: 'nursing_records'; id: number }
+  | { table: 'drafts'; userId: number; clientId: string }
+
+const HKDF_SALT = 'tapkarte:record-encryption:v1'
+const IV_LENGTH = 12
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+// ========================================
+// 🔐 暗号化・復号
+// ========================================
+
+/**
+ * 環境変数のシークレットから暗号化・復号の状態を作成
+ */
+export const createRecordCipher = async (db: D1Database, env?: CloudflareBindings): Promise<RecordCipher> => ({
+  db,
+  current: env?.RECORD_ENCRYPTION_SECRET ? await importMasterSecret(env.RECORD_ENCRYPTION_SECRET) : null,
+  previous: env?.RECORD_ENCRYPTION_SECRET_PREVIOUS ? await importMasterSecret(env.RECORD_ENCRYPTION_SECRET_PREVIOUS) : null,
+  dataKeys: new Map(),
+  activeKeyIds: new Map()
+})
+
+/**
+ * 暗号化が有効か（シークレットが設定されているか）
+ */
+export const isRecordEncryptionEnabled = (cipher: RecordCipher): boolean => cipher.current !== null
+
+/**
+ * 履歴本文を組織の有効なデータ鍵で暗号化（シークレット未設定の場合は平文のまま返す）
+ */
+export const encryptRecordFields = async (
+  cipher: RecordCipher,
+  organizationId: number | null,
+  ref: RecordRowRef,
+  fields: { inputText: string; outputText: string }
+): Promise<EncryptedRecordFields> => {
+  if (!cipher.current) {
+    return { ...fields, encryptionKeyId: null }
+  }
+
+  const keyId = await getActiveKeyId(cipher, organizationId)
+  const key = await getDataKey(cipher, keyId)
+
+  return {
+    inputText: await encryptText(key, toAdditionalData(keyId, ref, 'input_text'), fields.inputText),
+    outputText: await encryptText(key, toAdditionalData(keyId, ref, 'output_text'), fields.outputText),
+    encryptionKeyId: keyId
+  }
+}
+
+/**
+ * DB行の input_text / output_text を復号した行を返す（平文の行はそのまま）
+ * 呼び出し側で閲覧権限（作成者本人、または共有している利用者の組織メンバーであること）を確認した行のみを渡す。
+ * 行の識別に使う列（履歴は id、下書きは user_id と client_id）を含めて取得する
+ */
+export const decryptRecordRow = async <T extends Record<string, any>>(
+  cipher: RecordCipher,
+  row: T,
+  table: RecordRowRef['table'] = 'nursing_records'
+): Promise<T> => {
+  const keyId = row.encryption_key_id as number | null | undefined
+  if (keyId === null || keyId === undefined) {
+    return row
+  }
+
+  const key = await getDataKey(cipher, keyId)
+  const ref = toRowRef(table, row)
+
+  return {
+    ...row,
+    input_text: row.input_text
+      ? await decryptText(key, toAdditionalData(keyId, ref, 'input_text'), row.input_text)
+      : row.input_text,
+    output_text: row.output_text
+      ? await decryptText(key, toAdditionalData(keyId, ref, 'output_text'), row.output_text)
+      : row.output_text
+  }
+}
+
+/**
+ * 複数のDB行を復号
+ */
+export const decryptRecordRows = async <T extends Record<string, any>>(
+  cipher: RecordCipher,
+  rows: T[],
+  table: RecordRowRef['table'] = 'nursing_records'
+): Promise<T[]> => {
+  const decrypted: T[] = []
+  for (const row of rows) {
+    decrypted.push(await decryptRecordRow(cipher, row, table))
+  }
+  return decrypted
+}
+
+// ========================================
+// 🔄 鍵のローテーション・移行
+// ========================================
+
+/**
+ * 組織のデータ鍵をローテーション（現在の鍵は復号専用になり、履歴は定期実行で新しい鍵に再暗号化する）
+ */
+export const rotateDataKey = async (
+  cipher: RecordCipher,
+  organizationId: number | null
+): Promise<{ id: number; createdAt: string; retiredKeyId: number | null }> => {
+  if (!cipher.current) {
+    throw new Error('RECORD_ENCRYPTION_SECRET is not configured')
+  }
+
+  const retired = await cipher.db.prepare(`
+    UPDATE record_encryption_keys SET status = 'retired', retired_at = ?
+    WHERE organization_id IS ? AND status = 'active'
+    RETURNING id
+  `).bind(getCurrentTimestamp(), organizationId).first<{ id: number }>()
+
+  cipher.activeKeyIds.delete(toScopeKey(organizationId))
+  const id = await getActiveKeyId(cipher, organizationId)
+  const row = await cipher.db.prepare('SELECT created_at FROM record_encryption_keys WHERE id = ?')
+    .bind(id)
+    .first<{ created_at: string }>()
+
+  return { id, createdAt: row?.created_at || getCurrentTimestamp(), retiredKeyId: retired?.id ?? null }
+}
+
+/**
+ * 組織の暗号化状況（件数は履歴の作成者の現在の所属組織で集計する）
+ */
+export const getRecordEncryptionStatus = async (
+  cipher: RecordCipher,
+  organizationId: number
+): Promise<RecordEncryptionStatus> => {
+  const [activeKey, counts] = await Promise.all([
+    cipher.db.prepare(`
+      SELECT id, created_at FROM record_encryption_keys
+      WHERE organization_id = ? AND status = 'active'
+    `).bind(organizationId).first<{ id: number; created_at: string }>(),
+    cipher.db.prepare(`
+      SELECT
+        SUM(CASE WHEN k.status = 'active' AND k.organization_id = ? THEN 1 ELSE 0 END) AS encrypted,
+        SUM(CASE WHEN r.encryption_key_id IS NULL THEN 1 ELSE 0 END) AS pending_encryption,
+        SUM(CASE WHEN r.encryption_key_id IS NOT NULL AND (k.status != 'active' OR k.organization_id IS NOT ?) THEN 1 ELSE 0 END)
+          AS pending_rotation
+      FROM nursing_records r
+      LEFT JOIN record_encryption_keys k ON k.id = r.encryption_key_id
+      WHERE r.user_id IN (SELECT user_id FROM organization_members WHERE organization_id = ?)
+        AND r.anonymized_at IS NULL
+    `).bind(organizationId, organizationId, organizationId).first<Record<string, number | null>>()
+  ])
+
+  return {
+    enabled: isRecordEncryptionEnabled(cipher),
+    activeKey: activeKey ? { id: activeKey.id, createdAt: activeKey.created_at } : null,
+    records: {
+      encrypted: counts?.encrypted || 0,
+      pendingEncryption: counts?.pending_encryption || 0,
+      pendingRotation: counts?.pending_rotation || 0
+    }
+  }
+}
+
+/**
+ * 暗号化の移行処理（定期実行）
+ * 1. 旧シークレットでラップされたデータ鍵を現在のシークレットでラップし直す
+ * 2. 平文の履歴・ローテーション済みの鍵（または作成者の所属組織と異なる鍵）の履歴を、作成者の所属組織の有効な鍵で暗号化する
+ */
+export const runRecordEncryptionMigration = async (
+  cipher: RecordCipher,
+  options: { dryRun: boolean }
+): Promise<RecordEncryptionReport> => {
+  if (!cipher.current) {
+    return { dryRun: options.dryRun, enabled: false, rewrappedKeys: 0, encrypted: 0, reencrypted: 0, hasMore: false }
+  }
+
+  const rewrappedKeys = await rewrapDataKeys(cipher, options.dryRun)
+  const pendingWhere = `
+    r.anonymized_at IS NULL
+    AND (r.encryption_key_id IS NULL OR k.status != 'active' OR k.organization_id IS NOT m.organization_id)
+  `
+  const pendingFrom = `
+    FROM nursing_records r
+    LEFT JOIN record_encryption_keys k ON k.id = r.encryption_key_id
+    LEFT JOIN organization_members m ON m.user_id = r.user_id
+  `
+
+  if (options.dryRun) {
+    const row = await cipher.db.prepare(`
+      SELECT
+        SUM(CASE WHEN r.encryption_key_id IS NULL THEN 1 ELSE 0 END) AS encrypted,
+        SUM(CASE WHEN r.encryption_key_id IS NOT NULL THEN 1 ELSE 0 END) AS reencrypted
+      ${pendingFrom}
+      WHERE ${pendingWhere}
+    `).first<{ encrypted: number | null; reencrypted: number | null }>()
+
+    return {
+      dryRun: true,
+      enabled: true,
+      rewrappedKeys,
+      encrypted: row?.encrypted || 0,
+      reencrypted: row?.reencrypted || 0,
+      hasMore: false
+    }
+  }
+
+  const batchSize = RECORD_ENCRYPTION_CONFIG.migrationBatchSize
+  const result = await cipher.db.prepare(`
+    SELECT r.id, r.input_text, r.output_text, r.encryption_key_id, m.organization_id
+    ${pendingFrom}
+    WHERE ${pendingWhere}
+    ORDER BY r.id
+    LIMIT ?
+  `).bind(batchSize).all()
+  const rows = result.results || []
+
+  const statements: D1PreparedStatement[] = []
+  let encrypted = 0
+  for (const row of rows) {
+    const plain = await decryptRecordRow(cipher, row)
+    const ref: RecordRowRef = { table: 'nursing_records', id: row.id as number }
+    const fields = await encryptRecordFields(cipher, (row.organization_id as number | null) ?? null, ref, {
+      inputText: (plain.input_text as string) || '',
+      outputText: (plain.output_text as string) || ''
+    })
+
+    if (row.encryption_key_id === null) {
+      encrypted++
+    }
+
+    // 処理中に更新・削除された履歴は上書きしない
+    statements.push(cipher.db.prepare(`
+      UPDATE nursing_records SET input_text = ?, output_text = ?, encryption_key_id = ?
+      WHERE id = ? AND encryption_key_id IS ? AND anonymized_at IS NULL
+    `).bind(fields.inputText, fields.outputText, fields.encryptionKeyId, row.id, row.encryption_key_id))
+  }
+
+  if (statements.length > 0) {
+    await cipher.db.batch(statements)
+  }
+
+  return {
+    dryRun: false,
+    enabled: true,
+    rewrappedKeys,
+    encrypted,
+    reencrypted: rows.length - encrypted,
+    hasMore: rows.length >= batchSize
+  }
+}
+
+/**
+ * 旧シークレットでラップされたデータ鍵をラップし直す
+ */
+async function rewrapDataKeys(cipher: RecordCipher, dryRun: boolean): Promise<number> {
+  const current = cipher.current!
+  const result = await cipher.db.prepare(`
+    SELECT id, organization_id, wrapped_key, secret_id FROM record_encryption_keys WHERE secret_id != ?
+  `).bind(current.id).all()
+  const rows = result.results || []
+
+  if (dryRun || rows.length === 0) {
+    return rows.length
+  }
+
+  const statements: D1PreparedStatement[] = []
+  for (const row of rows) {
+    const organizationId = (row.organization_id as number | null) ?? null
+    const dataKey = await unwrapDataKey(cipher, row, true)
+    const wrappedKey = await wrapDataKey(current, organizationId, dataKey)
+
+    statements.push(cipher.db.prepare(`
+      UPDATE record_encryption_keys SET wrapped_key = ?, secret_id = ? WHERE id = ? AND secret_id = ?
+    `).bind(wrappedKey, current.id, row.id, row.secret_id))
+  }
+
+  await cipher.db.batch(statements)
+  return rows.length
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * シークレットを HKDF の鍵素材として読み込む
+ */
+async function importMasterSecret(secret: string): Promise<MasterSecret> {
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), 'HKDF', false, ['deriveBits', 'deriveKey'])
+  const idBits = await crypto.subtle.deriveBits(hkdfParams('secret-id'), key, 64)
+
+  return { id: toHex(idBits), key }
+}
+
+function hkdfParams(info: string) {
+  return { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(HKDF_SALT), info: encoder.encode(info) }
+}
+
+/**
+ * 組織ごとの鍵暗号化鍵を導出
+ */
+function deriveWrappingKey(secret: MasterSecret, organizationId: number | null): Promise<CryptoKey> {
+  return crypto.subtle.deriveKey(
+    hkdfParams(`kek:${organizationId ?? 'default'}`),
+    secret.key,
+    { name: 'AES-KW', length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  )
+}
+
+async function wrapDataKey(secret: MasterSecret, organizationId: number | null, dataKey: CryptoKey): Promise<string> {
+  const wrappingKey = await deriveWrappingKey(secret, organizationId)
+  return toBase64(new Uint8Array(await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, 'AES-KW')))
+}
+
+/**
+ * ラップされたデータ鍵を復元（ラップしたシークレットを識別子で選ぶ）
+ */
+async function unwrapDataKey(cipher: RecordCipher, row: Record<string, any>, extractable: boolean): Promise<CryptoKey> {
+  const secret = [cipher.current, cipher.previous].find(candidate => candidate?.id === row.secret_id)
+  if (!secret) {
+    throw new Error(`Encryption secret for data key ${row.id} is not configured`)
+  }
+
+  const wrappingKey = await deriveWrappingKey(secret, row.organization_id ?? null)
+  return crypto.subtle.unwrapKey(
+    'raw',
+    fromBase64(row.wrapped_key),
+    wrappingKey,
+    'AES-KW',
+    { name: 'AES-GCM' },
+    extractable,
+    ['encrypt', 'decrypt']
+  )
+}
+
+/**
+ * データ鍵を取得（リクエスト内でキャッシュ）
+ */
+async function getDataKey(cipher: RecordCipher, keyId: number): Promise<CryptoKey> {
+  const cached = cipher.dataKeys.get(keyId)
+  if (cached) {
+    return cached
+  }
+
+  const row = await cipher.db.prepare(`
+    SELECT id, organization_id, wrapped_key, secret_id FROM record_encryption_keys WHERE id = ?
+  `).bind(keyId).first()
+  if (!row) {
+    throw new Error(`Data key ${keyId} not found`)
+  }
+
+  const key = await unwrapDataKey(cipher, row, false)
+  cipher.dataKeys.set(keyId, key)
+  return key
+}
+
+/**
+ * 組織の有効なデータ鍵のIDを取得（未発行の場合は発行する）
+ */
+async function getActiveKeyId(cipher: RecordCipher, organizationId: number | null): Promise<number> {
+  const scopeKey = toScopeKey(organizationId)
+  const cached = cipher.activeKeyIds.get(scopeKey)
+  if (cached !== undefined) {
+    return cached
+  }
+
+  const findActive = () => cipher.db.prepare(`
+    SELECT id FROM record_encryption_keys WHERE organization_id IS ? AND status = 'active'
+  `).bind(organizationId).first<{ id: number }>()
+
+  let row = await findActive()
+  if (!row) {
+    const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']) as CryptoKey
+    const wrappedKey = await wrapDataKey(cipher.current!, organizationId, dataKey)
+
+    // 同時に発行された場合は一意制約で後から来た方を捨て、先に登録された鍵を使う
+    await cipher.db.prepare(`
+      INSERT OR IGNORE INTO record_encryption_keys (organization_id, wrapped_key, secret_id, status, created_at)
+      VALUES (?, ?, ?, 'active', ?)
+    `).bind(organizationId, wrappedKey, cipher.current!.id, getCurrentTimestamp()).run()
+
+    row = await findActive()
+    if (!row) {
+      throw new Error('Failed to create data key')
+    }
+  }
+
+  cipher.activeKeyIds.set(scopeKey, row.id)
+  return row.id
+}
+
+/**
+ * DB行から暗号文を結びつける行を取得
+ */
+function toRowRef(table: RecordRowRef['table'], row: Record<string, any>): RecordRowRef {
+  const ref: RecordRowRef = table === 'drafts'
+    ? { table, userId: row.user_id, clientId: row.client_id }
+    : { table, id: row.id }
+
+  if (Object.values(ref).some(value => value === undefined || value === null)) {
+    throw new Error(`Row identifier of ${table} is required to decrypt`)
+  }
+  return ref
+}
+
+/**
+ * 追加認証データ（鍵ID・テーブル・行・列）
+ * 暗号文を別の行・列に付け替えると復号に失敗する
+ */
+function toAdditionalData(keyId: number, ref: RecordRowRef, column: string): Uint8Array {
+  const rowKey = ref.table === 'drafts' ? [ref.userId, ref.clientId] : [ref.id]
+  return encoder.encode(JSON.stringify([keyId, ref.table, ...rowKey, column]))
+}
+
+/**
+ * 本文を暗号化（base64(IV + 暗号文)）
+ */
+async function encryptText(key: CryptoKey, additionalData: Uint8Array, text: string): Promise<string> {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData },
+    key,
+    encoder.encode(text)
+  )
+
+  const payload = new Uint8Array(IV_LENGTH + ciphertext.byteLength)
+  payload.set(iv)
+  payload.set(new Uint8Array(ciphertext), IV_LENGTH)
+  return toBase64(payload)
+}
+
+async function decryptText(key: CryptoKey, additionalData: Uint8Array, value: string): Promise<string> {
+  const payload = fromBase64(value)
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: payload.slice(0, IV_LENGTH), additionalData },
+    key,
+    payload.slice(IV_LENGTH)
+  )
+
+  return decoder.decode(plaintext)
+}
+
+function toScopeKey(organizationId: number | null): string {
+  return organizationId === null ? 'default' : String(organizationId)
+}
+
+function toHex(buffer: ArrayBuffer): string {
+  return Array.from(new Uint8Array(buffer))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+function fromBase64(value: string): Uint8Array {
+  return Uint8Array.from(atob(value), char => char.charCodeAt(0))
+}
@@ -0,0 +1,372 @@
+/**
+ * タップカルテ - 変換履歴の書き出し
+ *
+ * 履歴（nursing_records）を訪問看護記録書・訪問看護報告書の様式に沿って PDF / Word（DOCX）/ CSV / テキストに変換する。
+ * AIへの入力時に除いた記録日時・記録者・利用者コードは、履歴・ユーザー・利用者プロフィールから補う
+ */
+
+import type { DocumentBlock, ExportDocument, ExportFormat, ExportLayout } from '../types'
+import { EXPORT_CONFIG } from '../config'
+import { toCsv } from '../utils'
+import { SOAP_SECTION_KEYS, SOAP_SECTION_LABELS } from './soap'
+import { renderPdf } from './pdf-writer'
+import { renderDocx } from './docx-writer'
+import { decryptRecordRow, decryptRecordRows, type RecordCipher } from './record-encryption'
+
+/** 書き出し対象の履歴（記録者・利用者の情報を含む） */
+export interface ExportRecord {
+  id: number
+  createdAt: string
+  docType: string
+  format: string
+  style: string
+  inputText: string
+  outputText: string
+  recorderName: string | null
+  patientCode: string | null
+  careLevel: string | null
+}
+
+/** 書き出し結果 */
+export interface ExportFile {
+  body: Uint8Array
+  contentType: string
+  extension: string
+}
+
+// ========================================
+// 🗄️ データベース操作
+// ========================================
+
+/**
+ * 履歴に記録者名・利用者コードを結合して取得（filterWhere は nursing_records の列のみで構成する）
+ */
+const selectExportRecords = (filterWhere: string): string => `
+  SELECT r.id, r.created_at, r.options_doc_type, r.options_format, r.options_style,
+    r.input_text, r.output_text, r.encryption_key_id,
+    u.display_name AS recorder_name,
+    p.code AS patient_code,
+    p.care_level AS patient_care_level
+  FROM (
+    SELECT * FROM nursing_records
+    WHERE ${filterWhere}
+    ORDER BY created_at ASC, id ASC
+    LIMIT ?
+  ) r
+  LEFT JOIN users u ON u.id = r.user_id
+  LEFT JOIN patient_profiles p ON p.id = r.patient_id
+  ORDER BY r.created_at ASC, r.id ASC
+`
+
+/**
+ * 自分の履歴を1件取得
+ */
+export const findExportRecord = async (
+  db: D1Database,
+  cipher: RecordCipher,
+  userId: number,
+  id: number
+): Promise<ExportRecord | null> => {
+  const row = await db.prepare(selectExportRecords('id = ? AND user_id = ? AND anonymized_at IS NULL'))
+    .bind(id, userId, 1)
+    .first()
+
+  return row ? toExportRecord(await decryptRecordRow(cipher, row)) : null
+}
+
+/**
+ * 検索条件に一致する履歴を古い順に取得
+ * 上限を超えたか判定できるよう EXPORT_CONFIG.maxRecords より1件多く取得する
+ */
+export const listExportRecords = async (
+  db: D1Database,
+  cipher: RecordCipher,
+  filter: { where: string; params: (string | number)[] }
+): Promise<ExportRecord[]> => {
+  const result = await db.prepare(selectExportRecords(filter.where))
+    .bind(...filter.params, EXPORT_CONFIG.maxRecords + 1)
+    .all()
+
+  return (await decryptRecordRows(cipher, result.results || [])).map(toExportRecord)
+}
+
+// ========================================
+// 📄 書き出し
+// ========================================
+
+/**
+ * 履歴を指定の形式に変換（複数件の場合は1件ごとに改ページする）
+ * レイアウト未指定時は報告書を訪問看護報告書、それ以外を訪問看護記録書の様式にする
+ */
+export const exportRecords = (
+  records: ExportRecord[],
+  format: ExportFormat,
+  layout?: ExportLayout
+): ExportFile => {
+  if (format === 'csv') {
+    return {
+      body: encodeText(buildCsv(records)),
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv'
+    }
+  }
+
+  const document = buildExportDocument(records, layout)
+
+  switch (format) {
+    case 'pdf':
+      return { body: renderPdf(document), contentType: 'application/pdf', extension: 'pdf' }
+    case 'docx':
+      return {
+        body: renderDocx(document),
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx'
+      }
+    case 'txt':
+    default:
+      return {
+        body: encodeText(renderText(document)),
+        contentType: 'text/plain; charset=utf-8',
+        extension: 'txt'
+      }
+  }
+}
+
+/**
+ * 履歴を書き出し文書の構成要素に変換
+ */
+export const buildExportDocument = (records: ExportRecord[], layout?: ExportLayout): ExportDocument => {
+  const blocks: DocumentBlock[] = []
+
+  records.forEach((record, index) => {
+    if (index > 0) {
+      blocks.push({ type: 'pageBreak' })
+    }
+    blocks.push(...buildRecordBlocks(record, layout || defaultLayout(record)))
+  })
+
+  const title = records.length === 1
+    ? `${documentTitle(layout || defaultLayout(records[0]))}（${formatDate(records[0].createdAt)}）`
+    : `看護記録（${records.length}件）`
+
+  return {
+    title,
+    // 様式に沿った書き出しは明朝体、様式なしはゴシック体
+    font: layout === 'plain' ? 'gothic' : 'mincho',
+    blocks
+  }
+}
+
+/**
+ * 1件分の構成要素（様式ごとの項目欄と記載欄）
+ */
+function buildRecordBlocks(record: ExportRecord, layout: ExportLayout): DocumentBlock[] {
+  const patientCode = record.patientCode || '未設定'
+  const recorder = record.recorderName || '不明'
+
+  if (layout === 'plain') {
+    return [
+      {
+        type: 'paragraph',
+        text: `${formatDate(record.createdAt)} ${formatTime(record.createdAt)}　記録者: ${recorder}　利用者コード: ${patientCode}`
+      },
+      { type: 'paragraph', text: record.outputText }
+    ]
+  }
+
+  if (layout === 'report') {
+    return [
+      { type: 'title', text: documentTitle(layout) },
+      {
+        type: 'fields',
+        fields: [
+          { label: '作成日', value: formatDate(record.createdAt) },
+          { label: '作成者', value: recorder },
+          { label: '利用者コード', value: patientCode },
+          { label: '要介護度', value: record.careLevel || '' }
+        ]
+      },
+      ...splitSections(record, '報告内容').map(section => ({ type: 'section' as const, ...section }))
+    ]
+  }
+
+  return [
+    { type: 'title', text: documentTitle(layout) },
+    {
+      type: 'fields',
+      fields: [
+        { label: '訪問年月日', value: formatDate(record.createdAt) },
+        { label: '記録時刻', value: formatTime(record.createdAt) },
+        { label: '利用者コード', value: patientCode },
+        { label: '要介護度', value: record.careLevel || '' },
+        { label: '記録者', value: recorder },
+        { label: '記録形式', value: record.format }
+      ]
+    },
+    ...splitSections(record, '利用者の状態・実施した看護内容').map(section => ({ type: 'section' as const, ...section })),
+    { type: 'section', heading: '備考', text: '', minLines: EXPORT_CONFIG.blankSectionLines }
+  ]
+}
+
+/**
+ * 記録本文を様式の記載欄に分割
+ * SOAP形式は S/O/A/P ごと、月次報告書は【見出し】ごとに分け、それ以外は1つの記載欄にする
+ */
+function splitSections(record: ExportRecord, defaultHeading: string): { heading: string; text: string }[] {
+  const text = record.outputText.trim()
+
+  if (record.format === 'SOAP形式') {
+    const parts = text.split(/^(?=[SOAP]：)/m)
+    const sections = SOAP_SECTION_KEYS.map(key => {
+      const part = parts.find(candidate => candidate.startsWith(`${key}：`))
+      return {
+        heading: `${key}（${SOAP_SECTION_LABELS[key]}）`,
+        text: part ? part.substring(2).trim() : ''
+      }
+    })
+    if (sections.some(section => section.text)) {
+      return sections
+    }
+  }
+
+  const headed = text.split(/^(?=【[^】\n]+】$)/m)
+    .map(part => part.match(/^【([^】\n]+)】\n?([\s\S]*)$/))
+  if (headed.length > 1 && headed.every(match => match)) {
+    return headed.map(match => ({ heading: match![1], text: match![2].trim() }))
+  }
+
+  return [{ heading: defaultHeading, text }]
+}
+
+/**
+ * 構成要素をテキストに変換
+ */
+export const renderText = (document: ExportDocument): string => document.blocks
+  .map(block => {
+    switch (block.type) {
+      case 'title':
+        return `■ ${block.text}`
+      case 'fields':
+        return block.fields.map(field => `${field.label}: ${field.value}`).join('\n')
+      case 'section':
+        return `【${block.heading}】\n${block.text}`
+      case 'paragraph':
+        return block.text
+      case 'pageBreak':
+        return '----------------------------------------'
+    }
+  })
+  .join('\n\n') + '\n'
+
+/**
+ * 履歴をCSVに変換
+ */
+function buildCsv(records: ExportRecord[]): string {
+  const header = ['記録ID', '作成日時', '記録者', '利用者コード', '要介護度', '種別', '形式', '文体', '入力メモ', '記録内容']
+  const rows = records.map(record => [
+    String(record.id),
+    `${formatDate(record.createdAt)} ${formatTime(record.createdAt)}`,
+    record.recorderName || '',
+    record.patientCode || '',
+    record.careLevel || '',
+    record.docType,
+    record.format,
+    record.style,
+    record.inputText,
+    record.outputText
+  ])
+
+  return toCsv([header, ...rows])
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 書き出し形式か判定
+ */
+export const isExportFormat = (value: unknown): value is ExportFormat =>
+  typeof value === 'string' && (EXPORT_CONFIG.formats as readonly string[]).includes(value)
+
+/**
+ * レイアウトのプリセットか判定
+ */
+export const isExportLayout = (value: unknown): value is ExportLayout =>
+  typeof value === 'string' && (EXPORT_CONFIG.layouts as readonly string[]).includes(value)
+
+function defaultLayout(record: ExportRecord): ExportLayout {
+  return record.docType === '報告書' ? 'report' : 'visit'
+}
+
+function documentTitle(layout: ExportLayout): string {
+  return layout === 'report' ? '訪問看護報告書' : '訪問看護記録書'
+}
+
+/**
+ * 日本時間の日付（例: 2025年10月9日（木））
+ */
+function formatDate(timestamp: string): string {
+  const parts = toJstParts(timestamp)
+  return parts ? `${parts.year}年${parts.month}月${parts.day}日（${parts.weekday}）` : timestamp
+}
+
+/**
+ * 日本時間の時刻（例: 14:05）
+ */
+function formatTime(timestamp: string): string {
+  const parts = toJstParts(timestamp)
+  return parts ? `${parts.hour}:${parts.minute}` : ''
+}
+
+function toJstParts(timestamp: string): Record<'year' | 'month' | 'day' | 'weekday' | 'hour' | 'minute', string> | null {
+  // SQLiteの CURRENT_TIMESTAMP 形式（UTC・タイムゾーンなし）にも対応する
+  const date = new Date(/[zZ]|[+-]\d{2}:\d{2}$/.test(timestamp) ? timestamp : `${timestamp.replace(' ', 'T')}Z`)
+  if (isNaN(date.getTime())) {
+    return null
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('ja-JP', {
+      timeZone: 'Asia/Tokyo',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  )
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    weekday: parts.weekday,
+    hour: parts.hour,
+    minute: parts.minute
+  }
+}
+
+function encodeText(text: string): Uint8Array {
+  return new TextEncoder().encode(text)
+}
+
+/**
+ * DB行を書き出し用の履歴データに変換
+ */
+function toExportRecord(row: Record<string, any>): ExportRecord {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    docType: row.options_doc_type,
+    format: row.options_format,
+    style: row.options_style,
+    inputText: row.input_text || '',
+    outputText: row.output_text || '',
+    recorderName: row.recorder_name ?? null,
+    patientCode: row.patient_code ?? null,
+    careLevel: row.patient_care_level ?? null
+  }
+}
@@ -0,0 +1,230 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import {
+  DEFAULT_RED_FLAG_RULES,
+  detectRedFlags,
+  resolveRedFlagRules,
+  loadRedFlagRules,
+  getRedFlagSettings,
+  updateRedFlagSettings,
+  extractRedFlagSettingsInput
+} from './red-flags'
+import { createTestDatabase, type TestDatabase } from '../test-helpers/d1'
+import type { RedFlagRule, RedFlagSettings } from '../types'
+import { RED_FLAG_CONFIG } from '../config'
+
+const NO_SETTINGS: RedFlagSettings = { disabledRuleIds: [], customRules: [] }
+
+/** 組織で追加するルール（用語は辞書にない語と辞書の用語） */
+const CUSTOM_RULES: RedFlagRule[] = [
+  { id: 'custom-1', label: '褥瘡の悪化', severity: 'warning', terms: ['褥瘡'] },
+  { id: 'custom-2', label: '徘徊', severity: 'urgent', terms: ['行方不明', '徘徊'] },
+  { id: 'custom-3', label: '微熱', severity: 'warning', vital: { item: 'temperature', atLeast: 37.5 } }
+]
+
+/**
+ * 検出したルールのIDの一覧（検出なしは空配列）
+ */
+const detectRuleIds = (input: string, rules: RedFlagRule[] = DEFAULT_RED_FLAG_RULES, output?: string) =>
+  detectRedFlags({ input, output }, rules)?.warnings.map(warning => warning.ruleId) ?? []
+
+describe('detectRedFlags', () => {
+  it.each([
+    ['転倒あり、右膝に擦過傷', ['fall']],
+    ['ベッドからずり落ちていた', ['fall']],
+    ['夜間にけいれんがあった', ['seizure']],
+    ['口唇にちあのーぜあり', ['respiratory']],
+    ['意識レベルの低下あり', ['consciousness']],
+    ['食事中ごえんがあった', ['aspiration']],
+    ['朝から息苦しいとの訴え', ['respiratory']],
+    ['発熱あり', ['fever']],
+    ['吐血・下血あり', ['bleeding']]
+  ])('辞書の用語を読み・言い換えでも検出する: %s → %j', (text, expected) => {
+    expect(detectRuleIds(text)).toEqual(expected)
+  })
+
+  it.each([
+    ['転倒なし'],
+    ['転倒はなく経過'],
+    ['チアノーゼは認めず'],
+    ['胸痛(-)'],
+    ['けいれんの症状なし'],
+    ['転倒予防のため手すりを設置'],
+    ['転倒のリスクあり'],
+    ['誤嚥に注意して介助'],
+    ['転倒歴あり'],
+    ['吐血・下血なし'],
+    ['転倒/転落なし']
+  ])('否定・予防・既往の記載は検出しない: %s', (text) => {
+    expect(detectRuleIds(text)).toEqual([])
+  })
+
+  it('否定の記載と同じ用語の出来事の記載が両方ある場合は検出する', () => {
+    expect(detectRuleIds('午前は転倒なし。午後に転倒あり')).toEqual(['fall'])
+  })
+
+  it.each([
+    ['SpO2 88%', ['spo2-low']],
+    ['sat 88%', ['spo2-low']],
+    ['SpO2 90%', []],
+    ['BP 85-50', ['hypotension']],
+    ['BP 180/100', ['hypertension']],
+    ['BS 65', ['hypoglycemia']],
+    ['BT38.0', ['fever']],
+    ['BT37.9', []],
+    ['P120', ['tachycardia']],
+    ['P48', ['bradycardia']],
+    ['RR 25', ['tachypnea']]
+  ])('バイタルは抽出した測定値で判定する: %s → %j', (text, expected) => {
+    expect(detectRuleIds(text)).toEqual(expected)
+  })
+
+  it('同じルールの記載はまとめ、至急のものから順に返す', () => {
+    const report = detectRedFlags({
+      input: '転倒あり。SpO2 88%。その後転落もあり',
+      output: '転倒を確認した。主治医へ電話で報告した'
+    }, DEFAULT_RED_FLAG_RULES)
+
+    expect(report?.warnings.map(warning => [warning.ruleId, warning.severity])).toEqual([
+      ['spo2-low', 'urgent'],
+      ['fall', 'warning']
+    ])
+    expect(report?.warnings[1]).toMatchObject({ findings: ['転倒', '転落'], sources: ['input', 'output'] })
+    expect(report?.warnings[0].findings).toEqual(['SpO2 88%'])
+    expect(report?.doctorReportNoted).toBe(true)
+  })
+
+  it('生成結果に主治医への報告の記載がない場合は doctorReportNoted を false にする', () => {
+    expect(detectRedFlags({ input: '転倒あり', output: '転倒を確認した' }, DEFAULT_RED_FLAG_RULES)?.doctorReportNoted).toBe(false)
+  })
+
+  it('該当しない場合は null を返す', () => {
+    expect(detectRedFlags({ input: '食事全量摂取。BT36.5 SpO2 97%' }, DEFAULT_RED_FLAG_RULES)).toBeNull()
+  })
+})
+
+describe('resolveRedFlagRules', () => {
+  it('設定がない場合は組み込みのルールを使う', () => {
+    expect(resolveRedFlagRules(NO_SETTINGS)).toEqual(DEFAULT_RED_FLAG_RULES)
+  })
+
+  it('無効にした組み込みのルールは検出しない', () => {
+    const rules = resolveRedFlagRules({ disabledRuleIds: ['fall', 'spo2-low'], customRules: [] })
+
+    expect(rules.map(rule => rule.id)).not.toContain('fall')
+    expect(detectRuleIds('転倒あり。SpO2 88%。胸痛あり', rules)).toEqual(['chest-pain'])
+  })
+
+  it('組織で追加したルールを組み込みのルールに加えて検出する', () => {
+    const rules = resolveRedFlagRules({ disabledRuleIds: [], customRules: CUSTOM_RULES })
+
+    // 辞書の用語は読みでも照合する（じょくそう → 褥瘡）
+    expect(detectRuleIds('仙骨部のじょくそうが拡大', rules)).toEqual(['custom-1'])
+    expect(detectRuleIds('夜間に徘徊あり', rules)).toEqual(['custom-2'])
+    expect(detectRuleIds('徘徊なし', rules)).toEqual([])
+    expect(detectRuleIds('BT37.6', rules)).toEqual(['custom-3'])
+    expect(detectRuleIds('BT38.2', rules)).toEqual(['fever', 'custom-3'])
+  })
+})
+
+describe('extractRedFlagSettingsInput', () => {
+  it('追加ルールを検証し、IDを送信順に振り直す', () => {
+    const result = extractRedFlagSettingsInput({
+      disabledRuleIds: ['fall', 'fall'],
+      customRules: [
+        { id: 'ignored', label: ' 徘徊 ', terms: [' 徘徊 ', '徘徊', ''] },
+        { label: '微熱', severity: 'urgent', vital: { item: 'temperature', atLeast: 37.5 } }
+      ]
+    }, NO_SETTINGS)
+
+    expect(result).toEqual({
+      success: true,
+      data: {
+        disabledRuleIds: ['fall'],
+        customRules: [
+          { id: 'custom-1', label: '徘徊', severity: 'warning', terms: ['徘徊'] },
+          { id: 'custom-2', label: '微熱', severity: 'urgent', vital: { item: 'temperature', atLeast: 37.5 } }
+        ]
+      }
+    })
+  })
+
+  it('省略した項目は現在の設定を引き継ぐ', () => {
+    const current: RedFlagSettings = { disabledRuleIds: ['fever'], customRules: CUSTOM_RULES }
+
+    expect(extractRedFlagSettingsInput({ disabledRuleIds: [] }, current).data).toEqual({
+      disabledRuleIds: [],
+      customRules: CUSTOM_RULES
+    })
+  })
+
+  it.each([
+    ['存在しないルールIDの無効化', { disabledRuleIds: ['unknown'] }],
+    ['配列でない追加ルール', { customRules: {} }],
+    ['上限を超える追加ルール', { customRules: Array.from({ length: RED_FLAG_CONFIG.maxCustomRules + 1 }, () => ({ label: 'A', terms: ['A'] })) }],
+    ['表示名がない', { customRules: [{ terms: ['徘徊'] }] }],
+    ['緊急度の誤り', { customRules: [{ label: '徘徊', severity: 'high', terms: ['徘徊'] }] }],
+    ['文字列でない用語', { customRules: [{ label: '徘徊', terms: [1] }] }],
+    ['長すぎる用語', { customRules: [{ label: '徘徊', terms: ['あ'.repeat(RED_FLAG_CONFIG.maxTermLength + 1)] }] }],
+    ['バイタルの項目の誤り', { customRules: [{ label: '体重', vital: { item: 'weight', atLeast: 80 } }] }],
+    ['バイタルの条件がない', { customRules: [{ label: '微熱', vital: { item: 'temperature' } }] }],
+    ['数値でないバイタルの条件', { customRules: [{ label: '微熱', vital: { item: 'temperature', atLeast: '37.5' } }] }],
+    ['用語もバイタルの条件もない', { customRules: [{ label: '徘徊' }] }]
+  ])('%sは受け付けない', (_label, body) => {
+    const result = extractRedFlagSettingsInput(body, NO_SETTINGS)
+
+    expect(result.success).toBe(false)
+    expect(result.error).toBeTruthy()
+  })
+})
+
+describe('組織ごとの検出設定（ローカルD1）', () => {
+  let testDb: TestDatabase
+
+  beforeAll(async () => {
+    testDb = await createTestDatabase()
+    const { db } = testDb
+
+    await db.batch([
+      db.prepare(`
+        INSERT INTO users (id, email, display_name)
+        VALUES (1, 'a@example.com', 'A'), (2, 'b@example.com', 'B'), (3, 'c@example.com', 'C'), (4, 'd@example.com', 'D')
+      `),
+      db.prepare("INSERT INTO organizations (id, name) VALUES (1, '設定あり'), (2, '設定なし'), (3, '設定が壊れている')"),
+      db.prepare("INSERT INTO organization_members (organization_id, user_id, role) VALUES (1, 1, 'member'), (2, 2, 'member'), (3, 3, 'member')"),
+      db.prepare("UPDATE organizations SET red_flag_settings = '{not json' WHERE id = 3")
+    ])
+    await updateRedFlagSettings(db, 1, { disabledRuleIds: ['fall'], customRules: CUSTOM_RULES })
+  })
+
+  afterAll(async () => {
+    await testDb.dispose()
+  })
+
+  it('所属組織の設定を適用したルールを読み込む', async () => {
+    const rules = await loadRedFlagRules(testDb.db, 1)
+
+    expect(rules.map(rule => rule.id)).not.toContain('fall')
+    expect(rules.slice(-CUSTOM_RULES.length)).toEqual(CUSTOM_RULES)
+    expect(detectRuleIds('転倒あり。夜間に徘徊あり', rules)).toEqual(['custom-2'])
+  })
+
+  it.each([
+    ['設定していない組織のメンバー', 2],
+    ['設定が読み取れない組織のメンバー', 3],
+    ['組織に未所属のユーザー', 4],
+    ['未ログイン', null]
+  ])('%sは組み込みのルールを使う', async (_label, userId) => {
+    expect(await loadRedFlagRules(testDb.db, userId)).toEqual(DEFAULT_RED_FLAG_RULES)
+  })
+
+  it('データベースが使えない場合は組み込みのルールを使う', async () => {
+    expect(await loadRedFlagRules(undefined, 1)).toEqual(DEFAULT_RED_FLAG_RULES)
+  })
+
+  it('設定の保存・取得は組織ごとに独立している', async () => {
+    expect(await getRedFlagSettings(testDb.db, 1)).toEqual({ disabledRuleIds: ['fall'], customRules: CUSTOM_RULES })
+    expect(await getRedFlagSettings(testDb.db, 2)).toEqual(NO_SETTINGS)
+    expect(await getRedFlagSettings(testDb.db, 99)).toBeNull()
+    expect(await updateRedFlagSettings(testDb.db, 99, NO_SETTINGS)).toBeNull()
+  })
+})
@@ -0,0 +1,410 @@
+/**
+ * タップカルテ - 注意所見（レッドフラグ）の検出
+ *
+ * 入力メモと生成結果から、急変の兆候など主治医への報告を検討すべき所見（例: SpO2 88%・意識レベル低下・転倒）を
+ * ルールで検出する。用語のルールは医療用語辞書（src/medical-dictionary.ts）の用語を読み・言い換えも含めて照合し、
+ * バイタルのルールは src/services/vitals.ts で抽出した値で判定する。
+ * 組み込みのルールは組織ごとに無効にでき、組織独自のルールを追加できる（organizations.red_flag_settings）
+ */
+
+import type {
+  RedFlagRule,
+  RedFlagSettings,
+  RedFlagSeverity,
+  RedFlagVitalItem,
+  RedFlagWarning,
+  RedFlagReport,
+  VitalSigns
+} from '../types'
+import { RED_FLAG_CONFIG } from '../config'
+import { logger } from '../utils'
+import { medicalTerms, termReadings, spokenForms } from '../medical-dictionary'
+import { normalizeForMatching } from './term-matcher'
+import { extractVitalSigns } from './vitals'
+import { getOrganizationMembership } from './organizations'
+
+/** 医療用語辞書の用語 */
+type MedicalTerm = keyof typeof medicalTerms
+
+/** 検出する箇所 */
+type RedFlagSource = RedFlagWarning['sources'][number]
+
+// ========================================
+// 📋 組み込みのルール
+// ========================================
+
+/**
+ * 組み込みのルール（用語は医療用語辞書の用語から選ぶ）
+ * バイタルの値は VITALS_CONFIG の基準範囲より広く、訪問中に主治医へ連絡を検討する目安とする
+ */
+export const DEFAULT_RED_FLAG_RULES: RedFlagRule[] = [
+  { id: 'spo2-low', label: 'SpO2の低下', severity: 'urgent', vital: { item: 'spo2', below: 90 } },
+  { id: 'consciousness', label: '意識レベルの低下', severity: 'urgent', terms: dictionaryTerms('意識レベル低下', '意識消失', '意識混濁', '失神') },
+  { id: 'respiratory', label: '呼吸状態の悪化', severity: 'urgent', terms: dictionaryTerms('呼吸困難', 'チアノーゼ', '喘鳴') },
+  { id: 'chest-pain', label: '胸痛', severity: 'urgent', terms: dictionaryTerms('胸痛') },
+  { id: 'seizure', label: '痙攣', severity: 'urgent', terms: dictionaryTerms('痙攣') },
+  { id: 'bleeding', label: '消化管出血の疑い', severity: 'urgent', terms: dictionaryTerms('吐血', '下血', '黒色便') },
+  { id: 'hypotension', label: '血圧の低下', severity: 'urgent', vital: { item: 'systolic', below: 90 } },
+  { id: 'hypoglycemia', label: '低血糖', severity: 'urgent', vital: { item: 'bloodGlucose', below: 70 } },
+  { id: 'fall', label: '転倒・転落', severity: 'warning', terms: dictionaryTerms('転倒', '転落') },
+  { id: 'aspiration', label: '誤嚥・窒息', severity: 'warning', terms: dictionaryTerms('誤嚥', '窒息') },
+  { id: 'fever', label: '発熱', severity: 'warning', terms: dictionaryTerms('発熱'), vital: { item: 'temperature', atLeast: 38 } },
+  { id: 'hypertension', label: '血圧の上昇', severity: 'warning', vital: { item: 'systolic', atLeast: 180 } },
+  { id: 'tachycardia', label: '頻脈', severity: 'warning', vital: { item: 'pulse', atLeast: 120 } },
+  { id: 'bradycardia', label: '徐脈', severity: 'warning', vital: { item: 'pulse', below: 50 } },
+  { id: 'tachypnea', label: '頻呼吸', severity: 'warning', vital: { item: 'respiration', atLeast: 25 } }
+]
+
+// ========================================
+// ⚙️ 照合設定
+// ========================================
+
+/** かなのみの読みは短いと一般語に埋もれて誤検出するため、この文字数未満は照合しない（term-matcher と同じ） */
+const KANA_MIN_LENGTH = 3
+
+const KANA_ONLY_PATTERN = /^[ぁ-ゟー]+$/
+
+/**
+ * 用語の直後の否定（例: 転倒なし・チアノーゼは認めず・胸痛(-)・転倒しないよう）
+ * 「吐血・下血なし」のように並べて書いた用語の後の否定も対象にする。
+ * 照合用に正規化した文字列（カタカナはひらがな、空白なし、区切りの「・」は「/」）に適用する
+ */
+const NEGATION_PATTERN = /^(?:\/[^/、。,\n]{1,10}?)*(?:など|等)?(?:し|は|が|も|の訴え[はも]?|の症状[はも]?|の所見[はも]?|症状[はも]?|所見[はも]?)?(?:なし|無し|ない|なく|なかっ|無く|ありません|認め(?:ず|ない|られず|られない|られなかっ)|[見み]られ(?:ず|ない|なかっ)|否定|\([-−]\))/
+
+/** 用語の直後が出来事ではない記載（例: 転倒予防・転倒のリスク・誤嚥に注意・転倒歴。カタカナはひらがなで書く） */
+const NON_EVENT_PATTERN = /^[のにをへ]?(?:予防|防止|りすく|注意|対策|危険|おそれ|恐れ|既往|歴)/
+
+/** 生成結果の主治医への報告・連絡の記載（例: 主治医へ報告した・Dr.に電話連絡） */
+const DOCTOR_REPORT_PATTERN = /(?:主治医|医師|どくたー|dr\.?)[^。\n]{0,20}?(?:報告|連絡|相談)/
+
+const SEVERITY_ORDER: Record<RedFlagSeverity, number> = { urgent: 0, warning: 1 }
+
+// ========================================
+// 🚩 注意所見の検出
+// ========================================
+
+/**
+ * 入力メモ・生成結果から注意所見を検出（該当しない場合は null）
+ * 同じルールに該当した記載はまとめ、至急のものから順に返す
+ */
+export const detectRedFlags = (
+  texts: { input: string; output?: string },
+  rules: RedFlagRule[]
+): RedFlagReport | null => {
+  const targets = (['input', 'output'] as const)
+    .filter(source => texts[source])
+    .map(source => ({
+      source,
+      normalized: normalizeForRedFlags(texts[source]!),
+      vitals: extractVitalSigns(texts[source]!)
+    }))
+
+  const warnings: RedFlagWarning[] = []
+  for (const rule of rules) {
+    const findings = new Set<string>()
+    const sources = new Set<RedFlagSource>()
+
+    for (const target of targets) {
+      const matched = [
+        ...findTermMentions(target.normalized, rule.terms || []),
+        ...findVitalFindings(target.vitals, rule.vital)
+      ]
+      if (matched.length > 0) {
+        matched.forEach(finding => findings.add(finding))
+        sources.add(target.source)
+      }
+    }
+
+    if (findings.size > 0) {
+      warnings.push({
+        ruleId: rule.id,
+        label: rule.label,
+        severity: rule.severity,
+        findings: [...findings],
+        sources: [...sources]
+      })
+    }
+  }
+
+  if (warnings.length === 0) {
+    return null
+  }
+
+  return {
+    warnings: warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]),
+    doctorReportNoted: !!texts.output && DOCTOR_REPORT_PATTERN.test(normalizeForRedFlags(texts.output))
+  }
+}
+
+/**
+ * 組織の設定を適用した検出ルール（無効にした組み込みのルールを除き、組織で追加したルールを加える）
+ */
+export const resolveRedFlagRules = (settings: RedFlagSettings): RedFlagRule[] => {
+  return [
+    ...DEFAULT_RED_FLAG_RULES.filter(rule => !settings.disabledRuleIds.includes(rule.id)),
+    ...settings.customRules
+  ]
+}
+
+/**
+ * 変換に使う検出ルールを読み込む（未ログイン・組織に未所属の場合は組み込みのルール）
+ */
+export const loadRedFlagRules = async (
+  db: D1Database | undefined,
+  userId?: number | null
+): Promise<RedFlagRule[]> => {
+  if (!db || !userId) {
+    return DEFAULT_RED_FLAG_RULES
+  }
+
+  try {
+    const membership = await getOrganizationMembership(db, userId)
+    const settings = membership ? await getRedFlagSettings(db, membership.organizationId) : null
+    return settings ? resolveRedFlagRules(settings) : DEFAULT_RED_FLAG_RULES
+  } catch (error) {
+    // 設定の取得失敗で変換自体は止めない
+    logger.warn('Red flag settings load failed, using built-in rules', {
+      userId,
+      error: (error as Error).message
+    })
+    return DEFAULT_RED_FLAG_RULES
+  }
+}
+
+// ========================================
+// 🗄️ 組織の設定
+// ========================================
+
+/**
+ * 組織の検出設定を取得（組織がない場合は null）
+ */
+export const getRedFlagSettings = async (db: D1Database, organizationId: number): Promise<RedFlagSettings | null> => {
+  const row = await db.prepare('SELECT red_flag_settings FROM organizations WHERE id = ?')
+    .bind(organizationId)
+    .first<{ red_flag_settings: string | null }>()
+
+  return row ? toRedFlagSettings(row.red_flag_settings) : null
+}
+
+/**
+ * 組織の検出設定を更新
+ */
+export const updateRedFlagSettings = async (
+  db: D1Database,
+  organizationId: number,
+  settings: RedFlagSettings
+): Promise<RedFlagSettings | null> => {
+  const row = await db.prepare(`
+    UPDATE organizations
+    SET red_flag_settings = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+    RETURNING red_flag_settings
+  `).bind(JSON.stringify(settings), organizationId).first<{ red_flag_settings: string | null }>()
+
+  return row ? toRedFlagSettings(row.red_flag_settings) : null
+}
+
+// ========================================
+// ✅ 入力値の検証
+// ========================================
+
+/**
+ * リクエストボディから検出設定を抽出・検証
+ * 省略された項目は current の値を引き継ぐ。追加ルールのIDは送信順に custom-1 から振り直す
+ */
+export const extractRedFlagSettingsInput = (body: any, current: RedFlagSettings): {
+  success: boolean
+  data?: RedFlagSettings
+  error?: string
+} => {
+  const disabledRuleIds = body?.disabledRuleIds ?? current.disabledRuleIds
+  if (!Array.isArray(disabledRuleIds) || !disabledRuleIds.every(id => DEFAULT_RED_FLAG_RULES.some(rule => rule.id === id))) {
+    return { success: false, error: '無効にするルールには組み込みのルールIDを指定してください' }
+  }
+
+  const customRules = body?.customRules ?? current.customRules
+  if (!Array.isArray(customRules)) {
+    return { success: false, error: '追加ルールは配列で指定してください' }
+  }
+  if (customRules.length > RED_FLAG_CONFIG.maxCustomRules) {
+    return { success: false, error: `追加できるルールは${RED_FLAG_CONFIG.maxCustomRules}件までです` }
+  }
+
+  const rules: RedFlagRule[] = []
+  for (const [index, input] of customRules.entries()) {
+    const rule = extractCustomRule(input, `custom-${index + 1}`)
+    if (!rule.success) {
+      return { success: false, error: `追加ルール${index + 1}: ${rule.error}` }
+    }
+    rules.push(rule.data!)
+  }
+
+  return {
+    success: true,
+    data: { disabledRuleIds: [...new Set<string>(disabledRuleIds)], customRules: rules }
+  }
+}
+
+/**
+ * 組織で追加するルールを抽出・検証（用語・バイタルの条件の少なくとも一方が必要）
+ */
+function extractCustomRule(input: any, id: string): {
+  success: boolean
+  data?: RedFlagRule
+  error?: string
+} {
+  const label = typeof input?.label === 'string' ? input.label.trim() : ''
+  if (!label) {
+    return { success: false, error: '表示名を入力してください' }
+  }
+  if (label.length > RED_FLAG_CONFIG.maxLabelLength) {
+    return { success: false, error: `表示名は${RED_FLAG_CONFIG.maxLabelLength}文字以内で入力してください` }
+  }
+
+  const severity = input?.severity ?? 'warning'
+  if (!isRedFlagSeverity(severity)) {
+    return { success: false, error: '緊急度は urgent または warning を指定してください' }
+  }
+
+  const rawTerms = input?.terms ?? []
+  if (!Array.isArray(rawTerms) || !rawTerms.every(term => typeof term === 'string')) {
+    return { success: false, error: '用語は文字列の配列で指定してください' }
+  }
+  const terms = [...new Set(rawTerms.map((term: string) => term.trim()).filter(Boolean))]
+  if (terms.length > RED_FLAG_CONFIG.maxTermsPerRule) {
+    return { success: false, error: `用語は${RED_FLAG_CONFIG.maxTermsPerRule}件までです` }
+  }
+  if (terms.some(term => term.length > RED_FLAG_CONFIG.maxTermLength)) {
+    return { success: false, error: `用語は${RED_FLAG_CONFIG.maxTermLength}文字以内で入力してください` }
+  }
+
+  let vital: RedFlagRule['vital']
+  if (input?.vital !== undefined && input?.vital !== null) {
+    const { item, below, atLeast } = input.vital
+    if (!isRedFlagVitalItem(item)) {
+      return { success: false, error: 'バイタルの項目が正しくありません' }
+    }
+    if ((below !== undefined && !Number.isFinite(below)) || (atLeast !== undefined && !Number.isFinite(atLeast))) {
+      return { success: false, error: 'バイタルの条件は数値で指定してください' }
+    }
+    if (below === undefined && atLeast === undefined) {
+      return { success: false, error: 'バイタルの条件（below または atLeast）を指定してください' }
+    }
+    vital = {
+      item,
+      ...(below !== undefined && { below }),
+      ...(atLeast !== undefined && { atLeast })
+    }
+  }
+
+  if (terms.length === 0 && !vital) {
+    return { success: false, error: '用語またはバイタルの条件を指定してください' }
+  }
+
+  return {
+    success: true,
+    data: {
+      id,
+      label,
+      severity,
+      ...(terms.length > 0 && { terms }),
+      ...(vital && { vital })
+    }
+  }
+}
+
+export const isRedFlagSeverity = (value: unknown): value is RedFlagSeverity =>
+  value === 'urgent' || value === 'warning'
+
+export const isRedFlagVitalItem = (value: unknown): value is RedFlagVitalItem =>
+  ['temperature', 'systolic', 'diastolic', 'pulse', 'respiration', 'spo2', 'bloodGlucose'].includes(value as string)
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 組み込みのルールの用語（医療用語辞書にない用語は型エラーにする）
+ */
+function dictionaryTerms(...terms: MedicalTerm[]): string[] {
+  return terms
+}
+
+/**
+ * 記載されている用語（否定・予防などの記載を除く）
+ * 医療用語辞書の用語は、読み・言い換え・音声入力の読みでも照合する
+ */
+function findTermMentions(normalized: string, terms: string[]): string[] {
+  return terms.filter(term => toMatchForms(term).some(form => isMentioned(normalized, form)))
+}
+
+/**
+ * 照合用の正規化（normalizeForMatching は「・」を除くが、並べて書いた用語の否定を判定するため「/」として残す）
+ */
+function normalizeForRedFlags(text: string): string {
+  return normalizeForMatching(text.replace(/[・･]/g, '/'))
+}
+
+/**
+ * 照合する表記（正規化済み・重複なし）
+ */
+function toMatchForms(term: string): string[] {
+  const forms = [term, ...(termReadings[term] || []), ...(spokenForms[term] || [])]
+    .map(normalizeForRedFlags)
+    .filter(form => form && !(KANA_ONLY_PATTERN.test(form) && form.length < KANA_MIN_LENGTH))
+
+  return [...new Set(forms)]
+}
+
+/**
+ * 表記が出来事として記載されているか（否定・予防などの記載は除く）
+ */
+function isMentioned(normalized: string, form: string): boolean {
+  for (let index = normalized.indexOf(form); index !== -1; index = normalized.indexOf(form, index + 1)) {
+    const following = normalized.slice(index + form.length)
+    if (!NEGATION_PATTERN.test(following) && !NON_EVENT_PATTERN.test(following)) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * バイタルの条件に該当した記載
+ */
+function findVitalFindings(vitals: VitalSigns | null, condition: RedFlagRule['vital']): string[] {
+  if (!vitals || !condition) {
+    return []
+  }
+
+  const readings = condition.item === 'systolic' || condition.item === 'diastolic'
+    ? (vitals.bloodPressure || []).map(reading => ({ value: reading[condition.item as 'systolic' | 'diastolic'], text: reading.text }))
+    : (vitals[condition.item] || [])
+
+  return readings
+    .filter(({ value }) =>
+      (condition.below !== undefined && value < condition.below) ||
+      (condition.atLeast !== undefined && value >= condition.atLeast)
+    )
+    .map(reading => reading.text)
+}
+
+/**
+ * 保存された設定（JSON）を検出設定に変換（未設定・読み取れない場合は既定値）
+ */
+function toRedFlagSettings(value: string | null): RedFlagSettings {
+  const settings: RedFlagSettings = { disabledRuleIds: [], customRules: [] }
+  if (!value) {
+    return settings
+  }
+
+  try {
+    const parsed = JSON.parse(value)
+    return {
+      disabledRuleIds: Array.isArray(parsed?.disabledRuleIds) ? parsed.disabledRuleIds : [],
+      customRules: Array.isArray(parsed?.customRules) ? parsed.customRules : []
+    }
+  } catch {
+    return settings
+  }
+}
@@ -0,0 +1,242 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { runRetention } from './retention'
+import retentionWorker from '../retention-worker'
+import { createTestDatabase, type TestDatabase } from '../test-helpers/d1'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/** 現在から days 日前の日時（UTCのISO形式） */
+const daysAgo = (days: number) => new Date(Date.now() - days * DAY_MS).toISOString()
+
+/**
+ * 組織1（30日で削除）・組織2（30日で匿名化）・未所属ユーザーの期限切れ／期限内のデータを登録
+ */
+const seed = async (db: D1Database) => {
+  await db.batch([
+    db.prepare("INSERT INTO users (id, email, display_name) VALUES (1, 'a@example.com', 'A'), (2, 'b@example.com', 'B'), (3, 'c@example.com', 'C')"),
+    db.prepare(`
+      INSERT INTO organizations (id, name, record_retention_days, record_retention_action, log_retention_days)
+      VALUES (1, '削除する事業所', 30, 'purge', 90), (2, '匿名化する事業所', 30, 'anonymize', 180)
+    `),
+    db.prepare("INSERT INTO organization_members (organization_id, user_id, role) VALUES (1, 1, 'admin'), (2, 2, 'admin')")
+  ])
+
+  const records: Array<[number, string, number]> = [
+    [1, '組織1・期限切れ', 40],
+    [1, '組織1・期限内', 10],
+    [2, '組織2・期限切れ', 40],
+    [2, '組織2・期限内', 10],
+    // 未所属ユーザーは既定の365日
+    [3, '未所属・期限切れ', 400],
+    [3, '未所属・期限内', 40]
+  ]
+  for (const [userId, text, age] of records) {
+    await db.prepare(`
+      INSERT INTO nursing_records (session_id, input_text, output_text, options_style, options_doc_type, options_format, created_at, user_id, ip_address)
+      VALUES ('session', ?, ?, 'だ・である体', '記録', '文章形式', ?, ?, '203.0.113.1')
+    `).bind(text, text, daysAgo(age), userId).run()
+  }
+
+  const logs: Array<[number | null, string, number]> = [
+    [1, '組織1・期限切れ', 100],
+    [1, '組織1・期限内', 30],
+    [1, '組織1・直近', 1],
+    [2, '組織2・期限内', 100],
+    [null, '未所属・期限切れ', 100]
+  ]
+  for (const [organizationId, description, age] of logs) {
+    await db.prepare(`
+      INSERT INTO security_logs (event_type, description, organization_id, created_at) VALUES ('auth.login', ?, ?, ?)
+    `).bind(description, organizationId, daysAgo(age)).run()
+  }
+
+  // 下書きは作成日時ではなく最後の編集日時（updated_at）で判定する
+  const drafts: Array<[number, string, number, number]> = [
+    [1, '組織1・期限切れ', 40, 40],
+    [1, '組織1・最近編集', 40, 10],
+    [2, '組織2・期限切れ', 40, 40],
+    [3, '未所属・期限切れ', 400, 400],
+    [3, '未所属・期限内', 40, 40]
+  ]
+  for (const [userId, text, createdAge, updatedAge] of drafts) {
+    await db.prepare(`
+      INSERT INTO drafts (user_id, client_id, input_text, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+    `).bind(userId, `draft-${text}`, text, daysAgo(createdAge), daysAgo(updatedAge)).run()
+  }
+
+  await db.prepare(`
+    INSERT INTO user_sessions (user_id, session_token, expires_at) VALUES (1, 'expired', ?), (1, 'active', ?)
+  `).bind(daysAgo(10), new Date(Date.now() + DAY_MS).toISOString()).run()
+}
+
+/** 保持期間の処理後に確認する履歴の列 */
+interface RecordRow {
+  output_text: string
+  input_text: string
+  ip_address: string | null
+  anonymized_at: string | null
+}
+
+const listRecords = async (db: D1Database): Promise<RecordRow[]> => (await db.prepare(`
+  SELECT output_text, input_text, ip_address, anonymized_at FROM nursing_records ORDER BY id
+`).all<RecordRow>()).results
+
+const listDraftTexts = async (db: D1Database) => (await db.prepare(`
+  SELECT input_text FROM drafts ORDER BY id
+`).all<{ input_text: string }>()).results.map((row: { input_text: string }) => row.input_text)
+
+const listLogDescriptions = async (db: D1Database) => (await db.prepare(`
+  SELECT description FROM security_logs ORDER BY id
+`).all<{ description: string }>()).results.map((row: { description: string }) => row.description)
+
+describe('runRetention', () => {
+  let testDb: TestDatabase
+
+  beforeEach(async () => {
+    testDb = await createTestDatabase()
+    await seed(testDb.db)
+  })
+
+  afterEach(async () => {
+    await testDb.dispose()
+  })
+
+  it('ドライランは対象件数を数えるだけでデータを変更しない', async () => {
+    const { db } = testDb
+    const before = await listRecords(db)
+
+    const report = await runRetention(db, { dryRun: true })
+
+    expect(report.targets.map(target => [target.organizationId, target.records.count, target.logs.count, target.drafts.count])).toEqual([
+      [1, 1, 1, 1],
+      [2, 1, 0, 1],
+      [null, 1, 1, 1]
+    ])
+    expect(report.sessions?.count).toBe(1)
+    expect(await listRecords(db)).toEqual(before)
+    expect(await listDraftTexts(db)).toHaveLength(5)
+  })
+
+  it('保持期間を過ぎた履歴のみ組織のポリシーに従って削除・匿名化する', async () => {
+    const { db } = testDb
+
+    await runRetention(db, { dryRun: false })
+
+    const records = await listRecords(db)
+    expect(records.map((record: RecordRow) => record.output_text)).toEqual([
+      '組織1・期限内',
+      '',
+      '組織2・期限内',
+      '',
+      '未所属・期限内'
+    ])
+
+    // 匿名化した履歴は本文・接続情報を消去して行を残す
+    const anonymized = records.filter((record: RecordRow) => record.anonymized_at !== null)
+    expect(anonymized).toHaveLength(2)
+    for (const record of anonymized) {
+      expect(record).toMatchObject({ input_text: '', ip_address: null })
+    }
+  })
+
+  it('最後の編集から保持期間を過ぎた下書きは匿名化のポリシーでも削除する', async () => {
+    const { db } = testDb
+
+    await runRetention(db, { dryRun: false })
+
+    expect(await listDraftTexts(db)).toEqual(['組織1・最近編集', '未所属・期限内'])
+  })
+
+  it('保持期間を過ぎた監査ログと期限切れのセッションのみ削除する', async () => {
+    const { db } = testDb
+
+    await runRetention(db, { dryRun: false })
+
+    expect(await listLogDescriptions(db)).toEqual(['組織1・期限内', '組織1・直近', '組織2・期限内'])
+    const sessions = await db.prepare('SELECT session_token FROM user_sessions').all<{ session_token: string }>()
+    expect(sessions.results.map((row: { session_token: string }) => row.session_token)).toEqual(['active'])
+  })
+
+  it('組織を指定した場合はその組織のデータのみ処理する', async () => {
+    const { db } = testDb
+
+    const report = await runRetention(db, { dryRun: false, organizationId: 1 })
+
+    expect(report.targets).toHaveLength(1)
+    expect(report.sessions).toBeNull()
+    expect((await listRecords(db)).map((record: RecordRow) => record.output_text)).toEqual([
+      '組織1・期限内',
+      '組織2・期限切れ',
+      '組織2・期限内',
+      '未所属・期限切れ',
+      '未所属・期限内'
+    ])
+  })
+
+  it.each([
+    ['組織1・直近', '組織1の90日'],
+    ['組織1・期限内', '組織1の90日'],
+    ['組織2・期限内', '組織2の180日']
+  ])('保持期間内の監査ログ（%s）はトリガーで削除できない（%s）', async (description) => {
+    await expect(testDb.db.prepare('DELETE FROM security_logs WHERE description = ?').bind(description).run())
+      .rejects.toThrow(/within the retention period/)
+  })
+
+  it('保持期間を過ぎた監査ログは削除でき、更新は期間によらず禁止する', async () => {
+    const { db } = testDb
+
+    // 組織1（90日）の100日前の記録と、組織に所属しない記録（既定の90日）
+    await db.prepare("DELETE FROM security_logs WHERE description IN ('組織1・期限切れ', '未所属・期限切れ')").run()
+    expect(await listLogDescriptions(db)).toEqual(['組織1・期限内', '組織1・直近', '組織2・期限内'])
+
+    await expect(db.prepare("UPDATE security_logs SET description = '改ざん' WHERE description = '組織2・期限内'").run())
+      .rejects.toThrow(/append-only/)
+  })
+
+  it('保持期間を短くしても設定できる最短の90日以内の監査ログは削除できない', async () => {
+    const { db } = testDb
+    await db.prepare('UPDATE organizations SET log_retention_days = 7 WHERE id = 1').run()
+
+    await expect(db.prepare("DELETE FROM security_logs WHERE description = '組織1・期限内'").run())
+      .rejects.toThrow(/within the retention period/)
+  })
+})
+
+describe('保持期間の定期実行（retention-worker）', () => {
+  let testDb: TestDatabase
+
+  beforeEach(async () => {
+    testDb = await createTestDatabase()
+    await seed(testDb.db)
+  })
+
+  afterEach(async () => {
+    await testDb.dispose()
+  })
+
+  /**
+   * Cron Trigger の実行を再現し、waitUntil に渡された処理の完了を待つ
+   */
+  const runScheduled = async (vars: { RETENTION_DRY_RUN?: string }) => {
+    const pending: Promise<unknown>[] = []
+    const controller = { cron: '0 18 * * *', scheduledTime: Date.now(), noRetry: () => {} } as ScheduledController
+    const ctx = { waitUntil: (promise: Promise<unknown>) => pending.push(promise), passThroughOnException: () => {} } as unknown as ExecutionContext
+
+    await retentionWorker.scheduled(controller, { DB: testDb.db, ...vars } as never, ctx)
+    await Promise.all(pending)
+  }
+
+  it('RETENTION_DRY_RUN=true の場合はデータを変更しない', async () => {
+    await runScheduled({ RETENTION_DRY_RUN: 'true' })
+
+    expect(await listRecords(testDb.db)).toHaveLength(6)
+    expect(await listLogDescriptions(testDb.db)).toHaveLength(5)
+  })
+
+  it('期限切れのデータを処理する', async () => {
+    await runScheduled({})
+
+    expect(await listRecords(testDb.db)).toHaveLength(5)
+    expect(await listLogDescriptions(testDb.db)).toHaveLength(3)
+  })
+})
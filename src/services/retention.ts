@@ -0,0 +1,322 @@
+/**
+ * タップカルテ - データ保持ポリシー
+ *
+ * 組織ごとの保持期間を過ぎた履歴（nursing_records）を匿名化または削除し、下書き（drafts）・監査ログ（security_logs）・
+ * 期限切れのセッション（user_sessions）を削除する。Cron Trigger（src/retention-worker.ts）から定期実行し、
+ * dryRun では対象件数の集計のみ行う
+ */
+
+import type {
+  RetentionAction,
+  RetentionPolicy,
+  RetentionReport,
+  RetentionTargetReport
+} from '../types'
+import { RETENTION_CONFIG } from '../config'
+
+/** 保持ポリシーの適用単位（組織、または組織に所属しない履歴） */
+interface RetentionScope {
+  organizationId: number | null
+  policy: RetentionPolicy
+  /** nursing_records・drafts の絞り込み条件 */
+  recordWhere: string
+  /** security_logs の絞り込み条件 */
+  logWhere: string
+  params: number[]
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// ========================================
+// 📋 ポリシー
+// ========================================
+
+/**
+ * 組織の保持ポリシーを取得（未設定の項目は既定値）
+ */
+export const getRetentionPolicy = async (db: D1Database, organizationId: number): Promise<RetentionPolicy | null> => {
+  const row = await db.prepare(`
+    SELECT record_retention_days, record_retention_action, log_retention_days
+    FROM organizations WHERE id = ?
+  `).bind(organizationId).first()
+
+  return row ? toRetentionPolicy(row) : null
+}
+
+/**
+ * 組織の保持ポリシーを更新
+ */
+export const updateRetentionPolicy = async (
+  db: D1Database,
+  organizationId: number,
+  policy: RetentionPolicy
+): Promise<RetentionPolicy | null> => {
+  const row = await db.prepare(`
+    UPDATE organizations
+    SET record_retention_days = ?, record_retention_action = ?, log_retention_days = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+    RETURNING record_retention_days, record_retention_action, log_retention_days
+  `).bind(policy.recordRetentionDays, policy.recordAction, policy.logRetentionDays, organizationId).first()
+
+  return row ? toRetentionPolicy(row) : null
+}
+
+/**
+ * リクエストボディから保持ポリシーを抽出・検証
+ * 省略された項目は current の値を引き継ぐ
+ */
+export const extractRetentionPolicyInput = (body: any, current: RetentionPolicy): {
+  success: boolean
+  data?: RetentionPolicy
+  error?: string
+} => {
+  const recordRetentionDays = body?.recordRetentionDays ?? current.recordRetentionDays
+  const { min: recordMin, max: recordMax } = RETENTION_CONFIG.recordRetentionDays
+  if (!Number.isInteger(recordRetentionDays) || recordRetentionDays < recordMin || recordRetentionDays > recordMax) {
+    return { success: false, error: `履歴の保持日数は${recordMin}〜${recordMax}日で指定してください` }
+  }
+
+  const recordAction = body?.recordAction ?? current.recordAction
+  if (!isRetentionAction(recordAction)) {
+    return { success: false, error: '保持期間を過ぎた履歴の扱いは anonymize または purge を指定してください' }
+  }
+
+  const logRetentionDays = body?.logRetentionDays ?? current.logRetentionDays
+  const { min: logMin, max: logMax } = RETENTION_CONFIG.logRetentionDays
+  if (!Number.isInteger(logRetentionDays) || logRetentionDays < logMin || logRetentionDays > logMax) {
+    return { success: false, error: `監査ログの保持日数は${logMin}〜${logMax}日で指定してください` }
+  }
+
+  return { success: true, data: { recordRetentionDays, recordAction, logRetentionDays } }
+}
+
+// ========================================
+// 🧹 保持期間の適用
+// ========================================
+
+/**
+ * 保持期間を過ぎたデータを匿名化・削除
+ * organizationId を指定した場合はその組織の履歴・監査ログのみを対象にする（セッションは対象外）
+ */
+export const runRetention = async (
+  db: D1Database,
+  options: { dryRun: boolean; organizationId?: number; now?: Date }
+): Promise<RetentionReport> => {
+  const now = options.now || new Date()
+  const scopes = await loadRetentionScopes(db, options.organizationId)
+  const targets: RetentionTargetReport[] = []
+
+  for (const scope of scopes) {
+    targets.push({
+      organizationId: scope.organizationId,
+      policy: scope.policy,
+      records: await applyRecordRetention(db, scope, now, options.dryRun),
+      logs: await applyLogRetention(db, scope, now, options.dryRun),
+      drafts: await applyDraftRetention(db, scope, now, options.dryRun)
+    })
+  }
+
+  const sessions = options.organizationId === undefined
+    ? await applySessionRetention(db, now, options.dryRun)
+    : null
+
+  return {
+    dryRun: options.dryRun,
+    executedAt: now.toISOString(),
+    targets,
+    sessions
+  }
+}
+
+/**
+ * ポリシーの適用単位を読み込む
+ * 履歴・下書きは作成者の現在の所属組織、監査ログは記録時の所属組織のポリシーに従う
+ */
+async function loadRetentionScopes(db: D1Database, organizationId?: number): Promise<RetentionScope[]> {
+  const result = organizationId === undefined
+    ? await db.prepare(`
+        SELECT id, record_retention_days, record_retention_action, log_retention_days
+        FROM organizations ORDER BY id
+      `).all()
+    : await db.prepare(`
+        SELECT id, record_retention_days, record_retention_action, log_retention_days
+        FROM organizations WHERE id = ?
+      `).bind(organizationId).all()
+
+  const scopes: RetentionScope[] = (result.results || []).map((row: Record<string, any>) => ({
+    organizationId: row.id as number,
+    policy: toRetentionPolicy(row),
+    recordWhere: 'user_id IN (SELECT user_id FROM organization_members WHERE organization_id = ?)',
+    logWhere: 'organization_id = ?',
+    params: [row.id as number]
+  }))
+
+  if (organizationId === undefined) {
+    // 組織に所属しないユーザー・未ログインの履歴と、削除済みの組織の監査ログ
+    scopes.push({
+      organizationId: null,
+      policy: { ...RETENTION_CONFIG.defaults },
+      recordWhere: '(user_id IS NULL OR user_id NOT IN (SELECT user_id FROM organization_members))',
+      logWhere: '(organization_id IS NULL OR organization_id NOT IN (SELECT id FROM organizations))',
+      params: []
+    })
+  }
+
+  return scopes
+}
+
+/**
+ * 履歴の匿名化・削除
+ * 匿名化では入力メモ・生成結果・接続情報・利用者との紐付けを消去し、件数・文書種別などの統計項目のみ残す
+ */
+async function applyRecordRetention(
+  db: D1Database,
+  scope: RetentionScope,
+  now: Date,
+  dryRun: boolean
+): Promise<RetentionTargetReport['records']> {
+  const cutoff = toCutoff(now, scope.policy.recordRetentionDays)
+  const action = scope.policy.recordAction
+  const where = `${scope.recordWhere} AND created_at < ?${action === 'anonymize' ? ' AND anonymized_at IS NULL' : ''}`
+  const params = [...scope.params, cutoff]
+
+  if (dryRun) {
+    const count = await countRows(db, 'nursing_records', where, params)
+    return { cutoff, action, count, hasMore: false }
+  }
+
+  const targetIds = `SELECT id FROM nursing_records WHERE ${where} LIMIT ?`
+  const statement = action === 'purge'
+    ? db.prepare(`DELETE FROM nursing_records WHERE id IN (${targetIds}) RETURNING id`)
+      .bind(...params, RETENTION_CONFIG.batchSize)
+    : db.prepare(`
+        UPDATE nursing_records
+        SET input_text = '', output_text = '', encryption_key_id = NULL, session_id = '', request_id = NULL,
+          ip_address = NULL, user_agent = NULL, patient_id = NULL, anonymized_at = ?
+        WHERE id IN (${targetIds})
+        RETURNING id
+      `).bind(now.toISOString(), ...params, RETENTION_CONFIG.batchSize)
+
+  const count = (await statement.all()).results?.length || 0
+  return { cutoff, action, count, hasMore: count >= RETENTION_CONFIG.batchSize }
+}
+
+/**
+ * 下書きの削除
+ * 下書きは入力メモそのものを保持するため、匿名化のポリシーでも最後の編集から履歴の保持期間を過ぎたら削除する
+ */
+async function applyDraftRetention(
+  db: D1Database,
+  scope: RetentionScope,
+  now: Date,
+  dryRun: boolean
+): Promise<RetentionTargetReport['drafts']> {
+  const cutoff = toCutoff(now, scope.policy.recordRetentionDays)
+  const where = `${scope.recordWhere} AND updated_at < ?`
+  const params = [...scope.params, cutoff]
+
+  if (dryRun) {
+    const count = await countRows(db, 'drafts', where, params)
+    return { cutoff, count, hasMore: false }
+  }
+
+  const result = await db.prepare(`
+    DELETE FROM drafts
+    WHERE id IN (SELECT id FROM drafts WHERE ${where} LIMIT ?)
+    RETURNING id
+  `).bind(...params, RETENTION_CONFIG.batchSize).all()
+
+  const count = result.results?.length || 0
+  return { cutoff, count, hasMore: count >= RETENTION_CONFIG.batchSize }
+}
+
+/**
+ * 監査ログの削除
+ */
+async function applyLogRetention(
+  db: D1Database,
+  scope: RetentionScope,
+  now: Date,
+  dryRun: boolean
+): Promise<RetentionTargetReport['logs']> {
+  const cutoff = toCutoff(now, scope.policy.logRetentionDays)
+  const where = `${scope.logWhere} AND created_at < ?`
+  const params = [...scope.params, cutoff]
+
+  if (dryRun) {
+    const count = await countRows(db, 'security_logs', where, params)
+    return { cutoff, count, hasMore: false }
+  }
+
+  const result = await db.prepare(`
+    DELETE FROM security_logs
+    WHERE id IN (SELECT id FROM security_logs WHERE ${where} LIMIT ?)
+    RETURNING id
+  `).bind(...params, RETENTION_CONFIG.batchSize).all()
+
+  const count = result.results?.length || 0
+  return { cutoff, count, hasMore: count >= RETENTION_CONFIG.batchSize }
+}
+
+/**
+ * 期限切れのセッションの削除（失効後も猶予期間は残し、不正利用の調査に使えるようにする）
+ */
+async function applySessionRetention(
+  db: D1Database,
+  now: Date,
+  dryRun: boolean
+): Promise<NonNullable<RetentionReport['sessions']>> {
+  const cutoff = toCutoff(now, RETENTION_CONFIG.sessionGraceDays)
+
+  if (dryRun) {
+    const count = await countRows(db, 'user_sessions', 'expires_at < ?', [cutoff])
+    return { cutoff, count, hasMore: false }
+  }
+
+  const result = await db.prepare(`
+    DELETE FROM user_sessions
+    WHERE id IN (SELECT id FROM user_sessions WHERE expires_at < ? LIMIT ?)
+    RETURNING id
+  `).bind(cutoff, RETENTION_CONFIG.batchSize).all()
+
+  const count = result.results?.length || 0
+  return { cutoff, count, hasMore: count >= RETENTION_CONFIG.batchSize }
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 保持期間の起点（この日時より前に作成されたデータが対象）
+ */
+function toCutoff(now: Date, days: number): string {
+  return new Date(now.getTime() - days * DAY_MS).toISOString()
+}
+
+async function countRows(db: D1Database, table: string, where: string, params: (string | number)[]): Promise<number> {
+  const row = await db.prepare(`SELECT COUNT(*) AS total FROM ${table} WHERE ${where}`)
+    .bind(...params)
+    .first<{ total: number }>()
+
+  return row?.total || 0
+}
+
+/**
+ * 保持期間を過ぎた履歴の扱いか判定
+ */
+export const isRetentionAction = (value: unknown): value is RetentionAction =>
+  value === 'anonymize' || value === 'purge'
+
+/**
+ * DB行を保持ポリシーに変換（未設定の項目は既定値）
+ */
+function toRetentionPolicy(row: Record<string, any>): RetentionPolicy {
+  return {
+    recordRetentionDays: row.record_retention_days ?? RETENTION_CONFIG.defaults.recordRetentionDays,
+    recordAction: isRetentionAction(row.record_retention_action)
+      ? row.record_retention_action
+      : RETENTION_CONFIG.defaults.recordAction,
+    logRetentionDays: row.log_retention_days ?? RETENTION_CONFIG.defaults.logRetentionDays
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * タップカルテ - SOAP形式の構造化出力
+ *
+ * SOAP形式の変換結果を { S, O, A, P } のJSONとして生成・検証し、
+ * 電子カルテの各欄へ個別に貼り付けられる形に整形する
+ */
+
+import type { SoapSections } from '../types'
+import type { AIJsonSchema } from './ai-provider'
+
+// ========================================
+// 📋 スキーマ定義
+// ========================================
+
+/** SOAPの各セクションキー（出力順） */
+export const SOAP_SECTION_KEYS = ['S', 'O', 'A', 'P'] as const
+
+/** SOAPの各セクション名 */
+export const SOAP_SECTION_LABELS: Record<keyof SoapSections, string> = {
+  S: '主観的情報',
+  O: '客観的情報',
+  A: 'アセスメント',
+  P: '計画'
+}
+
+/** AIに渡す出力スキーマ */
+export const SOAP_JSON_SCHEMA: AIJsonSchema = {
+  type: 'object',
+  properties: {
+    S: { type: 'string', description: 'Subjective: 利用者・家族の訴えや発言' },
+    O: { type: 'string', description: 'Objective: バイタルサインや観察・測定した事実' },
+    A: { type: 'string', description: 'Assessment: S・Oに基づく専門的な評価' },
+    P: { type: 'string', description: 'Plan: 今後のケア・観察・連絡の計画' }
+  },
+  required: [...SOAP_SECTION_KEYS]
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 構造化SOAP出力の対象フォーマットか判定
+ */
+export const isSoapFormat = (format?: string): boolean => format === 'SOAP形式'
+
+/**
+ * プロンプトに追加するSOAP出力指示
+ */
+export const buildSoapOutputInstruction = (): string => `
+【出力形式】
+次のキーを持つJSONオブジェクトのみを出力してください。説明文やコードブロックは付けないでください。
+${SOAP_SECTION_KEYS.map(key => `・"${key}": ${SOAP_JSON_SCHEMA.properties[key].description}`).join('\n')}
+入力に該当する情報がないセクションは空文字列にしてください。
+`
+
+/**
+ * AI出力をスキーマに沿って検証し、SOAPセクションに変換
+ */
+export const parseSoapResponse = (rawText: string): {
+  success: boolean
+  data?: SoapSections
+  error?: string
+} => {
+  // コードブロックで囲まれている場合は中身を取り出す
+  const jsonText = rawText
+    .trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '')
+
+  let parsed: unknown
+  try {
+    parsed = JSON.parse(jsonText)
+  } catch (error) {
+    return { success: false, error: 'SOAP出力がJSONとして解析できません' }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { success: false, error: 'SOAP出力がオブジェクトではありません' }
+  }
+
+  const record = parsed as Record<string, unknown>
+  const sections = {} as SoapSections
+
+  for (const key of SOAP_SECTION_KEYS) {
+    const value = record[key]
+    if (typeof value !== 'string') {
+      return { success: false, error: `SOAP出力の${key}が文字列ではありません` }
+    }
+    sections[key] = cleanupSoapSection(value)
+  }
+
+  if (SOAP_SECTION_KEYS.every(key => sections[key] === '')) {
+    return { success: false, error: 'SOAP出力が空です' }
+  }
+
+  return { success: true, data: sections }
+}
+
+/**
+ * セクション本文の整形（見出しを壊さないよう最小限の除去のみ行う）
+ */
+const cleanupSoapSection = (text: string): string => text
+  .replace(/medical_record/gi, '') // medical_record削除
+  .replace(/^\*+\s*/gm, '') // 行頭のアスタリスク削除
+  .replace(/^[SOAP]\s*[:：)）]\s*/, '') // セクション本文に重複したS:等の見出しを削除
+  .replace(/[ \t　]+/g, ' ') // 連続スペースを単一スペースに（改行は保持）
+  .replace(/\n\s*\n/g, '\n') // 空行の除去
+  .trim()
+
+/**
+ * 文字数制限をSOAP全体に適用（各セクションの長さに比例して配分）
+ */
+export const applySoapCharLimit = (sections: SoapSections, charLimit?: number): SoapSections =>
+  applySectionsCharLimit(sections, SOAP_SECTION_KEYS, charLimit)
+
+/**
+ * 文字数制限をセクション分けした出力の全体に適用（各セクションの長さに比例して配分）
+ */
+export const applySectionsCharLimit = <K extends string>(
+  sections: Record<K, string>,
+  keys: readonly K[],
+  charLimit?: number
+): Record<K, string> => {
+  const total = keys.reduce((sum, key) => sum + sections[key].length, 0)
+  if (!charLimit || total <= charLimit) {
+    return sections
+  }
+
+  const limited = { ...sections }
+  for (const key of keys) {
+    const allowed = Math.floor(charLimit * sections[key].length / total)
+    if (sections[key].length > allowed) {
+      limited[key] = allowed > 3
+        ? sections[key].substring(0, allowed - 1) + '。'
+        : sections[key].substring(0, allowed)
+    }
+  }
+  return limited
+}
+
+/**
+ * SOAPセクションを履歴保存・一括コピー用のテキストに変換
+ */
+export const formatSoapText = (sections: SoapSections): string => SOAP_SECTION_KEYS
+  .map(key => `${key}：${sections[key]}`)
+  .join('\n')
@@ -0,0 +1,434 @@
+/**
+ * タップカルテ - 記録テンプレート
+ *
+ * 組み込みテンプレート（src/record-templates.ts）とマイテンプレート（record_templates）の
+ * 取得・検証と、変換プロンプト用の指示文の構築
+ */
+
+import type { ConversionOptions, RecordTemplate, TemplateContent } from '../types'
+import { TEMPLATE_CONFIG } from '../config'
+import { builtInTemplates } from '../record-templates'
+
+/** テンプレートの登録内容 */
+export interface TemplateInput extends TemplateContent {
+  description: string
+  /** 組織内で共有するか */
+  shared: boolean
+}
+
+// ========================================
+// 🗄️ データベース操作
+// ========================================
+
+/**
+ * 閲覧可能なテンプレートの条件
+ * 自分のテンプレート、または作成者と同じ組織に所属している場合の共有テンプレート
+ */
+const ACCESSIBLE_CONDITION = `(
+  t.user_id = ?
+  OR (
+    t.organization_id IS NOT NULL
+    AND t.organization_id = (SELECT organization_id FROM organization_members WHERE user_id = ?)
+    AND t.user_id IN (SELECT user_id FROM organization_members WHERE organization_id = t.organization_id)
+  )
+)`
+
+/**
+ * テンプレートの取得（viewer_is_admin: 閲覧中のユーザーが共有先の組織の管理者か）
+ */
+const SELECT_TEMPLATES = `
+  SELECT t.*, u.display_name AS owner_name,
+    EXISTS (
+      SELECT 1 FROM organization_members a
+      WHERE a.user_id = ? AND a.organization_id = t.organization_id AND a.role = 'admin'
+    ) AS viewer_is_admin
+  FROM record_templates t
+  JOIN users u ON u.id = t.user_id
+`
+
+/**
+ * 編集できるテンプレートの条件
+ * 自分のテンプレート、または管理者を務める組織に共有されたテンプレート
+ */
+const EDITABLE_CONDITION = `(
+  user_id = ?
+  OR organization_id IN (SELECT organization_id FROM organization_members WHERE user_id = ? AND role = 'admin')
+)`
+
+/**
+ * ユーザーの所属組織IDを取得（未所属の場合は null）
+ */
+export const getUserOrganizationId = async (db: D1Database, userId: number): Promise<number | null> => {
+  const row = await db.prepare('SELECT organization_id FROM organization_members WHERE user_id = ?')
+    .bind(userId)
+    .first<{ organization_id: number }>()
+
+  return row?.organization_id ?? null
+}
+
+/**
+ * 閲覧可能なマイテンプレート（自分の作成分＋組織の共有分）の一覧を取得
+ */
+export const listAccessibleTemplates = async (db: D1Database, userId: number): Promise<RecordTemplate[]> => {
+  const result = await db.prepare(`
+    ${SELECT_TEMPLATES}
+    WHERE ${ACCESSIBLE_CONDITION}
+    ORDER BY t.name ASC
+  `).bind(userId, userId, userId).all()
+
+  return (result.results || []).map((row: Record<string, any>) => toRecordTemplate(row, userId))
+}
+
+/**
+ * 閲覧可能なマイテンプレートをIDで取得
+ */
+export const findAccessibleTemplate = async (
+  db: D1Database,
+  userId: number,
+  id: number
+): Promise<RecordTemplate | null> => {
+  const row = await db.prepare(`
+    ${SELECT_TEMPLATES}
+    WHERE t.id = ? AND ${ACCESSIBLE_CONDITION}
+  `).bind(userId, id, userId, userId).first()
+
+  return row ? toRecordTemplate(row, userId) : null
+}
+
+/**
+ * 作成したテンプレートの件数を取得
+ */
+export const countOwnTemplates = async (db: D1Database, userId: number): Promise<number> => {
+  const row = await db.prepare('SELECT COUNT(*) AS total FROM record_templates WHERE user_id = ?')
+    .bind(userId)
+    .first<{ total: number }>()
+
+  return row?.total || 0
+}
+
+/**
+ * 同じ名前のテンプレートを作成済みか確認（更新時は自身を除く）
+ */
+export const hasOwnTemplateNamed = async (
+  db: D1Database,
+  userId: number,
+  name: string,
+  excludeId?: number
+): Promise<boolean> => {
+  const row = await db.prepare('SELECT id FROM record_templates WHERE user_id = ? AND name = ? AND id != ?')
+    .bind(userId, name, excludeId ?? 0)
+    .first()
+
+  return !!row
+}
+
+/**
+ * テンプレートを作成
+ */
+export const createTemplate = async (
+  db: D1Database,
+  userId: number,
+  organizationId: number | null,
+  input: TemplateInput
+): Promise<RecordTemplate> => {
+  const row = await db.prepare(`
+    INSERT INTO record_templates (
+      user_id, organization_id, name, description,
+      sections, required_observations, example_phrases
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    RETURNING id
+  `).bind(
+    userId,
+    input.shared ? organizationId : null,
+    input.name,
+    input.description,
+    JSON.stringify(input.sections),
+    JSON.stringify(input.requiredObservations),
+    JSON.stringify(input.examplePhrases)
+  ).first<{ id: number }>()
+
+  return (await findAccessibleTemplate(db, userId, row!.id))!
+}
+
+/**
+ * テンプレートを更新（作成者、または共有先の組織の管理者）
+ */
+export const updateTemplate = async (
+  db: D1Database,
+  userId: number,
+  id: number,
+  organizationId: number | null,
+  input: TemplateInput
+): Promise<RecordTemplate | null> => {
+  const row = await db.prepare(`
+    UPDATE record_templates
+    SET organization_id = ?, name = ?, description = ?,
+        sections = ?, required_observations = ?, example_phrases = ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND ${EDITABLE_CONDITION}
+    RETURNING id
+  `).bind(
+    input.shared ? organizationId : null,
+    input.name,
+    input.description,
+    JSON.stringify(input.sections),
+    JSON.stringify(input.requiredObservations),
+    JSON.stringify(input.examplePhrases),
+    id,
+    userId,
+    userId
+  ).first<{ id: number }>()
+
+  return row ? findAccessibleTemplate(db, userId, row.id) : null
+}
+
+/**
+ * テンプレートを削除（作成者、または共有先の組織の管理者）
+ */
+export const deleteTemplate = async (db: D1Database, userId: number, id: number): Promise<boolean> => {
+  const result = await db.prepare(`DELETE FROM record_templates WHERE id = ? AND ${EDITABLE_CONDITION}`)
+    .bind(id, userId, userId)
+    .run()
+
+  return result.meta.changes > 0
+}
+
+// ========================================
+// 📝 変換プロンプト用
+// ========================================
+
+/**
+ * 変換オプションのテンプレート指定を内容に解決
+ * - 数値（または数字のみの文字列）: マイテンプレートのID
+ * - 組み込みテンプレートのID・名前: 組み込みテンプレート
+ * - それ以外の文字列: 業務内容名のみ（従来の指定方法）
+ * 閲覧できないIDは missing として返し、プロンプトには含めない
+ */
+export const resolveConversionTemplates = async (
+  db: D1Database | undefined,
+  userId: number | null | undefined,
+  options: Pick<ConversionOptions, 'template' | 'templates'>
+): Promise<{ templates: TemplateContent[]; missing: (string | number)[] }> => {
+  const refs = [...(options.templates || []), ...(options.template ? [options.template] : [])]
+    .slice(0, TEMPLATE_CONFIG.maxTemplatesPerRequest)
+
+  const customIds = refs.filter(isCustomTemplateId).map(Number)
+  const customTemplates = new Map<number, RecordTemplate>()
+
+  if (customIds.length > 0 && db && userId) {
+    const result = await db.prepare(`
+      ${SELECT_TEMPLATES}
+      WHERE t.id IN (${customIds.map(() => '?').join(', ')}) AND ${ACCESSIBLE_CONDITION}
+    `).bind(...customIds, userId, userId).all()
+
+    for (const row of result.results || []) {
+      const template = toRecordTemplate(row, userId)
+      customTemplates.set(template.id, template)
+    }
+  }
+
+  const templates: TemplateContent[] = []
+  const missing: (string | number)[] = []
+
+  for (const ref of refs) {
+    if (isCustomTemplateId(ref)) {
+      const template = customTemplates.get(Number(ref))
+      if (template) {
+        templates.push(template)
+      } else {
+        missing.push(ref)
+      }
+      continue
+    }
+
+    const name = String(ref).trim()
+    const builtIn = builtInTemplates.find(template => template.id === name || template.name === name)
+    templates.push(builtIn || { name, sections: [], requiredObservations: [], examplePhrases: [] })
+  }
+
+  return { templates: uniqueByName(templates), missing }
+}
+
+/**
+ * テンプレートをプロンプト用の指示文に変換
+ */
+export const buildTemplateInstruction = (templates: TemplateContent[]): string => {
+  if (templates.length === 0) {
+    return ''
+  }
+
+  const names = templates.map(template => template.name).join('、')
+  const subject = templates.length > 1 ? 'これらの業務内容' : 'この業務内容'
+
+  const details = templates
+    .filter(template => template.sections.length + template.requiredObservations.length + template.examplePhrases.length > 0)
+    .map(template => [
+      `■${template.name}`,
+      ...(template.description ? [`・概要: ${template.description}`] : []),
+      ...(template.sections.length > 0 ? [`・記載の構成: ${template.sections.join(' → ')}`] : []),
+      ...(template.requiredObservations.length > 0
+        ? [`・確認すべき観察項目: ${template.requiredObservations.join('、')}（入力に記載がない項目は創作しない）`]
+        : []),
+      ...template.examplePhrases.map(phrase => `・表現例: ${phrase}`)
+    ].join('\n'))
+
+  return `
+【業務内容テンプレート】
+この記録は「${names}」に関する内容として整理してください。${subject}に関連する専門的な観点から記録を作成してください。
+${details.length > 0 ? `表現例は文体の参考とし、内容は入力メモに基づいて記載してください。\n${details.join('\n')}\n` : ''}`
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * リクエストボディからテンプレートの登録内容を抽出・検証
+ * 構成・観察項目・表現例は文字列配列、または改行区切りの文字列を受け付ける
+ */
+export const extractTemplateInput = (body: any): {
+  success: boolean
+  data?: TemplateInput
+  error?: string
+} => {
+  const name = typeof body?.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : ''
+  const description = typeof body?.description === 'string' ? body.description.trim() : ''
+
+  if (!name || name.length > TEMPLATE_CONFIG.maxNameLength) {
+    return { success: false, error: `テンプレート名は1〜${TEMPLATE_CONFIG.maxNameLength}文字で入力してください` }
+  }
+
+  if (isCustomTemplateId(name) || builtInTemplates.some(template => template.id === name || template.name === name)) {
+    return { success: false, error: '組み込みテンプレートと同じ名前、または数字のみの名前は使用できません' }
+  }
+
+  if (description.length > TEMPLATE_CONFIG.maxDescriptionLength) {
+    return { success: false, error: `説明は${TEMPLATE_CONFIG.maxDescriptionLength}文字以内で入力してください` }
+  }
+
+  const lists = {
+    sections: toItemList(body?.sections),
+    requiredObservations: toItemList(body?.requiredObservations),
+    examplePhrases: toItemList(body?.examplePhrases)
+  }
+
+  const labels: Record<keyof typeof lists, string> = {
+    sections: '記載の構成',
+    requiredObservations: '観察項目',
+    examplePhrases: '表現例'
+  }
+
+  for (const key of Object.keys(lists) as (keyof typeof lists)[]) {
+    const items = lists[key]
+    if (items === null) {
+      return { success: false, error: `${labels[key]}の形式が正しくありません` }
+    }
+    if (items.length > TEMPLATE_CONFIG.maxItems) {
+      return { success: false, error: `${labels[key]}は${TEMPLATE_CONFIG.maxItems}件まで登録できます` }
+    }
+    if (items.some(item => item.length > TEMPLATE_CONFIG.maxItemLength)) {
+      return { success: false, error: `${labels[key]}は1件${TEMPLATE_CONFIG.maxItemLength}文字以内で入力してください` }
+    }
+  }
+
+  if (lists.sections!.length + lists.requiredObservations!.length + lists.examplePhrases!.length === 0) {
+    return { success: false, error: '記載の構成・観察項目・表現例のいずれかを入力してください' }
+  }
+
+  return {
+    success: true,
+    data: {
+      name,
+      description,
+      sections: lists.sections!,
+      requiredObservations: lists.requiredObservations!,
+      examplePhrases: lists.examplePhrases!,
+      shared: body?.shared === true
+    }
+  }
+}
+
+/**
+ * 変換リクエストのテンプレート指定を検証（ID・名前以外の値は除外）
+ */
+export const toTemplateRefs = (value: unknown): (string | number)[] => {
+  if (!Array.isArray(value)) {
+    return []
+  }
+
+  return value
+    .filter((ref): ref is string | number => (typeof ref === 'string' && ref.trim().length > 0) || typeof ref === 'number')
+    .map(ref => typeof ref === 'string' ? ref.trim().substring(0, TEMPLATE_CONFIG.maxNameLength) : ref)
+    .slice(0, TEMPLATE_CONFIG.maxTemplatesPerRequest)
+}
+
+/**
+ * マイテンプレートのIDか判定（組み込みテンプレートのIDは英字を含む）
+ */
+const isCustomTemplateId = (ref: string | number): boolean => {
+  return typeof ref === 'number' ? Number.isInteger(ref) && ref > 0 : /^[1-9][0-9]*$/.test(ref.trim())
+}
+
+/**
+ * 項目リストを正規化（空行を除き、プロンプトは1行1項目のため改行を除去）
+ */
+export function toItemList(value: unknown): string[] | null {
+  if (value === undefined || value === null) {
+    return []
+  }
+
+  const items = typeof value === 'string' ? value.split('\n') : value
+  if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+    return null
+  }
+
+  return (items as string[])
+    .map(item => item.trim().replace(/\s+/g, ' '))
+    .filter(item => item.length > 0)
+}
+
+/**
+ * 同じ名前のテンプレートを除外（先に指定されたものを優先）
+ */
+function uniqueByName(templates: TemplateContent[]): TemplateContent[] {
+  const seen = new Set<string>()
+  return templates.filter(template => {
+    if (seen.has(template.name)) {
+      return false
+    }
+    seen.add(template.name)
+    return true
+  })
+}
+
+/**
+ * DB行をAPIレスポンス用のテンプレートデータに変換
+ */
+function toRecordTemplate(row: Record<string, any>, viewerId: number): RecordTemplate {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    sections: parseItemList(row.sections),
+    requiredObservations: parseItemList(row.required_observations),
+    examplePhrases: parseItemList(row.example_phrases),
+    ownerId: row.user_id,
+    ownerName: row.owner_name,
+    shared: row.organization_id !== null,
+    editable: row.user_id === viewerId || (row.organization_id !== null && !!row.viewer_is_admin),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+}
+
+/**
+ * DBに保存したJSON配列を読み込む（不正な値は空配列として扱う）
+ */
+export function parseItemList(value: unknown): string[] {
+  try {
+    const parsed = JSON.parse(String(value))
+    return Array.isArray(parsed) ? parsed.filter((item): item is string => typeof item === 'string') : []
+  } catch (error) {
+    return []
+  }
+}
@@ -0,0 +1,383 @@
+/**
+ * タップカルテ - 医療用語辞書の関連用語抽出
+ *
+ * 辞書全体をプロンプトに埋め込むとトークンを浪費するため、
+ * 入力メモに用語・読み・言い換え（ひらがな/カタカナ/漢字の表記揺れ、軽微な誤字を含む）が
+ * 現れる用語だけを選んでプロンプトに渡す
+ */
+
+import type { MedicalDictionary } from './dictionary'
+import type { TranscriptCorrection } from '../types'
+
+/** 用語 → 読み・言い換えの一覧 */
+export type TermReadings = Record<string, string[]>
+
+/** 辞書の絞り込み結果（プロンプト削減量の計測用） */
+export interface DictionaryUsage {
+  termsTotal: number
+  termsInjected: number
+  /** 辞書全体を埋め込んだ場合との推定トークン差 */
+  tokensSaved: number
+}
+
+// ========================================
+// ⚙️ 照合設定
+// ========================================
+
+/** 誤字（1文字の脱字・誤字・入れ替わり）を許容する最小の文字数 */
+const FUZZY_MIN_LENGTH = 4
+
+/** かなのみの語は一般語と衝突しやすいため、誤字照合はこの文字数以上に限る */
+const FUZZY_KANA_MIN_LENGTH = 5
+
+/** 誤字照合を行う入力の最大文字数（長文での照合コストを抑える） */
+const FUZZY_MAX_INPUT_LENGTH = 5000
+
+/** かなのみの読みは短いと一般語に埋もれて誤検出するため、この文字数未満は照合しない */
+const KANA_MIN_LENGTH = 3
+
+/** 書き起こしの補正で、英字の略語の大文字/小文字を揃える最小の文字数（2文字の略語は一般の英字と衝突しやすい） */
+const TRANSCRIPT_ASCII_MIN_LENGTH = 3
+
+const KANA_ONLY_PATTERN = /^[ぁ-ゟァ-ヿー]+$/
+const ASCII_PATTERN = /^[\x20-\x7e]+$/
+const SMALL_KANA = 'ぁぃぅぇぉっゃゅょゎ'
+
+// ========================================
+// 🔍 関連用語の抽出
+// ========================================
+
+/**
+ * 入力テキストに関連する辞書の用語だけを抽出
+ * 用語・読み・意味のいずれかが入力に含まれる用語を選ぶ
+ */
+export const selectRelevantTerms = (
+  text: string,
+  dictionary: MedicalDictionary,
+  readings: TermReadings = {}
+): MedicalDictionary => {
+  const target = createMatchTarget(text)
+  const selected: MedicalDictionary = {}
+
+  for (const [term, meaning] of Object.entries(dictionary)) {
+    const candidates = [term, ...(readings[term] || []), meaning]
+    if (candidates.some(candidate => matchesCandidate(target, candidate))) {
+      selected[term] = meaning
+    }
+  }
+
+  return selected
+}
+
+/**
+ * 辞書をプロンプト用の「・用語: 意味」形式に変換
+ */
+export const formatDictionaryContext = (dictionary: MedicalDictionary): string => {
+  return Object.entries(dictionary)
+    .map(([term, meaning]) => `・${term}: ${meaning}`)
+    .join('\n')
+}
+
+/**
+ * 辞書の絞り込みによるプロンプト削減量を算出
+ */
+export const measureDictionaryUsage = (
+  fullDictionary: MedicalDictionary,
+  selectedDictionary: MedicalDictionary
+): DictionaryUsage => {
+  return {
+    termsTotal: Object.keys(fullDictionary).length,
+    termsInjected: Object.keys(selectedDictionary).length,
+    tokensSaved: estimateTokenCount(formatDictionaryContext(fullDictionary))
+      - estimateTokenCount(formatDictionaryContext(selectedDictionary))
+  }
+}
+
+/**
+ * トークン数の概算（日本語は1文字≒1トークン、英数字は4文字≒1トークン）
+ * プロバイダーごとのトークナイザー差は吸収できないため、削減量の比較にのみ使用する
+ */
+export const estimateTokenCount = (text: string): number => {
+  let cjk = 0
+  let other = 0
+
+  for (const char of text) {
+    if (/[　-ヿ㐀-鿿＀-￯]/.test(char)) {
+      cjk++
+    } else if (!/\s/.test(char)) {
+      other++
+    }
+  }
+
+  return cjk + Math.ceil(other / 4)
+}
+
+// ========================================
+// 🎙️ 音声入力の書き起こしの補正
+// ========================================
+
+/**
+ * 音声認識の書き起こしを辞書の表記に補正
+ * 音声認識は知らない専門用語をかな書きにしやすいため、用語のひらがな書き・英字の大文字/小文字の揺れと、
+ * 音声入力向けの読み（例: さちゅれーしょん → SpO2）を辞書の用語に置き換える。
+ * 同音の一般語と衝突するため、漢語の読み（termReadings）は spokenForms に登録したものだけを使う
+ */
+export const correctTranscript = (
+  text: string,
+  dictionary: MedicalDictionary,
+  spokenForms: TermReadings = {}
+): { text: string; corrections: TranscriptCorrection[] } => {
+  const replacements = buildTranscriptReplacements(dictionary, spokenForms)
+  const normalizedText = text.normalize('NFKC')
+  if (replacements.size === 0) {
+    return { text: normalizedText, corrections: [] }
+  }
+
+  // 長い読みを優先する（例: 「サチュレーション」を「サチュ」より先に照合）
+  const pattern = new RegExp(
+    Array.from(replacements.values())
+      .sort((a, b) => b.form.length - a.form.length)
+      .map(({ form }) => toTranscriptPattern(form))
+      .join('|'),
+    'g'
+  )
+
+  const corrections: TranscriptCorrection[] = []
+  const corrected = normalizedText.replace(pattern, (match: string, offset: number) => {
+    const term = replacements.get(normalizeForMatching(match))?.term
+    if (!term || term === match) {
+      return match
+    }
+    corrections.push({ from: match, to: term })
+
+    // かなを英字の略語に置き換えると前後の数値とつながる（例: SpO2 + 97 → SpO297）ため空白で区切る
+    const before = /^[A-Za-z0-9]/.test(term) && /[A-Za-z0-9]/.test(normalizedText[offset - 1] || '') ? ' ' : ''
+    const after = /[A-Za-z0-9]$/.test(term) && /[A-Za-z0-9]/.test(normalizedText[offset + match.length] || '') ? ' ' : ''
+    return before + term + after
+  })
+
+  return { text: corrected, corrections }
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 照合用の正規化（全角/半角・大文字/小文字・カタカナ/ひらがな・小書き文字の揺れを吸収）
+ */
+export const normalizeForMatching = (text: string): string => {
+  return foldWidthAndCase(text)
+    .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+    .replace(/[ぁぃぅぇぉっゃゅょゎ]/g, char => String.fromCharCode(char.charCodeAt(0) + 1))
+}
+
+/**
+ * 全角/半角・大文字/小文字の揺れのみ吸収（カタカナとひらがなは区別する）
+ */
+const foldWidthAndCase = (text: string): string => {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s・･]+/g, '')
+}
+
+/** 照合対象の入力テキスト */
+interface MatchTarget {
+  /** かな・小書き文字まで揃えた入力 */
+  normalized: string
+  /** カタカナとひらがなを区別する入力（短いカタカナ語の照合用） */
+  exact: string
+  /** 誤字照合の対象範囲 */
+  fuzzy: string
+}
+
+function createMatchTarget(text: string): MatchTarget {
+  const normalized = normalizeForMatching(text)
+  return {
+    normalized,
+    exact: foldWidthAndCase(text),
+    fuzzy: normalized.substring(0, FUZZY_MAX_INPUT_LENGTH)
+  }
+}
+
+/**
+ * 候補語が入力に含まれるか判定
+ */
+function matchesCandidate(target: MatchTarget, candidate: string): boolean {
+  const trimmed = candidate.trim()
+  const kanaOnly = KANA_ONLY_PATTERN.test(trimmed)
+
+  // かなのみの短い読みは一般語に埋もれるため対象外
+  if (!trimmed || (kanaOnly && trimmed.length < KANA_MIN_LENGTH)) {
+    return false
+  }
+
+  // 英字の略語は単語の一部（例: BP → 「bpm」）に一致しないよう前後を確認する
+  if (ASCII_PATTERN.test(trimmed)) {
+    return containsAsciiWord(target.normalized, normalizeForMatching(trimmed))
+  }
+
+  // 短いかな語はひらがな化すると活用語尾と衝突する（例: ナイト → 「しないと」）ため、表記どおりに照合する
+  if (kanaOnly && trimmed.length < FUZZY_MIN_LENGTH) {
+    return target.exact.includes(foldWidthAndCase(trimmed))
+  }
+
+  const needle = normalizeForMatching(trimmed)
+  if (target.normalized.includes(needle)) {
+    return true
+  }
+
+  const fuzzyMinLength = kanaOnly ? FUZZY_KANA_MIN_LENGTH : FUZZY_MIN_LENGTH
+  return needle.length >= fuzzyMinLength && containsWithOneEdit(target.fuzzy, needle)
+}
+
+/**
+ * 英数字の略語が単語として含まれるか（前後が英字でないこと）
+ */
+function containsAsciiWord(haystack: string, needle: string): boolean {
+  let index = haystack.indexOf(needle)
+  while (index !== -1) {
+    const before = haystack[index - 1] || ''
+    const after = haystack[index + needle.length] || ''
+    if (!/[a-z]/.test(before) && !/[a-z]/.test(after)) {
+      return true
+    }
+    index = haystack.indexOf(needle, index + 1)
+  }
+  return false
+}
+
+/**
+ * 入力中に編集距離1以内（置換・挿入・削除・隣接入れ替え）で一致する箇所があるか
+ */
+function containsWithOneEdit(haystack: string, needle: string): boolean {
+  const length = needle.length
+  if (haystack.length < length - 1) {
+    return false
+  }
+
+  for (let start = 0; start <= haystack.length - (length - 1); start++) {
+    // 先頭か2文字目が一致しない位置は編集距離1以内になり得ないため読み飛ばす
+    if (haystack[start] !== needle[0] && haystack[start + 1] !== needle[1] && haystack[start] !== needle[1]) {
+      continue
+    }
+
+    for (const windowLength of [length - 1, length, length + 1]) {
+      const window = haystack.substring(start, start + windowLength)
+      if (window.length === windowLength && isWithinOneEdit(window, needle)) {
+        return true
+      }
+    }
+  }
+
+  return false
+}
+
+/**
+ * 2つの文字列の編集距離が1以内か（隣接文字の入れ替えも1とみなす）
+ */
+function isWithinOneEdit(a: string, b: string): boolean {
+  if (a === b) {
+    return true
+  }
+  if (Math.abs(a.length - b.length) > 1) {
+    return false
+  }
+
+  if (a.length === b.length) {
+    const diffs: number[] = []
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) {
+        diffs.push(i)
+        if (diffs.length > 2) {
+          return false
+        }
+      }
+    }
+    if (diffs.length === 1) {
+      return true
+    }
+    // 隣接する2文字の入れ替え
+    return diffs.length === 2
+      && diffs[1] === diffs[0] + 1
+      && a[diffs[0]] === b[diffs[1]]
+      && a[diffs[1]] === b[diffs[0]]
+  }
+
+  // 1文字の挿入・削除
+  const [shorter, longer] = a.length < b.length ? [a, b] : [b, a]
+  let i = 0
+  while (i < shorter.length && shorter[i] === longer[i]) {
+    i++
+  }
+  return shorter.substring(i) === longer.substring(i + 1)
+}
+
+/**
+ * 書き起こしの補正に使う 正規化した読み → 読み・用語 の対応を作成
+ * 音声入力向けの読みは辞書の用語そのものより優先する
+ */
+function buildTranscriptReplacements(
+  dictionary: MedicalDictionary,
+  spokenForms: TermReadings
+): Map<string, { form: string; term: string }> {
+  const replacements = new Map<string, { form: string; term: string }>()
+
+  for (const term of Object.keys(dictionary)) {
+    const trimmed = term.trim()
+    // 短いかな語はひらがな書きが活用語尾と衝突する（例: ナイト → 「しないと」）ため対象外
+    const isKanaTerm = KANA_ONLY_PATTERN.test(trimmed) && trimmed.length >= FUZZY_MIN_LENGTH
+    const isAsciiTerm = ASCII_PATTERN.test(trimmed) && trimmed.length >= TRANSCRIPT_ASCII_MIN_LENGTH
+    if (isKanaTerm || isAsciiTerm) {
+      replacements.set(normalizeForMatching(trimmed), { form: trimmed, term: trimmed })
+    }
+  }
+
+  for (const [term, forms] of Object.entries(spokenForms)) {
+    if (!(term in dictionary)) {
+      continue
+    }
+    for (const form of forms) {
+      if (form.trim().length >= KANA_MIN_LENGTH) {
+        replacements.set(normalizeForMatching(form), { form: form.trim(), term })
+      }
+    }
+  }
+
+  return replacements
+}
+
+/**
+ * 読みを書き起こしの照合用の正規表現に変換
+ * かなはひらがな/カタカナ・小書き文字の揺れを許容し、英字は大文字/小文字を区別しない。
+ * 長いカタカナ語・英単語の一部には一致しないよう前後を確認する
+ */
+function toTranscriptPattern(form: string): string {
+  if (ASCII_PATTERN.test(form)) {
+    const body = Array.from(form, char => /[a-z]/i.test(char)
+      ? `[${char.toLowerCase()}${char.toUpperCase()}]`
+      : escapeRegExp(char)).join('')
+    return `(?<![A-Za-z])${body}(?![A-Za-z])`
+  }
+
+  const body = Array.from(form, char => {
+    const hiragana = /[ァ-ヶ]/.test(char) ? String.fromCharCode(char.charCodeAt(0) - 0x60) : char
+    if (!/[ぁ-ゖ]/.test(hiragana)) {
+      return escapeRegExp(char)
+    }
+
+    const large = SMALL_KANA.includes(hiragana) ? String.fromCharCode(hiragana.charCodeAt(0) + 1) : hiragana
+    const small = String.fromCharCode(large.charCodeAt(0) - 1)
+    const variants = SMALL_KANA.includes(small) ? [large, small] : [large]
+    return `[${variants.map(variant => variant + String.fromCharCode(variant.charCodeAt(0) + 0x60)).join('')}]`
+  }).join('')
+  return `(?<![ァ-ヺ])${body}(?![ァ-ヺー])`
+}
+
+/**
+ * 正規表現の特殊文字をエスケープ
+ */
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
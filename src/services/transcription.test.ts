@@ -0,0 +1,188 @@
+import { describe, it, expect } from 'vitest'
+import { Hono } from 'hono'
+import {
+  MockTranscriptionProvider,
+  GeminiTranscriptionProvider,
+  createTranscriptionProvider,
+  transcribeAudio,
+  extractTranscriptionAudio,
+  extractTranscriptText,
+  type TranscriptionProvider
+} from './transcription'
+import { correctTranscript } from './term-matcher'
+import { ai } from '../routes/ai'
+import { medicalTerms, spokenForms } from '../medical-dictionary'
+import { TRANSCRIPTION_CONFIG } from '../config'
+import type { AuthenticatedSession } from '../auth'
+import type { CloudflareBindings, TranscriptionResponse } from '../types'
+
+const AUDIO = { data: new Uint8Array([1, 2, 3]).buffer, mimeType: 'audio/webm' }
+
+/**
+ * 音声ファイルを添付したフォームデータ
+ */
+const createAudioForm = (size: number, type: string) => {
+  const form = new FormData()
+  form.append('audio', new File([new Uint8Array(size)], 'memo.webm', { type }))
+  return form
+}
+
+describe('transcribeAudio', () => {
+  it('書き起こしの前後の空白を除いて返す', async () => {
+    const result = await transcribeAudio(new MockTranscriptionProvider({ transcript: '  体温36.8度\n' }), AUDIO)
+
+    expect(result).toEqual({ success: true, text: '体温36.8度' })
+  })
+
+  it.each([
+    ['空の書き起こし', new MockTranscriptionProvider({ transcript: ' ' }), 'empty'],
+    ['APIキーの誤り', new MockTranscriptionProvider({ error: Object.assign(new Error('API key not valid'), { status: 400 }) }), 'auth'],
+    ['利用上限', new MockTranscriptionProvider({ error: Object.assign(new Error('Too many requests'), { status: 429 }) }), 'quota']
+  ])('%sは失敗として扱う', async (_label, provider, errorKind) => {
+    expect(await transcribeAudio(provider, AUDIO)).toEqual({ success: false, errorKind })
+  })
+
+  it('タイムアウトした場合は書き起こしを中断する', async () => {
+    let aborted = false
+    const slowProvider: TranscriptionProvider = {
+      name: 'mock',
+      transcribe: (_audio, options) => new Promise((_resolve, reject) => {
+        options?.signal?.addEventListener('abort', () => {
+          aborted = true
+          reject(new Error('aborted'))
+        })
+      })
+    }
+
+    const result = await transcribeAudio(slowProvider, AUDIO, 20)
+
+    expect(result).toEqual({ success: false, errorKind: 'timeout' })
+    expect(aborted).toBe(true)
+  })
+})
+
+describe('createTranscriptionProvider', () => {
+  const env = (vars: Partial<CloudflareBindings>) => vars as CloudflareBindings
+
+  it.each([
+    [{ TRANSCRIPTION_PROVIDER: 'mock' }, MockTranscriptionProvider],
+    [{ TRANSCRIPTION_PROVIDER: ' Mock ' }, MockTranscriptionProvider],
+    [{ GEMINI_API_KEY: 'AIza-configured' }, GeminiTranscriptionProvider],
+    [{ TRANSCRIPTION_PROVIDER: 'gemini', GEMINI_API_KEY: 'AIza-configured' }, GeminiTranscriptionProvider]
+  ])('%j → %o', (vars, expected) => {
+    expect(createTranscriptionProvider(env(vars))).toBeInstanceOf(expected)
+  })
+
+  it.each([
+    [{}],
+    [{ TRANSCRIPTION_PROVIDER: 'gemini' }],
+    [{ TRANSCRIPTION_PROVIDER: 'whisper', GEMINI_API_KEY: 'AIza-configured' }]
+  ])('%j の場合は利用できない', (vars) => {
+    expect(createTranscriptionProvider(env(vars))).toBeNull()
+  })
+})
+
+describe('extractTranscriptionAudio', () => {
+  it('パラメーター付きの音声形式を受け付ける', async () => {
+    const result = await extractTranscriptionAudio(createAudioForm(16, 'audio/webm;codecs=opus'))
+
+    expect(result.success).toBe(true)
+    expect(result.data?.mimeType).toBe('audio/webm')
+    expect(result.data?.data.byteLength).toBe(16)
+  })
+
+  it.each([
+    ['音声ファイルがない', new FormData(), 400],
+    ['文字列が送信された', (() => { const form = new FormData(); form.append('audio', 'text'); return form })(), 400],
+    ['空のファイル', createAudioForm(0, 'audio/webm'), 400],
+    ['上限を超えるファイル', createAudioForm(TRANSCRIPTION_CONFIG.maxAudioBytes + 1, 'audio/webm'), 413],
+    ['対応していない形式', createAudioForm(16, 'video/mp4'), 400]
+  ])('%sは受け付けない', async (_label, form, status) => {
+    const result = await extractTranscriptionAudio(form)
+
+    expect(result).toMatchObject({ success: false, status })
+    expect(result.error).toBeTruthy()
+  })
+})
+
+describe('extractTranscriptText', () => {
+  it('前後の空白を除いた書き起こしを返す', () => {
+    expect(extractTranscriptText({ text: '  体温36.8度  ' })).toEqual({ success: true, data: '体温36.8度' })
+  })
+
+  it.each([
+    ['空白のみ', { text: '   ' }],
+    ['文字列以外', { text: 123 }],
+    ['ボディがない', null],
+    ['上限を超える長さ', { text: 'あ'.repeat(TRANSCRIPTION_CONFIG.maxTextLength + 1) }]
+  ])('%sの書き起こしは受け付けない', (_label, body) => {
+    expect(extractTranscriptText(body)).toMatchObject({ success: false })
+  })
+})
+
+describe('書き起こしの補正', () => {
+  it('モックの書き起こしのかな書き・音声入力向けの読みを辞書の用語に補正する', async () => {
+    const text = await new MockTranscriptionProvider().transcribe()
+
+    const corrected = correctTranscript(text, medicalTerms, spokenForms)
+
+    expect(corrected.text).toBe('体温36.8度、SpO2 97%。仙骨部に褥瘡の発赤なし。ギャッジアップ30度で食事摂取')
+    expect(corrected.corrections).toEqual([
+      { from: 'さちゅれーしょん', to: 'SpO2' },
+      { from: 'じょくそう', to: '褥瘡' },
+      { from: 'ぎゃっちあっぷ', to: 'ギャッジアップ' }
+    ])
+  })
+
+  it('補正する用語がない書き起こしはそのまま返す', () => {
+    expect(correctTranscript('食事全量摂取', medicalTerms, spokenForms)).toEqual({ text: '食事全量摂取', corrections: [] })
+  })
+})
+
+describe('文字起こしエンドポイント（モックプロバイダー）', () => {
+  const session = { user: { id: 1 }, sessionId: 'session-1' } as AuthenticatedSession
+
+  const createApp = () => {
+    const app = new Hono()
+    app.use('*', async (c, next) => {
+      c.set('authSession', session)
+      await next()
+    })
+    app.route('/api/ai', ai)
+    return app
+  }
+
+  const transcribe = (form: FormData, vars: Partial<CloudflareBindings> = { TRANSCRIPTION_PROVIDER: 'mock' }) =>
+    createApp().request('/api/ai/transcribe', { method: 'POST', body: form }, vars)
+
+  it('録音した音声を書き起こして補正した結果を返す', async () => {
+    const response = await transcribe(createAudioForm(16, 'audio/webm;codecs=opus'))
+    const body = await response.json() as { data: TranscriptionResponse }
+
+    expect(response.status).toBe(200)
+    expect(body.data).toMatchObject({ provider: 'mock', rawText: await new MockTranscriptionProvider().transcribe() })
+    expect(body.data.text).toContain('SpO2 97%')
+    expect(body.data.corrections).toHaveLength(3)
+  })
+
+  it('プロバイダーが利用できない場合は503を返す', async () => {
+    expect((await transcribe(createAudioForm(16, 'audio/webm'), {})).status).toBe(503)
+  })
+
+  it('上限を超える音声ファイルは413を返す', async () => {
+    const response = await transcribe(createAudioForm(TRANSCRIPTION_CONFIG.maxAudioBytes + 1, 'audio/webm'))
+
+    expect(response.status).toBe(413)
+  })
+
+  it('ブラウザの音声認識の結果を補正する', async () => {
+    const response = await createApp().request('/api/ai/transcribe/correct', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'じょくそうの処置' })
+    }, {})
+    const body = await response.json() as { data: TranscriptionResponse }
+
+    expect(body.data).toEqual({ text: '褥瘡の処置', rawText: 'じょくそうの処置', corrections: [{ from: 'じょくそう', to: '褥瘡' }] })
+  })
+})
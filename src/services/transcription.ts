@@ -0,0 +1,206 @@
+/**
+ * タップカルテ - 音声の文字起こし
+ *
+ * 音声入力に対応していないブラウザ向けに、録音した音声ファイルを文字起こしプロバイダーで書き起こす。
+ * プロバイダーは環境変数 TRANSCRIPTION_PROVIDER で切り替え、テスト・ローカル開発ではモックに差し替える
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai'
+import type { CloudflareBindings } from '../types'
+import { AI_CONFIG, TRANSCRIPTION_CONFIG, getEnvironmentVariables, isConfiguredApiKey } from '../config'
+import { withTimeout, classifyAIError, type AIErrorKind } from './ai-provider'
+
+// ========================================
+// 🧩 型定義
+// ========================================
+
+/** プロバイダー名 */
+export type TranscriptionProviderName = 'gemini' | 'mock'
+
+/** 文字起こしする音声 */
+export interface TranscriptionAudio {
+  /** 音声データ */
+  data: ArrayBuffer
+  /** 音声形式（パラメーターを除いたMIMEタイプ） */
+  mimeType: string
+}
+
+/** 文字起こしプロバイダー共通インターフェース */
+export interface TranscriptionProvider {
+  /** プロバイダー名 */
+  readonly name: TranscriptionProviderName
+  /** 音声を書き起こす */
+  transcribe(audio: TranscriptionAudio, options?: { signal?: AbortSignal }): Promise<string>
+}
+
+/** 文字起こしの結果 */
+export type TranscriptionResult =
+  | { success: true; text: string }
+  | { success: false; errorKind: AIErrorKind }
+
+// ========================================
+// 🎙️ プロバイダー実装
+// ========================================
+
+/** 書き起こしの指示（要約・言い換えをさせない） */
+const TRANSCRIPTION_PROMPT = `この音声は、訪問看護師・リハビリ職が記録用のメモを口述したものです。話された内容を日本語でそのまま書き起こしてください。
+・要約・言い換え・補足はしない
+・数値は算用数字で書く（例: 体温36.8度、SpO2 97%）
+・聞き取れない部分は省略する
+・書き起こした本文のみを出力する`
+
+/**
+ * Google Gemini プロバイダー（音声をインラインで送信して書き起こす）
+ */
+export class GeminiTranscriptionProvider implements TranscriptionProvider {
+  readonly name = 'gemini' as const
+  private readonly client: GoogleGenerativeAI
+
+  constructor(apiKey: string, private readonly model: string = AI_CONFIG.model) {
+    this.client = new GoogleGenerativeAI(apiKey)
+  }
+
+  async transcribe(audio: TranscriptionAudio, options: { signal?: AbortSignal } = {}): Promise<string> {
+    const model = this.client.getGenerativeModel({ model: this.model })
+    const result = await model.generateContent([
+      { inlineData: { data: toBase64(new Uint8Array(audio.data)), mimeType: audio.mimeType } },
+      { text: TRANSCRIPTION_PROMPT }
+    ], { signal: options.signal })
+
+    return result.response.text()
+  }
+}
+
+/**
+ * ローカルモックプロバイダー（開発・テスト用）
+ * 外部APIを呼ばずに固定の書き起こしを返す（既定値は医療用語の補正を確認できる文）
+ */
+export class MockTranscriptionProvider implements TranscriptionProvider {
+  readonly name = 'mock' as const
+
+  constructor(private readonly behavior: {
+    /** 固定の書き起こし */
+    transcript?: string
+    /** 指定時は常にこのエラーを投げる */
+    error?: Error
+  } = {}) {}
+
+  async transcribe(): Promise<string> {
+    if (this.behavior.error) {
+      throw this.behavior.error
+    }
+    return this.behavior.transcript ?? MOCK_TRANSCRIPT
+  }
+}
+
+/** モックプロバイダーの既定の書き起こし */
+const MOCK_TRANSCRIPT = '体温36.8度、さちゅれーしょん97%。仙骨部にじょくそうの発赤なし。ぎゃっちあっぷ30度で食事摂取'
+
+// ========================================
+// 🔁 プロバイダーの選択・呼び出し
+// ========================================
+
+/**
+ * 環境変数から文字起こしプロバイダーを生成（利用できない場合は null）
+ * TRANSCRIPTION_PROVIDER が未設定の場合は、GeminiのAPIキーが設定されていればGeminiを使う
+ */
+export const createTranscriptionProvider = (env?: CloudflareBindings): TranscriptionProvider | null => {
+  const vars = getEnvironmentVariables(env)
+
+  switch (vars.TRANSCRIPTION_PROVIDER.trim().toLowerCase()) {
+    case 'mock':
+      return new MockTranscriptionProvider()
+    case '':
+    case 'gemini':
+      return isConfiguredApiKey(vars.GEMINI_API_KEY) ? new GeminiTranscriptionProvider(vars.GEMINI_API_KEY) : null
+    default:
+      return null
+  }
+}
+
+/**
+ * タイムアウトを適用して音声を書き起こす
+ */
+export const transcribeAudio = async (
+  provider: TranscriptionProvider,
+  audio: TranscriptionAudio,
+  timeoutMs: number = TRANSCRIPTION_CONFIG.timeout
+): Promise<TranscriptionResult> => {
+  try {
+    const text = await withTimeout(signal => provider.transcribe(audio, { signal }), timeoutMs)
+    if (!text || text.trim() === '') {
+      throw new Error('Empty response')
+    }
+    return { success: true, text: text.trim() }
+  } catch (error) {
+    return { success: false, errorKind: classifyAIError(error as Error) }
+  }
+}
+
+// ========================================
+// ✅ 入力値の検証
+// ========================================
+
+/**
+ * フォームデータから音声ファイルを抽出・検証
+ */
+export const extractTranscriptionAudio = async (form: FormData): Promise<{
+  success: boolean
+  data?: TranscriptionAudio
+  error?: string
+  status?: 400 | 413
+}> => {
+  const file = form.get('audio')
+  if (!file || typeof file === 'string') {
+    return { success: false, error: '音声ファイルを送信してください', status: 400 }
+  }
+  if (file.size === 0) {
+    return { success: false, error: '音声ファイルが空です', status: 400 }
+  }
+  if (file.size > TRANSCRIPTION_CONFIG.maxAudioBytes) {
+    return {
+      success: false,
+      error: `音声ファイルは${Math.floor(TRANSCRIPTION_CONFIG.maxAudioBytes / 1024 / 1024)}MB以内で送信してください`,
+      status: 413
+    }
+  }
+
+  // 録音形式は「audio/webm;codecs=opus」のようにパラメーター付きで届く
+  const mimeType = file.type.split(';')[0].trim().toLowerCase()
+  if (!(TRANSCRIPTION_CONFIG.allowedMimeTypes as readonly string[]).includes(mimeType)) {
+    return { success: false, error: '対応していない音声形式です', status: 400 }
+  }
+
+  return { success: true, data: { data: await file.arrayBuffer(), mimeType } }
+}
+
+/**
+ * リクエストボディから補正する書き起こしを抽出・検証
+ */
+export const extractTranscriptText = (body: any): {
+  success: boolean
+  data?: string
+  error?: string
+} => {
+  const text = typeof body?.text === 'string' ? body.text.trim() : ''
+  if (!text) {
+    return { success: false, error: '書き起こしを入力してください' }
+  }
+  if (text.length > TRANSCRIPTION_CONFIG.maxTextLength) {
+    return { success: false, error: `書き起こしは${TRANSCRIPTION_CONFIG.maxTextLength}文字以内で送信してください` }
+  }
+
+  return { success: true, data: text }
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
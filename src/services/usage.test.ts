@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { reserveQuota, releaseQuota, type UsageSubject } from './usage'
+import { createTestDatabase, type TestDatabase } from '../test-helpers/d1'
+
+/** ユーザー（1日3回）と所属組織（1日10回）のカウンター */
+const subject: UsageSubject = {
+  plan: 'free',
+  counters: [
+    { subject: 'user:1', limit: 3 },
+    { subject: 'org:1', limit: 10 }
+  ]
+}
+
+describe('reserveQuota', () => {
+  let testDb: TestDatabase
+
+  beforeEach(async () => {
+    testDb = await createTestDatabase()
+  })
+
+  afterEach(async () => {
+    await testDb.dispose()
+  })
+
+  const listCounts = async () => (await testDb.db.prepare(`
+    SELECT subject, count FROM usage_counters ORDER BY subject DESC
+  `).all<{ subject: string; count: number }>()).results.map((row: { subject: string; count: number }) => [row.subject, row.count])
+
+  it('複数案の生成は案の数だけ確保し、失敗した場合は同じ数だけ返却する', async () => {
+    const quota = await reserveQuota(testDb.db, subject, 3)
+
+    expect(quota.allowed).toBe(true)
+    expect(quota.status.remaining).toBe(0)
+    expect(await listCounts()).toEqual([['user:1', 3], ['org:1', 3]])
+
+    await releaseQuota(testDb.db, quota.reservation!)
+    expect(await listCounts()).toEqual([['user:1', 0], ['org:1', 0]])
+  })
+
+  it('残り回数が案の数に満たない場合は確保せず、確保済みのカウンターも戻す', async () => {
+    // 組織の上限が先に尽きる場合は、先に加算したユーザーのカウンターを戻す
+    const organizationLimited: UsageSubject = {
+      plan: 'free',
+      counters: [
+        { subject: 'user:1', limit: 10 },
+        { subject: 'org:1', limit: 3 }
+      ]
+    }
+    await reserveQuota(testDb.db, organizationLimited, 2)
+
+    const quota = await reserveQuota(testDb.db, organizationLimited, 2)
+
+    expect(quota.allowed).toBe(false)
+    expect(await listCounts()).toEqual([['user:1', 2], ['org:1', 2]])
+  })
+
+  it('上限を超える数は最初の利用でも確保しない', async () => {
+    const quota = await reserveQuota(testDb.db, { plan: 'guest', counters: [{ subject: 'guest:a', limit: 2 }] }, 3)
+
+    expect(quota.allowed).toBe(false)
+    expect(await listCounts()).toEqual([])
+  })
+})
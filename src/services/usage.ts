@@ -0,0 +1,304 @@
+/**
+ * タップカルテ - 利用回数制限
+ *
+ * 1日あたりのAI変換回数をD1（usage_counters）で管理する。
+ * ログインユーザーはユーザー・プランごと、未ログインユーザーは署名付きCookieとIPアドレスの両方で数える
+ * （Cookieを削除しても同じIPからの上限は残り、同じIPの別端末はCookieごとに数えられる）。
+ * 組織に所属するユーザーは、組織全体のカウンター（管理者が設定した上限）でも数える
+ */
+
+import type { Context } from 'hono'
+import { getSignedCookie, setSignedCookie } from 'hono/cookie'
+import type { CloudflareBindings, UsagePlan, UsageStatus } from '../types'
+import { QUOTA_CONFIG, getEnvironmentVariables } from '../config'
+import type { AuthenticatedSession } from '../auth'
+
+/** 回数を数える単位と上限 */
+interface QuotaCounter {
+  /** usage_counters.subject */
+  subject: string
+  /** 1日の上限（null は無制限） */
+  limit: number | null
+}
+
+/** 組織全体のカウンターの接頭辞 */
+const ORGANIZATION_SUBJECT_PREFIX = 'org:'
+
+/** 利用回数を数える対象（先頭のカウンターを利用状況として表示する） */
+export interface UsageSubject {
+  plan: UsagePlan
+  counters: QuotaCounter[]
+}
+
+/** 変換前に確保した利用枠（変換に失敗した場合は返却する） */
+export interface QuotaReservation {
+  subject: UsageSubject
+  usageDate: string
+  /** 確保した回数 */
+  count: number
+}
+
+// ========================================
+// 👤 対象の特定
+// ========================================
+
+/**
+ * リクエストから利用回数を数える対象を特定
+ * 未ログインでCookieがない（または署名が不正な）場合は新しいCookieを発行する
+ */
+export const resolveUsageSubject = async (
+  c: Context<{ Bindings: CloudflareBindings }>
+): Promise<UsageSubject> => {
+  const session = c.get('authSession') as AuthenticatedSession | undefined
+  const db = c.env?.DB
+
+  if (session) {
+    if (!db) {
+      return {
+        plan: 'free',
+        counters: [{ subject: `user:${session.user.id}`, limit: QUOTA_CONFIG.dailyLimits.free }]
+      }
+    }
+
+    const [plan, organization] = await Promise.all([
+      getUserPlan(db, session.user.id),
+      getOrganizationQuota(db, session.user.id)
+    ])
+
+    return {
+      plan,
+      counters: [
+        { subject: `user:${session.user.id}`, limit: QUOTA_CONFIG.dailyLimits[plan] },
+        ...(organization ? [{ subject: `${ORGANIZATION_SUBJECT_PREFIX}${organization.id}`, limit: organization.dailyLimit }] : [])
+      ]
+    }
+  }
+
+  const secret = getEnvironmentVariables(c.env).JWT_SECRET
+  const signedGuestId = await getSignedCookie(c, secret, QUOTA_CONFIG.guestCookieName)
+  const guestId = signedGuestId || crypto.randomUUID()
+
+  if (!signedGuestId) {
+    await setSignedCookie(c, QUOTA_CONFIG.guestCookieName, guestId, secret, {
+      path: '/',
+      httpOnly: true,
+      secure: new URL(c.req.url).protocol === 'https:',
+      sameSite: 'Lax',
+      maxAge: QUOTA_CONFIG.guestCookieMaxAge
+    })
+  }
+
+  return {
+    plan: 'guest',
+    counters: [
+      { subject: `guest:${guestId}`, limit: QUOTA_CONFIG.dailyLimits.guest },
+      { subject: `ip:${await hashClientIp(getClientIp(c), secret)}`, limit: QUOTA_CONFIG.guestDailyLimitPerIp }
+    ]
+  }
+}
+
+/**
+ * ユーザーの利用プランを取得（不明な値は free とみなす）
+ */
+export const getUserPlan = async (db: D1Database, userId: number): Promise<Exclude<UsagePlan, 'guest'>> => {
+  const row = await db.prepare('SELECT plan FROM users WHERE id = ?')
+    .bind(userId)
+    .first<{ plan: string }>()
+
+  return row?.plan === 'pro' ? 'pro' : 'free'
+}
+
+/**
+ * 所属組織と組織全体の1日の上限を取得（未所属の場合は null）
+ */
+async function getOrganizationQuota(
+  db: D1Database,
+  userId: number
+): Promise<{ id: number; dailyLimit: number | null } | null> {
+  const row = await db.prepare(`
+    SELECT o.id, o.daily_limit
+    FROM organization_members m
+    JOIN organizations o ON o.id = m.organization_id
+    WHERE m.user_id = ?
+  `).bind(userId).first<{ id: number; daily_limit: number | null }>()
+
+  return row ? { id: row.id, dailyLimit: row.daily_limit ?? null } : null
+}
+
+// ========================================
+// 🗄️ データベース操作
+// ========================================
+
+/**
+ * 本日の利用状況を取得
+ */
+export const getUsageStatus = async (
+  db: D1Database,
+  subject: UsageSubject,
+  now: Date = new Date()
+): Promise<UsageStatus> => {
+  const usageDate = getUsageDate(now)
+  const placeholders = subject.counters.map(() => '?').join(', ')
+
+  const result = await db.prepare(`
+    SELECT subject, count FROM usage_counters
+    WHERE usage_date = ? AND subject IN (${placeholders})
+  `).bind(usageDate, ...subject.counters.map(counter => counter.subject)).all<{ subject: string; count: number }>()
+
+  const counts = Object.fromEntries((result.results || []).map((row: { subject: string; count: number }) => [row.subject, row.count]))
+  return buildUsageStatus(subject, counts, now)
+}
+
+/**
+ * 利用枠を count 回分確保（複数案の生成は案の数）
+ * いずれかのカウンターの残りが足りない場合は確保せず、確保済みの分も戻す
+ */
+export const reserveQuota = async (
+  db: D1Database,
+  subject: UsageSubject,
+  count: number = 1,
+  now: Date = new Date()
+): Promise<{ allowed: boolean; reservation?: QuotaReservation; status: UsageStatus }> => {
+  const usageDate = getUsageDate(now)
+  const reserved: QuotaCounter[] = []
+
+  for (const counter of subject.counters) {
+    // 加算後も上限以内の場合のみ加算する（同時リクエストでも上限を超えない）
+    const row = counter.limit !== null && count > counter.limit
+      ? null
+      : await db.prepare(`
+          INSERT INTO usage_counters (subject, usage_date, count)
+          VALUES (?1, ?2, ?3)
+          ON CONFLICT (subject, usage_date) DO UPDATE SET
+            count = count + ?3,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE ?4 IS NULL OR count + ?3 <= ?4
+          RETURNING count
+        `).bind(counter.subject, usageDate, count, counter.limit).first<{ count: number }>()
+
+    if (!row) {
+      await decrementCounters(db, reserved, usageDate, count)
+      return {
+        allowed: false,
+        status: await getUsageStatus(db, subject, now)
+      }
+    }
+
+    reserved.push(counter)
+  }
+
+  return {
+    allowed: true,
+    reservation: { subject, usageDate, count },
+    status: await getUsageStatus(db, subject, now)
+  }
+}
+
+/**
+ * 確保した利用枠を返却（変換に失敗した場合）
+ */
+export const releaseQuota = async (db: D1Database, reservation: QuotaReservation): Promise<void> => {
+  await decrementCounters(db, reservation.subject.counters, reservation.usageDate, reservation.count)
+}
+
+async function decrementCounters(db: D1Database, counters: QuotaCounter[], usageDate: string, count: number): Promise<void> {
+  if (counters.length === 0) {
+    return
+  }
+
+  const placeholders = counters.map(() => '?').join(', ')
+  await db.prepare(`
+    UPDATE usage_counters
+    SET count = MAX(count - ?, 0), updated_at = CURRENT_TIMESTAMP
+    WHERE usage_date = ? AND subject IN (${placeholders})
+  `).bind(count, usageDate, ...counters.map(counter => counter.subject)).run()
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 利用回数を数える日付（日本時間の YYYY-MM-DD）
+ */
+export const getUsageDate = (now: Date = new Date()): string => {
+  return new Date(now.getTime() + QUOTA_CONFIG.timezoneOffsetMinutes * 60 * 1000)
+    .toISOString()
+    .substring(0, 10)
+}
+
+/**
+ * 日本時間の日付（YYYY-MM-DD）の0時をUTCのISO形式で返す（days を指定するとその日数後の0時）
+ * UTCで記録した created_at を日本時間の日付で絞り込む際の境界に使う
+ */
+export const getDayStartTimestamp = (date: string, days: number = 0): string => {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days) - QUOTA_CONFIG.timezoneOffsetMinutes * 60 * 1000).toISOString()
+}
+
+/**
+ * 次に利用回数がリセットされる日時（翌日の日本時間0時）
+ */
+export const getNextResetTime = (now: Date = new Date()): Date => {
+  const [year, month, day] = getUsageDate(now).split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day + 1) - QUOTA_CONFIG.timezoneOffsetMinutes * 60 * 1000)
+}
+
+/**
+ * カウンターの値から利用状況を組み立てる
+ * 残り回数は最も残りの少ないカウンターに合わせる（組織全体の上限に先に達する場合を含む）
+ */
+export const buildUsageStatus = (
+  subject: UsageSubject,
+  counts: Record<string, number>,
+  now: Date = new Date()
+): UsageStatus => {
+  const [primary] = subject.counters
+  const organization = subject.counters.find(counter => counter.subject.startsWith(ORGANIZATION_SUBJECT_PREFIX))
+  const limited = subject.counters.filter(counter => counter.limit !== null)
+
+  const remaining = limited.length === 0
+    ? null
+    : Math.max(0, Math.min(...limited.map(counter => counter.limit! - (counts[counter.subject] || 0))))
+
+  return {
+    plan: subject.plan,
+    limit: primary.limit,
+    used: counts[primary.subject] || 0,
+    remaining,
+    resetAt: getNextResetTime(now).toISOString(),
+    ...(organization && {
+      organization: {
+        limit: organization.limit,
+        used: counts[organization.subject] || 0
+      }
+    })
+  }
+}
+
+/**
+ * クライアントのIPアドレスを取得
+ */
+function getClientIp(c: Context): string {
+  const forwarded = c.req.header('X-Forwarded-For')?.split(',')[0]?.trim()
+  return c.req.header('CF-Connecting-IP') || forwarded || 'unknown'
+}
+
+/**
+ * IPアドレスをそのまま保存しないようHMACでハッシュ化
+ */
+async function hashClientIp(ip: string, secret: string): Promise<string> {
+  const encoder = new TextEncoder()
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(ip))
+
+  return Array.from(new Uint8Array(signature).slice(0, 16))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('')
+}
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest'
+import { extractVitalSigns, judgeVital, judgeBloodPressure } from './vitals'
+import { VITALS_CONFIG } from '../config'
+import type { VitalSigns } from '../types'
+
+type ThresholdKind = keyof typeof VITALS_CONFIG.thresholds
+
+/**
+ * 抽出結果から項目の最初の測定値を取り出す（収縮期・拡張期は血圧の測定値）
+ */
+const firstReading = (vitals: VitalSigns | null, kind: keyof VitalSigns) => vitals?.[kind]?.[0]
+
+describe('extractVitalSigns の表記', () => {
+  it.each([
+    ['BT36.8', 36.8],
+    ['KT 36.8', 36.8],
+    ['T:37.0', 37],
+    ['体温36.8度', 36.8],
+    ['体温は36度8分', 36.8],
+    ['検温 36.5', 36.5],
+    ['36.8℃', 36.8],
+    ['36.8度', 36.8],
+    ['ＢＴ３６．８', 36.8]
+  ])('体温: %s → %f', (text, value) => {
+    expect(firstReading(extractVitalSigns(text), 'temperature')).toMatchObject({ value, unit: '℃' })
+  })
+
+  it.each([
+    ['BP132/78', 132, 78],
+    ['BP 150-90', 150, 90],
+    ['BP 150 - 90 mmHg', 150, 90],
+    ['BP１５０－９０', 150, 90],
+    ['Bp:120/70', 120, 70],
+    ['NIBP 120/80', 120, 80],
+    ['血圧132/78mmHg', 132, 78],
+    ['血圧は上132下78', 132, 78],
+    ['血圧 上132、下78', 132, 78],
+    ['132/78mmHg', 132, 78],
+    ['150-90mmHg', 150, 90]
+  ])('血圧: %s → %i/%i', (text, systolic, diastolic) => {
+    expect(firstReading(extractVitalSigns(text), 'bloodPressure')).toMatchObject({ systolic, diastolic, unit: 'mmHg' })
+  })
+
+  it.each([
+    ['P72', 72],
+    ['HR 88bpm', 88],
+    ['PR:64', 64],
+    ['脈拍72回/分', 72],
+    ['心拍数 110', 110],
+    ['脈 60', 60]
+  ])('脈拍: %s → %i', (text, value) => {
+    expect(firstReading(extractVitalSigns(text), 'pulse')).toMatchObject({ value, unit: '回/分' })
+  })
+
+  it.each([
+    ['RR 18', 18],
+    ['R16', 16],
+    ['呼吸数20回/分', 20],
+    ['呼吸 14回', 14]
+  ])('呼吸数: %s → %i', (text, value) => {
+    expect(firstReading(extractVitalSigns(text), 'respiration')).toMatchObject({ value, unit: '回/分' })
+  })
+
+  it.each([
+    ['SpO2 97%', 97],
+    ['SPO2:97', 97],
+    ['spo2 96%', 96],
+    ['SpO₂ 95%', 95],
+    ['sat 95%', 95],
+    ['Sat:94', 94],
+    ['SAT95', 95],
+    ['サチュレーション95', 95],
+    ['サチュレーション 95%', 95],
+    ['サチュ95%', 95],
+    ['サチ 98', 98],
+    ['酸素飽和度96%', 96]
+  ])('SpO2: %s → %i', (text, value) => {
+    expect(firstReading(extractVitalSigns(text), 'spo2')).toMatchObject({ value, unit: '%' })
+  })
+
+  it.each([
+    ['BS 110', 110],
+    ['GLU:95', 95],
+    ['血糖値 180mg/dL', 180],
+    ['血糖 65', 65]
+  ])('血糖値: %s → %i', (text, value) => {
+    expect(firstReading(extractVitalSigns(text), 'bloodGlucose')).toMatchObject({ value, unit: 'mg/dL' })
+  })
+
+  it.each([
+    ['ギャッジアップ30度', 'temperature'],
+    ['10/18 訪問', 'bloodPressure'],
+    ['BP 90-150', 'bloodPressure'],
+    ['不整脈あり', 'pulse'],
+    ['Saturday 95', 'spo2'],
+    ['SpO2 101%', 'spo2'],
+    ['ADL 80', 'pulse']
+  ])('%s は %s として抽出しない', (text, kind) => {
+    expect(firstReading(extractVitalSigns(text), kind as keyof VitalSigns)).toBeUndefined()
+  })
+
+  it('複数の項目・同じ項目の複数回の記載を記載順に抽出する', () => {
+    const vitals = extractVitalSigns('入浴前 BT36.8 BP 150-90 P72 sat 95%、入浴後 BT37.2 SpO2 97%')
+
+    expect(vitals?.temperature?.map(reading => reading.value)).toEqual([36.8, 37.2])
+    expect(vitals?.bloodPressure?.map(reading => reading.text)).toEqual(['BP 150-90'])
+    expect(vitals?.pulse?.map(reading => reading.value)).toEqual([72])
+    expect(vitals?.spo2?.map(reading => reading.value)).toEqual([95, 97])
+  })
+
+  it('バイタルの記載がない場合は null を返す', () => {
+    expect(extractVitalSigns('食事全量摂取。表情穏やか')).toBeNull()
+  })
+})
+
+describe('基準範囲の判定', () => {
+  /** 判定を確認する記載（血圧のもう一方の値は基準範囲内にする） */
+  const toText: Record<ThresholdKind, (value: number) => string> = {
+    temperature: value => `BT${value}`,
+    systolic: value => `BP${value}/70`,
+    diastolic: value => `BP130/${value}`,
+    pulse: value => `P${value}`,
+    respiration: value => `RR${value}`,
+    spo2: value => `SpO2 ${value}%`,
+    bloodGlucose: value => `BS${value}`
+  }
+
+  const toKind = (kind: ThresholdKind): keyof VitalSigns =>
+    kind === 'systolic' || kind === 'diastolic' ? 'bloodPressure' : kind
+
+  /** 各項目の下限・上限の前後（low 未満は低値、high を超えると高値） */
+  const boundaryCases = (Object.entries(VITALS_CONFIG.thresholds) as Array<[ThresholdKind, { low: number; high: number }]>)
+    .flatMap(([kind, { low, high }]) => {
+      const step = kind === 'temperature' ? 0.1 : 1
+      const shift = (value: number, delta: number) => Number((value + delta).toFixed(1))
+      return [
+        [kind, shift(low, -step), 'low'],
+        [kind, low, 'normal'],
+        [kind, high, 'normal'],
+        [kind, shift(high, step), 'high']
+      ] as Array<[ThresholdKind, number, string]>
+    })
+
+  it.each(boundaryCases)('judgeVital: %s %f → %s', (kind, value, status) => {
+    expect(judgeVital(value, VITALS_CONFIG.thresholds[kind])).toBe(status)
+  })
+
+  // SpO2 は100%を超える値を測定値として扱わないため、抽出では上限を超える値を確認しない
+  it.each(boundaryCases.filter(([kind, value]) => !(kind === 'spo2' && value > 100)))(
+    '抽出した測定値の判定: %s %f → %s',
+    (kind, value, status) => {
+      expect(firstReading(extractVitalSigns(toText[kind](value)), toKind(kind))).toMatchObject({ status })
+    }
+  )
+
+  it.each([
+    [170, 110, 'high'],
+    [170, 30, 'high'],
+    [85, 50, 'low'],
+    [120, 35, 'low'],
+    [120, 80, 'normal']
+  ])('judgeBloodPressure: %i/%i → %s', (systolic, diastolic, status) => {
+    expect(judgeBloodPressure(systolic, diastolic, VITALS_CONFIG.thresholds)).toBe(status)
+  })
+})
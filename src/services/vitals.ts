@@ -0,0 +1,233 @@
+/**
+ * タップカルテ - バイタルサインの抽出
+ *
+ * 入力メモに書かれたバイタル（例: BT36.8 BP132/78 P72 SpO2 97%）を項目ごとの測定値と単位に構造化する。
+ * AIの生成結果に左右されないよう、変換とは別に入力メモから規則で抽出する。
+ * 基準範囲（VITALS_CONFIG.thresholds）外の測定値には低値・高値の判定を付ける
+ */
+
+import type { VitalSigns, VitalReading, BloodPressureReading, VitalStatus } from '../types'
+import { VITALS_CONFIG } from '../config'
+
+/** 基準範囲（low 未満は低値、high を超えると高値） */
+export type VitalThresholds = {
+  [K in keyof typeof VITALS_CONFIG.thresholds]: { low: number; high: number }
+}
+
+/** 血圧以外の項目 */
+type ScalarVitalKind = Exclude<keyof VitalSigns, 'bloodPressure'>
+
+/** 血圧以外の項目の抽出規則 */
+interface ScalarVitalRule {
+  kind: ScalarVitalKind
+  unit: string
+  pattern: RegExp
+  /** 測定値として妥当な範囲（範囲外は別の数値を誤って拾ったものとみなす） */
+  plausible: [number, number]
+}
+
+// ========================================
+// 📐 抽出規則
+// ========================================
+
+/** 英字の略語の直前が英字でないこと（SpO2 の P・BP の P を脈拍と誤認しない） */
+const ASCII_START = '(?<![A-Za-z])'
+
+/** 項目名と測定値の区切り（例: BT:36.8、体温は36.8） */
+const SEPARATOR = '\\s*[:=]?\\s*(?:は|が)?\\s*'
+
+/** 測定値の直後が数字でないこと（桁の途中で区切らない） */
+const VALUE_END = '(?![\\d.])'
+
+/** 体温の「36度8分」の表記 */
+const DEGREE_MINUTE = '(?<degree>\\d{2})度(?<minute>\\d)分'
+
+/**
+ * 血圧以外の項目の抽出規則（先に一致した記載を優先し、後の規則では同じ箇所を使わない）
+ * 入力は NFKC 正規化済み（全角数字・記号は半角、℃ は °C になる）
+ */
+const SCALAR_RULES: ScalarVitalRule[] = [
+  {
+    kind: 'temperature',
+    unit: '℃',
+    // 36.8 のほか「36度8分」の表記にも対応する
+    pattern: new RegExp(`(?:${ASCII_START}(?:BT|KT|Temp|TEMP|T)|体温|検温)${SEPARATOR}(?:${DEGREE_MINUTE}|(?<value>\\d{2}(?:\\.\\d{1,2})?)${VALUE_END}(?:\\s*(?:°C|°|度))?)`, 'g'),
+    plausible: [30, 45]
+  },
+  {
+    kind: 'temperature',
+    unit: '℃',
+    // 項目名のない記載は単位付きの小数に限る（ギャッジアップ30度などを拾わない）
+    pattern: new RegExp(`(?<![\\d.])(?:${DEGREE_MINUTE}|(?<value>\\d{2}\\.\\d{1,2})\\s*(?:°C|度))`, 'g'),
+    plausible: [34, 42]
+  },
+  {
+    kind: 'pulse',
+    unit: '回/分',
+    // 不整脈・頻脈・徐脈の「脈」は脈拍ではない
+    pattern: new RegExp(`(?:${ASCII_START}(?:HR|PR|Pulse|P)|脈拍数|脈拍|心拍数|心拍|(?<![不整頻徐])脈)${SEPARATOR}(?<value>\\d{2,3})${VALUE_END}(?:\\s*(?:回\\/分|\\/分|bpm|回))?`, 'g'),
+    plausible: [20, 250]
+  },
+  {
+    kind: 'respiration',
+    unit: '回/分',
+    pattern: new RegExp(`(?:${ASCII_START}(?:RR|Resp|R)|呼吸数|呼吸)${SEPARATOR}(?<value>\\d{1,2})${VALUE_END}(?:\\s*(?:回\\/分|\\/分|回))?`, 'g'),
+    plausible: [4, 60]
+  },
+  {
+    kind: 'spo2',
+    unit: '%',
+    // 英字の略語は大文字/小文字を問わない（SpO2・SPO2・sat など）
+    pattern: new RegExp(`(?:${ASCII_START}(?:[Ss][Pp][Oo]2|[Ss][Aa][Tt](?![A-Za-z]))|サチュレーション|サチュ|サチ|酸素飽和度)${SEPARATOR}(?<value>\\d{2,3})${VALUE_END}(?:\\s*%)?`, 'g'),
+    plausible: [50, 100]
+  },
+  {
+    kind: 'bloodGlucose',
+    unit: 'mg/dL',
+    pattern: new RegExp(`(?:${ASCII_START}(?:BS|GLU|Glu)|血糖値|血糖)${SEPARATOR}(?<value>\\d{2,3})${VALUE_END}(?:\\s*mg(?:\\/d[lL])?)?`, 'g'),
+    plausible: [20, 800]
+  }
+]
+
+/**
+ * 血圧の抽出規則（132/78・132-78・上132下78 の表記に対応）
+ * 項目名のない記載は日付（10/18など）と区別できないため、mmHg が付いている場合に限る
+ */
+const BLOOD_PRESSURE_PATTERNS: RegExp[] = [
+  new RegExp(`(?:${ASCII_START}(?:NIBP|BP|Bp)|血圧)${SEPARATOR}(?:上\\s*)?(\\d{2,3})\\s*(?:[\\/-]|[、,]?\\s*下\\s*)(\\d{2,3})${VALUE_END}(?:\\s*mmHg)?`, 'g'),
+  new RegExp(`(?<![\\d.\\/-])(\\d{2,3})\\s*[\\/-]\\s*(\\d{2,3})\\s*mmHg`, 'g')
+]
+
+/** 血圧として妥当な範囲 */
+const PLAUSIBLE_SYSTOLIC: [number, number] = [50, 300]
+const PLAUSIBLE_DIASTOLIC: [number, number] = [20, 200]
+
+// ========================================
+// 🩺 バイタルサインの抽出
+// ========================================
+
+/**
+ * 入力メモからバイタルサインを抽出（記載がない場合は null）
+ * 同じ項目が複数回書かれている場合（入浴前後など）は記載順にすべて返す
+ */
+export const extractVitalSigns = (
+  text: string,
+  thresholds: VitalThresholds = VITALS_CONFIG.thresholds
+): VitalSigns | null => {
+  const normalized = text.normalize('NFKC')
+  const used: Array<[number, number]> = []
+  const found: Array<{ index: number; kind: keyof VitalSigns; reading: VitalReading | BloodPressureReading }> = []
+
+  // 血圧を先に抽出する（132/78 の 78 を他の項目として拾わない）
+  for (const pattern of BLOOD_PRESSURE_PATTERNS) {
+    for (const match of normalized.matchAll(pattern)) {
+      const systolic = Number(match[1])
+      const diastolic = Number(match[2])
+      if (!isWithin(systolic, PLAUSIBLE_SYSTOLIC) || !isWithin(diastolic, PLAUSIBLE_DIASTOLIC) || systolic <= diastolic) {
+        continue
+      }
+      if (!claim(used, match)) {
+        continue
+      }
+
+      found.push({
+        index: match.index!,
+        kind: 'bloodPressure',
+        reading: {
+          systolic,
+          diastolic,
+          unit: 'mmHg',
+          status: judgeBloodPressure(systolic, diastolic, thresholds),
+          text: match[0].trim()
+        }
+      })
+    }
+  }
+
+  for (const rule of SCALAR_RULES) {
+    for (const match of normalized.matchAll(rule.pattern)) {
+      const value = toMeasuredValue(match)
+      if (!isWithin(value, rule.plausible) || !claim(used, match)) {
+        continue
+      }
+
+      found.push({
+        index: match.index!,
+        kind: rule.kind,
+        reading: {
+          value,
+          unit: rule.unit,
+          status: judgeVital(value, thresholds[rule.kind]),
+          text: match[0].trim()
+        }
+      })
+    }
+  }
+
+  if (found.length === 0) {
+    return null
+  }
+
+  const vitals: Record<string, Array<VitalReading | BloodPressureReading>> = {}
+  for (const { kind, reading } of found.sort((a, b) => a.index - b.index)) {
+    (vitals[kind] ||= []).push(reading)
+  }
+  return vitals as VitalSigns
+}
+
+/**
+ * 基準範囲に対する判定
+ */
+export const judgeVital = (value: number, range: { low: number; high: number }): VitalStatus => {
+  if (value < range.low) {
+    return 'low'
+  }
+  if (value > range.high) {
+    return 'high'
+  }
+  return 'normal'
+}
+
+/**
+ * 血圧の判定（収縮期・拡張期のどちらかが高ければ高値、高くなくどちらかが低ければ低値）
+ */
+export const judgeBloodPressure = (systolic: number, diastolic: number, thresholds: VitalThresholds): VitalStatus => {
+  const statuses = [judgeVital(systolic, thresholds.systolic), judgeVital(diastolic, thresholds.diastolic)]
+  if (statuses.includes('high')) {
+    return 'high'
+  }
+  if (statuses.includes('low')) {
+    return 'low'
+  }
+  return 'normal'
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * 一致した箇所を数値にする（「36度8分」は 36.8）
+ */
+function toMeasuredValue(match: RegExpMatchArray): number {
+  const { value, degree, minute } = match.groups!
+  return degree !== undefined ? Number(`${degree}.${minute}`) : Number(value)
+}
+
+function isWithin(value: number, [min, max]: [number, number]): boolean {
+  return value >= min && value <= max
+}
+
+/**
+ * 一致した箇所を使用済みにする（既に他の項目で使った箇所と重なる場合は false）
+ */
+function claim(used: Array<[number, number]>, match: RegExpMatchArray): boolean {
+  const start = match.index!
+  const end = start + match[0].length
+  if (used.some(([usedStart, usedEnd]) => start < usedEnd && usedStart < end)) {
+    return false
+  }
+
+  used.push([start, end])
+  return true
+}
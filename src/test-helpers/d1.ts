@@ -0,0 +1,83 @@
+/**
+ * タップカルテ - テスト用のローカルD1
+ *
+ * Miniflare（wrangler のローカル実行環境）のD1に migrations/ のマイグレーションを順に適用する。
+ * データベースはメモリ上に作成し、テストファイルごとに独立させる
+ */
+
+import { readdirSync, readFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { Miniflare } from 'miniflare'
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../../migrations/', import.meta.url).href)
+
+/** テスト用のD1 */
+export interface TestDatabase {
+  db: D1Database
+  /** Miniflareを停止 */
+  dispose(): Promise<void>
+}
+
+/**
+ * マイグレーション適用済みのD1を作成
+ */
+export const createTestDatabase = async (): Promise<TestDatabase> => {
+  const miniflare = new Miniflare({
+    modules: true,
+    script: 'export default {}',
+    d1Databases: ['DB']
+  })
+  const db = await miniflare.getD1Database('DB') as unknown as D1Database
+
+  for (const file of readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort()) {
+    const statements = splitStatements(readFileSync(join(MIGRATIONS_DIR, file), 'utf8'))
+    await db.batch(statements.map(statement => db.prepare(statement)))
+  }
+
+  return { db, dispose: () => miniflare.dispose() }
+}
+
+// ========================================
+// 🔧 ヘルパー関数
+// ========================================
+
+/**
+ * マイグレーションのSQLを文ごとに分割
+ * （D1の exec は1行1文のため。コメントを除き、トリガーの BEGIN ... END 内の ; では区切らない）
+ */
+function splitStatements(sql: string): string[] {
+  const statements: string[] = []
+  let current = ''
+  let inQuote = false
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i]
+
+    if (!inQuote && char === '-' && sql[i + 1] === '-') {
+      const lineEnd = sql.indexOf('\n', i)
+      i = lineEnd === -1 ? sql.length : lineEnd - 1
+      continue
+    }
+    if (char === "'") {
+      inQuote = !inQuote
+    }
+
+    if (char === ';' && !inQuote) {
+      const isOpenTrigger = /\bCREATE\s+TRIGGER\b/i.test(current) && !/\bEND\s*$/i.test(current)
+      if (!isOpenTrigger) {
+        if (current.trim()) {
+          statements.push(current.trim())
+        }
+        current = ''
+        continue
+      }
+    }
+    current += char
+  }
+
+  if (current.trim()) {
+    statements.push(current.trim())
+  }
+  return statements
+}
@@ -29,8 +29,12 @@ export interface ConversionOptions {
   charLimit: number
   /** テンプレート情報（業務内容別） */
   template?: string | null
-  /** テンプレート情報（複数選択対応） */
-  templates?: string[]
+  /** テンプレート情報（複数選択対応）。テンプレートID（組み込みは文字列、マイテンプレートは数値）または業務内容名 */
+  templates?: (string | number)[]
+  /** 生成する案の数（1〜AI_CONFIG.maxVariants、ストリーミング変換では1案のみ） */
+  variants?: number
+  /** 利用者プロフィールのID（ログインユーザーのみ。背景情報としてプロンプトに含め、履歴を紐付ける） */
+  patientId?: number | null
 }
 
 /** 変換リクエスト */
@@ -51,6 +55,572 @@ export interface ConversionResponse {
   error?: string
   /** レスポンス時間（ミリ秒） */
   responseTime?: number
+  /** 保存された履歴ID（ログインユーザーのみ） */
+  recordId?: number
+  /** 変換に使用したAIプロバイダー */
+  provider?: string
+  /** SOAP形式の構造化結果（format が SOAP形式 の場合のみ） */
+  soap?: SoapSections
+  /** 複数案を生成した場合の各案（1案目は result と同じ） */
+  variants?: ConversionVariant[]
+  /** 変換後の本日の利用状況 */
+  usage?: UsageStatus
+  /** 入力メモから抽出したバイタルサイン（記載がない場合は省略） */
+  vitals?: VitalSigns
+  /** 入力メモ・生成結果から検出した注意所見（検出しなかった場合は省略） */
+  redFlags?: RedFlagReport
+}
+
+/** 複数案生成時の1案 */
+export interface ConversionVariant {
+  /** 変換結果テキスト */
+  result: string
+  /** SOAP形式の構造化結果 */
+  soap?: SoapSections
+  /** 変換に使用したAIプロバイダー */
+  provider?: string
+}
+
+/** 生成結果の修正リクエスト */
+export interface RefineRequest {
+  /** 修正前の生成結果 */
+  previousResult: string
+  /** 修正指示（例: もっと簡潔に） */
+  instruction: string
+  /** 元の入力メモ（任意・修正時の事実確認に使用） */
+  text?: string
+  /** 変換オプション */
+  options: ConversionOptions
+}
+
+/** 書き起こしの補正内容 */
+export interface TranscriptCorrection {
+  /** 書き起こされた表記 */
+  from: string
+  /** 補正後の辞書の用語 */
+  to: string
+}
+
+/** 音声入力の書き起こし結果 */
+export interface TranscriptionResponse {
+  /** 医療用語辞書で補正した書き起こし */
+  text: string
+  /** 補正前の書き起こし */
+  rawText: string
+  /** 補正した用語 */
+  corrections: TranscriptCorrection[]
+  /** 書き起こしに使用したプロバイダー（音声ファイルを送信した場合のみ） */
+  provider?: string
+}
+
+/** バイタルサインの判定（基準範囲内・低値・高値） */
+export type VitalStatus = 'normal' | 'low' | 'high'
+
+/** バイタルサインの測定値（血圧以外） */
+export interface VitalReading {
+  /** 測定値 */
+  value: number
+  /** 単位 */
+  unit: string
+  /** 基準範囲に対する判定 */
+  status: VitalStatus
+  /** 入力メモ中の記載（例: BT36.8） */
+  text: string
+}
+
+/** 血圧の測定値 */
+export interface BloodPressureReading {
+  /** 収縮期血圧 */
+  systolic: number
+  /** 拡張期血圧 */
+  diastolic: number
+  /** 単位 */
+  unit: 'mmHg'
+  /** 基準範囲に対する判定（収縮期・拡張期のどちらかが範囲外なら範囲外） */
+  status: VitalStatus
+  /** 入力メモ中の記載（例: BP132/78） */
+  text: string
+}
+
+/** 入力メモから抽出したバイタルサイン（項目ごとに記載順。入浴前後など複数回の測定に対応） */
+export interface VitalSigns {
+  /** 体温 */
+  temperature?: VitalReading[]
+  /** 血圧 */
+  bloodPressure?: BloodPressureReading[]
+  /** 脈拍 */
+  pulse?: VitalReading[]
+  /** 呼吸数 */
+  respiration?: VitalReading[]
+  /** 経皮的動脈血酸素飽和度 */
+  spo2?: VitalReading[]
+  /** 血糖値 */
+  bloodGlucose?: VitalReading[]
+}
+
+/** 注意所見（レッドフラグ）の緊急度（urgent: 至急の報告を検討 / warning: 報告を検討） */
+export type RedFlagSeverity = 'urgent' | 'warning'
+
+/** 注意所見のルールで判定するバイタルの項目（血圧は収縮期・拡張期を別に判定する） */
+export type RedFlagVitalItem = 'temperature' | 'systolic' | 'diastolic' | 'pulse' | 'respiration' | 'spo2' | 'bloodGlucose'
+
+/** 注意所見の検出ルール（用語の記載、またはバイタルの値で判定する） */
+export interface RedFlagRule {
+  /** ルールID（組み込み: fall など / 組織で追加: custom-1 など） */
+  id: string
+  /** 表示名（例: 転倒・転落） */
+  label: string
+  /** 緊急度 */
+  severity: RedFlagSeverity
+  /** 記載を探す用語（医療用語辞書の用語は読み・言い換えも一致させる） */
+  terms?: string[]
+  /** バイタルの条件（below 未満、または atLeast 以上で該当） */
+  vital?: {
+    item: RedFlagVitalItem
+    below?: number
+    atLeast?: number
+  }
+}
+
+/** 組織ごとの注意所見の検出設定 */
+export interface RedFlagSettings {
+  /** 使わない組み込みルールのID */
+  disabledRuleIds: string[]
+  /** 組織で追加したルール */
+  customRules: RedFlagRule[]
+}
+
+/** 検出した注意所見 */
+export interface RedFlagWarning {
+  /** 該当したルールID */
+  ruleId: string
+  /** 表示名 */
+  label: string
+  /** 緊急度 */
+  severity: RedFlagSeverity
+  /** 該当した記載（用語、またはバイタルの記載。例: 転倒・SpO2 88%） */
+  findings: string[]
+  /** 検出した箇所（input: 入力メモ / output: 生成結果） */
+  sources: Array<'input' | 'output'>
+}
+
+/** 注意所見の検出結果 */
+export interface RedFlagReport {
+  /** 検出した注意所見（至急のものから順） */
+  warnings: RedFlagWarning[]
+  /** 生成結果に主治医への報告・連絡の記載があるか */
+  doctorReportNoted: boolean
+}
+
+/** ユーザー辞書の登録内容 */
+export interface DictionaryEntry {
+  /** 辞書ID */
+  id: number
+  /** 用語（略語・通称など） */
+  term: string
+  /** 意味・正式名称 */
+  meaning: string
+  /** 作成日時 */
+  createdAt: string
+  /** 更新日時 */
+  updatedAt: string
+}
+
+/** 組織内の権限（admin: 管理者 / member: 一般メンバー） */
+export type OrganizationRole = 'admin' | 'member'
+
+/** 組織（事業所） */
+export interface Organization {
+  /** 組織ID */
+  id: number
+  /** 組織名 */
+  name: string
+  /** 組織全体の1日のAI変換回数の上限（null は上限なし） */
+  dailyLimit: number | null
+  /** 作成日時 */
+  createdAt: string
+  /** 更新日時 */
+  updatedAt: string
+}
+
+/** 保持期間を過ぎた履歴の扱い（anonymize: 本文を消去し統計項目のみ残す / purge: 削除） */
+export type RetentionAction = 'anonymize' | 'purge'
+
+/** データ保持ポリシー */
+export interface RetentionPolicy {
+  /** 履歴の保持日数 */
+  recordRetentionDays: number
+  /** 保持期間を過ぎた履歴の扱い */
+  recordAction: RetentionAction
+  /** 監査ログの保持日数 */
+  logRetentionDays: number
+}
+
+/** 保持期間の処理結果（ポリシーの適用単位ごと） */
+export interface RetentionTargetReport {
+  /** 組織ID（null は組織に所属しないユーザー・未ログインの既定ポリシー） */
+  organizationId: number | null
+  policy: RetentionPolicy
+  /** 対象の履歴（cutoff より前に作成されたもの） */
+  records: { cutoff: string; action: RetentionAction; count: number; hasMore: boolean }
+  /** 対象の監査ログ */
+  logs: { cutoff: string; count: number; hasMore: boolean }
+  /** 対象の下書き（履歴と同じ保持期間。cutoff より前に最後に編集したものを削除） */
+  drafts: { cutoff: string; count: number; hasMore: boolean }
+}
+
+/** 保持期間の処理結果 */
+export interface RetentionReport {
+  /** true の場合は件数の集計のみ（変更しない） */
+  dryRun: boolean
+  executedAt: string
+  targets: RetentionTargetReport[]
+  /** 期限切れのセッション（組織単位の実行では対象外） */
+  sessions: { cutoff: string; count: number; hasMore: boolean } | null
+}
+
+/** 履歴本文の暗号化状況（組織の管理者向け） */
+export interface RecordEncryptionStatus {
+  /** RECORD_ENCRYPTION_SECRET が設定されているか */
+  enabled: boolean
+  /** 新しい履歴の暗号化に使うデータ鍵 */
+  activeKey: { id: number; createdAt: string } | null
+  /** 所属メンバーの履歴の件数 */
+  records: {
+    /** 有効なデータ鍵で暗号化済み */
+    encrypted: number
+    /** 平文（定期実行で暗号化する） */
+    pendingEncryption: number
+    /** ローテーション前の鍵・他の組織の鍵で暗号化（定期実行で再暗号化する） */
+    pendingRotation: number
+  }
+}
+
+/** 暗号化の移行処理の結果 */
+export interface RecordEncryptionReport {
+  /** true の場合は件数の集計のみ（変更しない） */
+  dryRun: boolean
+  /** シークレット未設定の場合は false（何もしない） */
+  enabled: boolean
+  /** ラップし直したデータ鍵の数 */
+  rewrappedKeys: number
+  /** 平文から暗号化した履歴の数 */
+  encrypted: number
+  /** 別の鍵で再暗号化した履歴の数 */
+  reencrypted: number
+  hasMore: boolean
+}
+
+/** ログインユーザーの組織への所属（organizationAuth() がコンテキストに設定） */
+export interface OrganizationMembership {
+  /** 組織ID */
+  organizationId: number
+  /** 組織名 */
+  organizationName: string
+  /** 組織内の権限 */
+  role: OrganizationRole
+}
+
+/** 組織のメンバー */
+export interface OrganizationMember {
+  /** ユーザーID */
+  userId: number
+  /** メールアドレス */
+  email: string
+  /** 表示名 */
+  displayName: string
+  /** 組織内の権限 */
+  role: OrganizationRole
+  /** 所属日時 */
+  joinedAt: string
+}
+
+/** 組織への招待 */
+export interface OrganizationInvitation {
+  /** 招待ID */
+  id: number
+  /** 招待先のメールアドレス */
+  email: string
+  /** 承諾後の権限 */
+  role: OrganizationRole
+  /** 招待したユーザー名 */
+  invitedByName: string | null
+  /** 有効期限 */
+  expiresAt: string
+  /** 作成日時 */
+  createdAt: string
+}
+
+/** 要介護度 */
+export type CareLevel =
+  | '要支援1' | '要支援2'
+  | '要介護1' | '要介護2' | '要介護3' | '要介護4' | '要介護5'
+  | '事業対象者' | '非該当' | '申請中'
+
+/** 利用者プロフィールの登録内容（氏名は扱わない） */
+export interface PatientProfileContent {
+  /** 利用者コード（事業所内の仮名ID） */
+  code: string
+  /** 要介護度 */
+  careLevel: CareLevel | null
+  /** 診断名・既往歴 */
+  diagnoses: string[]
+  /** 平常時のバイタル（例: BT 36.2〜36.6℃、BP 120〜130/70〜80） */
+  usualVitals: string
+  /** 現在のケアプラン・看護計画の目標 */
+  careGoals: string[]
+  /** 留意事項（アレルギー・禁忌など） */
+  notes: string
+}
+
+/** 利用者プロフィール */
+export interface PatientProfile extends PatientProfileContent {
+  /** 利用者ID */
+  id: number
+  /** 組織で共有されているか（false の場合は作成者のみ） */
+  shared: boolean
+  /** 閲覧中のユーザーが削除できるか */
+  deletable: boolean
+  /** 作成日時 */
+  createdAt: string
+  /** 更新日時 */
+  updatedAt: string
+}
+
+/** 入力メモの下書き */
+export interface Draft {
+  /** 下書きID（端末で発行） */
+  id: string
+  /** 利用者ID（利用者を選ばずに書いた下書きは null） */
+  patientId: number | null
+  /** 入力メモ */
+  inputText: string
+  /** 作成日時 */
+  createdAt: string
+  /** 端末で最後に編集した日時 */
+  updatedAt: string
+}
+
+/** テンプレートの対象職種 */
+export type TemplateProfession = 'nurse' | 'rehab'
+
+/** 記録テンプレートの内容 */
+export interface TemplateContent {
+  /** テンプレート名（業務内容） */
+  name: string
+  /** 説明 */
+  description?: string
+  /** 記載の構成（セクション見出し） */
+  sections: string[]
+  /** 必ず確認する観察項目 */
+  requiredObservations: string[]
+  /** 表現例 */
+  examplePhrases: string[]
+}
+
+/** 組み込み記録テンプレート */
+export interface BuiltInTemplate extends TemplateContent {
+  /** テンプレートID */
+  id: string
+  /** 対象職種 */
+  professions: TemplateProfession[]
+}
+
+/** マイテンプレート（ユーザー作成・組織共有） */
+export interface RecordTemplate extends TemplateContent {
+  /** テンプレートID */
+  id: number
+  /** 作成者のユーザーID */
+  ownerId: number
+  /** 作成者名 */
+  ownerName: string
+  /** 組織内で共有されているか */
+  shared: boolean
+  /** 閲覧中のユーザーが編集できるか */
+  editable: boolean
+  /** 作成日時 */
+  createdAt: string
+  /** 更新日時 */
+  updatedAt: string
+}
+
+/** SOAP形式の各セクション */
+export interface SoapSections {
+  /** Subjective（主観的情報） */
+  S: string
+  /** Objective（客観的情報） */
+  O: string
+  /** Assessment（アセスメント） */
+  A: string
+  /** Plan（計画） */
+  P: string
+}
+
+/** 月次の訪問看護報告書の各セクション */
+export interface MonthlyReportSections {
+  /** 病状の経過 */
+  conditionChanges: string
+  /** 看護・リハビリテーションの内容 */
+  careProvided: string
+  /** 家庭での介護の状況 */
+  familySituation: string
+  /** 特記すべき事項・課題 */
+  issues: string
+}
+
+/** 月次の訪問看護報告書の作成リクエスト */
+export interface MonthlyReportRequest {
+  /** 対象の利用者ID */
+  patientId: number
+  /** 集計開始日（YYYY-MM-DD） */
+  from: string
+  /** 集計終了日（YYYY-MM-DD・当日を含む） */
+  to: string
+  /** 変換オプション（docType は報告書、format は文章形式に固定） */
+  options: ConversionOptions
+}
+
+/** 月次の訪問看護報告書の作成レスポンス */
+export interface MonthlyReportResponse extends ConversionResponse {
+  /** 報告書の構造化結果 */
+  report?: MonthlyReportSections
+  /** 集計した履歴の件数 */
+  recordCount?: number
+}
+
+/** 保存済み看護記録（変換履歴） */
+export interface NursingRecord {
+  /** 履歴ID */
+  id: number
+  /** 入力テキスト */
+  inputText: string
+  /** 変換結果テキスト */
+  outputText: string
+  /** ドキュメント種別 */
+  docType: DocumentType
+  /** フォーマット種別 */
+  format: FormatType
+  /** 文体種別 */
+  style: StyleType
+  /** 文字数制限 */
+  charLimit: number
+  /** レスポンス時間（ミリ秒） */
+  responseTime: number | null
+  /** 紐付けられた利用者ID */
+  patientId: number | null
+  /** 作成日時 */
+  createdAt: string
+}
+
+/** ページネーション情報 */
+export interface Pagination {
+  /** 現在のページ（1始まり） */
+  page: number
+  /** 1ページあたりの件数 */
+  limit: number
+  /** 総件数 */
+  total: number
+  /** 総ページ数 */
+  totalPages: number
+}
+
+/** 履歴一覧レスポンス */
+export interface RecordListResponse {
+  /** 履歴一覧 */
+  records: NursingRecord[]
+  /** ページネーション情報 */
+  pagination: Pagination
+  /** キーワード検索で新しい順に照合できる上限を超え、古い履歴を検索していない場合は true */
+  searchTruncated?: boolean
+}
+
+/** 履歴の書き出し形式 */
+export type ExportFormat = 'pdf' | 'docx' | 'csv' | 'txt'
+
+/** 書き出しのレイアウト（visit: 訪問看護記録書 / report: 訪問看護報告書 / plain: 様式なし） */
+export type ExportLayout = 'visit' | 'report' | 'plain'
+
+/** 書き出し文書の構成要素（PDF・DOCX・テキストで共通） */
+export type DocumentBlock =
+  /** 表題（中央揃え） */
+  | { type: 'title'; text: string }
+  /** 記録日・記録者などの項目欄（2項目ずつ横に並べる） */
+  | { type: 'fields'; fields: { label: string; value: string }[] }
+  /** 見出し付きの記載欄（minLines 行分の高さを確保する） */
+  | { type: 'section'; heading: string; text: string; minLines?: number }
+  /** 枠のない本文 */
+  | { type: 'paragraph'; text: string }
+  /** 改ページ */
+  | { type: 'pageBreak' }
+
+/** 書き出し文書 */
+export interface ExportDocument {
+  /** 文書のタイトル（ファイルのプロパティに設定） */
+  title: string
+  /** 本文の書体（見出しは常にゴシック体） */
+  font: 'mincho' | 'gothic'
+  /** 構成要素 */
+  blocks: DocumentBlock[]
+}
+
+/** 監査ログのイベント種別 */
+export type AuditEventType =
+  | 'auth.register'
+  | 'auth.login'
+  | 'auth.login_failed'
+  | 'auth.logout'
+  | 'auth.logout_all'
+  | 'auth.google_link'
+  | 'auth.google_unlink'
+  | 'record.create'
+  | 'record.export'
+  | 'record.delete'
+  | 'record.bulk_delete'
+  | 'patient.delete'
+  | 'organization.create'
+  | 'organization.update'
+  | 'organization.delete'
+  | 'organization.member_role_update'
+  | 'organization.member_remove'
+  | 'organization.invitation_create'
+  | 'organization.invitation_revoke'
+  | 'organization.invitation_accept'
+  | 'organization.dictionary_delete'
+  | 'organization.retention_update'
+  | 'organization.red_flags_update'
+  | 'organization.key_rotate'
+  | 'audit.export'
+  | 'security.permission_denied'
+  | 'security.request_blocked'
+
+/** 監査ログの深刻度（security_logs.severity） */
+export type AuditSeverity = 'info' | 'warning' | 'error' | 'critical'
+
+/** 監査ログ */
+export interface AuditLogEntry {
+  id: number
+  eventType: string
+  description: string | null
+  severity: AuditSeverity
+  /** 操作者（未ログインの操作は null） */
+  userId: number | null
+  /** 操作者の表示名（ユーザー削除後は null） */
+  userName: string | null
+  organizationId: number | null
+  requestId: string | null
+  /** 操作対象（例: record / patient） */
+  resourceType: string | null
+  resourceId: string | null
+  metadata: Record<string, unknown> | null
+  ipAddress: string | null
+  userAgent: string | null
+  createdAt: string
+}
+
+/** 監査ログ一覧レスポンス */
+export interface AuditLogListResponse {
+  entries: AuditLogEntry[]
+  pagination: Pagination
 }
 
 // ========================================
@@ -107,6 +677,29 @@ export interface ApiResponse<T = any> {
   timestamp?: string
 }
 
+/** 利用プラン（guest は未ログイン） */
+export type UsagePlan = 'guest' | 'free' | 'pro'
+
+/** 本日の利用状況 */
+export interface UsageStatus {
+  plan: UsagePlan
+  /** 1日の上限（null は無制限） */
+  limit: number | null
+  /** 本日の利用回数 */
+  used: number
+  /** 残り回数（null は無制限） */
+  remaining: number | null
+  /** 次にリセットされる日時（ISO 8601） */
+  resetAt: string
+  /** 所属組織全体の本日の利用状況（組織に所属している場合） */
+  organization?: {
+    /** 組織全体の1日の上限（null は上限なし） */
+    limit: number | null
+    /** 組織全体の本日の利用回数 */
+    used: number
+  }
+}
+
 /** APIエラー */
 export interface ApiError {
   /** エラーコード */
@@ -125,10 +718,24 @@ export interface ApiError {
 export interface EnvironmentVariables {
   /** Gemini APIキー */
   GEMINI_API_KEY?: string
+  /** Anthropic APIキー（Claudeフォールバック用） */
+  ANTHROPIC_API_KEY?: string
+  /** AIプロバイダーのフォールバック順（例: "gemini,anthropic" / "mock"） */
+  AI_PROVIDERS?: string
+  /** 音声の文字起こしのプロバイダー（"gemini" / "mock"。未設定の場合はGeminiのAPIキーがあればGemini） */
+  TRANSCRIPTION_PROVIDER?: string
   /** JWT秘密鍵 */
   JWT_SECRET?: string
   /** Google Client ID */
   GOOGLE_CLIENT_ID?: string
+  /** Google Client Secret（トークンエンドポイントでの認可コードの交換に使う） */
+  GOOGLE_CLIENT_SECRET?: string
+  /** Googleのトークンエンドポイント（ローカルでの動作確認用にスタブへ差し替える場合のみ設定） */
+  GOOGLE_TOKEN_ENDPOINT?: string
+  /** 履歴本文の暗号化シークレット（未設定の場合は平文で保存） */
+  RECORD_ENCRYPTION_SECRET?: string
+  /** ローテーション前の暗号化シークレット（データ鍵のラップし直しが終わるまで残す） */
+  RECORD_ENCRYPTION_SECRET_PREVIOUS?: string
 }
 
 /** Cloudflare Bindings */
@@ -242,6 +242,21 @@ export const camelToKebab = (str: string): string => {
   return str.replace(/([a-z0-9]|(?=[A-Z]))([A-Z])/g, '$1-$2').toLowerCase()
 }
 
+/**
+ * 表データをCSVに変換（Excelで文字化けしないようBOM付きUTF-8・CRLF改行で出力する）
+ * 表計算ソフトで数式として解釈される先頭文字には ' を付ける
+ * @param rows 見出し行を含む行の配列
+ * @returns CSV文字列
+ */
+export const toCsv = (rows: string[][]): string => {
+  const toField = (value: string): string => {
+    const safe = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value
+    return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe
+  }
+
+  return '\uFEFF' + rows.map(row => row.map(toField).join(',')).join('\r\n') + '\r\n'
+}
+
 // ========================================
 // 🎲 ランダム・ID生成ユーティリティ
 // ========================================
@@ -776,7 +791,7 @@ export const logAuthEvent = (
 }
 
 /**
- * セキュリティイベントをログ記録
+ * セキュリティイベントをログ記録（コンソールのみ。監査証跡として残す操作は services/audit の writeAuditLog で記録する）
  * @param event イベント種別
  * @param severity 深刻度
  * @param metadata 追加メタデータ
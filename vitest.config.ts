@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config'
+
+// アプリのビルド設定（vite.config.ts）のプラグインは読み込まず、サービス層をNode.jsで直接テストする
+export default defineConfig({
+  test: {
+    include: ['src/**/*.test.ts']
+  }
+})